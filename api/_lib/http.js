@@ -0,0 +1,53 @@
+// 讓同一個 handler 可以在 Vercel Serverless Function 與 Vite 開發伺服器中執行
+
+/**
+ * Error carrying the HTTP status to respond with.
+ */
+export class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = 'HttpError';
+    this.status = status;
+  }
+}
+
+/**
+ * Reads a JSON request body. Vercel has usually parsed it already (req.body);
+ * plain Node requests are read from the stream, up to maxBytes.
+ * @param {import('http').IncomingMessage & { body?: any }} req
+ * @param {number} maxBytes
+ */
+export const readJsonBody = async (req, maxBytes) => {
+  if (req.body !== undefined) {
+    return typeof req.body === 'string' ? JSON.parse(req.body) : req.body;
+  }
+
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of req) {
+    size += chunk.length;
+    if (size > maxBytes) {
+      throw new HttpError(413, '圖片太大，請換一張較小的照片。');
+    }
+    chunks.push(chunk);
+  }
+  try {
+    return JSON.parse(Buffer.concat(chunks).toString('utf8'));
+  } catch {
+    throw new HttpError(400, '請求格式錯誤。');
+  }
+};
+
+/**
+ * @param {import('http').ServerResponse} res
+ * @param {number} status
+ * @param {object} body
+ * @param {Record<string, string>} headers
+ */
+export const sendJson = (res, status, body, headers = {}) => {
+  res.statusCode = status;
+  res.setHeader('Content-Type', 'application/json; charset=utf-8');
+  res.setHeader('Cache-Control', 'no-store');
+  Object.entries(headers).forEach(([name, value]) => res.setHeader(name, value));
+  res.end(JSON.stringify(body));
+};
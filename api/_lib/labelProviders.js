@@ -0,0 +1,22 @@
+import { createLabelProviders } from '../../src/recognition/providers/index.js';
+
+/**
+ * Provider chain from environment variables:
+ *   LABEL_PROVIDERS   依序嘗試的 provider，逗號分隔 (gemini, openai, mock)，預設 "gemini,openai"
+ *   GEMINI_API_KEY / GEMINI_MODEL
+ *   OPENAI_API_KEY / OPENAI_BASE_URL / OPENAI_MODEL   任何 OpenAI 相容的 Chat Completions 服務
+ * Providers without an API key are skipped, so only the configured ones are used.
+ * @param {NodeJS.ProcessEnv} env
+ */
+export const createProvidersFromEnv = (env = process.env) => createLabelProviders({
+  order: (env.LABEL_PROVIDERS || 'gemini,openai').split(','),
+  gemini: {
+    apiKey: env.GEMINI_API_KEY,
+    model: env.GEMINI_MODEL || undefined,
+  },
+  openai: {
+    apiKey: env.OPENAI_API_KEY,
+    baseUrl: env.OPENAI_BASE_URL || undefined,
+    model: env.OPENAI_MODEL || undefined,
+  },
+});
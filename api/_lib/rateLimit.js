@@ -0,0 +1,35 @@
+import { HttpError } from './http.js';
+
+// 每位使用者的呼叫上限。計數存在記憶體中，只在同一個 Serverless 執行個體內有效；
+// 足以擋下誤觸連點與簡單的濫用，不是精確的計費額度。
+const LIMITS = [
+  { windowMs: 60 * 1000, max: 6, message: '辨識太頻繁了，請一分鐘後再試。' },
+  { windowMs: 24 * 60 * 60 * 1000, max: 100, message: '今天的 AI 辨識次數已用完，請明天再試。' },
+];
+
+const LONGEST_WINDOW_MS = Math.max(...LIMITS.map(limit => limit.windowMs));
+
+/** @type {Map<string, number[]>} uid → request timestamps */
+const requestLog = new Map();
+
+/**
+ * Records a request for uid, or throws 429 if any limit is exceeded.
+ * @param {string} uid
+ * @param {number} now
+ */
+export const enforceRateLimit = (uid, now = Date.now()) => {
+  const timestamps = (requestLog.get(uid) || []).filter(time => now - time < LONGEST_WINDOW_MS);
+
+  for (const { windowMs, max, message } of LIMITS) {
+    const recent = timestamps.filter(time => now - time < windowMs);
+    if (recent.length >= max) {
+      const retryAfterSeconds = Math.ceil((recent[0] + windowMs - now) / 1000);
+      const error = new HttpError(429, message);
+      error.retryAfterSeconds = retryAfterSeconds;
+      throw error;
+    }
+  }
+
+  timestamps.push(now);
+  requestLog.set(uid, timestamps);
+};
@@ -0,0 +1,36 @@
+import { createRemoteJWKSet, jwtVerify } from 'jose';
+import { HttpError } from './http.js';
+
+// Firebase Auth ID token 的公開金鑰 (Google 會定期輪替，jose 會自動快取與更新)
+const FIREBASE_JWKS = createRemoteJWKSet(
+  new URL('https://www.googleapis.com/service_accounts/v1/jwk/securetoken@system.gserviceaccount.com')
+);
+
+/**
+ * Verifies the caller's Firebase ID token from the Authorization header.
+ * Anonymous accounts are accepted; they still have a stable uid for rate limiting.
+ * @param {import('http').IncomingMessage} req
+ * @param {string} projectId Firebase project ID (token audience)
+ * @returns {Promise<string>} The caller's uid
+ */
+export const verifyIdToken = async (req, projectId) => {
+  const header = req.headers.authorization || '';
+  const match = header.match(/^Bearer (.+)$/);
+  if (!match) {
+    throw new HttpError(401, '缺少登入憑證。');
+  }
+
+  try {
+    const { payload } = await jwtVerify(match[1], FIREBASE_JWKS, {
+      issuer: `https://securetoken.google.com/${projectId}`,
+      audience: projectId,
+    });
+    if (!payload.sub) {
+      throw new Error('Token has no subject');
+    }
+    return payload.sub;
+  } catch (error) {
+    console.warn('ID Token Verification Failed:', error.message);
+    throw new HttpError(401, '登入憑證無效或已過期，請重新整理頁面。');
+  }
+};
@@ -0,0 +1,110 @@
+// POST /api/analyze-label
+// 代替瀏覽器呼叫 AI 辨識服務：金鑰只存在伺服器 (見 _lib/labelProviders.js)，並驗證 Firebase 登入、限制呼叫頻率與圖片大小。
+//
+// Request:  Authorization: Bearer <Firebase ID token>
+//           { "images": [{ "mimeType": "image/jpeg", "data": "<base64>", "tag": "back" }, ...] }
+//           同一個產品的 1–4 張照片 (舊版前端送單張 { "image": {...} } 也接受)
+// Response: { "fields": { "brand": { "value": "...", "confidence": 0.9 }, ... } }
+
+import { analyzeWithProviders } from '../src/recognition/providers/index.js';
+import { MAX_LABEL_IMAGES } from '../src/recognition/labelFields.js';
+import { HttpError, readJsonBody, sendJson } from './_lib/http.js';
+import { verifyIdToken } from './_lib/verifyIdToken.js';
+import { enforceRateLimit } from './_lib/rateLimit.js';
+import { createProvidersFromEnv } from './_lib/labelProviders.js';
+
+// 瀏覽器端會先壓縮到長邊 1600px，正常每張約 200–500 KB
+const MAX_IMAGE_BYTES = 3 * 1024 * 1024;
+// 所有照片合計；Vercel 的請求本文上限是 4.5 MB
+const MAX_TOTAL_IMAGE_BYTES = 3 * 1024 * 1024;
+// base64 約為原始大小的 4/3，再加上 JSON 外框
+const MAX_BODY_BYTES = Math.ceil(MAX_TOTAL_IMAGE_BYTES * 4 / 3) + 1024 * MAX_LABEL_IMAGES;
+// 整個 provider 鏈 (含重試與備援) 的期限，需短於前端的 45 秒逾時 (src/recognition/analyzeLabel.js)，
+// 前端才會收到明確的 504 而不是自己逾時後再重送一次
+const ANALYZE_DEADLINE_MS = 40000;
+const ALLOWED_MIME_TYPES = ['image/jpeg', 'image/png', 'image/webp', 'image/heic', 'image/heif'];
+
+const getDecodedBytes = (image) => Math.floor(image.data.length * 3 / 4);
+
+const validateImage = (image) => {
+  if (!image || typeof image.data !== 'string' || typeof image.mimeType !== 'string') {
+    throw new HttpError(400, '請求中沒有圖片。');
+  }
+  if (!ALLOWED_MIME_TYPES.includes(image.mimeType)) {
+    throw new HttpError(415, '不支援的圖片格式。');
+  }
+  if (getDecodedBytes(image) > MAX_IMAGE_BYTES) {
+    throw new HttpError(413, '圖片太大，請換一張較小的照片。');
+  }
+};
+
+/**
+ * @param {object} body Parsed request body
+ * @returns {Array<{ mimeType: string, data: string, tag?: string }>}
+ */
+const readImages = (body) => {
+  const images = Array.isArray(body?.images) ? body.images : [body?.image];
+  if (images.length === 0) {
+    throw new HttpError(400, '請求中沒有圖片。');
+  }
+  if (images.length > MAX_LABEL_IMAGES) {
+    throw new HttpError(400, `一次最多辨識 ${MAX_LABEL_IMAGES} 張照片。`);
+  }
+  images.forEach(validateImage);
+  if (images.reduce((total, image) => total + getDecodedBytes(image), 0) > MAX_TOTAL_IMAGE_BYTES) {
+    throw new HttpError(413, '照片合計太大，請減少張數。');
+  }
+  // 只轉送需要的欄位
+  return images.map(({ mimeType, data, tag }) => ({ mimeType, data, ...(typeof tag === 'string' ? { tag } : {}) }));
+};
+
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    sendJson(res, 405, { error: 'Method Not Allowed' }, { Allow: 'POST' });
+    return;
+  }
+
+  const providers = createProvidersFromEnv();
+  const projectId = process.env.FIREBASE_PROJECT_ID || process.env.VITE_PROJECT_ID;
+
+  // 使用者離開表單時瀏覽器會中斷連線，一併取消對 AI 服務的請求
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableEnded) controller.abort();
+  });
+
+  try {
+    if (providers.length === 0 || !projectId) {
+      throw new HttpError(500, '伺服器尚未設定 AI 辨識服務金鑰或 FIREBASE_PROJECT_ID。');
+    }
+
+    const uid = await verifyIdToken(req, projectId);
+    enforceRateLimit(uid);
+
+    const body = await readJsonBody(req, MAX_BODY_BYTES);
+    const images = readImages(body);
+
+    const fields = await analyzeWithProviders(providers, { images, signal: controller.signal }, { deadlineMs: ANALYZE_DEADLINE_MS });
+    sendJson(res, 200, { fields });
+  } catch (error) {
+    if (error?.name === 'AbortError') {
+      return;
+    }
+    if (error instanceof HttpError) {
+      const headers = error.retryAfterSeconds ? { 'Retry-After': String(error.retryAfterSeconds) } : {};
+      sendJson(res, error.status, { error: error.message }, headers);
+      return;
+    }
+    console.error('Analyze Label Error:', error);
+    if (error?.name === 'RecognitionError' && error.status === 504) {
+      sendJson(res, 504, { error: error.message });
+      return;
+    }
+    if (error?.name === 'RecognitionError') {
+      // 所有 provider 都失敗；503 讓前端知道可以稍後重試
+      sendJson(res, error.retryable ? 503 : 502, { error: 'AI 辨識服務暫時無法使用，請稍後再試。' });
+      return;
+    }
+    sendJson(res, 500, { error: 'AI 辨識發生未預期的錯誤。' });
+  }
+}
@@ -0,0 +1,266 @@
+// 保養品管理 Service Worker
+// 快取 App 外殼 (HTML、打包後的 JS/CSS)、Tailwind CDN 與 Inter 字型，讓安裝後的 PWA 在訊號不好時也能開啟。
+// 資料本身由 Firestore 的本機快取 (persistentLocalCache) 或 IndexedDB 處理，這裡不攔截 API 請求。
+
+const CACHE_VERSION = 'v1';
+const SHELL_CACHE = `shell-${CACHE_VERSION}`;
+const RUNTIME_CACHE = `runtime-${CACHE_VERSION}`;
+
+const SHELL_URLS = [
+  '/',
+  '/index.html',
+  '/manifest.json',
+  '/vite.svg',
+];
+
+// 動態載入的 chunk (條碼掃描的 zxing 備援)，檔名含 hash，打包時由 vite.config.js 填入；
+// 安裝時先快取，第一次掃描就算離線也能使用
+const PRECACHE_URLS = [];
+
+// 第三方樣式資源: 先回傳快取，再於背景更新
+const CDN_HOSTS = [
+  'cdn.tailwindcss.com',
+  'fonts.googleapis.com',
+  'fonts.gstatic.com',
+];
+
+// index.html 直接載入的 Tailwind CDN，安裝時就先快取 (跨網域需使用 no-cors)
+const CDN_PRECACHE_URLS = [
+  'https://cdn.tailwindcss.com',
+];
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    Promise.all([
+      caches.open(SHELL_CACHE).then((cache) => cache.addAll(SHELL_URLS)),
+      caches.open(RUNTIME_CACHE).then((cache) => Promise.all([
+        ...CDN_PRECACHE_URLS.map((url) => {
+          const request = new Request(url, { mode: 'no-cors' });
+          // cache.add() 會拒絕 opaque 回應，所以自行 fetch 再存入
+          return fetch(request).then((response) => cache.put(request, response)).catch(() => {});
+        }),
+        // 只是預先載入，失敗時第一次使用會再從網路取得
+        cache.addAll(PRECACHE_URLS).catch(() => {}),
+      ])),
+    ]).then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then((keys) => Promise.all(
+        keys
+          .filter((key) => key !== SHELL_CACHE && key !== RUNTIME_CACHE)
+          .map((key) => caches.delete(key))
+      ))
+      .then(() => self.clients.claim())
+  );
+});
+
+const staleWhileRevalidate = async (request) => {
+  const cache = await caches.open(RUNTIME_CACHE);
+  const cached = await cache.match(request);
+  const network = fetch(request)
+    .then((response) => {
+      // CDN 回應可能是 opaque (status 0)，同樣可以快取
+      if (response.ok || response.type === 'opaque') {
+        cache.put(request, response.clone());
+      }
+      return response;
+    })
+    .catch(() => cached);
+  return cached || network;
+};
+
+const cacheFirst = async (request) => {
+  const cache = await caches.open(RUNTIME_CACHE);
+  const cached = await cache.match(request);
+  if (cached) return cached;
+  const response = await fetch(request);
+  if (response.ok || response.type === 'opaque') {
+    cache.put(request, response.clone());
+  }
+  return response;
+};
+
+const networkFirstNavigation = async (request) => {
+  try {
+    const response = await fetch(request);
+    const cache = await caches.open(SHELL_CACHE);
+    cache.put('/index.html', response.clone());
+    return response;
+  } catch {
+    const cached = await caches.match('/index.html');
+    return cached || Response.error();
+  }
+};
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+
+  const url = new URL(request.url);
+
+  if (request.mode === 'navigate') {
+    event.respondWith(networkFirstNavigation(request));
+    return;
+  }
+
+  // 產品照片 (Firebase Storage 下載網址含 token，內容不會變)，快取後離線也能顯示縮圖
+  if (url.hostname === 'firebasestorage.googleapis.com') {
+    event.respondWith(cacheFirst(request));
+    return;
+  }
+
+  if (CDN_HOSTS.includes(url.hostname)) {
+    event.respondWith(staleWhileRevalidate(request));
+    return;
+  }
+
+  if (url.origin === self.location.origin) {
+    // Vite 打包後的檔名含 hash，內容不會變，可直接使用快取
+    if (url.pathname.startsWith('/assets/')) {
+      event.respondWith(cacheFirst(request));
+    } else {
+      event.respondWith(staleWhileRevalidate(request));
+    }
+  }
+});
+
+// --- 效期提醒 ---
+// 頁面把提醒排程寫入 IndexedDB (src/reminders/reminderStore.js)，這裡負責判斷哪些已到期並送出通知，
+// 並記錄已送出的提醒，避免同一則提醒重複出現。
+
+const REMINDER_DB_NAME = 'skincare-reminders';
+const REMINDER_DB_VERSION = 1;
+const REMINDER_SYNC_TAG = 'expiry-reminders';
+
+const openReminderDatabase = () => new Promise((resolve, reject) => {
+  const request = indexedDB.open(REMINDER_DB_NAME, REMINDER_DB_VERSION);
+  request.onupgradeneeded = () => {
+    const database = request.result;
+    if (!database.objectStoreNames.contains('schedule')) {
+      database.createObjectStore('schedule', { keyPath: 'id' });
+    }
+    if (!database.objectStoreNames.contains('sent')) {
+      database.createObjectStore('sent', { keyPath: 'id' });
+    }
+    if (!database.objectStoreNames.contains('meta')) {
+      database.createObjectStore('meta');
+    }
+  };
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+const readReminderState = (database) => new Promise((resolve, reject) => {
+  const transaction = database.transaction(['schedule', 'sent', 'meta'], 'readonly');
+  const scheduleRequest = transaction.objectStore('schedule').getAll();
+  const sentRequest = transaction.objectStore('sent').getAll();
+  const preferencesRequest = transaction.objectStore('meta').get('preferences');
+  transaction.oncomplete = () => resolve({
+    schedule: scheduleRequest.result,
+    sentIds: new Set(sentRequest.result.map((entry) => entry.id)),
+    preferences: preferencesRequest.result,
+  });
+  transaction.onerror = () => reject(transaction.error);
+});
+
+const markRemindersSent = (database, ids) => new Promise((resolve, reject) => {
+  const transaction = database.transaction('sent', 'readwrite');
+  const store = transaction.objectStore('sent');
+  const sentAt = new Date().toISOString();
+  ids.forEach((id) => store.put({ id, sentAt }));
+  transaction.oncomplete = () => resolve();
+  transaction.onerror = () => reject(transaction.error);
+});
+
+// 裝置時區的今天 (YYYY-MM-DD)
+const getLocalToday = () => {
+  const now = new Date();
+  const month = String(now.getMonth() + 1).padStart(2, '0');
+  const day = String(now.getDate()).padStart(2, '0');
+  return `${now.getFullYear()}-${month}-${day}`;
+};
+
+const describeDaysLeft = (expiryDate, today) => {
+  const days = Math.round((Date.parse(expiryDate) - Date.parse(today)) / (1000 * 60 * 60 * 24));
+  if (days < 0) return '已過期';
+  if (days === 0) return '今天到期';
+  return `還有 ${days} 天到期`;
+};
+
+const checkReminders = async () => {
+  if (self.Notification?.permission !== 'granted') return;
+
+  const database = await openReminderDatabase();
+  const { schedule, sentIds, preferences } = await readReminderState(database);
+  if (!preferences?.enabled) return;
+
+  const today = getLocalToday();
+  const due = schedule.filter((entry) => entry.dueDate <= today && !sentIds.has(entry.id));
+  if (due.length === 0) return;
+
+  // 很久沒開 App 時可能同一產品有多個提醒同時到期，只送最接近到期日的那一則
+  const mostUrgentByProduct = new Map();
+  due.forEach((entry) => {
+    const current = mostUrgentByProduct.get(entry.productId);
+    if (!current || entry.leadDays < current.leadDays) {
+      mostUrgentByProduct.set(entry.productId, entry);
+    }
+  });
+  const alerts = [...mostUrgentByProduct.values()];
+
+  if (preferences.dailyDigest) {
+    const digestId = `digest:${today}`;
+    if (sentIds.has(digestId)) return; // 今天的摘要已送出，其餘留到明天
+
+    await self.registration.showNotification(`保養品效期提醒：${alerts.length} 件需要注意`, {
+      body: alerts.map((entry) => `• ${entry.productName}：${describeDaysLeft(entry.expiryDate, today)}`).join('\n'),
+      tag: 'expiry-digest',
+      icon: '/vite.svg',
+      // 摘要開啟已過期與即將過期的清單
+      data: { url: '/?status=expired,expiring' },
+    });
+    await markRemindersSent(database, [digestId, ...due.map((entry) => entry.id)]);
+    return;
+  }
+
+  await Promise.all(alerts.map((entry) => self.registration.showNotification('保養品效期提醒', {
+    body: `${entry.productName}：${describeDaysLeft(entry.expiryDate, today)}`,
+    tag: `expiry-${entry.productId}`,
+    icon: '/vite.svg',
+    data: { url: `/product/${encodeURIComponent(entry.productId)}` },
+  })));
+  await markRemindersSent(database, due.map((entry) => entry.id));
+};
+
+self.addEventListener('message', (event) => {
+  if (event.data?.type === 'check-reminders') {
+    event.waitUntil(checkReminders());
+  }
+});
+
+// Chrome 安裝版 PWA 支援定期背景同步，App 沒開時也能每天檢查一次
+self.addEventListener('periodicsync', (event) => {
+  if (event.tag === REMINDER_SYNC_TAG) {
+    event.waitUntil(checkReminders());
+  }
+});
+
+self.addEventListener('notificationclick', (event) => {
+  event.notification.close();
+  const targetUrl = event.notification.data?.url || '/';
+  event.waitUntil(
+    self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then((windowClients) => {
+      const existing = windowClients.find((client) => 'focus' in client);
+      if (!existing) return self.clients.openWindow(targetUrl);
+      // 已開啟的 App 直接切換到通知對應的頁面
+      return existing.focus().then((client) => {
+        const { pathname, search } = new URL(client.url);
+        return `${pathname}${search}` === targetUrl ? client : client.navigate(targetUrl);
+      });
+    })
+  );
+});
@@ -1,111 +1,70 @@
-import React, { useState, useEffect, useMemo, useCallback } from 'react';
+import React, { useState, useEffect, useMemo, useCallback, useRef } from 'react';
 import { initializeApp } from 'firebase/app';
 import { getAuth, signInAnonymously, onAuthStateChanged } from 'firebase/auth';
-import { getFirestore, collection, onSnapshot, query, addDoc, doc, deleteDoc, updateDoc } from 'firebase/firestore';
-import { Loader, Camera, Plus, List, X, Trash2, Edit, CheckCircle, Clock, Package, Calendar } from 'lucide-react';
-
-// --- START: Configuration for Vercel/Local Deployment ---
-// Vercel/Vite 會自動從 "import.meta.env" 讀取 VITE_ 開頭的環境變數
-// 您必須在 Vercel 專案的 Settings > Environment Variables 中設定這些值
-
-// FIX: Use Vite's standard import.meta.env directly.
-// This is correct for your localhost (Vite) and Vercel (Vite) environments.
-// The previous "env" wrapper was incorrect and broke the Vercel build.
-const firebaseConfig = {
-  apiKey: import.meta.env.VITE_API_KEY,
-  authDomain: import.meta.env.VITE_AUTH_DOMAIN,
-  projectId: import.meta.env.VITE_PROJECT_ID,
-  storageBucket: import.meta.env.VITE_STORAGE_BUCKET,
-  messagingSenderId: import.meta.env.VITE_MESSAGING_SENDER_ID,
-  appId: import.meta.env.VITE_APP_ID
-};
-
-// 檢查本地設定是否完整 (用於 Vercel 部署)
-const isLocalConfigValid = firebaseConfig.projectId && firebaseConfig.apiKey;
-
-// --- Canvas Environment Fallbacks (REMOVED for clarity) ---
-// We are now fully on Vercel/localhost, so Canvas fallbacks are removed.
-const finalFirebaseConfig = firebaseConfig;
-
-// FIX: Load Gemini API Key from Vercel Environment Variables
-const API_KEY = import.meta.env.VITE_GEMINI_API_KEY;
-
-// 這是您的資料儲存路徑
-const APP_DATA_PATH = "skincare-app-data"; 
-// --- END: Configuration ---
-
-
-// --- Utility Functions ---
-
-/**
- * Converts a File object (like an image) into a Base64 string for API payload.
- * @param {File} file The image file.
- * @returns {Promise<string>} Base64 encoded data string.
- */
-const fileToBase64 = (file) => {
-    return new Promise((resolve, reject) => {
-        const reader = new FileReader();
-        reader.onload = () => resolve(reader.result.split(',')[1]);
-        reader.onerror = (error) => reject(error);
-        reader.readAsDataURL(file);
-    });
-};
-
-/**
- * Formats a Date object into YYYY-MM-DD string.
- * @param {Date | string | null} dateInput
- */
-const formatDate = (dateInput) => {
-    if (!dateInput) return '';
-    const date = dateInput instanceof Date ? dateInput : new Date(dateInput);
-    return date.toISOString().split('T')[0];
-};
-
-/**
- * Calculates days until expiry and returns status color.
- * @param {string | null} expiryDateString YYYY-MM-DD
- * @param {string | null} openedDateString YYYY-MM-DD
- * @returns {{daysRemaining: number | null, gradient: string, statusText: string, badgeStyle: string}}
- */
-const getProductStatus = (expiryDateString, openedDateString) => {
-    if (!expiryDateString) {
-        return { 
-            daysRemaining: null, 
-            gradient: 'from-gray-400 to-gray-500', 
-            statusText: '未設定效期', 
-            badgeStyle: 'bg-gradient-to-r from-gray-100 to-gray-200 text-gray-600' 
-        };
-    }
-
-    const today = new Date();
-    today.setHours(0, 0, 0, 0);
-
-    const expiryDate = new Date(expiryDateString);
-    expiryDate.setHours(0, 0, 0, 0);
-
-    const diffTime = expiryDate.getTime() - today.getTime();
-    const daysRemaining = Math.ceil(diffTime / (1000 * 60 * 60 * 24));
-
-    let gradient = 'from-emerald-400 to-teal-500';
-    let statusText = `${daysRemaining} 天後過期`;
-    let badgeStyle = 'bg-gradient-to-r from-emerald-50 to-teal-50 text-teal-700';
-
-    if (daysRemaining < 0) {
-        gradient = 'from-red-500 to-rose-600';
-        statusText = '已過期';
-        badgeStyle = 'bg-gradient-to-r from-red-50 to-rose-50 text-red-700';
-    } else if (daysRemaining <= 30) {
-        gradient = 'from-amber-400 to-orange-500';
-        statusText = `即將過期 ${daysRemaining} 天`;
-        badgeStyle = 'bg-gradient-to-r from-amber-50 to-orange-50 text-orange-700';
-    }
-
-    if (openedDateString) {
-        statusText += ' • 已開封';
-    }
-
-    return { daysRemaining, gradient, statusText, badgeStyle };
-};
+import { getStorage } from 'firebase/storage';
+import { initializeFirestore, persistentLocalCache, persistentMultipleTabManager } from 'firebase/firestore';
+import { Loader, Camera, Plus, List, X, Trash2, Edit, CheckCircle, Clock, Package, Calendar, CloudOff, RefreshCw, Settings, Hash, Tag, Droplet, Archive, Check, MapPin, CheckSquare, ScanLine, TriangleAlert, ListChecks, Wallet, Store, ChartColumn, CalendarPlus, UserRound } from 'lucide-react';
+import { firebaseConfig, STORAGE_BACKEND, LABEL_RECOGNITION } from './config';
+import { createProductRepository, createSettingsRepository, createPhotoStore, createCatalogRepository, createRoutineRepository, createRoutineLogRepository } from './storage';
+import { formatDate, getTodayString } from './utils/date';
+import { getPaoOptions } from './utils/productStatus';
+import { sortProducts } from './utils/productSort';
+import { filterProducts, hasActiveFilters } from './utils/productFilters';
+import { useListFilters } from './productList/useListFilters';
+import { useLongPress } from './productList/useLongPress';
+import { useRouter } from './routing/useRouter';
+import { useNavigationGuard } from './routing/navigationGuard';
+import { paths } from './routing/routes';
+import { useReminders } from './reminders/useReminders';
+import { useSettings } from './settings/useSettings';
+import { createPhotoVariants, dataUrlToBlob } from './photos/imageProcessing';
+import { usePhotoUrl } from './photos/usePhotoUrl';
+import { MAX_PRODUCT_PHOTOS, getProductPhotos, toPhotoFields } from './photos/productPhotos';
+import { usePhotoMaintenance } from './photos/usePhotoMaintenance';
+import SettingsView from './components/SettingsView';
+import RecognitionReview from './components/RecognitionReview';
+import BatchCodeHint from './components/BatchCodeHint';
+import ProductListToolbar from './components/ProductListToolbar';
+import ProductDetail from './components/ProductDetail';
+import LifecycleActions from './components/LifecycleActions';
+import DiscardDialog from './components/DiscardDialog';
+import ArchiveView from './components/ArchiveView';
+import TrashView from './components/TrashView';
+import Toast from './components/Toast';
+import BulkActionBar from './components/BulkActionBar';
+import BarcodeScanner from './components/BarcodeScanner';
+import CatalogMatch from './components/CatalogMatch';
+import PhotoListEditor from './components/PhotoListEditor';
+import IngredientWarnings from './components/IngredientWarnings';
+import RoutinesView from './components/RoutinesView';
+import UnitListEditor from './components/UnitListEditor';
+import AnalyticsView from './components/AnalyticsView';
+import { analyzeLabel } from './recognition/analyzeLabel';
+import { MAX_LABEL_IMAGES } from './recognition/labelFields';
+import { CATEGORY_OPTIONS, CATEGORY_VALUES } from './utils/categories';
+import { CURRENCY_OPTIONS, DEFAULT_CURRENCY } from './utils/currency';
+import { isArchived, getLifecycleState, buildLifecycleUpdate } from './utils/lifecycle';
+import { isDeleted } from './utils/trash';
+import { useTrashPurge } from './trash/useTrashPurge';
+import { createProductsJson, downloadFile } from './export/productExport';
+import { decodeBatchCode } from './batchCode/decodeBatchCode';
+import { estimateExpiryDate, getShelfLifeMonths } from './batchCode/shelfLife';
+import { buildCatalogEntry, catalogEntryToFormValues, countOwnedByBarcode } from './barcode/catalog';
+import { useCatalog } from './barcode/useCatalog';
+import { parseIngredientList, formatIngredientList } from './ingredients/normalizeIngredients';
+import { useRoutines } from './routines/useRoutines';
+import { useDataTransfer } from './export/useDataTransfer';
+import { createCalendar, getProductDeadlines } from './calendar/icsCalendar';
+import { toAccountProfile } from './auth/accountAuth';
+import { useAccount } from './auth/useAccount';
+import AccountMenu from './components/AccountMenu';
+import AccountMergeDialog from './components/AccountMergeDialog';
+import { useHouseholds } from './households/useHouseholds';
+import { getProductOwnerId } from './households/householdRoles';
+import InventorySwitcher from './components/InventorySwitcher';
+import JoinHouseholdView from './components/JoinHouseholdView';
+import { createUnit, findDuplicateProduct, buildAddUnitUpdate, formatUnitSummary, splitFinishedUnit, getEarliestUnitStatus } from './units/productUnits';
+import { getIngredientWarnings, describeIngredientWarnings } from './ingredients/ingredientRules';
 
 
 // --- Firebase Initialization and Auth Hook ---
@@ -113,30 +72,53 @@ const getProductStatus = (expiryDateString, openedDateString) => {
 const useFirebase = () => {
     const [db, setDb] = useState(null);
     const [auth, setAuth] = useState(null);
+    const [storage, setStorage] = useState(null);
     const [userId, setUserId] = useState(null);
+    // 顯示用的帳號資料；本機模式沒有帳號，維持 null
+    const [profile, setProfile] = useState(null);
     const [isAuthReady, setIsAuthReady] = useState(false);
     const [firebaseError, setFirebaseError] = useState(null);
 
     useEffect(() => {
+        if (STORAGE_BACKEND === 'local') {
+            // 本機模式: 不連線 Firebase，資料只存在此裝置
+            setUserId('local');
+            setIsAuthReady(true);
+            return;
+        }
+
         try {
-            if (!finalFirebaseConfig || !finalFirebaseConfig.projectId) {
+            if (!firebaseConfig || !firebaseConfig.projectId) {
                 // This error will now clearly state if Vercel env vars are missing
                 throw new Error("Firebase config is missing or incomplete. If deploying on Vercel, ensure all VITE_... environment variables are set.");
             }
-            const app = initializeApp(finalFirebaseConfig);
-            const firestore = getFirestore(app);
+            const app = initializeApp(firebaseConfig);
+            // 啟用 Firestore 本機持久快取: 離線時仍可讀取清單，寫入會排隊等連線後上傳
+            const firestore = initializeFirestore(app, {
+                localCache: persistentLocalCache({ tabManager: persistentMultipleTabManager() }),
+            });
             const authInstance = getAuth(app);
 
             setDb(firestore);
             setAuth(authInstance);
+            setStorage(getStorage(app));
 
             const unsubscribe = onAuthStateChanged(authInstance, async (user) => {
                 if (user) {
                     setUserId(user.uid);
+                    setProfile(toAccountProfile(user));
                 } else {
                     // Fallback for local dev and Vercel
-                    await signInAnonymously(authInstance);
-                    setUserId(authInstance.currentUser?.uid);
+                    try {
+                        await signInAnonymously(authInstance);
+                        setUserId(authInstance.currentUser?.uid);
+                    } catch (error) {
+                        // 第一次開啟就沒有網路時，匿名登入會失敗
+                        console.error("Anonymous Sign-in Error:", error);
+                        setFirebaseError(navigator.onLine
+                            ? error.message
+                            : '第一次使用需要連上網路才能建立帳號，請連線後再試一次。');
+                    }
                 }
                 setIsAuthReady(true);
             });
@@ -149,130 +131,312 @@ const useFirebase = () => {
         }
     }, []);
 
-    return { db, auth, userId, isAuthReady, firebaseError };
+    // 連結帳號不會觸發 onAuthStateChanged，完成後手動更新
+    const refreshProfile = useCallback(() => {
+        setProfile(toAccountProfile(auth?.currentUser ?? null));
+    }, [auth]);
+
+    return { db, auth, storage, userId, profile, refreshProfile, isAuthReady, firebaseError };
+};
+
+
+/**
+ * Tracks navigator.onLine so the header can show an offline badge.
+ * @returns {boolean}
+ */
+const useOnlineStatus = () => {
+    const [isOnline, setIsOnline] = useState(() => navigator.onLine);
+
+    useEffect(() => {
+        const handleOnline = () => setIsOnline(true);
+        const handleOffline = () => setIsOnline(false);
+        window.addEventListener('online', handleOnline);
+        window.addEventListener('offline', handleOffline);
+        return () => {
+            window.removeEventListener('online', handleOnline);
+            window.removeEventListener('offline', handleOffline);
+        };
+    }, []);
+
+    return isOnline;
 };
 
 
 // --- Product Management Component ---
 
-// FIX: Removed isLoading/setIsLoading props. Form will manage its own busy state.
-const AddProductForm = ({ userId, db, onSave, onCancel, initialData = null }) => {
-    const [formState, setFormState] = useState({
+/**
+ * Editable photo items for the form, from the product's stored photos.
+ * @param {object | null} product
+ */
+const toPhotoItems = (product) => {
+    if (!product) return [];
+    const photos = getProductPhotos(product);
+    if (photos.length === 0 && product.photoBase64) {
+        return [{ key: 'legacy', tag: 'front', legacyDataUrl: product.photoBase64, useForRecognition: true }];
+    }
+    return photos.map((photo, index) => ({
+        key: photo.id,
+        tag: photo.tag,
+        ref: photo,
+        useForRecognition: index < MAX_LABEL_IMAGES,
+    }));
+};
+
+const AddProductForm = ({ userId, repository, photoStore, catalogRepository, catalog, shelfProducts, ingredientWatchlist, getIdToken, members = null, onSave, onCancel, initialData = null, defaultPaoMonths = null }) => {
+    // 保留初始值，用來判斷是否有尚未儲存的變更
+    const [initialFormState] = useState(() => ({
         brand: initialData?.brand || '',
         name: initialData?.name || '',
         expiryDate: initialData?.expiryDate ? formatDate(initialData.expiryDate) : '',
+        // 效期是由批號/製造日期推估出來的，而不是包裝上印的
+        expiryEstimated: initialData?.expiryEstimated || false,
         openedDate: initialData?.openedDate ? formatDate(initialData.openedDate) : '',
         purchaseDate: initialData?.purchaseDate ? formatDate(initialData.purchaseDate) : '',
+        price: initialData?.price != null ? String(initialData.price) : '',
+        currency: initialData?.currency || DEFAULT_CURRENCY,
+        store: initialData?.store || '',
+        manufactureDate: initialData?.manufactureDate ? formatDate(initialData.manufactureDate) : '',
+        // 新增時套用設定中的預設 PAO
+        paoMonths: initialData
+            ? (initialData.paoMonths ? String(initialData.paoMonths) : '')
+            : (defaultPaoMonths ? String(defaultPaoMonths) : ''),
+        batchCode: initialData?.batchCode || '',
+        barcode: initialData?.barcode || '',
+        category: initialData?.category || '',
+        volume: initialData?.volume || '',
+        location: initialData?.location || '',
         notes: initialData?.notes || '',
-        photoBase64: initialData?.photoBase64 || null,
-        file: null,
-    });
+        // 表單中是文字，儲存時整理成正規化的成分陣列
+        ingredients: formatIngredientList(initialData?.ingredients),
+        photos: toPhotoItems(initialData),
+        // 同一產品的其他瓶 (各自的效期與開封日期)
+        backups: initialData?.backups || [],
+        // 這件產品屬於誰；共用清單中可以改成其他成員
+        ownerId: initialData ? getProductOwnerId(initialData) : userId,
+    }));
+    const [formState, setFormState] = useState(initialFormState);
+    // AI 辨識結果先放在這裡讓使用者逐欄確認，不直接覆蓋表單
+    const [recognition, setRecognition] = useState(null);
     const [statusMessage, setStatusMessage] = useState('');
+    const [isScanning, setIsScanning] = useState(false);
+    // 新選的照片在儲存前只做本機預覽，離開表單時一併釋放
+    const previewUrlsRef = useRef([]);
+    useEffect(() => {
+        const previewUrls = previewUrlsRef.current;
+        return () => previewUrls.forEach(url => URL.revokeObjectURL(url));
+    }, []);
+    const recognitionPhotos = formState.photos.filter(photo => photo.useForRecognition);
     
     // FIX: Add internal loading state for AI and Save buttons
     const [isFormBusy, setIsFormBusy] = useState(false);
+    // AI 辨識進行中；離開表單時取消請求
+    const [isAnalyzing, setIsAnalyzing] = useState(false);
+    const analyzeControllerRef = useRef(null);
+
+    useEffect(() => {
+        return () => analyzeControllerRef.current?.abort();
+    }, []);
 
     const isEditing = !!initialData;
 
+    // 儲存成功後即將返回，不需要再詢問
+    const [isSaved, setIsSaved] = useState(false);
+    const isDirty = Object.keys(formState).some(key => formState[key] !== initialFormState[key]);
+    useNavigationGuard(isDirty && !isSaved);
+
     const handleChange = (e) => {
         const { name, value } = e.target;
-        setFormState(prev => ({ ...prev, [name]: value }));
+        setFormState(prev => ({
+            ...prev,
+            [name]: value,
+            // 手動輸入的效期不再是推估值
+            ...(name === 'expiryDate' ? { expiryEstimated: false } : {}),
+        }));
     };
 
-    const handleFileChange = (e) => {
-        const file = e.target.files[0];
-        if (file) {
-            setFormState(prev => ({ ...prev, file: file, photoBase64: null }));
-            const reader = new FileReader();
-            reader.onloadend = () => {
-                setFormState(prev => ({ ...prev, photoBase64: reader.result }));
-            };
-            reader.readAsDataURL(file);
-        }
+    const catalogEntry = formState.barcode ? catalog.get(formState.barcode) || null : null;
+    const ownedWithBarcode = useMemo(
+        () => countOwnedByBarcode(shelfProducts, formState.barcode, initialData?.id),
+        [shelfProducts, formState.barcode, initialData?.id]
+    );
+
+    /**
+     * Stores the scanned code and fills the fields still empty from the catalog, so a
+     * known bottle needs no photo or typing. Works offline since the catalog is local.
+     * @param {string} barcode Normalized EAN/UPC
+     */
+    const handleBarcodeDetected = (barcode) => {
+        setIsScanning(false);
+        const entry = catalog.get(barcode);
+        setFormState(prev => {
+            const next = { ...prev, barcode };
+            if (entry) {
+                Object.entries(catalogEntryToFormValues(entry)).forEach(([key, value]) => {
+                    // 新增時設定中的預設 PAO 也可以被目錄中的值取代
+                    const isDefaultPao = key === 'paoMonths' && !isEditing && prev.paoMonths === initialFormState.paoMonths;
+                    if (!prev[key] || isDefaultPao) next[key] = value;
+                });
+            }
+            return next;
+        });
+    };
+
+    // 邊輸入邊檢查注意成分與架上其他產品的衝突
+    const ingredientList = useMemo(() => parseIngredientList(formState.ingredients), [formState.ingredients]);
+    const ingredientWarnings = useMemo(() => describeIngredientWarnings(getIngredientWarnings(ingredientList, {
+        watchlist: ingredientWatchlist,
+        otherProducts: shelfProducts.filter(product => product.id !== initialData?.id),
+    })), [ingredientList, ingredientWatchlist, shelfProducts, initialData?.id]);
+
+    const decodedBatch = useMemo(
+        () => decodeBatchCode(formState.batchCode, formState.brand),
+        [formState.batchCode, formState.brand]
+    );
+    // 目錄中有這個產品實際的未開封保存期限時，優先於類別的一般值
+    const shelfLifeMonths = catalogEntry?.shelfLifeMonths || getShelfLifeMonths(formState.category);
+    const suggestedExpiry = decodedBatch ? estimateExpiryDate(decodedBatch.manufactureDate, formState.category, shelfLifeMonths) : null;
+    // 不覆蓋包裝上印的效期
+    const canApplyEstimatedExpiry = !!suggestedExpiry && (!formState.expiryDate || formState.expiryEstimated);
+
+    const handleApplyBatchCode = () => {
+        setFormState(prev => ({
+            ...prev,
+            manufactureDate: decodedBatch.manufactureDate,
+            ...(canApplyEstimatedExpiry ? { expiryDate: suggestedExpiry, expiryEstimated: true } : {}),
+        }));
+    };
+
+    /**
+     * The image behind a photo item: a newly picked file, a stored photo (edit mode) or
+     * the legacy data URL of products saved before photos were stored separately.
+     * @returns {Promise<Blob | null>}
+     */
+    const getPhotoBlob = async (photo) => {
+        if (photo.file) return photo.file;
+        if (photo.ref) return photoStore.getBlob(photo.ref);
+        if (photo.legacyDataUrl) return dataUrlToBlob(photo.legacyDataUrl);
+        return null;
+    };
+
+    const handleAcceptRecognition = (keys) => {
+        setFormState(prev => {
+            const next = { ...prev };
+            keys.forEach(key => {
+                next[key] = String(recognition[key].value);
+            });
+            if (keys.includes('expiryDate')) {
+                next.expiryEstimated = false;
+            }
+            return next;
+        });
     };
 
     const handleAnalyzeImage = async () => {
-        if (!formState.file) {
-            setStatusMessage('請先上傳圖片才能進行 AI 辨識。');
+        if (recognitionPhotos.length === 0) {
+            setStatusMessage('請先上傳照片並勾選要辨識的照片。');
             return;
         }
         
-        // FIX: Check for API Key
-        if (!API_KEY) {
-            setStatusMessage('❌ AI 辨識失敗: 未設定 Gemini API 金鑰。請在 Vercel 中設定 VITE_GEMINI_API_KEY。');
+        // 本機模式沒有 Firebase 帳號，伺服器無法驗證身分
+        if (!getIdToken && LABEL_RECOGNITION !== 'mock') {
+            setStatusMessage('❌ AI 辨識需要雲端帳號，本機模式無法使用。');
             return;
         }
 
-        // FIX: Use internal form busy state
-        setIsFormBusy(true);
+        analyzeControllerRef.current?.abort();
+        const controller = new AbortController();
+        analyzeControllerRef.current = controller;
+        setIsAnalyzing(true);
         setStatusMessage('AI 正在辨識圖片中，請稍候...');
 
         try {
-            const base64Data = await fileToBase64(formState.file);
-            // FIX: Simplified prompt
-            const userPrompt = "Analyze this image of a skincare product and extract the brand and product name.";
-            
-            // FIX: Corrected the API URL (added https://)
-            const apiUrl = `https://generativelanguage.googleapis.com/v1beta/models/gemini-2.5-flash-preview-09-2025:generateContent?key=${API_KEY}`;
-            
-            const payload = {
-                contents: [{
-                    role: "user",
-                    parts: [
-                        { text: userPrompt },
-                        { inlineData: { mimeType: formState.file.type, data: base64Data } }
-                    ]
-                }],
-                generationConfig: {
-                    responseMimeType: "application/json",
-                    responseSchema: {
-                        type: "OBJECT",
-                        properties: {
-                            "brand": { "type": "STRING", "description": "The brand name of the product." },
-                            "name": { "type": "STRING", "description": "The specific product name (e.g., Hyaluronic Acid Serum)." }
-                        },
-                        "propertyOrdering": ["brand", "name"]
-                    }
-                }
-            };
-
-            const response = await fetch(apiUrl, {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify(payload)
-            });
-
-            if (!response.ok) {
-                // Try to parse error response
-                let errorBody = await response.text();
-                try {
-                    errorBody = JSON.parse(errorBody).error.message;
-                } catch(e) {
-                    // ignore if not json
-                }
-                throw new Error(`API error: ${response.status} ${response.statusText}. ${errorBody}`);
+            const images = [];
+            for (const photo of recognitionPhotos.slice(0, MAX_LABEL_IMAGES)) {
+                const blob = await getPhotoBlob(photo);
+                if (blob) images.push({ blob, tag: photo.tag });
+            }
+            if (images.length === 0) {
+                throw new Error('找不到可辨識的照片。');
             }
+            const suggestions = await analyzeLabel(images, { getIdToken, signal: controller.signal });
 
-            const result = await response.json();
-            const jsonText = result.candidates?.[0]?.content?.parts?.[0]?.text;
-
-            if (jsonText) {
-                const parsedJson = JSON.parse(jsonText);
-                setFormState(prev => ({
-                    ...prev,
-                    brand: parsedJson.brand || prev.brand,
-                    name: parsedJson.name || prev.name
-                }));
-                setStatusMessage('✨ AI 辨識完成！請確認並補齊其他資訊');
+            if (Object.keys(suggestions).length > 0) {
+                setRecognition(suggestions);
+                setStatusMessage('✨ AI 辨識完成！請逐欄確認後套用');
             } else {
                 setStatusMessage('AI 無法辨識產品資訊，請手動輸入。');
             }
 
         } catch (error) {
-            console.error("Gemini API Error:", error);
+            // 使用者離開表單或取消，不需顯示錯誤
+            if (error.name === 'AbortError') return;
+            console.error("Label Recognition Error:", error);
             setStatusMessage(`❌ AI 辨識失敗: ${error.message}`);
         } finally {
-            // FIX: Use internal form busy state
+            if (analyzeControllerRef.current === controller) {
+                analyzeControllerRef.current = null;
+                setIsAnalyzing(false);
+            }
+        }
+    };
+
+    /**
+     * Compresses and stores the form's new photos; already stored ones keep their reference.
+     * @returns {Promise<Array<object>>} Photo references in form order
+     */
+    const savePhotos = async (photos) => {
+        // 照片先壓縮並另存，產品文件只記錄參照，避免超過 Firestore 1 MiB 文件上限
+        if (photos.some(photo => !photo.ref)) {
+            setStatusMessage('正在壓縮並上傳照片...');
+        }
+        const savedPhotos = [];
+        for (const photo of photos) {
+            if (photo.ref) {
+                savedPhotos.push({ ...photo.ref, tag: photo.tag });
+            } else {
+                const variants = await createPhotoVariants(await getPhotoBlob(photo));
+                const saved = await photoStore.save(variants, { isOnline: navigator.onLine });
+                savedPhotos.push({ ...saved, tag: photo.tag });
+            }
+        }
+        return savedPhotos;
+    };
+
+    /**
+     * Adds the bottle(s) in the form as backups of a product already on the shelf,
+     * instead of creating a second entry for it. The form's photos, ingredients and
+     * notes are merged into that product rather than dropped.
+     */
+    const addAsBackups = async (product) => {
+        const existingPhotos = getProductPhotos(product);
+        const photoRoom = Math.max(MAX_PRODUCT_PHOTOS - existingPhotos.length, 0);
+        const skippedPhotos = Math.max(formState.photos.length - photoRoom, 0);
+        if (skippedPhotos > 0 && !window.confirm(`「${product.name}」最多只能有 ${MAX_PRODUCT_PHOTOS} 張照片，這次有 ${skippedPhotos} 張不會加入。\n\n仍要加為備品嗎？`)) {
+            return;
+        }
+
+        setIsFormBusy(true);
+        setStatusMessage('正在加入備品...');
+        try {
+            const units = [createUnit(formState), ...formState.backups];
+            const newPhotos = await savePhotos(formState.photos.slice(0, photoRoom));
+            const notes = formState.notes.trim();
+            const merged = {
+                ...(newPhotos.length > 0 ? toPhotoFields([...existingPhotos, ...newPhotos]) : {}),
+                // 原本沒有成分表時才帶入，不覆蓋已整理過的成分
+                ...(ingredientList.length > 0 && !product.ingredients?.length ? { ingredients: ingredientList } : {}),
+                ...(notes && !(product.notes || '').includes(notes)
+                    ? { notes: product.notes ? `${product.notes}\n${notes}` : notes }
+                    : {}),
+            };
+            await repository.update(product.id, { ...buildAddUnitUpdate(product, units), ...merged, updatedAt: new Date() });
+            setIsSaved(true);
+            setStatusMessage(`✅ 已加入「${product.name}」的備品！`);
+            setTimeout(() => onSave(), 500);
+        } catch (error) {
+            console.error("Backup Add Error:", error);
+            setStatusMessage(`❌ 加入備品失敗: ${error.message}`);
+        } finally {
             setIsFormBusy(false);
         }
     };
@@ -283,37 +447,68 @@ const AddProductForm = ({ userId, db, onSave, onCancel, initialData = null }) =>
             setStatusMessage('請至少填寫品牌和產品名稱。');
             return;
         }
+        // 新增已經有的產品時，建議加為那一筆的備品，而不是多一筆重複的產品
+        const duplicate = isEditing ? null : findDuplicateProduct(shelfProducts, formState);
+        if (duplicate) {
+            const summary = formatUnitSummary(duplicate);
+            const message = `你已經有「${duplicate.brand} ${duplicate.name}」${summary ? `（${summary}）` : ''}。\n\n要把這瓶加為它的備品嗎？\n按「取消」則另外新增一筆。`;
+            if (window.confirm(message)) {
+                await addAsBackups(duplicate);
+                return;
+            }
+        }
+        if (ingredientWarnings.length > 0 && !window.confirm(`成分提醒：\n${ingredientWarnings.join('\n')}\n\n仍要儲存嗎？`)) {
+            return;
+        }
 
         // FIX: Use internal form busy state
         setIsFormBusy(true);
         setStatusMessage('正在儲存產品資訊...');
 
-        const { file, ...serializableFormState } = formState;
+        const { photos, ...serializableFormState } = formState;
 
         const productData = {
             ...serializableFormState,
+            paoMonths: serializableFormState.paoMonths ? Number(serializableFormState.paoMonths) : null,
+            price: serializableFormState.price ? Number(serializableFormState.price) : null,
+            ingredients: ingredientList,
+            // 已用完或丟棄的產品維持原狀態；其餘依開封日期決定
+            lifecycle: isEditing && isArchived(initialData)
+                ? getLifecycleState(initialData)
+                : (serializableFormState.openedDate ? 'inUse' : 'unopened'),
             userId,
             createdAt: isEditing ? initialData.createdAt : new Date(),
             updatedAt: new Date(),
         };
 
         try {
-            // FIX: Path should be collection/document/collection (3 segments)
-            const dataPath = `${APP_DATA_PATH}/${userId}/products`;
-            
+            const savedPhotos = await savePhotos(photos);
+            Object.assign(productData, toPhotoFields(savedPhotos), { photoBase64: null });
+
             if (isEditing) {
-                const productRef = doc(db, dataPath, initialData.id);
-                await updateDoc(productRef, productData);
+                await repository.update(initialData.id, productData);
+                // 表單中移除的照片，儲存成功後才刪除檔案
+                const keptIds = new Set(savedPhotos.map(photo => photo.id));
+                getProductPhotos(initialData)
+                    .filter(photo => !keptIds.has(photo.id))
+                    .forEach(photo => photoStore.remove(photo).catch(error => console.error("Old Photo Delete Error:", error)));
+                setIsSaved(true);
                 setStatusMessage('✅ 更新成功！');
             } else {
-                await addDoc(collection(db, dataPath), productData);
+                await repository.add(productData);
+                setIsSaved(true);
                 // FIX: This message will now be visible because the form doesn't get destroyed
                 setStatusMessage('✅ 新增成功！');
             }
+            // 記住這個條碼的產品資料，下次掃描直接帶入；不影響產品儲存
+            if (productData.barcode && catalogRepository) {
+                catalogRepository.set(productData.barcode, buildCatalogEntry(productData, catalogEntry))
+                    .catch(error => console.error("Catalog Save Error:", error));
+            }
             // Wait 500ms so user can see the success message
             setTimeout(() => onSave(), 500); 
         } catch (error) {
-            console.error("Firestore Save Error:", error);
+            console.error("Product Save Error:", error);
             setStatusMessage(`❌ 儲存失敗: ${error.message}`);
         } finally {
             // FIX: Use internal form busy state
@@ -331,64 +526,70 @@ const AddProductForm = ({ userId, db, onSave, onCancel, initialData = null }) =>
                 </h2>
                 
                 <form onSubmit={handleSubmit} className="space-y-5">
-                    {/* Photo Upload with AI */}
+                    {/* Barcode */}
                     <div className="space-y-3">
-                        <label className="block text-sm font-semibold text-gray-700 mb-2">📸 產品照片</label>
-                        
-                        <div className="relative">
-                            <input
-                                type="file"
-                                accept="image/*"
-                                // FIX: Removed 'capture="environment"' to allow gallery selection
-                                onChange={handleFileChange}
-                                className="hidden"
-                                id="photo-upload"
+                        <button
+                            type="button"
+                            onClick={() => setIsScanning(true)}
+                            disabled={isFormBusy}
+                            className="flex items-center justify-center w-full px-4 py-3 bg-gradient-to-r from-sky-50 to-indigo-50 border-2 border-dashed border-sky-300 rounded-2xl hover:border-sky-400 transition-all duration-300 hover:shadow-lg disabled:opacity-50"
+                        >
+                            <ScanLine className="w-5 h-5 text-sky-600 mr-2" />
+                            <span className="text-sm font-medium text-sky-700">
+                                {formState.barcode ? '重新掃描條碼' : '掃描條碼快速帶入'}
+                            </span>
+                        </button>
+                        {formState.barcode && (
+                            <CatalogMatch
+                                barcode={formState.barcode}
+                                entry={catalogEntry}
+                                owned={ownedWithBarcode}
+                                onClear={() => setFormState(prev => ({ ...prev, barcode: '' }))}
                             />
-                            <label 
-                                htmlFor="photo-upload"
-                                className="flex items-center justify-center w-full px-4 py-3 bg-gradient-to-r from-teal-50 to-emerald-50 border-2 border-dashed border-teal-300 rounded-2xl cursor-pointer hover:border-teal-400 transition-all duration-300 hover:shadow-lg"
-                            >
-                                <Camera className="w-5 h-5 text-teal-600 mr-2" />
-                                <span className="text-sm font-medium text-teal-700">
-                                    {formState.photoBase64 ? '更換照片' : '點擊上傳照片'}
-                                </span>
-                            </label>
-                        </div>
+                        )}
+                    </div>
 
-                        {formState.photoBase64 && (
-                            <div className="relative group">
-                                <div className="relative w-full h-64 bg-gradient-to-br from-gray-50 to-gray-100 rounded-2xl overflow-hidden shadow-lg">
-                                    <img 
-                                        src={formState.photoBase64} 
-                                        alt="產品照片預覽" 
-                                        className="object-contain w-full h-full"
-                                    />
-                                    <div className="absolute inset-0 bg-gradient-to-t from-black/30 to-transparent opacity-0 group-hover:opacity-100 transition-opacity duration-300"></div>
-                                </div>
-                                
-                                {!isEditing && (
-                                    <button
-                                        type="button"
-                                        onClick={handleAnalyzeImage}
-                                        // FIX: Use internal form busy state
-                                        disabled={isFormBusy}
-                                        className="absolute bottom-4 right-4 px-4 py-2.5 bg-gradient-to-r from-indigo-500 to-purple-600 text-white rounded-full shadow-xl hover:shadow-2xl hover:scale-105 transition-all duration-300 disabled:opacity-50 disabled:cursor-not-allowed flex items-center text-sm font-medium"
-                                    >
-                                        {/* FIX: Use internal form busy state */}
-                                        {isFormBusy ? (
-                                            <>
-                                                <Loader className="w-4 h-4 mr-2 animate-spin" />
-                                                辨識中...
-                                            </>
-                                        ) : (
-                                            <>
-                                                <Camera className="w-4 h-4 mr-2" />
-                                                AI 智能辨識
-                                            </>
-                                        )}
-                                    </button>
+                    {/* Photo Gallery with AI */}
+                    <div className="space-y-3">
+                        <label className="block text-sm font-semibold text-gray-700 mb-2">📸 產品照片</label>
+
+                        <PhotoListEditor
+                            photos={formState.photos}
+                            photoStore={photoStore}
+                            disabled={isFormBusy || isAnalyzing}
+                            onChange={(photos) => setFormState(prev => ({ ...prev, photos }))}
+                            onPreviewUrlCreated={(url) => previewUrlsRef.current.push(url)}
+                        />
+
+                        {/* 編輯模式也可以重新辨識已儲存的照片 */}
+                        {formState.photos.length > 0 && (
+                            <button
+                                type="button"
+                                onClick={handleAnalyzeImage}
+                                disabled={isFormBusy || isAnalyzing || recognitionPhotos.length === 0}
+                                className="w-full px-4 py-2.5 bg-gradient-to-r from-indigo-500 to-purple-600 text-white rounded-2xl shadow-lg hover:shadow-xl transition-all duration-300 disabled:opacity-50 disabled:cursor-not-allowed flex items-center justify-center text-sm font-medium"
+                            >
+                                {isAnalyzing ? (
+                                    <>
+                                        <Loader className="w-4 h-4 mr-2 animate-spin" />
+                                        辨識中...
+                                    </>
+                                ) : (
+                                    <>
+                                        <Camera className="w-4 h-4 mr-2" />
+                                        AI 智能辨識 ({recognitionPhotos.length} 張)
+                                    </>
                                 )}
-                            </div>
+                            </button>
+                        )}
+
+                        {recognition && (
+                            <RecognitionReview
+                                suggestions={recognition}
+                                currentValues={formState}
+                                onAccept={handleAcceptRecognition}
+                                onDismiss={() => setRecognition(null)}
+                            />
                         )}
                     </div>
 
@@ -410,6 +611,38 @@ const AddProductForm = ({ userId, db, onSave, onCancel, initialData = null }) =>
                             required 
                             icon={<List className="w-4 h-4" />}
                         />
+                        <SelectField
+                            label="類別"
+                            name="category"
+                            value={formState.category}
+                            onChange={handleChange}
+                            icon={<Tag className="w-4 h-4" />}
+                            options={[{ value: '', label: '未分類' }, ...CATEGORY_OPTIONS]}
+                        />
+                        <InputField 
+                            label="容量" 
+                            name="volume" 
+                            value={formState.volume} 
+                            onChange={handleChange} 
+                            icon={<Droplet className="w-4 h-4" />}
+                        />
+                        <InputField 
+                            label="存放位置" 
+                            name="location" 
+                            value={formState.location} 
+                            onChange={handleChange} 
+                            icon={<MapPin className="w-4 h-4" />}
+                        />
+                        {members && (
+                            <SelectField
+                                label="擁有者"
+                                name="ownerId"
+                                value={formState.ownerId}
+                                onChange={handleChange}
+                                icon={<UserRound className="w-4 h-4" />}
+                                options={members.map(member => ({ value: member.id, label: member.id === userId ? `${member.name} (我)` : member.name }))}
+                            />
+                        )}
                     </div>
 
                     <div className="grid grid-cols-1 gap-4">
@@ -429,6 +662,17 @@ const AddProductForm = ({ userId, db, onSave, onCancel, initialData = null }) =>
                             onChange={handleChange}
                             icon={<Calendar className="w-4 h-4" />}
                         />
+                        <SelectField
+                            label="開封後使用期限 (PAO)"
+                            name="paoMonths"
+                            value={formState.paoMonths}
+                            onChange={handleChange}
+                            icon={<Clock className="w-4 h-4" />}
+                            options={[
+                                { value: '', label: '未設定' },
+                                ...getPaoOptions(formState.paoMonths).map(months => ({ value: String(months), label: `${months}M（開封後 ${months} 個月）` })),
+                            ]}
+                        />
                         <InputField 
                             label="購入日期" 
                             name="purchaseDate" 
@@ -437,6 +681,82 @@ const AddProductForm = ({ userId, db, onSave, onCancel, initialData = null }) =>
                             onChange={handleChange}
                             icon={<Calendar className="w-4 h-4" />}
                         />
+                        <div className="grid grid-cols-2 gap-3">
+                            <InputField
+                                label="價格"
+                                name="price"
+                                type="number"
+                                value={formState.price}
+                                onChange={handleChange}
+                                icon={<Wallet className="w-4 h-4" />}
+                            />
+                            <SelectField
+                                label="幣別"
+                                name="currency"
+                                value={formState.currency}
+                                onChange={handleChange}
+                                options={CURRENCY_OPTIONS}
+                            />
+                        </div>
+                        <InputField
+                            label="購買通路"
+                            name="store"
+                            value={formState.store}
+                            onChange={handleChange}
+                            icon={<Store className="w-4 h-4" />}
+                        />
+                        <InputField 
+                            label="製造日期" 
+                            name="manufactureDate" 
+                            type="date" 
+                            value={formState.manufactureDate} 
+                            onChange={handleChange}
+                            icon={<Calendar className="w-4 h-4" />}
+                        />
+                        <InputField 
+                            label="批號" 
+                            name="batchCode" 
+                            value={formState.batchCode} 
+                            onChange={handleChange}
+                            icon={<Hash className="w-4 h-4" />}
+                        />
+                        <BatchCodeHint
+                            batchCode={formState.batchCode}
+                            decoded={decodedBatch}
+                            suggestedExpiry={suggestedExpiry}
+                            shelfLifeMonths={shelfLifeMonths}
+                            isKnownShelfLife={!!catalogEntry?.shelfLifeMonths}
+                            category={formState.category}
+                            canApplyExpiry={canApplyEstimatedExpiry}
+                            onApply={handleApplyBatchCode}
+                        />
+                    </div>
+
+                    <UnitListEditor
+                        units={formState.backups}
+                        frontValues={formState}
+                        disabled={isFormBusy}
+                        onChange={(backups) => setFormState(prev => ({ ...prev, backups }))}
+                    />
+
+                    {/* Ingredients */}
+                    <div className="space-y-3">
+                        <label htmlFor="ingredients" className="block text-sm font-semibold text-gray-700 mb-2">
+                            🧪 成分 (INCI)
+                        </label>
+                        <textarea
+                            id="ingredients"
+                            name="ingredients"
+                            value={formState.ingredients}
+                            onChange={handleChange}
+                            rows="3"
+                            placeholder="貼上包裝背面的成分表，或對背面標籤照片使用 AI 辨識"
+                            className="w-full rounded-2xl border-2 border-gray-200 focus:border-teal-400 focus:ring-4 focus:ring-teal-100 p-3 transition-all duration-300 resize-none text-sm"
+                        ></textarea>
+                        {ingredientList.length > 0 && (
+                            <p className="text-xs text-gray-400 -mt-2 px-1">已辨識 {ingredientList.length} 種成分</p>
+                        )}
+                        <IngredientWarnings warnings={ingredientWarnings} />
                     </div>
 
                     {/* Notes */}
@@ -481,7 +801,7 @@ const AddProductForm = ({ userId, db, onSave, onCancel, initialData = null }) =>
                             type="submit"
                             className="flex-1 px-6 py-3.5 bg-gradient-to-r from-teal-500 to-emerald-600 hover:from-teal-600 hover:to-emerald-700 text-white font-semibold rounded-2xl transition-all duration-300 shadow-lg hover:shadow-2xl disabled:opacity-50 disabled:cursor-not-allowed active:scale-95"
                             // FIX: Use internal form busy state
-                            disabled={isFormBusy}
+                            disabled={isFormBusy || isAnalyzing}
                         >
                             {/* FIX: Use internal form busy state */}
                             {isFormBusy ? (
@@ -499,6 +819,10 @@ const AddProductForm = ({ userId, db, onSave, onCancel, initialData = null }) =>
                     </div>
                 </form>
             </div>
+
+            {isScanning && (
+                <BarcodeScanner onDetected={handleBarcodeDetected} onClose={() => setIsScanning(false)} />
+            )}
         </div>
     );
 };
@@ -527,31 +851,67 @@ const InputField = ({ label, name, type = 'text', value, onChange, required = fa
     </div>
 );
 
-const ProductCard = ({ product, onDelete, onEdit, userId, db, isLoading }) => {
-    const { gradient, statusText, badgeStyle } = getProductStatus(product.expiryDate, product.openedDate);
-
-    const handleDelete = async () => {
-        // FIX: Use window.confirm for local dev, as custom modals are complex
-        if (window.confirm(`確定要刪除產品 "${product.name}" 嗎？`)) {
-            try {
-                // FIX: Path should be collection/document/collection (3 segments)
-                const dataPath = `${APP_DATA_PATH}/${userId}/products`;
-                await deleteDoc(doc(db, dataPath, product.id));
-            } catch (error) {
-                console.error("Delete Error:", error);
-            }
+const SelectField = ({ label, name, value, onChange, options, icon = null }) => (
+    <div>
+        <label htmlFor={name} className="block text-sm font-semibold text-gray-700 mb-2">
+            {label}
+        </label>
+        <div className="relative">
+            {icon && (
+                <div className="absolute left-3 top-1/2 -translate-y-1/2 text-gray-400">
+                    {icon}
+                </div>
+            )}
+            <select
+                id={name}
+                name={name}
+                value={value}
+                onChange={onChange}
+                className={`w-full ${icon ? 'pl-10' : 'pl-4'} pr-4 py-3 rounded-2xl border-2 border-gray-200 bg-white focus:border-teal-400 focus:ring-4 focus:ring-teal-100 transition-all duration-300`}
+            >
+                {options.map(option => (
+                    <option key={option.value} value={option.value}>{option.label}</option>
+                ))}
+            </select>
+        </div>
+    </div>
+);
+
+const ProductCard = ({ product, onOpen, onDelete, onEdit, onLifecycleAction, onAddToCalendar, photoStore, isLoading, thresholds, ingredientWarnings = [], canEdit = true, ownerName = null, isSelecting = false, isSelected = false, onToggleSelect, onStartSelection }) => {
+    // 有備品時以最先到期的那瓶為準
+    const { effectiveExpiryDate, expirySource, gradient, statusText, badgeStyle } = getEarliestUnitStatus(product, thresholds);
+    // 清單只載入小縮圖；尚未搬移的舊資料仍使用 photoBase64
+    const thumbnailUrl = usePhotoUrl(photoStore, product.photo || null, 'thumbnail') || product.photoBase64 || null;
+    const unitSummary = formatUnitSummary(product);
+
+    // 長按進入多選模式；多選模式中點一下是切換選取 (檢視者不能批次修改)
+    const { handlers: longPressHandlers, consumeClick } = useLongPress(() => canEdit && onStartSelection(product));
+
+    const handleClick = () => {
+        if (consumeClick()) return;
+        if (isSelecting) {
+            onToggleSelect(product);
+        } else {
+            onOpen(product);
         }
     };
 
     return (
-        <div className="group bg-white/80 backdrop-blur-sm rounded-3xl shadow-lg hover:shadow-2xl transition-all duration-300 overflow-hidden border border-gray-100 hover:scale-[1.02] hover:-translate-y-1">
+        <div
+            onClick={handleClick}
+            {...longPressHandlers}
+            aria-pressed={isSelecting ? isSelected : undefined}
+            className={`group cursor-pointer select-none bg-white/80 backdrop-blur-sm rounded-3xl shadow-lg hover:shadow-2xl transition-all duration-300 overflow-hidden border hover:scale-[1.02] hover:-translate-y-1 ${
+                isSelected ? 'border-teal-400 ring-4 ring-teal-100' : 'border-gray-100'
+            }`}
+        >
             <div className="flex p-4">
                 {/* Image Thumbnail with Gradient Overlay */}
                 <div className="relative w-28 h-28 flex-shrink-0 rounded-2xl overflow-hidden bg-gradient-to-br from-gray-100 to-gray-200">
-                    {product.photoBase64 ? (
+                    {thumbnailUrl ? (
                         <>
                             <img
-                                src={product.photoBase64}
+                                src={thumbnailUrl}
                                 alt={product.name}
                                 className="w-full h-full object-cover"
                                 onError={(e) => { 
@@ -566,6 +926,13 @@ const ProductCard = ({ product, onDelete, onEdit, userId, db, isLoading }) => {
                             <Package className="w-10 h-10 text-gray-300" />
                         </div>
                     )}
+                    {isSelecting && (
+                        <div className={`absolute top-2 left-2 w-7 h-7 rounded-full flex items-center justify-center border-2 shadow ${
+                            isSelected ? 'bg-teal-500 border-teal-500' : 'bg-white/90 border-gray-300'
+                        }`}>
+                            {isSelected && <Check className="w-4 h-4 text-white" />}
+                        </div>
+                    )}
                 </div>
 
                 {/* Details */}
@@ -577,18 +944,43 @@ const ProductCard = ({ product, onDelete, onEdit, userId, db, isLoading }) => {
                         <h3 className="text-lg font-extrabold text-gray-900 line-clamp-2 mt-1">
                             {product.name}
                         </h3>
+                        {unitSummary && (
+                            <p className="mt-1 inline-flex items-center text-xs font-semibold px-2 py-0.5 rounded-full bg-indigo-50 text-indigo-700">
+                                📦 {unitSummary}
+                            </p>
+                        )}
+                        {ownerName && (
+                            <p className={`mt-1 ${unitSummary ? 'ml-1' : ''} inline-flex items-center text-xs font-semibold px-2 py-0.5 rounded-full bg-teal-50 text-teal-700`}>
+                                👤 {ownerName}
+                            </p>
+                        )}
                         {product.notes && (
                             <p className="text-xs text-gray-500 mt-1.5 line-clamp-2 italic">
                                 {product.notes}
                             </p>
                         )}
+                        {ingredientWarnings.length > 0 && (
+                            <p className="mt-1.5 flex items-start text-xs font-semibold text-amber-700" title={ingredientWarnings.join('\n')}>
+                                <TriangleAlert className="w-3.5 h-3.5 mr-1 mt-0.5 flex-shrink-0 text-amber-500" />
+                                <span className="line-clamp-2">
+                                    {ingredientWarnings[0]}
+                                    {ingredientWarnings.length > 1 && `（另有 ${ingredientWarnings.length - 1} 項）`}
+                                </span>
+                            </p>
+                        )}
                     </div>
 
                     <div className="mt-2 flex items-center justify-between">
                         <div className="space-y-1">
                             <p className="text-xs text-gray-500 flex items-center">
                                 <Clock className="w-3.5 h-3.5 mr-1.5 text-gray-400" />
-                                {product.expiryDate || 'N/A'}
+                                {effectiveExpiryDate || 'N/A'}
+                                {expirySource === 'pao' && (
+                                    <span className="ml-1 text-gray-400">(開封 {product.paoMonths}M)</span>
+                                )}
+                                {expirySource === 'printed' && product.expiryEstimated && (
+                                    <span className="ml-1.5 px-1.5 py-0.5 rounded-md bg-sky-50 text-sky-600 font-medium" title="依批號推估的效期">推估</span>
+                                )}
                             </p>
                             <span className={`inline-flex items-center text-xs font-semibold px-3 py-1 rounded-full ${badgeStyle} shadow-sm`}>
                                 {statusText}
@@ -596,27 +988,71 @@ const ProductCard = ({ product, onDelete, onEdit, userId, db, isLoading }) => {
                         </div>
 
                         {/* Actions */}
-                        <div className="flex gap-2">
-                            <button
-                                onClick={() => onEdit(product)}
-                                className="p-2.5 bg-gradient-to-r from-amber-400 to-orange-500 text-white rounded-xl shadow-md hover:shadow-xl transition-all duration-300 disabled:opacity-50 active:scale-95"
-                                disabled={isLoading}
-                                aria-label="編輯"
-                            >
-                                <Edit className="w-4 h-4" />
-                            </button>
-                            <button
-                                onClick={handleDelete}
-                                className="p-2.5 bg-gradient-to-r from-red-400 to-rose-500 text-white rounded-xl shadow-md hover:shadow-xl transition-all duration-300 disabled:opacity-50 active:scale-95"
-                                disabled={isLoading}
-                                aria-label="刪除"
-                            >
-                                <Trash2 className="w-4 h-4" />
-                            </button>
+                        <div className={`flex gap-2 ${isSelecting ? 'invisible' : ''}`}>
+                            {effectiveExpiryDate && (
+                                <button
+                                    onClick={(e) => { e.stopPropagation(); onAddToCalendar(product); }}
+                                    className="p-2.5 bg-white text-teal-600 border border-teal-100 rounded-xl shadow-md hover:shadow-xl transition-all duration-300 active:scale-95"
+                                    aria-label="加入行事曆"
+                                >
+                                    <CalendarPlus className="w-4 h-4" />
+                                </button>
+                            )}
+                            {canEdit && (
+                                <>
+                                    <button
+                                        onClick={(e) => { e.stopPropagation(); onEdit(product); }}
+                                        className="p-2.5 bg-gradient-to-r from-amber-400 to-orange-500 text-white rounded-xl shadow-md hover:shadow-xl transition-all duration-300 disabled:opacity-50 active:scale-95"
+                                        disabled={isLoading}
+                                        aria-label="編輯"
+                                    >
+                                        <Edit className="w-4 h-4" />
+                                    </button>
+                                    <button
+                                        onClick={(e) => { e.stopPropagation(); onDelete(product); }}
+                                        className="p-2.5 bg-gradient-to-r from-red-400 to-rose-500 text-white rounded-xl shadow-md hover:shadow-xl transition-all duration-300 disabled:opacity-50 active:scale-95"
+                                        disabled={isLoading}
+                                        aria-label="刪除"
+                                    >
+                                        <Trash2 className="w-4 h-4" />
+                                    </button>
+                                </>
+                            )}
                         </div>
                     </div>
                 </div>
             </div>
+
+            {/* 快速動作: 開封 / 用完 / 丟棄 */}
+            {!isSelecting && canEdit && (
+                <div className="px-4 pb-4 -mt-1">
+                    <LifecycleActions product={product} onAction={onLifecycleAction} disabled={isLoading} />
+                </div>
+            )}
+        </div>
+    );
+};
+
+/**
+ * Small header badge: offline mode and/or local changes waiting to reach the server.
+ */
+const SyncStatusBadge = ({ isOnline, hasPendingWrites }) => {
+    if (isOnline && !hasPendingWrites) return null;
+
+    return (
+        <div className="mt-1.5 flex flex-wrap gap-1.5">
+            {!isOnline && (
+                <span className="inline-flex items-center text-xs font-semibold px-2.5 py-0.5 rounded-full bg-gray-100 text-gray-600">
+                    <CloudOff className="w-3.5 h-3.5 mr-1" />
+                    離線模式
+                </span>
+            )}
+            {hasPendingWrites && (
+                <span className="inline-flex items-center text-xs font-semibold px-2.5 py-0.5 rounded-full bg-amber-50 text-orange-700">
+                    <RefreshCw className={`w-3.5 h-3.5 mr-1 ${isOnline ? 'animate-spin' : ''}`} />
+                    {isOnline ? '同步中...' : '變更待同步'}
+                </span>
+            )}
         </div>
     );
 };
@@ -624,12 +1060,174 @@ const ProductCard = ({ product, onDelete, onEdit, userId, db, isLoading }) => {
 // --- Main App Component ---
 
 const App = () => {
-    const { db, userId, isAuthReady, firebaseError } = useFirebase();
-    const [view, setView] = useState('list');
+    const { db, auth, storage, userId, profile, refreshProfile, isAuthReady, firebaseError } = useFirebase();
+    const { location, route, navigate, goBack } = useRouter();
     const [products, setProducts] = useState([]);
     const [isLoading, setIsLoading] = useState(true); // Default to true on initial load
     const [appError, setAppError] = useState(null); // Combine Firebase error and listener error
-    const [editProduct, setEditProduct] = useState(null);
+    const [hasPendingWrites, setHasPendingWrites] = useState(false);
+    const isOnline = useOnlineStatus();
+
+    // 畫面底部的通知 (刪除復原、錯誤訊息)
+    const [toast, setToast] = useState(null);
+    const showToast = useCallback((message, options = {}) => {
+        setToast({ id: Date.now(), message, ...options });
+    }, []);
+    const dismissToast = useCallback(() => setToast(null), []);
+
+    // 個人清單或目前選擇的共用清單；設定與打卡紀錄以外的資料都跟著清單走
+    const households = useHouseholds({ db, userId, profile });
+    const { dataKey } = households;
+
+    // 離線排入佇列的變更稍後被伺服器拒絕時，Firestore 會還原本機資料
+    const handleWriteError = useCallback((error) => {
+        showToast(`❌ 雲端同步失敗，變更已還原: ${error.message}`, { tone: 'error' });
+    }, [showToast]);
+
+    // 依設定選擇雲端 (Firestore) 或本機 (IndexedDB) 資料庫
+    const repository = useMemo(() => {
+        if (!isAuthReady || !dataKey) return null;
+        if (STORAGE_BACKEND !== 'local' && !db) return null;
+        return createProductRepository({
+            backend: STORAGE_BACKEND,
+            db,
+            userId: dataKey,
+            onWriteError: handleWriteError,
+        });
+    }, [isAuthReady, db, dataKey, handleWriteError]);
+
+    const settingsRepository = useMemo(() => {
+        if (!repository) return null;
+        return createSettingsRepository({ backend: STORAGE_BACKEND, db, userId });
+    }, [repository, db, userId]);
+
+    const photoStore = useMemo(() => {
+        if (!repository) return null;
+        return createPhotoStore({ backend: STORAGE_BACKEND, storage, userId: dataKey });
+    }, [repository, storage, dataKey]);
+
+    const catalogRepository = useMemo(() => {
+        if (!repository) return null;
+        return createCatalogRepository({ backend: STORAGE_BACKEND, db, userId: dataKey, onWriteError: handleWriteError });
+    }, [repository, db, dataKey, handleWriteError]);
+    const catalog = useCatalog(catalogRepository);
+
+    const routineRepository = useMemo(() => {
+        if (!repository) return null;
+        return createRoutineRepository({ backend: STORAGE_BACKEND, db, userId: dataKey, onWriteError: handleWriteError });
+    }, [repository, db, dataKey, handleWriteError]);
+    const routineLogRepository = useMemo(() => {
+        if (!repository) return null;
+        // 打卡紀錄是每個人自己的，共用清單的成員 (含檢視者) 各自記錄
+        return createRoutineLogRepository({ backend: STORAGE_BACKEND, db, userId, onWriteError: handleWriteError });
+    }, [repository, db, userId, handleWriteError]);
+    const { routines, logsById, routineError, saveRoutine, deleteRoutine, toggleStep } = useRoutines({ routineRepository, routineLogRepository });
+
+    const { settings, updateSettings, settingsError } = useSettings(settingsRepository);
+    const handleNotificationPreferencesChange = useCallback((notifications) => {
+        updateSettings({ notifications });
+    }, [updateSettings]);
+    // 刪除的產品先放進垃圾桶；用完或丟棄的產品移到空瓶紀錄，兩者都不出現在清單也不再提醒
+    const liveProducts = useMemo(() => products.filter(product => !isDeleted(product)), [products]);
+    const deletedProducts = useMemo(() => products.filter(isDeleted), [products]);
+    const activeProducts = useMemo(() => liveProducts.filter(product => !isArchived(product)), [liveProducts]);
+    const archivedProducts = useMemo(() => liveProducts.filter(isArchived), [liveProducts]);
+    const reminders = useReminders(activeProducts, settings.notifications, handleNotificationPreferencesChange);
+    const dataTransfer = useDataTransfer({ userId, repository, photoStore, products: liveProducts });
+
+    const [isAccountOpen, setIsAccountOpen] = useState(false);
+    const handleEmailLinkHandled = useCallback(() => navigate(paths.list(), { replace: true }), [navigate]);
+    const account = useAccount({
+        auth,
+        profile,
+        refreshProfile,
+        products: liveProducts,
+        photoStore,
+        hasPendingWrites,
+        onEmailLinkHandled: handleEmailLinkHandled,
+    });
+    const { carryOver, clearCarryOver } = account;
+    const { previewImport } = dataTransfer;
+
+    // 登入既有帳號並選擇合併時，等帳號的產品載入後再預覽此裝置的產品，才能比對重複。
+    // 剛切換時 products 仍是此裝置的陣列，要等新的快照取代它
+    useEffect(() => {
+        if (!carryOver || carryOver.userId !== userId || isLoading || liveProducts === carryOver.deviceProducts) return;
+        clearCarryOver();
+        setIsAccountOpen(false);
+        previewImport(carryOver.file);
+        navigate(paths.settings());
+    }, [carryOver, userId, isLoading, liveProducts, clearCarryOver, previewImport, navigate]);
+
+    /**
+     * Downloads an .ics file with the expiry and PAO deadlines of the given products.
+     * @returns {number} Number of events; nothing is downloaded when 0
+     */
+    const exportCalendar = useCallback((items, fileName) => {
+        const eventCount = items.reduce((count, product) => count + getProductDeadlines(product).length, 0);
+        if (eventCount === 0) return 0;
+        const content = createCalendar(items, {
+            leadDays: settings.notifications.leadDays,
+            onExpiryDay: settings.notifications.onExpiryDay,
+            getProductUrl: (product) => `${window.location.origin}${paths.product(product.id)}`,
+        });
+        downloadFile(content, fileName, 'text/calendar;charset=utf-8');
+        return eventCount;
+    }, [settings.notifications]);
+
+    const handleAddToCalendar = useCallback((product) => {
+        if (exportCalendar([product], `skincare-${product.id}.ics`) === 0) {
+            showToast('這個產品沒有設定效期，無法加入行事曆');
+        }
+    }, [exportCalendar, showToast]);
+    // 每件架上產品的成分提醒：注意清單中的成分，以及與其他架上產品不宜併用的活性成分
+    const ingredientWarningsById = useMemo(() => new Map(activeProducts
+        .filter(product => product.ingredients?.length > 0)
+        .map(product => [product.id, describeIngredientWarnings(getIngredientWarnings(product.ingredients, {
+            watchlist: settings.avoidIngredients,
+            otherProducts: activeProducts.filter(other => other.id !== product.id),
+        }))])), [activeProducts, settings.avoidIngredients]);
+
+    // AI 辨識端點需要 Firebase ID token；本機模式沒有帳號
+    const getIdToken = useMemo(() => {
+        if (!auth) return null;
+        return async () => {
+            if (!auth.currentUser) throw new Error('尚未登入，請重新整理頁面。');
+            return auth.currentUser.getIdToken();
+        };
+    }, [auth]);
+
+    usePhotoMaintenance({ products, repository, photoStore, isOnline, canEdit: households.canEdit });
+    useTrashPurge({ products, repository, photoStore, canEdit: households.canEdit });
+
+    // 搜尋、篩選與排序記錄在網址中；網址沒有指定排序時使用設定中的預設排序
+    const { filters, updateFilters, resetFilters } = useListFilters(location.search, navigate);
+    const sortKey = filters.sort || settings.defaultSort;
+    const visibleProducts = useMemo(
+        () => sortProducts(filterProducts(activeProducts, filters, settings, userId), sortKey),
+        [activeProducts, filters, settings, userId, sortKey]
+    );
+
+    // 共用清單中顯示每件產品屬於誰；個人清單不需要
+    const { members, canEdit } = households;
+    const memberNames = useMemo(() => new Map((members || []).map(member => [member.id, member.name])), [members]);
+    const getOwnerName = useCallback((product) => {
+        if (!members) return null;
+        return memberNames.get(getProductOwnerId(product)) || '已離開的成員';
+    }, [members, memberNames]);
+
+    // 檢視者不能新增或編輯，直接開啟這些網址時導回清單
+    useEffect(() => {
+        if (!canEdit && (route.name === 'add' || route.name === 'edit')) {
+            navigate(paths.list(), { replace: true });
+        }
+    }, [canEdit, route.name, navigate]);
+    // 只列出清單中有的類別 (以及網址中已選的類別，才能取消)
+    const listCategories = useMemo(() => {
+        const present = new Set(activeProducts.map(product => product.category || 'other'));
+        filters.categories.forEach(category => present.add(category));
+        return CATEGORY_VALUES.filter(category => present.has(category));
+    }, [activeProducts, filters.categories]);
 
     useEffect(() => {
         // Update appError if firebaseError changes
@@ -640,7 +1238,7 @@ const App = () => {
     }, [firebaseError]);
 
     useEffect(() => {
-        if (!isAuthReady || !db || !userId) {
+        if (!isAuthReady || !repository) {
             // Don't fetch if not ready
             if (isAuthReady) {
                  // We are authenticated but missing db or userId (shouldn't happen, but good to check)
@@ -655,55 +1253,254 @@ const App = () => {
         // Only set loading to true when we are actually starting the fetch
         setIsLoading(true);
 
-        // FIX: Path should be collection/document/collection (3 segments)
-        const productsColRef = collection(db, `${APP_DATA_PATH}/${userId}/products`);
-        const q = query(productsColRef);
-
-        const unsubscribe = onSnapshot(q, (snapshot) => {
-            const productsList = [];
-            snapshot.forEach(doc => {
-                productsList.push({ id: doc.id, ...doc.data() });
-            });
-            productsList.sort((a, b) => {
-                const dateA = a.expiryDate ? new Date(a.expiryDate) : new Date('9999-12-31');
-                const dateB = b.expiryDate ? new Date(b.expiryDate) : new Date('9999-12-31');
-                return dateA.getTime() - dateB.getTime();
-            });
-
-            setProducts(productsList);
+        const unsubscribe = repository.subscribe((items, syncStatus) => {
+            setHasPendingWrites(Boolean(syncStatus?.hasPendingWrites));
+            // Sorting happens in sortedProducts, driven by settings.defaultSort
+            setProducts(items);
             setIsLoading(false);
             setAppError(null); // Clear previous errors on success
         }, (error) => {
             // FIX: THIS IS THE CRITICAL FIX
             // Set the error state so the UI can display it
-            console.error("Firestore Listener Error:", error);
-            setAppError(`Firestore 讀取錯誤: ${error.message}. (請檢查您的 Firestore 安全規則是否允許匿名讀取)`);
+            console.error("Product Listener Error:", error);
+            setAppError(repository.backend === 'local'
+                ? `本機資料庫讀取錯誤: ${error.message}`
+                : `Firestore 讀取錯誤: ${error.message}. (請檢查您的 Firestore 安全規則是否允許匿名讀取)`);
             setIsLoading(false);
         });
 
         return () => unsubscribe();
-    }, [isAuthReady, db, userId]); // Rerun only when auth state changes
+    }, [isAuthReady, repository]); // Rerun only when auth state or backend changes
 
-    const handleSave = useCallback(() => {
-        setView('list');
-        setEditProduct(null);
-        // Scroll to top after saving
-        const rootEl = document.getElementById('root');
-        if (rootEl) {
-            rootEl.scrollTo(0, 0);
+    // 未知路徑導回清單
+    useEffect(() => {
+        if (route.name === 'notFound') {
+            navigate(paths.list(), { replace: true });
         }
-    }, []);
+    }, [route.name, navigate]);
+
+    // 詳細頁與編輯頁的產品；直接開啟連結時要等清單載入後才找得到
+    const routeProduct = route.params.id ? liveProducts.find(product => product.id === route.params.id) : null;
+
+    // 表單儲存或取消後回到上一頁；直接開啟 /add 或編輯連結時改為前往對應頁面
+    const handleFormDone = useCallback(() => {
+        goBack(route.name === 'edit' ? paths.product(route.params.id) : paths.list());
+    }, [goBack, route]);
+
+    const handleOpen = useCallback((product) => {
+        navigate(paths.product(product.id));
+    }, [navigate]);
 
     const handleEdit = useCallback((product) => {
-        setEditProduct(product);
-        setView('edit');
-        // Scroll to top to show edit form
-        const rootEl = document.getElementById('root');
-        if (rootEl) {
-            rootEl.scrollTo(0, 0);
+        navigate(paths.editProduct(product.id));
+    }, [navigate]);
+
+    const handleUpdate = useCallback(async (product, changes) => {
+        try {
+            await repository.update(product.id, { ...changes, updatedAt: new Date() });
+        } catch (error) {
+            console.error("Product Update Error:", error);
+            showToast(`❌ 更新失敗: ${error.message}`, { tone: 'error' });
+        }
+    }, [repository, showToast]);
+
+    // 丟棄前先詢問原因
+    const [discardTarget, setDiscardTarget] = useState(null);
+
+    const handleLifecycleAction = useCallback(async (product, action, details) => {
+        if (action === 'discard' && !details) {
+            setDiscardTarget(product);
+            return;
+        }
+        const changes = buildLifecycleUpdate(product, action, details);
+        // 還有備品時換下一瓶上場，用完的這瓶另存到空瓶紀錄
+        const split = (action === 'finish' || action === 'discard') ? splitFinishedUnit(product, changes) : null;
+        if (!split) {
+            handleUpdate(product, changes);
+            return;
+        }
+        try {
+            // 同一個 batch：不會只多出空瓶紀錄卻沒換上下一瓶
+            const updatedAt = new Date();
+            await repository.batchUpdate([
+                { data: { ...split.archivedRecord, updatedAt } },
+                { id: product.id, data: { ...split.update, updatedAt } },
+            ]);
+            showToast(`「${product.name}」已換上下一瓶`);
+        } catch (error) {
+            console.error("Unit Finish Error:", error);
+            showToast(`❌ 更新失敗: ${error.message}`, { tone: 'error' });
         }
+    }, [repository, handleUpdate, showToast]);
+
+    const handleRestoreFromTrash = useCallback(async (product) => {
+        try {
+            await repository.update(product.id, { deletedAt: null, updatedAt: new Date() });
+        } catch (error) {
+            console.error("Restore Error:", error);
+            showToast(`❌ 復原失敗: ${error.message}`, { tone: 'error' });
+        }
+    }, [repository, showToast]);
+
+    // 刪除只是移到垃圾桶，不再跳出確認視窗；誤按可以從通知或垃圾桶復原
+    const handleDelete = useCallback(async (product) => {
+        // 先離開詳細頁，避免刪除後短暫顯示「找不到這個產品」
+        if (route.name === 'detail') {
+            goBack(paths.list());
+        }
+        try {
+            await repository.update(product.id, { deletedAt: new Date(), updatedAt: new Date() });
+            showToast(`已將「${product.name}」移到垃圾桶`, {
+                action: { label: '復原', onClick: () => handleRestoreFromTrash(product) },
+            });
+        } catch (error) {
+            console.error("Delete Error:", error);
+            showToast(`❌ 刪除失敗: ${error.message}`, { tone: 'error' });
+        }
+    }, [repository, route.name, goBack, showToast, handleRestoreFromTrash]);
+
+    const purgeProducts = useCallback(async (items) => {
+        try {
+            for (const product of items) {
+                await repository.remove(product.id);
+                for (const photo of getProductPhotos(product)) {
+                    await photoStore.remove(photo);
+                }
+            }
+        } catch (error) {
+            console.error("Delete Error:", error);
+            showToast(`❌ 永久刪除失敗: ${error.message}`, { tone: 'error' });
+        }
+    }, [repository, photoStore, showToast]);
+
+    const handleDeleteForever = useCallback((product) => {
+        if (window.confirm(`確定要永久刪除 "${product.name}" 嗎？照片也會一併刪除，無法復原。`)) {
+            purgeProducts([product]);
+        }
+    }, [purgeProducts]);
+
+    const handleEmptyTrash = useCallback(() => {
+        if (window.confirm(`確定要永久刪除垃圾桶中的 ${deletedProducts.length} 件產品嗎？此動作無法復原。`)) {
+            purgeProducts(deletedProducts);
+        }
+    }, [purgeProducts, deletedProducts]);
+
+    // --- 多選模式 ---
+    const [isSelecting, setIsSelecting] = useState(false);
+    const [selectedIds, setSelectedIds] = useState(() => new Set());
+    const [bulkWorkingMessage, setBulkWorkingMessage] = useState('');
+
+    const exitSelection = useCallback(() => {
+        setIsSelecting(false);
+        setSelectedIds(new Set());
+    }, []);
+
+    // 離開清單頁就結束多選
+    useEffect(() => {
+        if (route.name !== 'list') exitSelection();
+    }, [route.name, exitSelection]);
+
+    const handleStartSelection = useCallback((product) => {
+        setIsSelecting(true);
+        setSelectedIds(prev => new Set(prev).add(product.id));
+        navigator.vibrate?.(30);
     }, []);
 
+    const handleToggleSelect = useCallback((product) => {
+        setSelectedIds(prev => {
+            const next = new Set(prev);
+            if (next.has(product.id)) {
+                next.delete(product.id);
+            } else {
+                next.add(product.id);
+            }
+            return next;
+        });
+    }, []);
+
+    // 只對目前還在清單中的產品動作 (其他裝置可能已刪除)
+    const selectedProducts = useMemo(
+        () => activeProducts.filter(product => selectedIds.has(product.id)),
+        [activeProducts, selectedIds]
+    );
+    const isAllVisibleSelected = visibleProducts.length > 0 && visibleProducts.every(product => selectedIds.has(product.id));
+
+    // 全選的範圍是目前篩選後的清單
+    const handleSelectAll = useCallback(() => {
+        setSelectedIds(prev => {
+            const next = new Set(prev);
+            visibleProducts.forEach(product => (isAllVisibleSelected ? next.delete(product.id) : next.add(product.id)));
+            return next;
+        });
+    }, [visibleProducts, isAllVisibleSelected]);
+
+    const knownLocations = useMemo(
+        () => [...new Set(liveProducts.map(product => product.location).filter(Boolean))].sort(),
+        [liveProducts]
+    );
+
+    /**
+     * Applies the same change to several products in one atomic batch.
+     * @returns {Promise<boolean>} Whether the batch was written
+     */
+    const runBatchUpdate = useCallback(async (items, buildChanges, workingMessage) => {
+        setBulkWorkingMessage(workingMessage);
+        try {
+            const updatedAt = new Date();
+            await repository.batchUpdate(items.map(product => ({ id: product.id, data: { ...buildChanges(product), updatedAt } })));
+            return true;
+        } catch (error) {
+            console.error("Batch Update Error:", error);
+            showToast(`❌ 批次處理失敗，所有變更都未套用: ${error.message}`, { tone: 'error' });
+            return false;
+        } finally {
+            setBulkWorkingMessage('');
+        }
+    }, [repository, showToast]);
+
+    const handleBulkAction = useCallback(async (action, value) => {
+        const items = selectedProducts;
+        if (items.length === 0) return;
+
+        if (action === 'export') {
+            downloadFile(createProductsJson(items), `skincare-products-${getTodayString()}.json`, 'application/json');
+            showToast(`✅ 已匯出 ${items.length} 件產品`);
+            return;
+        }
+
+        if (action === 'delete') {
+            const deletedAt = new Date();
+            if (await runBatchUpdate(items, () => ({ deletedAt }), `正在刪除 ${items.length} 件產品...`)) {
+                exitSelection();
+                showToast(`已將 ${items.length} 件產品移到垃圾桶`, {
+                    action: {
+                        label: '復原',
+                        onClick: () => runBatchUpdate(items, () => ({ deletedAt: null }), `正在復原 ${items.length} 件產品...`),
+                    },
+                });
+            }
+            return;
+        }
+
+        // 已開封的產品保留原本的開封日期，不被批次覆蓋
+        const targets = action === 'open' ? items.filter(product => !product.openedDate) : items;
+        const skippedNote = items.length > targets.length ? `，略過 ${items.length - targets.length} 件已開封的產品` : '';
+        if (targets.length === 0) {
+            showToast(`選取的 ${items.length} 件產品都已開封，未做任何變更`);
+            return;
+        }
+
+        const buildChanges = {
+            open: () => ({ openedDate: value, lifecycle: 'inUse' }),
+            category: () => ({ category: value }),
+            location: () => ({ location: value }),
+        }[action];
+        if (await runBatchUpdate(targets, buildChanges, `正在更新 ${targets.length} 件產品...`)) {
+            exitSelection();
+            showToast(`✅ 已更新 ${targets.length} 件產品${skippedNote}`);
+        }
+    }, [selectedProducts, runBatchUpdate, exitSelection, showToast]);
+
     // --- FIX: Simplified Render Logic ---
     let content;
     if (!isAuthReady) {
@@ -739,22 +1536,135 @@ const App = () => {
                 <p className="text-gray-600 font-semibold text-lg text-center">正在載入產品資料...</p>
             </div>
         );
-    } else if (view === 'add' || view === 'edit') {
+    } else if (route.name === 'settings') {
+        content = (
+            <SettingsView
+                settings={settings}
+                onUpdate={updateSettings}
+                reminders={reminders}
+                onExportCalendar={() => exportCalendar(activeProducts, `skincare-expiry-${getTodayString()}.ics`)}
+                dataTransfer={dataTransfer}
+                productCount={liveProducts.length}
+                canEdit={canEdit}
+                households={households.isEnabled ? households : null}
+                currentUserId={userId}
+                onJoinCode={(code) => navigate(paths.join(code))}
+                settingsError={settingsError}
+                onClose={() => goBack(paths.list())}
+            />
+        );
+    } else if ((route.name === 'detail' || route.name === 'edit') && !routeProduct) {
+        content = (
+            <div className="flex flex-col items-center justify-center h-[60vh] p-4">
+                <Package className="w-12 h-12 text-gray-300 mb-4" />
+                <p className="text-gray-600 font-semibold text-lg text-center">找不到這個產品</p>
+                <p className="text-gray-500 text-sm mt-2 text-center">產品可能已被刪除，或連結不正確。</p>
+                <button
+                    type="button"
+                    onClick={() => navigate(paths.list(), { replace: true })}
+                    className="mt-6 px-6 py-3 bg-gradient-to-r from-teal-500 to-emerald-600 text-white font-semibold rounded-2xl shadow-lg active:scale-95"
+                >
+                    回到清單
+                </button>
+            </div>
+        );
+    } else if (route.name === 'join') {
+        content = households.isEnabled ? (
+            <JoinHouseholdView
+                code={route.params.id}
+                households={households}
+                isAnonymous={profile.isAnonymous}
+                onJoined={() => navigate(paths.list(), { replace: true })}
+                onCancel={() => goBack(paths.list())}
+            />
+        ) : (
+            <div className="flex flex-col items-center justify-center h-[60vh] p-4">
+                <p className="text-gray-600 font-semibold text-lg text-center">共用清單需要雲端模式</p>
+                <p className="text-gray-500 text-sm mt-2 text-center">目前的資料只存在這台裝置，無法加入共用清單。</p>
+            </div>
+        );
+    } else if (route.name === 'trash') {
+        content = (
+            <TrashView
+                products={deletedProducts}
+                photoStore={photoStore}
+                onBack={() => goBack(paths.list())}
+                onRestore={handleRestoreFromTrash}
+                onDeleteForever={handleDeleteForever}
+                onEmpty={handleEmptyTrash}
+                canEdit={canEdit}
+            />
+        );
+    } else if (route.name === 'routines') {
+        content = (
+            <RoutinesView
+                routines={routines}
+                logsById={logsById}
+                products={activeProducts}
+                thresholds={settings}
+                routineError={routineError}
+                onBack={() => goBack(paths.list())}
+                onSave={saveRoutine}
+                onDelete={deleteRoutine}
+                onToggleStep={toggleStep}
+                onMarkOpened={(product) => handleLifecycleAction(product, 'open')}
+                canEdit={canEdit}
+            />
+        );
+    } else if (route.name === 'analytics') {
+        content = (
+            <AnalyticsView
+                products={liveProducts}
+                onBack={() => goBack(paths.list())}
+            />
+        );
+    } else if (route.name === 'archive') {
+        content = (
+            <ArchiveView
+                products={archivedProducts}
+                photoStore={photoStore}
+                onBack={() => goBack(paths.list())}
+                onOpen={handleOpen}
+                onUpdate={handleUpdate}
+                onRestore={(product) => handleLifecycleAction(product, 'restore')}
+                canEdit={canEdit}
+            />
+        );
+    } else if (route.name === 'detail') {
+        content = (
+            <ProductDetail
+                product={routeProduct}
+                photoStore={photoStore}
+                thresholds={settings}
+                ingredientWarnings={ingredientWarningsById.get(routeProduct.id)}
+                onBack={() => goBack(isArchived(routeProduct) ? paths.archive() : paths.list())}
+                onEdit={handleEdit}
+                onDelete={handleDelete}
+                onLifecycleAction={handleLifecycleAction}
+                onUpdate={handleUpdate}
+                canEdit={canEdit}
+                ownerName={getOwnerName(routeProduct)}
+            />
+        );
+    } else if (route.name === 'add' || route.name === 'edit') {
         content = (
             <AddProductForm
+                // 新增與編輯不同產品時重新建立表單狀態
+                key={location.pathname}
                 userId={userId}
-                db={db}
-                onSave={handleSave}
-                onCancel={() => {
-                  setView('list');
-                  // Scroll to top when canceling
-                  const rootEl = document.getElementById('root');
-                  if (rootEl) {
-                      rootEl.scrollTo(0, 0);
-                  }
-                }}
+                repository={repository}
+                photoStore={photoStore}
+                catalogRepository={catalogRepository}
+                catalog={catalog}
+                shelfProducts={activeProducts}
+                ingredientWatchlist={settings.avoidIngredients}
+                getIdToken={getIdToken}
+                members={members}
+                onSave={handleFormDone}
+                onCancel={handleFormDone}
                 // FIX: Removed isLoading/setIsLoading props
-                initialData={editProduct}
+                initialData={route.name === 'edit' ? routeProduct : null}
+                defaultPaoMonths={settings.defaultPaoMonths}
             />
         );
     } else {
@@ -766,11 +1676,44 @@ const App = () => {
                         <h2 className="text-2xl font-bold bg-gradient-to-r from-teal-600 to-emerald-600 bg-clip-text text-transparent">
                             我的保養品
                         </h2>
-                        <p className="text-sm text-gray-500 mt-1">共 {products.length} 件產品</p>
+                        <p className="text-sm text-gray-500 mt-1">
+                            {hasActiveFilters(filters)
+                                ? `顯示 ${visibleProducts.length} / 共 ${activeProducts.length} 件產品`
+                                : `共 ${activeProducts.length} 件產品`}
+                        </p>
+                    </div>
+                    <div className="flex gap-2">
+                        {liveProducts.length > 0 && !isSelecting && (
+                            <button
+                                type="button"
+                                onClick={() => navigate(paths.analytics())}
+                                className="flex items-center px-3 py-2 rounded-2xl bg-white/80 text-sm font-semibold text-gray-500 shadow-sm hover:text-gray-700"
+                            >
+                                <ChartColumn className="w-4 h-4 mr-1" /> 統計
+                            </button>
+                        )}
+                        {activeProducts.length > 0 && !isSelecting && canEdit && (
+                            <button
+                                type="button"
+                                onClick={() => setIsSelecting(true)}
+                                className="flex items-center px-3 py-2 rounded-2xl bg-white/80 text-sm font-semibold text-gray-500 shadow-sm hover:text-gray-700"
+                            >
+                                <CheckSquare className="w-4 h-4 mr-1" /> 選取
+                            </button>
+                        )}
+                        {deletedProducts.length > 0 && (
+                            <button
+                                type="button"
+                                onClick={() => navigate(paths.trash())}
+                                className="flex items-center px-3 py-2 rounded-2xl bg-white/80 text-sm font-semibold text-gray-500 shadow-sm hover:text-gray-700"
+                            >
+                                <Trash2 className="w-4 h-4 mr-1" /> 垃圾桶 ({deletedProducts.length})
+                            </button>
+                        )}
                     </div>
                 </div>
 
-                {products.length === 0 ? (
+                {activeProducts.length === 0 ? (
                     <div className="text-center py-20 bg-gradient-to-br from-teal-50 via-emerald-50 to-cyan-50 rounded-3xl border-2 border-dashed border-teal-200">
                         <div className="w-20 h-20 mx-auto mb-4 bg-gradient-to-br from-teal-100 to-emerald-100 rounded-full flex items-center justify-center">
                             <Package className="w-10 h-10 text-teal-600" />
@@ -780,15 +1723,47 @@ const App = () => {
                     </div>
                 ) : (
                     <div className="space-y-4">
-                        {products.map(product => (
+                        <ProductListToolbar
+                            filters={filters}
+                            sortKey={sortKey}
+                            categories={listCategories}
+                            showOwnerFilter={Boolean(households.activeHousehold)}
+                            onChange={updateFilters}
+                            onReset={resetFilters}
+                        />
+
+                        {visibleProducts.length === 0 && (
+                            <div className="text-center py-12 bg-white/60 rounded-3xl border-2 border-dashed border-gray-200">
+                                <p className="text-gray-600 font-semibold">沒有符合條件的產品</p>
+                                <button
+                                    type="button"
+                                    onClick={resetFilters}
+                                    className="mt-2 text-sm font-semibold text-teal-600 hover:text-teal-700"
+                                >
+                                    清除所有篩選
+                                </button>
+                            </div>
+                        )}
+
+                        {visibleProducts.map(product => (
                             <ProductCard
                                 key={product.id}
                                 product={product}
-                                onDelete={() => {}}
+                                onOpen={handleOpen}
+                                onDelete={handleDelete}
                                 onEdit={handleEdit}
-                                userId={userId}
-                                db={db}
+                                onLifecycleAction={handleLifecycleAction}
+                                onAddToCalendar={handleAddToCalendar}
+                                canEdit={canEdit}
+                                ownerName={getOwnerName(product)}
+                                isSelecting={isSelecting}
+                                isSelected={selectedIds.has(product.id)}
+                                onToggleSelect={handleToggleSelect}
+                                onStartSelection={handleStartSelection}
+                                photoStore={photoStore}
                                 isLoading={isLoading} // Pass list loading state for delete/edit buttons
+                                thresholds={settings}
+                                ingredientWarnings={ingredientWarningsById.get(product.id)}
                             />
                         ))}
                     </div>
@@ -850,34 +1825,116 @@ const App = () => {
                                 ✨ 保養品管理
                             </h1>
                             <p className="text-xs text-gray-500 mt-1">智能追蹤 • 效期提醒</p>
+                            {households.isEnabled && <InventorySwitcher households={households} userId={userId} />}
+                            <SyncStatusBadge isOnline={isOnline} hasPendingWrites={hasPendingWrites} />
                         </div>
-                        <div className="w-12 h-12 bg-gradient-to-br from-teal-400 to-emerald-500 rounded-2xl flex items-center justify-center shadow-lg">
-                            <Package className="w-6 h-6 text-white" />
+                        <div className="flex items-center gap-2">
+                            <button
+                                onClick={() => (route.name === 'routines' ? goBack(paths.list()) : navigate(paths.routines()))}
+                                className={`w-12 h-12 rounded-2xl flex items-center justify-center shadow-md transition-all duration-300 active:scale-95 ${
+                                    route.name === 'routines' ? 'bg-teal-50 text-teal-600' : 'bg-white text-gray-400'
+                                }`}
+                                aria-label="保養流程"
+                            >
+                                <ListChecks className="w-5 h-5" />
+                            </button>
+                            <button
+                                onClick={() => (route.name === 'archive' ? goBack(paths.list()) : navigate(paths.archive()))}
+                                className={`w-12 h-12 rounded-2xl flex items-center justify-center shadow-md transition-all duration-300 active:scale-95 ${
+                                    route.name === 'archive' ? 'bg-teal-50 text-teal-600' : 'bg-white text-gray-400'
+                                }`}
+                                aria-label="空瓶紀錄"
+                            >
+                                <Archive className="w-5 h-5" />
+                            </button>
+                            <button
+                                onClick={() => (route.name === 'settings' ? goBack(paths.list()) : navigate(paths.settings()))}
+                                className={`w-12 h-12 rounded-2xl flex items-center justify-center shadow-md transition-all duration-300 active:scale-95 ${
+                                    route.name === 'settings' ? 'bg-teal-50 text-teal-600' : 'bg-white text-gray-400'
+                                }`}
+                                aria-label="設定"
+                            >
+                                <Settings className="w-5 h-5" />
+                            </button>
+                            {profile ? (
+                                <div className="relative">
+                                    <button
+                                        onClick={() => setIsAccountOpen(open => !open)}
+                                        className="w-12 h-12 bg-gradient-to-br from-teal-400 to-emerald-500 rounded-2xl flex items-center justify-center shadow-lg overflow-hidden active:scale-95"
+                                        aria-label="帳號"
+                                        aria-expanded={isAccountOpen}
+                                    >
+                                        {profile.photoURL ? (
+                                            <img src={profile.photoURL} alt="" referrerPolicy="no-referrer" className="w-full h-full object-cover" />
+                                        ) : (
+                                            <UserRound className="w-6 h-6 text-white" />
+                                        )}
+                                    </button>
+                                    {profile.isAnonymous && (
+                                        // 提醒訪客資料只存在此裝置
+                                        <span className="absolute -top-1 -right-1 w-3 h-3 rounded-full bg-amber-400 border-2 border-white" />
+                                    )}
+                                    {isAccountOpen && <AccountMenu account={account} onClose={() => setIsAccountOpen(false)} />}
+                                </div>
+                            ) : (
+                                <div className="w-12 h-12 bg-gradient-to-br from-teal-400 to-emerald-500 rounded-2xl flex items-center justify-center shadow-lg">
+                                    <Package className="w-6 h-6 text-white" />
+                                </div>
+                            )}
                         </div>
                     </div>
                 </div>
             </header>
 
             {/* Main Content Area */}
-            <main className="pb-28 pt-2 px-0">
+            <main className={`${isSelecting ? 'pb-48' : 'pb-28'} pt-2 px-0`}>
                 {content}
             </main>
 
+            {toast && <Toast toast={toast} onDismiss={dismissToast} />}
+
+            {account.pendingSignIn && (
+                <AccountMergeDialog
+                    providerLabel={account.pendingSignIn.providerLabel}
+                    deviceProductCount={liveProducts.length}
+                    isWorking={account.isWorking}
+                    message={account.accountMessage}
+                    onMerge={() => account.finishSignIn(true)}
+                    onSwitch={() => account.finishSignIn(false)}
+                    onCancel={account.cancelSignIn}
+                />
+            )}
+
+            {discardTarget && (
+                <DiscardDialog
+                    product={discardTarget}
+                    onCancel={() => setDiscardTarget(null)}
+                    onConfirm={(reason) => {
+                        handleLifecycleAction(discardTarget, 'discard', { reason });
+                        setDiscardTarget(null);
+                    }}
+                />
+            )}
+
             {/* Floating Action Button (FAB) with Enhanced Design */}
-            {view === 'list' && !appError && (
+            {isSelecting && (
+                <BulkActionBar
+                    selectedCount={selectedProducts.length}
+                    visibleCount={visibleProducts.length}
+                    isAllVisibleSelected={isAllVisibleSelected}
+                    locations={knownLocations}
+                    isWorking={!!bulkWorkingMessage}
+                    workingMessage={bulkWorkingMessage}
+                    onSelectAll={handleSelectAll}
+                    onExit={exitSelection}
+                    onAction={handleBulkAction}
+                />
+            )}
+
+            {route.name === 'list' && !appError && !isSelecting && canEdit && (
                 <button
-                    onClick={() => {
-                        setEditProduct(null);
-                        setView('add');
-                        
-                        // 【FIX: SCROLL TO TOP】
-                        // This forces the app to scroll to the top of the #root container
-                        // to show the form, solving the "button not working" issue.
-                        const rootEl = document.getElementById('root');
-                        if (rootEl) {
-                            rootEl.scrollTo(0, 0);
-                        }
-                    }}
+                    // 捲到頂端由 router 處理
+                    onClick={() => navigate(paths.add())}
                     className="fixed bottom-6 right-6 group"
                     aria-label="新增產品"
                 >
@@ -0,0 +1,143 @@
+import { getProductUnits } from '../units/productUnits';
+import { getLifecycleState } from '../utils/lifecycle';
+import { getEffectiveExpiry } from '../utils/productStatus';
+import { addMonths, formatDate, toMillis } from '../utils/date';
+import { DEFAULT_CURRENCY } from '../utils/currency';
+
+// 全部在裝置上計算，離線也能看；不同幣別不換算，各自統計
+
+/**
+ * Whole days between two YYYY-MM-DD dates.
+ * @param {string} from
+ * @param {string} to
+ */
+const daysBetween = (from, to) => {
+    const toUtc = (dateString) => {
+        const [year, month, day] = dateString.split('-').map(Number);
+        return Date.UTC(year, month - 1, day);
+    };
+    return Math.round((toUtc(to) - toUtc(from)) / (1000 * 60 * 60 * 24));
+};
+
+/**
+ * What happened to a unit, and when: the unit in front shares the product's lifecycle,
+ * backups are still on the shelf.
+ * @returns {{ state: string, endDate: string | null }}
+ */
+const getUnitOutcome = (product, unit) => {
+    if (!unit.isPrimary) {
+        return { state: unit.openedDate ? 'inUse' : 'unopened', endDate: null };
+    }
+    const state = getLifecycleState(product);
+    return {
+        state,
+        endDate: state === 'finished' ? product.finishedDate : state === 'discarded' ? product.discardedDate : null,
+    };
+};
+
+/**
+ * One entry per bottle with a price: every unit of every product, archived records
+ * included. Deleted products should be left out by the caller.
+ * @param {Array<object>} products
+ * @returns {Array<{ product: object, unit: object, price: number, currency: string, month: string | null }>}
+ */
+export const getPurchases = (products) => products.flatMap(product => getProductUnits(product)
+    .filter(unit => Number(unit.price) > 0)
+    .map(unit => {
+        // 沒填購入日期時以建立產品的日期代替
+        const purchaseDate = unit.purchaseDate || (toMillis(product.createdAt) ? formatDate(new Date(toMillis(product.createdAt))) : null);
+        return {
+            product,
+            unit,
+            price: Number(unit.price),
+            currency: unit.currency || DEFAULT_CURRENCY,
+            month: purchaseDate ? purchaseDate.slice(0, 7) : null,
+        };
+    }));
+
+/**
+ * Currencies used, the most common first.
+ * @param {ReturnType<typeof getPurchases>} purchases
+ * @returns {string[]}
+ */
+export const getCurrencies = (purchases) => {
+    const counts = new Map();
+    purchases.forEach(({ currency }) => counts.set(currency, (counts.get(currency) || 0) + 1));
+    return [...counts.keys()].sort((a, b) => counts.get(b) - counts.get(a));
+};
+
+/**
+ * Spend per month for the last `months` months, oldest first, months without purchases included.
+ * @param {ReturnType<typeof getPurchases>} purchases In one currency
+ * @param {string} today YYYY-MM-DD
+ * @param {number} [months]
+ * @returns {Array<{ month: string, total: number }>}
+ */
+export const getMonthlySpend = (purchases, today, months = 12) => {
+    const firstOfMonth = `${today.slice(0, 7)}-01`;
+    return Array.from({ length: months }, (_, index) => {
+        const month = addMonths(firstOfMonth, index - months + 1).slice(0, 7);
+        const total = purchases.filter(purchase => purchase.month === month).reduce((sum, purchase) => sum + purchase.price, 0);
+        return { month, total };
+    });
+};
+
+/**
+ * Spend grouped by a label, the largest first.
+ * @param {ReturnType<typeof getPurchases>} purchases In one currency
+ * @param {(product: object, unit: object) => string} getLabel
+ * @returns {Array<{ label: string, total: number, count: number }>}
+ */
+export const getSpendBy = (purchases, getLabel) => {
+    const groups = new Map();
+    purchases.forEach(({ product, unit, price }) => {
+        const label = getLabel(product, unit);
+        const group = groups.get(label) || { label, total: 0, count: 0 };
+        groups.set(label, { ...group, total: group.total + price, count: group.count + 1 });
+    });
+    return [...groups.values()].sort((a, b) => b.total - a.total);
+};
+
+/**
+ * Average days from opening to finishing, over finished products that have both dates.
+ * @param {Array<object>} products
+ * @returns {{ days: number | null, count: number }}
+ */
+export const getAverageDaysToFinish = (products) => {
+    const durations = products
+        .filter(product => getLifecycleState(product) === 'finished' && product.openedDate && product.finishedDate)
+        .map(product => daysBetween(product.openedDate, product.finishedDate))
+        .filter(days => days >= 0);
+    if (durations.length === 0) return { days: null, count: 0 };
+    return { days: Math.round(durations.reduce((sum, days) => sum + days, 0) / durations.length), count: durations.length };
+};
+
+/**
+ * Whether a bottle expired before it was finished: thrown away after (or because of) its
+ * expiry, or still on the shelf past it. Finished bottles were used, so they never count.
+ * @param {object} product
+ * @param {object} unit
+ * @param {string} today YYYY-MM-DD
+ */
+export const isWastedUnit = (product, unit, today) => {
+    const { state, endDate } = getUnitOutcome(product, unit);
+    if (state === 'finished') return false;
+    if (state === 'discarded' && product.discardReason === 'expired') return true;
+
+    const { date: expiry } = getEffectiveExpiry(unit.expiryDate, unit.openedDate, product.paoMonths);
+    if (!expiry) return false;
+    return expiry < (state === 'discarded' ? endDate || today : today);
+};
+
+/**
+ * Value of the bottles that expired before being finished.
+ * @param {ReturnType<typeof getPurchases>} purchases In one currency
+ * @param {string} today YYYY-MM-DD
+ * @returns {{ total: number, count: number, share: number }} share of all spend, 0–1
+ */
+export const getWaste = (purchases, today) => {
+    const wasted = purchases.filter(({ product, unit }) => isWastedUnit(product, unit, today));
+    const total = wasted.reduce((sum, purchase) => sum + purchase.price, 0);
+    const spend = purchases.reduce((sum, purchase) => sum + purchase.price, 0);
+    return { total, count: wasted.length, share: spend > 0 ? total / spend : 0 };
+};
@@ -0,0 +1,117 @@
+import {
+    GoogleAuthProvider,
+    EmailAuthProvider,
+    linkWithPopup,
+    linkWithCredential,
+    signInWithCredential,
+    sendSignInLinkToEmail,
+    isSignInWithEmailLink,
+} from 'firebase/auth';
+
+// 寄出登入連結時記住信箱，同一台裝置開啟連結就不用再輸入一次
+const EMAIL_STORAGE_KEY = 'skincare-sign-in-email';
+
+// 帳號已存在 (例如在另一台裝置登入過)，無法連結到目前的匿名帳號
+const ACCOUNT_EXISTS_CODES = ['auth/credential-already-in-use', 'auth/email-already-in-use'];
+// 使用者自己關掉 Google 視窗，不算錯誤
+const CANCELLED_CODES = ['auth/popup-closed-by-user', 'auth/cancelled-popup-request'];
+
+const PROVIDER_LABELS = {
+    'google.com': 'Google',
+    password: '電子郵件',
+};
+
+/**
+ * The parts of a Firebase user the UI shows. Linking changes `auth.currentUser` in place
+ * without an auth state event, so the profile is re-read after every account change.
+ * @param {import('firebase/auth').User | null} user
+ * @returns {{ uid: string, isAnonymous: boolean, email: string | null, displayName: string | null, photoURL: string | null, providerLabel: string | null } | null}
+ */
+export const toAccountProfile = (user) => {
+    if (!user) return null;
+    const providerId = user.providerData[0]?.providerId;
+    return {
+        uid: user.uid,
+        isAnonymous: user.isAnonymous,
+        email: user.email,
+        displayName: user.displayName,
+        photoURL: user.photoURL,
+        providerLabel: PROVIDER_LABELS[providerId] || null,
+    };
+};
+
+/** @param {Error & { code?: string }} error */
+export const isAccountExistsError = (error) => ACCOUNT_EXISTS_CODES.includes(error?.code);
+
+/** @param {Error & { code?: string }} error */
+export const isCancelledError = (error) => CANCELLED_CODES.includes(error?.code);
+
+/**
+ * Links Google to the current anonymous user; the uid, and so all data, stays the same.
+ * @param {import('firebase/auth').Auth} auth
+ * @returns {Promise<{ linked: true } | { linked: false, credential: import('firebase/auth').AuthCredential }>}
+ *   `linked: false` when the Google account already belongs to another user; the
+ *   credential can then sign in to that account instead
+ */
+export const linkGoogle = async (auth) => {
+    try {
+        await linkWithPopup(auth.currentUser, new GoogleAuthProvider());
+        return { linked: true };
+    } catch (error) {
+        const credential = isAccountExistsError(error) ? GoogleAuthProvider.credentialFromError(error) : null;
+        if (!credential) throw error;
+        return { linked: false, credential };
+    }
+};
+
+/**
+ * Emails a sign-in link that opens the app again.
+ * @param {import('firebase/auth').Auth} auth
+ * @param {string} email
+ */
+export const sendEmailLink = async (auth, email) => {
+    await sendSignInLinkToEmail(auth, email, {
+        url: `${window.location.origin}/`,
+        handleCodeInApp: true,
+    });
+    localStorage.setItem(EMAIL_STORAGE_KEY, email);
+};
+
+/** @param {import('firebase/auth').Auth} auth */
+export const isEmailLinkUrl = (auth) => isSignInWithEmailLink(auth, window.location.href);
+
+/**
+ * Links the email from an opened sign-in link to the current anonymous user.
+ * @param {import('firebase/auth').Auth} auth
+ * @param {string} email
+ * @param {string} link The opened link (with its oobCode), saved before the address bar is cleaned up
+ * @returns {Promise<{ linked: true } | { linked: false, credential: import('firebase/auth').AuthCredential }>}
+ *   Same as linkGoogle
+ */
+export const linkEmailLink = async (auth, email, link) => {
+    const credential = EmailAuthProvider.credentialWithLink(email, link);
+    try {
+        await linkWithCredential(auth.currentUser, credential);
+        localStorage.removeItem(EMAIL_STORAGE_KEY);
+        return { linked: true };
+    } catch (error) {
+        if (!isAccountExistsError(error)) throw error;
+        return { linked: false, credential };
+    }
+};
+
+/** The email saved by sendEmailLink on this device, if any. */
+export const getSavedEmail = () => localStorage.getItem(EMAIL_STORAGE_KEY);
+
+/**
+ * Switches to an existing account. The anonymous user's data is left behind unless it
+ * was copied first (see useAccount).
+ * @param {import('firebase/auth').Auth} auth
+ * @param {import('firebase/auth').AuthCredential} credential
+ * @returns {Promise<string>} The account's uid
+ */
+export const signInExisting = async (auth, credential) => {
+    const { user } = await signInWithCredential(auth, credential);
+    localStorage.removeItem(EMAIL_STORAGE_KEY);
+    return user.uid;
+};
@@ -0,0 +1,161 @@
+import { useState, useEffect, useCallback, useRef } from 'react';
+import { signOut as firebaseSignOut } from 'firebase/auth';
+import {
+    linkGoogle,
+    sendEmailLink as sendFirebaseEmailLink,
+    isEmailLinkUrl,
+    linkEmailLink,
+    getSavedEmail,
+    signInExisting,
+    isCancelledError,
+} from './accountAuth';
+import { createProductsJson, collectEmbeddedPhotos } from '../export/productExport';
+
+/**
+ * Account linking and sign-out on top of the anonymous sign-in in useFirebase.
+ *
+ * An anonymous user links Google or an email link and keeps the same uid. When that
+ * account already exists (signed in on another device), signing in switches uid; if
+ * this device has products of its own, the user picks whether to carry them over.
+ * The carried products are packed like a JSON backup (with photos) before switching,
+ * since the anonymous user's data cannot be read afterwards, and come back as
+ * `carryOver` for the normal import preview. Routines, check-offs, the barcode catalog
+ * and settings are not carried over (AccountMergeDialog says so).
+ *
+ * @param {{ auth: import('firebase/auth').Auth | null, profile: object | null, refreshProfile: () => void, products: Array<object>, photoStore: object | null, hasPendingWrites: boolean, onEmailLinkHandled: () => void }} options
+ *   `products` are this device's products not in the trash
+ */
+export const useAccount = ({ auth, profile, refreshProfile, products, photoStore, hasPendingWrites, onEmailLinkHandled }) => {
+    const [isWorking, setIsWorking] = useState(false);
+    const [accountMessage, setAccountMessage] = useState('');
+    // { credential, providerLabel } 帳號已存在，等待使用者決定是否帶入此裝置的資料
+    const [pendingSignIn, setPendingSignIn] = useState(null);
+    // { userId, file, deviceProducts } 切換帳號後要匯入的此裝置產品
+    const [carryOver, setCarryOver] = useState(null);
+    const emailLinkHandledRef = useRef(false);
+
+    /**
+     * Signs in to an existing account, first packing this device's products when asked.
+     * Callers handle isWorking and errors.
+     * @param {{ credential: object, providerLabel: string }} target
+     * @param {boolean} mergeDeviceData
+     */
+    const switchAccount = useCallback(async (target, mergeDeviceData) => {
+        let file = null;
+        if (mergeDeviceData && products.length > 0) {
+            const { photos } = await collectEmbeddedPhotos(products, photoStore, (done, total) => {
+                setAccountMessage(`正在讀取此裝置的照片 ${done}/${total}...`);
+            });
+            file = new File([createProductsJson(products, { embeddedPhotos: photos })], '此裝置的產品.json', { type: 'application/json' });
+        }
+        const userId = await signInExisting(auth, target.credential);
+        refreshProfile();
+        setPendingSignIn(null);
+        setAccountMessage(`✅ 已登入 ${target.providerLabel} 帳號`);
+        if (file) setCarryOver({ userId, file, deviceProducts: products });
+    }, [auth, products, photoStore, refreshProfile]);
+
+    /**
+     * @param {() => Promise<{ linked: boolean, credential?: object }>} link
+     * @param {string} providerLabel
+     */
+    const runLink = useCallback(async (link, providerLabel) => {
+        setIsWorking(true);
+        setAccountMessage('');
+        try {
+            const result = await link();
+            if (result.linked) {
+                refreshProfile();
+                setAccountMessage(`✅ 已連結 ${providerLabel}，資料會保存在帳號中，可在其他裝置登入`);
+            } else if (products.length === 0) {
+                // 新裝置沒有自己的資料，直接登入
+                await switchAccount({ credential: result.credential, providerLabel }, false);
+            } else {
+                setPendingSignIn({ credential: result.credential, providerLabel });
+            }
+        } catch (error) {
+            if (!isCancelledError(error)) {
+                console.error("Account Link Error:", error);
+                setAccountMessage(`❌ 登入失敗: ${error.message}`);
+            }
+        } finally {
+            setIsWorking(false);
+        }
+    }, [products.length, refreshProfile, switchAccount]);
+
+    const signInWithGoogle = useCallback(() => runLink(() => linkGoogle(auth), 'Google'), [auth, runLink]);
+
+    /** @param {string} email */
+    const sendEmailLink = useCallback(async (email) => {
+        setIsWorking(true);
+        try {
+            await sendFirebaseEmailLink(auth, email);
+            setAccountMessage(`✅ 登入連結已寄到 ${email}，請在這台或其他裝置開啟信中的連結`);
+        } catch (error) {
+            console.error("Email Link Error:", error);
+            setAccountMessage(`❌ 寄送失敗: ${error.message}`);
+        } finally {
+            setIsWorking(false);
+        }
+    }, [auth]);
+
+    // 從信中的登入連結開啟 App
+    useEffect(() => {
+        if (!auth || !profile || emailLinkHandledRef.current || !isEmailLinkUrl(auth)) return;
+        emailLinkHandledRef.current = true;
+        // onEmailLinkHandled 會清掉網址中的 oobCode，先記下完整連結
+        const link = window.location.href;
+        // 在別台裝置開啟連結時，本機沒有記住信箱
+        const email = getSavedEmail() || window.prompt('請輸入收到登入連結的電子郵件');
+        onEmailLinkHandled();
+        if (email) runLink(() => linkEmailLink(auth, email.trim(), link), email.trim());
+    }, [auth, profile, runLink, onEmailLinkHandled]);
+
+    /**
+     * Signs in to the existing account from pendingSignIn.
+     * @param {boolean} mergeDeviceData Carry this device's products over to the account
+     */
+    const finishSignIn = useCallback(async (mergeDeviceData) => {
+        setIsWorking(true);
+        try {
+            await switchAccount(pendingSignIn, mergeDeviceData);
+        } catch (error) {
+            console.error("Account Sign-in Error:", error);
+            setAccountMessage(`❌ 登入失敗: ${error.message}`);
+        } finally {
+            setIsWorking(false);
+        }
+    }, [pendingSignIn, switchAccount]);
+
+    const cancelSignIn = useCallback(() => setPendingSignIn(null), []);
+    const clearCarryOver = useCallback(() => setCarryOver(null), []);
+
+    const signOut = useCallback(async () => {
+        const warning = hasPendingWrites ? '\n\n⚠️ 還有變更尚未同步到雲端，登出後這些變更會遺失。' : '';
+        if (!window.confirm(`登出後這台裝置會顯示新的空白清單，資料仍保存在帳號中，重新登入即可看到。確定要登出嗎？${warning}`)) {
+            return;
+        }
+        try {
+            // 登出後 useFirebase 會自動建立新的匿名帳號
+            await firebaseSignOut(auth);
+            setAccountMessage('');
+        } catch (error) {
+            console.error("Sign-out Error:", error);
+            setAccountMessage(`❌ 登出失敗: ${error.message}`);
+        }
+    }, [auth, hasPendingWrites]);
+
+    return {
+        profile,
+        isWorking,
+        accountMessage,
+        pendingSignIn,
+        carryOver,
+        signInWithGoogle,
+        sendEmailLink,
+        finishSignIn,
+        cancelSignIn,
+        clearCarryOver,
+        signOut,
+    };
+};
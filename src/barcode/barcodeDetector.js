@@ -0,0 +1,22 @@
+import { RETAIL_BARCODE_FORMATS } from './barcodeFormats';
+
+/**
+ * Returns a detector with `detect(source) → [{ rawValue, format }]`: the browser's
+ * BarcodeDetector when it handles retail codes, otherwise the zxing fallback, which is
+ * loaded on demand so it stays out of the main bundle.
+ */
+export const createBarcodeDetector = async () => {
+    if ('BarcodeDetector' in window) {
+        try {
+            const supported = await window.BarcodeDetector.getSupportedFormats();
+            const formats = RETAIL_BARCODE_FORMATS.filter(format => supported.includes(format));
+            if (formats.includes('ean_13')) {
+                return new window.BarcodeDetector({ formats });
+            }
+        } catch (error) {
+            console.error("BarcodeDetector Error:", error);
+        }
+    }
+    const { createZxingDetector } = await import('./zxingDetector');
+    return createZxingDetector();
+};
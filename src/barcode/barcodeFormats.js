@@ -0,0 +1,34 @@
+// 保養品包裝上的零售條碼
+export const RETAIL_BARCODE_FORMATS = ['ean_13', 'ean_8', 'upc_a', 'upc_e'];
+
+/**
+ * GS1 check digit validation (EAN-8, UPC-A, EAN-13).
+ * @param {string} digits
+ */
+const hasValidCheckDigit = (digits) => {
+    const body = digits.slice(0, -1);
+    const sum = [...body].reverse().reduce((total, digit, index) => total + Number(digit) * (index % 2 === 0 ? 3 : 1), 0);
+    return (10 - (sum % 10)) % 10 === Number(digits.at(-1));
+};
+
+/**
+ * Cleans up a scanned or typed barcode and returns the key used in the catalog.
+ * UPC-A codes become EAN-13 (leading 0) so both scans of the same bottle match.
+ * UPC-E is kept as printed since validating it needs the code expanded first.
+ * @param {string} rawValue
+ * @param {string} [format] Detector format, e.g. 'upc_e'; typed codes have none
+ * @returns {string | null} null when it is not a valid retail barcode
+ */
+export const normalizeBarcode = (rawValue, format) => {
+    const digits = String(rawValue || '').replace(/\D/g, '');
+    if (format === 'upc_e') {
+        return digits.length >= 6 && digits.length <= 8 ? digits : null;
+    }
+    if (digits.length === 12) {
+        return hasValidCheckDigit(digits) ? `0${digits}` : null;
+    }
+    if (digits.length === 8 || digits.length === 13) {
+        return hasValidCheckDigit(digits) ? digits : null;
+    }
+    return null;
+};
@@ -0,0 +1,66 @@
+import { countUnits } from '../units/productUnits';
+
+// 從產品學到的欄位；效期、開封日期等每瓶不同的資料不記錄
+const CATALOG_FIELDS = ['brand', 'name', 'category', 'volume'];
+
+/**
+ * Whole months between two YYYY-MM-DD dates, rounded to the nearest month.
+ * @param {string} from
+ * @param {string} to
+ */
+const monthsBetween = (from, to) => {
+    const [fromYear, fromMonth, fromDay] = from.split('-').map(Number);
+    const [toYear, toMonth, toDay] = to.split('-').map(Number);
+    return Math.round((toYear - fromYear) * 12 + (toMonth - fromMonth) + (toDay - fromDay) / 30);
+};
+
+/**
+ * Builds the catalog entry for a saved product. The typical shelf life is learned only
+ * from a printed expiry date (not one we estimated ourselves); otherwise the previous
+ * entry's value is kept.
+ * @param {object} product Saved product data with a barcode
+ * @param {object | null} previous Existing catalog entry for the same barcode
+ * @returns {object}
+ */
+export const buildCatalogEntry = (product, previous = null) => {
+    const { id: _id, ...entry } = previous || {};
+    CATALOG_FIELDS.forEach(key => {
+        if (product[key]) entry[key] = product[key];
+    });
+    if (product.paoMonths) entry.paoMonths = product.paoMonths;
+
+    if (product.manufactureDate && product.expiryDate && !product.expiryEstimated) {
+        const months = monthsBetween(product.manufactureDate, product.expiryDate);
+        // 超出合理範圍的多半是日期填錯
+        if (months > 0 && months <= 120) entry.shelfLifeMonths = months;
+    }
+
+    return { ...entry, barcode: product.barcode, updatedAt: new Date() };
+};
+
+/**
+ * Form values to prefill from a catalog entry (form fields are strings).
+ * @param {object} entry
+ * @returns {Record<string, string>}
+ */
+export const catalogEntryToFormValues = (entry) => {
+    const values = {};
+    CATALOG_FIELDS.forEach(key => {
+        if (entry[key]) values[key] = String(entry[key]);
+    });
+    if (entry.paoMonths) values.paoMonths = String(entry.paoMonths);
+    return values;
+};
+
+/**
+ * Counts the units on the shelf with the same barcode (backups included), and how many
+ * of them are unopened.
+ * @param {Array<object>} products Products not archived or deleted
+ * @param {string} barcode
+ * @param {string | null} excludeId The product being edited
+ * @returns {{ total: number, unopened: number }}
+ */
+export const countOwnedByBarcode = (products, barcode, excludeId = null) => products
+    .filter(product => product.barcode === barcode && product.id !== excludeId)
+    .map(countUnits)
+    .reduce((owned, units) => ({ total: owned.total + units.total, unopened: owned.unopened + units.unopened }), { total: 0, unopened: 0 });
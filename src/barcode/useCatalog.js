@@ -0,0 +1,26 @@
+import { useState, useEffect } from 'react';
+
+/**
+ * Live barcode catalog as a Map of barcode → entry. Reads come from the local database
+ * (or Firestore's offline cache), so known barcodes resolve without a connection.
+ * @param {ReturnType<typeof import('../storage').createCatalogRepository> | null} catalogRepository
+ * @returns {Map<string, object>}
+ */
+export const useCatalog = (catalogRepository) => {
+    const [catalog, setCatalog] = useState(() => new Map());
+
+    useEffect(() => {
+        if (!catalogRepository) return;
+
+        const unsubscribe = catalogRepository.subscribe((entries) => {
+            setCatalog(new Map(entries.map(entry => [entry.id, entry])));
+        }, (error) => {
+            // 目錄只用來預填，讀不到時照常手動輸入
+            console.error("Catalog Listener Error:", error);
+        });
+
+        return () => unsubscribe();
+    }, [catalogRepository]);
+
+    return catalog;
+};
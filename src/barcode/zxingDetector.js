@@ -0,0 +1,41 @@
+import {
+    BarcodeFormat,
+    BinaryBitmap,
+    DecodeHintType,
+    HTMLCanvasElementLuminanceSource,
+    HybridBinarizer,
+    MultiFormatReader,
+} from '@zxing/library';
+
+const ZXING_FORMATS = {
+    [BarcodeFormat.EAN_13]: 'ean_13',
+    [BarcodeFormat.EAN_8]: 'ean_8',
+    [BarcodeFormat.UPC_A]: 'upc_a',
+    [BarcodeFormat.UPC_E]: 'upc_e',
+};
+
+/**
+ * Software decoder for browsers without the BarcodeDetector API (Safari, Firefox).
+ * Same shape as the native detector so the scanner does not care which one it got.
+ * @returns {{ detect: (canvas: HTMLCanvasElement) => Promise<Array<{ rawValue: string, format: string }>> }}
+ */
+export const createZxingDetector = () => {
+    const reader = new MultiFormatReader();
+    const hints = new Map();
+    hints.set(DecodeHintType.POSSIBLE_FORMATS, Object.keys(ZXING_FORMATS).map(Number));
+    hints.set(DecodeHintType.TRY_HARDER, true);
+    reader.setHints(hints);
+
+    const detect = async (canvas) => {
+        try {
+            const bitmap = new BinaryBitmap(new HybridBinarizer(new HTMLCanvasElementLuminanceSource(canvas)));
+            const result = reader.decodeWithState(bitmap);
+            return [{ rawValue: result.getText(), format: ZXING_FORMATS[result.getBarcodeFormat()] }];
+        } catch {
+            // 這一格畫面沒有找到條碼 (NotFoundException)，繼續下一格
+            return [];
+        }
+    };
+
+    return { detect };
+};
@@ -0,0 +1,124 @@
+// 各品牌集團的批號編碼規則。
+// 批號格式由廠商自訂、不對外公開，以下整理自常見的批號對照資料，只能用來「推估」製造日期。
+//
+// 每條規則的 decode(code, today) 回傳 { year, month, day? } 或 null；
+// 只給個位數年份的規則以 resolveYearDigit 換算成最近十年內的年份。
+
+/**
+ * Maps a single year digit to the most recent year ending in that digit that is not in the future.
+ * @param {number} digit 0-9
+ * @param {Date} today
+ * @returns {number}
+ */
+export const resolveYearDigit = (digit, today) => {
+    const currentYear = today.getFullYear();
+    const year = currentYear - (currentYear % 10) + digit;
+    return year > currentYear ? year - 10 : year;
+};
+
+/**
+ * Converts a day-of-year (1-366) to month and day.
+ * @returns {{month: number, day: number} | null}
+ */
+const fromDayOfYear = (year, dayOfYear) => {
+    const date = new Date(Date.UTC(year, 0, dayOfYear));
+    if (dayOfYear < 1 || date.getUTCFullYear() !== year) return null;
+    return { month: date.getUTCMonth() + 1, day: date.getUTCDate() };
+};
+
+// 月份以 1-9 加上一個字母序列表示 10-12 月
+const parseMonthChar = (char, lateMonths) => {
+    if (/^[1-9]$/.test(char)) return Number(char);
+    const index = lateMonths.indexOf(char);
+    return index === -1 ? null : 10 + index;
+};
+
+// L'Oréal 年份字母依序遞增，跳過容易與數字混淆的 I、O、Q
+const LOREAL_YEAR_LETTERS = 'ABCDEFGHJKLMNPRSTUVWXYZ';
+const LOREAL_ANCHOR = { letter: 'W', year: 2019 };
+
+const resolveLorealYear = (letter, today) => {
+    const index = LOREAL_YEAR_LETTERS.indexOf(letter);
+    if (index === -1) return null;
+
+    const cycle = LOREAL_YEAR_LETTERS.length;
+    const anchorIndex = LOREAL_YEAR_LETTERS.indexOf(LOREAL_ANCHOR.letter);
+    let year = LOREAL_ANCHOR.year + index - anchorIndex;
+    // 字母循環一輪約 23 年；取不晚於今年的最近一輪
+    while (year > today.getFullYear()) year -= cycle;
+    while (year + cycle <= today.getFullYear()) year += cycle;
+    return year;
+};
+
+export const BRAND_RULES = [
+    {
+        id: 'estee-lauder',
+        label: '雅詩蘭黛集團',
+        brands: ['estee lauder', '雅詩蘭黛', 'clinique', '倩碧', 'mac', 'bobbi brown', '芭比波朗', 'la mer', '海洋拉娜', 'origins', '品木宣言', 'aveda', 'tom ford', 'jo malone', 'smashbox', 'too faced', 'dr jart', 'glamglow'],
+        // 三碼: 工廠 + 月份 (1-9, A=10, B=11, C=12) + 年份個位數，例如 A93 = 2023 年 9 月
+        decode: (code, today) => {
+            const match = code.match(/^[A-Z0-9]([1-9ABC])(\d)$/);
+            if (!match) return null;
+            return { year: resolveYearDigit(Number(match[2]), today), month: parseMonthChar(match[1], 'ABC') };
+        },
+    },
+    {
+        id: 'loreal',
+        label: "L'Oréal 集團",
+        brands: ['loreal', '巴黎萊雅', 'lancome', '蘭蔻', 'kiehls', '契爾氏', 'maybelline', '媚比琳', 'garnier', 'ysl', 'yves saint laurent', 'giorgio armani', '亞曼尼', 'la roche posay', '理膚寶水', 'vichy', '薇姿', 'cerave', '適樂膚', 'biotherm', '碧兒泉', 'shu uemura', '植村秀', 'helena rubinstein', '赫蓮娜', 'skinceuticals', '修麗可'],
+        // 工廠兩碼 + 年份字母 + 月份 (1-9, O=10, N=11, D=12) + 流水號，例如 39X601 = 2020 年 6 月
+        decode: (code, today) => {
+            const match = code.match(/^[A-Z0-9]{2}([A-Z])([1-9OND])/);
+            if (!match) return null;
+            const year = resolveLorealYear(match[1], today);
+            if (!year) return null;
+            return { year, month: parseMonthChar(match[2], 'OND') };
+        },
+    },
+    {
+        id: 'procter-gamble',
+        label: 'P&G 集團',
+        brands: ['sk ii', 'skii', 'olay', '歐蕾', 'pantene', '潘婷', 'head shoulders', '海倫仙度絲'],
+        // 年份個位數 + 一年中的第幾天 (001-366)，例如 3125 = 2023 年第 125 天
+        decode: (code, today) => {
+            const match = code.match(/^(\d)(\d{3})/);
+            if (!match) return null;
+            const year = resolveYearDigit(Number(match[1]), today);
+            const date = fromDayOfYear(year, Number(match[2]));
+            return date && { year, ...date };
+        },
+    },
+    {
+        id: 'japanese',
+        label: '日系品牌',
+        brands: ['shiseido', '資生堂', 'cle de peau', '肌膚之鑰', 'elixir', '怡麗絲爾', 'anessa', '安耐曬', 'senka', '專科', 'kao', '花王', 'biore', '蜜妮', 'curel', '珂潤', 'kose', '高絲', 'sekkisei', '雪肌精', 'kanebo', '佳麗寶', 'hada labo', '肌研', 'rohto', '樂敦', 'dhc', 'fancl', '芳珂'],
+        // 年份個位數 + 月份 (1-9, X=10, Y=11, Z=12)，後面接工廠與流水號，例如 3Y12A = 2023 年 11 月
+        decode: (code, today) => {
+            const match = code.match(/^(\d)([1-9XYZ])/);
+            if (!match) return null;
+            return { year: resolveYearDigit(Number(match[1]), today), month: parseMonthChar(match[2], 'XYZ') };
+        },
+    },
+];
+
+// 許多韓系與歐系產品直接把製造日期寫進批號；品牌規則都不符合時才使用
+export const GENERIC_RULES = [
+    {
+        id: 'embedded-yyyymmdd',
+        label: '批號內含日期 (西元年月日)',
+        decode: (code) => {
+            const match = code.match(/(20\d{2})(0[1-9]|1[0-2])(0[1-9]|[12]\d|3[01])/);
+            if (!match) return null;
+            return { year: Number(match[1]), month: Number(match[2]), day: Number(match[3]) };
+        },
+    },
+    {
+        id: 'embedded-yymmdd',
+        label: '批號內含日期 (年月日)',
+        decode: (code) => {
+            const match = code.match(/(?:^|\D)(\d{2})(0[1-9]|1[0-2])(0[1-9]|[12]\d|3[01])(?:\D|$)/);
+            if (!match) return null;
+            return { year: 2000 + Number(match[1]), month: Number(match[2]), day: Number(match[3]) };
+        },
+    },
+];
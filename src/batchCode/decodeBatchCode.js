@@ -0,0 +1,80 @@
+import { formatDate } from '../utils/date';
+import { BRAND_RULES, GENERIC_RULES } from './batchCodeRules';
+
+// 超過這個年數的推估結果視為誤判
+const MAX_AGE_YEARS = 10;
+
+/**
+ * Lowercases a brand name and strips accents and punctuation so "L'Oréal" matches "loreal".
+ * @param {string} brand
+ * @returns {string}
+ */
+const normalizeBrand = (brand) => brand
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/['’]/g, '')
+    .replace(/[^a-z0-9\u3040-\u30ff\u4e00-\u9fff]+/g, ' ')
+    .trim();
+
+const matchesBrand = (rule, brand) => {
+    const normalized = ` ${normalizeBrand(brand)} `;
+    return rule.brands.some(alias => (/^[a-z0-9 ]+$/.test(alias)
+        ? normalized.includes(` ${alias} `)
+        : normalized.includes(alias)));
+};
+
+/**
+ * Returns the brand rule set a brand belongs to, if any.
+ * @param {string} brand
+ * @returns {{id: string, label: string} | null}
+ */
+export const findBrandRule = (brand) => {
+    if (!brand) return null;
+    const rule = BRAND_RULES.find(candidate => matchesBrand(candidate, brand));
+    return rule ? { id: rule.id, label: rule.label } : null;
+};
+
+const toManufactureDate = ({ year, month, day }, today) => {
+    if (!year || !month || month < 1 || month > 12) return null;
+
+    const date = new Date(Date.UTC(year, month - 1, day || 1));
+    if (date.getUTCMonth() !== month - 1) return null;
+
+    const todayUtc = new Date(Date.UTC(today.getFullYear(), today.getMonth(), today.getDate()));
+    if (date > todayUtc || year < today.getFullYear() - MAX_AGE_YEARS) return null;
+
+    return formatDate(date);
+};
+
+/**
+ * Estimates a manufacture date from a lot/batch code. Rules for the product's brand are
+ * tried first, then generic "date embedded in the code" patterns.
+ * @param {string} batchCode
+ * @param {string} brand
+ * @param {Date} [today]
+ * @returns {{manufactureDate: string, precision: 'day' | 'month', ruleId: string, ruleLabel: string} | null}
+ */
+export const decodeBatchCode = (batchCode, brand, today = new Date()) => {
+    const code = (batchCode || '').toUpperCase().replace(/[\s\-./]/g, '');
+    if (code.length < 3) return null;
+
+    const rules = [
+        ...BRAND_RULES.filter(rule => brand && matchesBrand(rule, brand)),
+        ...GENERIC_RULES,
+    ];
+
+    for (const rule of rules) {
+        const parts = rule.decode(code, today);
+        const manufactureDate = parts && toManufactureDate(parts, today);
+        if (manufactureDate) {
+            return {
+                manufactureDate,
+                precision: parts.day ? 'day' : 'month',
+                ruleId: rule.id,
+                ruleLabel: rule.label,
+            };
+        }
+    }
+    return null;
+};
@@ -0,0 +1,38 @@
+import { addMonths } from '../utils/date';
+
+// 各類別未開封的一般保存期限 (月)，從製造日期起算。
+// 歐盟規定保存期限超過 30 個月的產品可以不標示有效日期，因此大多落在 30-36 個月。
+export const SHELF_LIFE_MONTHS = {
+    cleanser: 36,
+    toner: 36,
+    serum: 30,
+    moisturizer: 30,
+    eye: 30,
+    sunscreen: 36,
+    mask: 36,
+    lip: 24,
+    body: 36,
+    makeup: 36,
+    other: 30,
+};
+
+// 未分類時採用較保守的數值
+export const DEFAULT_SHELF_LIFE_MONTHS = 30;
+
+/**
+ * @param {string | null | undefined} category
+ * @returns {number} Typical unopened shelf life in months
+ */
+export const getShelfLifeMonths = (category) => SHELF_LIFE_MONTHS[category] || DEFAULT_SHELF_LIFE_MONTHS;
+
+/**
+ * Suggests an expiry date from a manufacture date and the category's typical shelf life.
+ * @param {string | null} manufactureDate YYYY-MM-DD
+ * @param {string | null} category
+ * @param {number} [shelfLifeMonths] Known shelf life for this product (e.g. from the barcode catalog)
+ * @returns {string | null} YYYY-MM-DD
+ */
+export const estimateExpiryDate = (manufactureDate, category, shelfLifeMonths = getShelfLifeMonths(category)) => {
+    if (!manufactureDate) return null;
+    return addMonths(manufactureDate, shelfLifeMonths);
+};
@@ -0,0 +1,145 @@
+import { addDays, addMonths, toMillis } from '../utils/date';
+import { getProductUnits } from '../units/productUnits';
+
+// 提醒時間: 當天早上 9 點
+const ALARM_HOUR = 9;
+const PRODUCT_ID = '-//skincare-app//expiry calendar//ZH-TW';
+
+/**
+ * Escapes a TEXT value (RFC 5545 §3.3.11).
+ * @param {string} text
+ */
+const escapeText = (text) => String(text)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+
+/**
+ * Folds a content line at 75 octets (UTF-8), continuing with a leading space.
+ * Characters are never split, so Chinese names stay intact.
+ * @param {string} line
+ */
+const foldLine = (line) => {
+    const encoder = new TextEncoder();
+    const parts = [];
+    let current = '';
+    let currentBytes = 0;
+    for (const char of line) {
+        const bytes = encoder.encode(char).length;
+        // 續行開頭的空白也算 1 個位元組
+        const limit = parts.length === 0 ? 75 : 74;
+        if (currentBytes + bytes > limit) {
+            parts.push(current);
+            current = '';
+            currentBytes = 0;
+        }
+        current += char;
+        currentBytes += bytes;
+    }
+    parts.push(current);
+    return parts.join('\r\n ');
+};
+
+/** @param {string} dateString YYYY-MM-DD */
+const toIcsDate = (dateString) => dateString.replace(/-/g, '');
+
+/** @param {Date} date */
+const toIcsDateTime = (date) => date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+/**
+ * Alarm triggers relative to the start of an all-day event (midnight): `leadDays` days
+ * before, at 09:00.
+ * @param {number} leadDays 0 for the day itself
+ */
+const toTrigger = (leadDays) => {
+    const hours = leadDays * 24 - ALARM_HOUR;
+    return hours > 0 ? `-PT${hours}H` : `PT${-hours}H`;
+};
+
+/**
+ * The deadlines a product puts in the calendar: the printed expiry of every unit, and
+ * opened + PAO for opened units. UIDs only depend on the product, unit and kind of
+ * deadline, so importing the file again updates the events instead of duplicating them.
+ * @param {object} product
+ * @returns {Array<{ uid: string, date: string, summary: string, description: string }>}
+ */
+export const getProductDeadlines = (product) => {
+    const productName = [product.brand, product.name].filter(Boolean).join(' ');
+    const units = getProductUnits(product);
+
+    return units.flatMap((unit, index) => {
+        const unitKey = unit.isPrimary ? product.id : `${product.id}-${unit.id}`;
+        const unitLabel = units.length > 1 ? `（第 ${index + 1} 瓶）` : '';
+        const deadlines = [];
+        if (unit.expiryDate) {
+            deadlines.push({
+                uid: `${unitKey}-expiry@skincare-app`,
+                date: unit.expiryDate,
+                summary: `⏰ ${productName} 到期${unitLabel}`,
+                description: `有效期限 ${unit.expiryDate}${unit.expiryEstimated ? ' (依批號推估)' : ''}`,
+            });
+        }
+        if (unit.openedDate && product.paoMonths) {
+            const paoDate = addMonths(unit.openedDate, Number(product.paoMonths));
+            deadlines.push({
+                uid: `${unitKey}-pao@skincare-app`,
+                date: paoDate,
+                summary: `⏰ ${productName} 開封期限${unitLabel}`,
+                description: `${unit.openedDate} 開封，開封後 ${product.paoMonths} 個月內使用完畢`,
+            });
+        }
+        return deadlines;
+    });
+};
+
+/**
+ * Builds an iCalendar file with one all-day event per deadline.
+ * @param {Array<object>} products
+ * @param {{ leadDays: number[], onExpiryDay: boolean, getProductUrl?: (product: object) => string }} options
+ *   Alarm lead times from the reminder settings
+ * @returns {string}
+ */
+export const createCalendar = (products, { leadDays, onExpiryDay, getProductUrl = null }) => {
+    const now = toIcsDateTime(new Date());
+    const alarmDays = [...new Set([...leadDays, ...(onExpiryDay ? [0] : [])])].sort((a, b) => b - a);
+
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        `PRODID:${PRODUCT_ID}`,
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        `X-WR-CALNAME:${escapeText('保養品效期')}`,
+    ];
+
+    products.forEach(product => {
+        const updatedAt = toMillis(product.updatedAt);
+        getProductDeadlines(product).forEach(deadline => {
+            lines.push(
+                'BEGIN:VEVENT',
+                `UID:${deadline.uid}`,
+                `DTSTAMP:${now}`,
+                // 產品更新後版本號變大，行事曆會以新的內容取代舊事件
+                ...(updatedAt ? [`SEQUENCE:${Math.floor(updatedAt / 1000)}`, `LAST-MODIFIED:${toIcsDateTime(new Date(updatedAt))}`] : []),
+                `DTSTART;VALUE=DATE:${toIcsDate(deadline.date)}`,
+                `DTEND;VALUE=DATE:${toIcsDate(addDays(deadline.date, 1))}`,
+                `SUMMARY:${escapeText(deadline.summary)}`,
+                `DESCRIPTION:${escapeText([deadline.description, product.location && `存放位置: ${product.location}`].filter(Boolean).join('\n'))}`,
+                ...(getProductUrl ? [`URL:${getProductUrl(product)}`] : []),
+                'TRANSP:TRANSPARENT',
+                ...alarmDays.flatMap(days => [
+                    'BEGIN:VALARM',
+                    'ACTION:DISPLAY',
+                    `DESCRIPTION:${escapeText(days > 0 ? `${deadline.summary}（還有 ${days} 天）` : deadline.summary)}`,
+                    `TRIGGER:${toTrigger(days)}`,
+                    'END:VALARM',
+                ]),
+                'END:VEVENT',
+            );
+        });
+    });
+
+    lines.push('END:VCALENDAR');
+    return `${lines.map(foldLine).join('\r\n')}\r\n`;
+};
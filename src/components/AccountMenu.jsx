@@ -0,0 +1,113 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { Loader, LogOut, Mail, UserRound } from 'lucide-react';
+
+/**
+ * Header account panel. Anonymous users can sign in with Google or an email link to keep
+ * their data in an account; signed-in users see who they are and can sign out.
+ * @param {{ account: ReturnType<typeof import('../auth/useAccount').useAccount>, onClose: () => void }} props
+ */
+const AccountMenu = ({ account, onClose }) => {
+    const { profile, isWorking, accountMessage, signInWithGoogle, sendEmailLink, signOut } = account;
+    const [email, setEmail] = useState('');
+    const panelRef = useRef(null);
+
+    // 點面板外面就關閉；header 的按鈕和面板在同一個容器裡，由按鈕自己切換
+    useEffect(() => {
+        const handlePointerDown = (e) => {
+            if (!panelRef.current?.parentElement.contains(e.target)) onClose();
+        };
+        document.addEventListener('pointerdown', handlePointerDown);
+        return () => document.removeEventListener('pointerdown', handlePointerDown);
+    }, [onClose]);
+
+    const handleSendLink = (e) => {
+        e.preventDefault();
+        if (email.trim()) sendEmailLink(email.trim());
+    };
+
+    return (
+        <div
+            ref={panelRef}
+            role="dialog"
+            aria-label="帳號"
+            className="absolute right-0 top-14 z-50 w-80 max-w-[calc(100vw-2.5rem)] bg-white rounded-3xl shadow-2xl border border-gray-100 p-5 space-y-4"
+        >
+            {profile.isAnonymous ? (
+                <>
+                    <div>
+                        <p className="text-base font-bold text-gray-900">訪客模式</p>
+                        <p className="text-xs text-gray-500 mt-1">
+                            目前的資料只存在這個瀏覽器。登入後資料會保存在帳號中，清除瀏覽器資料或換手機都不會遺失，也能在其他裝置看到同一份清單。
+                        </p>
+                    </div>
+                    <button
+                        type="button"
+                        onClick={signInWithGoogle}
+                        disabled={isWorking}
+                        className="w-full flex items-center justify-center px-4 py-3 rounded-2xl bg-white border-2 border-gray-100 text-sm font-semibold text-gray-700 hover:bg-gray-50 disabled:opacity-50 active:scale-95"
+                    >
+                        <span className="mr-2 font-extrabold text-teal-600">G</span> 使用 Google 帳號登入
+                    </button>
+                    <form onSubmit={handleSendLink} className="space-y-2">
+                        <label htmlFor="account-email" className="block text-xs font-semibold text-gray-600">或用電子郵件登入 (免密碼)</label>
+                        <div className="flex gap-2">
+                            <input
+                                id="account-email"
+                                type="email"
+                                value={email}
+                                onChange={(e) => setEmail(e.target.value)}
+                                placeholder="you@example.com"
+                                required
+                                className="min-w-0 flex-1 px-3 py-2 rounded-xl border border-gray-200 text-sm focus:outline-none focus:ring-2 focus:ring-teal-300"
+                            />
+                            <button
+                                type="submit"
+                                disabled={isWorking}
+                                className="flex-shrink-0 flex items-center px-3 py-2 rounded-xl bg-teal-50 text-sm font-semibold text-teal-700 hover:bg-teal-100 disabled:opacity-50"
+                            >
+                                <Mail className="w-4 h-4 mr-1" /> 寄送連結
+                            </button>
+                        </div>
+                    </form>
+                </>
+            ) : (
+                <>
+                    <div className="flex items-center gap-3">
+                        {profile.photoURL ? (
+                            <img src={profile.photoURL} alt="" referrerPolicy="no-referrer" className="w-12 h-12 rounded-2xl object-cover" />
+                        ) : (
+                            <div className="w-12 h-12 rounded-2xl bg-teal-50 flex items-center justify-center">
+                                <UserRound className="w-6 h-6 text-teal-600" />
+                            </div>
+                        )}
+                        <div className="min-w-0">
+                            <p className="text-base font-bold text-gray-900 truncate">{profile.displayName || profile.email}</p>
+                            {profile.displayName && profile.email && <p className="text-xs text-gray-500 truncate">{profile.email}</p>}
+                            {profile.providerLabel && <p className="text-xs text-teal-700 mt-0.5">已使用 {profile.providerLabel} 登入</p>}
+                        </div>
+                    </div>
+                    <p className="text-xs text-gray-500">在其他裝置用同一個帳號登入，就能看到同一份清單。</p>
+                    <button
+                        type="button"
+                        onClick={signOut}
+                        disabled={isWorking}
+                        className="w-full flex items-center justify-center px-4 py-3 rounded-2xl bg-gray-50 text-sm font-semibold text-gray-700 hover:bg-gray-100 disabled:opacity-50 active:scale-95"
+                    >
+                        <LogOut className="w-4 h-4 mr-2" /> 登出
+                    </button>
+                </>
+            )}
+
+            {accountMessage && (
+                <p className={`flex items-center text-sm font-medium ${
+                    accountMessage.includes('❌') || accountMessage.includes('失敗') ? 'text-red-700' : 'text-teal-700'
+                }`}>
+                    {isWorking && <Loader className="w-4 h-4 mr-2 flex-shrink-0 animate-spin" />}
+                    {accountMessage}
+                </p>
+            )}
+        </div>
+    );
+};
+
+export default AccountMenu;
@@ -0,0 +1,69 @@
+import React from 'react';
+import { Loader } from 'lucide-react';
+
+/**
+ * Shown when the account being signed in to already exists and this device has products
+ * of its own: carry them over (through the import preview) or leave them behind. Only
+ * products travel; the dialog says which of this device's data stays behind either way.
+ * @param {{ providerLabel: string, deviceProductCount: number, isWorking: boolean, message: string, onMerge: () => void, onSwitch: () => void, onCancel: () => void }} props
+ */
+const AccountMergeDialog = ({ providerLabel, deviceProductCount, isWorking, message, onMerge, onSwitch, onCancel }) => (
+    <div className="fixed inset-0 z-[60] flex items-end sm:items-center justify-center bg-black/40 p-4">
+        <div
+            role="dialog"
+            aria-modal="true"
+            aria-labelledby="account-merge-title"
+            className="w-full max-w-md bg-white rounded-3xl shadow-2xl p-6 space-y-4"
+        >
+            <h3 id="account-merge-title" className="text-lg font-bold text-gray-900">這個帳號已經有資料</h3>
+            <p className="text-sm text-gray-500">
+                {providerLabel} 帳號曾在其他裝置使用過。這台裝置目前有 {deviceProductCount} 件產品，要一起帶到帳號嗎？
+            </p>
+
+            <div className="space-y-2">
+                <button
+                    type="button"
+                    onClick={onMerge}
+                    disabled={isWorking}
+                    className="w-full p-3 rounded-2xl border-2 border-teal-400 bg-teal-50 text-left disabled:opacity-50"
+                >
+                    <span className="block text-sm font-semibold text-gray-800">合併到帳號</span>
+                    <span className="block text-xs text-gray-500 mt-0.5">登入後先預覽，相同的產品會合併，其餘新增 (含照片與備品)</span>
+                </button>
+                <button
+                    type="button"
+                    onClick={onSwitch}
+                    disabled={isWorking}
+                    className="w-full p-3 rounded-2xl border-2 border-gray-100 bg-gray-50 text-left disabled:opacity-50"
+                >
+                    <span className="block text-sm font-semibold text-gray-800">只使用帳號中的資料</span>
+                    <span className="block text-xs text-gray-500 mt-0.5">這台裝置的產品、保養流程與設定都不會保留</span>
+                </button>
+            </div>
+
+            <p className="text-xs text-amber-700">
+                ⚠️ 不論選哪一種，這台裝置的保養流程、打卡紀錄、條碼目錄與設定都不會轉移，登入後以帳號中的為準。
+            </p>
+
+            {message && (
+                <p className={`flex items-center text-sm font-medium ${
+                    message.includes('❌') || message.includes('失敗') ? 'text-red-700' : 'text-teal-700'
+                }`}>
+                    {isWorking && <Loader className="w-4 h-4 mr-2 flex-shrink-0 animate-spin" />}
+                    {message}
+                </p>
+            )}
+
+            <button
+                type="button"
+                onClick={onCancel}
+                disabled={isWorking}
+                className="w-full px-6 py-3 bg-gray-100 text-gray-700 font-semibold rounded-2xl active:scale-95 disabled:opacity-50"
+            >
+                取消，維持訪客模式
+            </button>
+        </div>
+    </div>
+);
+
+export default AccountMergeDialog;
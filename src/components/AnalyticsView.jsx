@@ -0,0 +1,153 @@
+import React, { useState, useMemo } from 'react';
+import { ArrowLeft } from 'lucide-react';
+import { getPurchases, getCurrencies, getMonthlySpend, getSpendBy, getAverageDaysToFinish, getWaste } from '../analytics/productAnalytics';
+import { getProductUnits } from '../units/productUnits';
+import { getCategoryLabel } from '../utils/categories';
+import { formatMoney } from '../utils/currency';
+import { getTodayString } from '../utils/date';
+
+// 排行只顯示前幾名
+const TOP_GROUPS = 5;
+
+const StatCard = ({ label, value, hint, tone = 'text-gray-900' }) => (
+    <div className="p-4 bg-white/80 backdrop-blur-sm rounded-3xl shadow-md border border-gray-100">
+        <p className="text-xs font-semibold text-gray-500">{label}</p>
+        <p className={`text-xl font-extrabold mt-1 ${tone}`}>{value}</p>
+        {hint && <p className="text-xs text-gray-400 mt-0.5">{hint}</p>}
+    </div>
+);
+
+const Section = ({ title, children }) => (
+    <section className="p-4 bg-white/80 backdrop-blur-sm rounded-3xl shadow-md border border-gray-100 space-y-3">
+        <h3 className="text-sm font-bold text-gray-700">{title}</h3>
+        {children}
+    </section>
+);
+
+const MonthlyChart = ({ months, currency }) => {
+    const max = Math.max(...months.map(month => month.total), 1);
+    return (
+        <div className="flex items-end gap-1 h-36" role="img" aria-label="每月花費長條圖">
+            {months.map(({ month, total }) => (
+                <div key={month} className="flex-1 flex flex-col items-center justify-end h-full" title={`${month}：${formatMoney(total, currency)}`}>
+                    <div
+                        className="w-full rounded-t-lg bg-gradient-to-t from-teal-500 to-emerald-400"
+                        style={{ height: `${(total / max) * 100}%`, minHeight: total > 0 ? '4px' : 0 }}
+                    />
+                    <span className="mt-1 text-[10px] text-gray-400">{Number(month.slice(5))}月</span>
+                </div>
+            ))}
+        </div>
+    );
+};
+
+const RankingBars = ({ groups, currency }) => {
+    if (groups.length === 0) return <p className="text-xs text-gray-400">尚無資料</p>;
+    const max = groups[0].total;
+    return (
+        <ul className="space-y-2">
+            {groups.slice(0, TOP_GROUPS).map(({ label, total, count }) => (
+                <li key={label} className="space-y-1">
+                    <div className="flex justify-between text-xs">
+                        <span className="font-semibold text-gray-700 truncate">{label}</span>
+                        <span className="text-gray-500 whitespace-nowrap ml-2">{formatMoney(total, currency)} • {count} 瓶</span>
+                    </div>
+                    <div className="h-2 rounded-full bg-gray-100 overflow-hidden">
+                        <div className="h-full rounded-full bg-gradient-to-r from-teal-400 to-emerald-500" style={{ width: `${(total / max) * 100}%` }} />
+                    </div>
+                </li>
+            ))}
+        </ul>
+    );
+};
+
+/**
+ * Spending and waste figures computed on the device from the product list, so they
+ * also work offline.
+ * @param {{ products: Array<object>, onBack: () => void }} props Products not in the trash, archived ones included
+ */
+const AnalyticsView = ({ products, onBack }) => {
+    const today = getTodayString();
+    const purchases = useMemo(() => getPurchases(products), [products]);
+    const currencies = useMemo(() => getCurrencies(purchases), [purchases]);
+    const [selectedCurrency, setSelectedCurrency] = useState(null);
+    const currency = currencies.includes(selectedCurrency) ? selectedCurrency : currencies[0];
+
+    const inCurrency = useMemo(() => purchases.filter(purchase => purchase.currency === currency), [purchases, currency]);
+    const totalSpend = inCurrency.reduce((sum, purchase) => sum + purchase.price, 0);
+    const waste = getWaste(inCurrency, today);
+    const finishTime = useMemo(() => getAverageDaysToFinish(products), [products]);
+    const unpricedCount = products.reduce((count, product) => count + getProductUnits(product).length, 0) - purchases.length;
+
+    return (
+        <div className="p-5 space-y-4">
+            <button
+                type="button"
+                onClick={onBack}
+                className="flex items-center text-sm font-semibold text-teal-700 hover:text-teal-800"
+            >
+                <ArrowLeft className="w-4 h-4 mr-1" /> 返回清單
+            </button>
+
+            <div className="flex items-end justify-between gap-3">
+                <div>
+                    <h2 className="text-2xl font-bold bg-gradient-to-r from-teal-600 to-emerald-600 bg-clip-text text-transparent">
+                        花費統計
+                    </h2>
+                    <p className="text-sm text-gray-500 mt-1">
+                        {unpricedCount > 0 ? `${unpricedCount} 瓶未填價格，未計入花費` : '依產品的價格與購入日期計算'}
+                    </p>
+                </div>
+                {currencies.length > 1 && (
+                    <select
+                        value={currency}
+                        onChange={(e) => setSelectedCurrency(e.target.value)}
+                        aria-label="幣別"
+                        className="px-3 py-2 rounded-xl border-2 border-gray-200 bg-white text-sm focus:border-teal-400"
+                    >
+                        {currencies.map(code => <option key={code} value={code}>{code}</option>)}
+                    </select>
+                )}
+            </div>
+
+            <div className="grid grid-cols-2 gap-3">
+                <StatCard label="總花費" value={currency ? formatMoney(totalSpend, currency) : '—'} hint={`${inCurrency.length} 瓶`} />
+                <StatCard
+                    label="過期浪費"
+                    value={currency ? formatMoney(waste.total, currency) : '—'}
+                    hint={waste.count > 0 ? `${waste.count} 瓶 • 佔 ${Math.round(waste.share * 100)}%` : '沒有過期未用完的產品'}
+                    tone={waste.total > 0 ? 'text-red-600' : 'text-gray-900'}
+                />
+                <StatCard
+                    label="開封到用完"
+                    value={finishTime.days != null ? `平均 ${finishTime.days} 天` : '—'}
+                    hint={finishTime.count > 0 ? `依 ${finishTime.count} 件用完的產品` : '還沒有用完的紀錄'}
+                />
+            </div>
+
+            {currency ? (
+                <>
+                    <Section title="每月花費 (近 12 個月)">
+                        <MonthlyChart months={getMonthlySpend(inCurrency, today)} currency={currency} />
+                    </Section>
+                    <Section title="品牌花費">
+                        <RankingBars groups={getSpendBy(inCurrency, product => product.brand || '未填品牌')} currency={currency} />
+                    </Section>
+                    <Section title="類別花費">
+                        <RankingBars groups={getSpendBy(inCurrency, product => getCategoryLabel(product.category) || '未分類')} currency={currency} />
+                    </Section>
+                    <Section title="通路花費">
+                        <RankingBars groups={getSpendBy(inCurrency, (product, unit) => unit.store || '未填通路')} currency={currency} />
+                    </Section>
+                </>
+            ) : (
+                <div className="text-center py-12 bg-white/60 rounded-3xl border-2 border-dashed border-gray-200">
+                    <p className="text-gray-600 font-semibold">還沒有價格資料</p>
+                    <p className="text-gray-500 text-sm mt-1">在產品中填寫價格後，這裡會顯示花費統計</p>
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default AnalyticsView;
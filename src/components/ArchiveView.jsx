@@ -0,0 +1,144 @@
+import React, { useState, useMemo } from 'react';
+import { ArrowLeft, Package, RotateCcw } from 'lucide-react';
+import { usePhotoUrl } from '../photos/usePhotoUrl';
+import { LIFECYCLE_STATES, getLifecycleState, getDiscardReasonLabel } from '../utils/lifecycle';
+import ProductFeedback from './ProductFeedback';
+import StarRating from './StarRating';
+
+const TABS = [
+    { value: 'all', label: '全部' },
+    { value: 'finished', label: '已用完' },
+    { value: 'discarded', label: '已丟棄' },
+];
+
+const getEndDate = (product) => product.finishedDate || product.discardedDate || '';
+
+const ArchiveRow = ({ product, photoStore, canEdit, onOpen, onUpdate, onRestore }) => {
+    const state = getLifecycleState(product);
+    const thumbnailUrl = usePhotoUrl(photoStore, product.photo || null, 'thumbnail') || product.photoBase64 || null;
+
+    return (
+        <li
+            onClick={() => onOpen(product)}
+            className="flex gap-3 p-4 bg-white/80 backdrop-blur-sm rounded-3xl shadow-md border border-gray-100 cursor-pointer hover:shadow-lg transition-all duration-300"
+        >
+            <div className="w-16 h-16 flex-shrink-0 rounded-2xl overflow-hidden bg-gradient-to-br from-gray-100 to-gray-200 flex items-center justify-center">
+                {thumbnailUrl
+                    ? <img src={thumbnailUrl} alt={product.name} className="w-full h-full object-cover" />
+                    : <Package className="w-7 h-7 text-gray-300" />}
+            </div>
+            <div className="flex-grow min-w-0 space-y-1.5">
+                <div className="flex items-start justify-between gap-2">
+                    <div className="min-w-0">
+                        <p className="text-xs font-bold uppercase tracking-wider text-teal-600 truncate">{product.brand}</p>
+                        <p className="font-bold text-gray-900 truncate">{product.name}</p>
+                    </div>
+                    {canEdit && (
+                        <button
+                            type="button"
+                            onClick={(e) => {
+                                e.stopPropagation();
+                                onRestore(product);
+                            }}
+                            className="flex-shrink-0 flex items-center px-2.5 py-1 rounded-full bg-gray-100 text-xs font-semibold text-gray-500 hover:bg-gray-200"
+                            style={{ minHeight: 'auto', minWidth: 'auto' }}
+                        >
+                            <RotateCcw className="w-3.5 h-3.5 mr-1" /> 移回清單
+                        </button>
+                    )}
+                </div>
+                <p className="text-xs text-gray-500">
+                    <span className={`px-2 py-0.5 rounded-full font-semibold ${LIFECYCLE_STATES[state].badgeStyle}`}>
+                        {LIFECYCLE_STATES[state].label}
+                    </span>
+                    <span className="ml-2">{getEndDate(product)}</span>
+                    {state === 'discarded' && product.discardReason && (
+                        <span className="ml-2">• {getDiscardReasonLabel(product.discardReason)}</span>
+                    )}
+                </p>
+                {canEdit
+                    ? <ProductFeedback product={product} onUpdate={(changes) => onUpdate(product, changes)} />
+                    : product.rating > 0 && <StarRating value={product.rating} />}
+            </div>
+        </li>
+    );
+};
+
+/**
+ * "Empties" archive: finished and discarded products with their rating and repurchase flag,
+ * newest first, so they can be checked before buying again.
+ * @param {{ products: Array<object>, photoStore: object, onBack: () => void, onOpen: (product: object) => void, onUpdate: (product: object, changes: object) => void, onRestore: (product: object) => void, canEdit?: boolean }} props
+ *   `canEdit` is false for viewers of a shared inventory: ratings are shown read-only
+ */
+const ArchiveView = ({ products, photoStore, onBack, onOpen, onUpdate, onRestore, canEdit = true }) => {
+    const [tab, setTab] = useState('all');
+
+    const visibleProducts = useMemo(() => products
+        .filter(product => tab === 'all' || getLifecycleState(product) === tab)
+        .sort((a, b) => getEndDate(b).localeCompare(getEndDate(a))), [products, tab]);
+
+    const finishedCount = products.filter(product => getLifecycleState(product) === 'finished').length;
+
+    return (
+        <div className="p-5 space-y-4">
+            <button
+                type="button"
+                onClick={onBack}
+                className="flex items-center text-sm font-semibold text-teal-700 hover:text-teal-800"
+            >
+                <ArrowLeft className="w-4 h-4 mr-1" /> 返回清單
+            </button>
+
+            <div>
+                <h2 className="text-2xl font-bold bg-gradient-to-r from-teal-600 to-emerald-600 bg-clip-text text-transparent">
+                    空瓶紀錄
+                </h2>
+                <p className="text-sm text-gray-500 mt-1">
+                    用完 {finishedCount} 件 • 丟棄 {products.length - finishedCount} 件
+                </p>
+            </div>
+
+            <div className="flex gap-2">
+                {TABS.map(option => (
+                    <button
+                        key={option.value}
+                        type="button"
+                        onClick={() => setTab(option.value)}
+                        aria-pressed={tab === option.value}
+                        className={`px-4 py-1.5 rounded-full text-sm font-semibold transition-all duration-300 ${
+                            tab === option.value
+                                ? 'bg-gradient-to-r from-teal-500 to-emerald-500 text-white shadow-md'
+                                : 'bg-white text-gray-600 border border-gray-200'
+                        }`}
+                        style={{ minHeight: 'auto' }}
+                    >
+                        {option.label}
+                    </button>
+                ))}
+            </div>
+
+            {visibleProducts.length === 0 ? (
+                <div className="text-center py-16 bg-white/60 rounded-3xl border-2 border-dashed border-gray-200">
+                    <p className="text-gray-600 font-semibold">還沒有紀錄</p>
+                    <p className="text-gray-500 text-sm mt-2">在產品卡片上按「用完」或「丟棄」就會出現在這裡</p>
+                </div>
+            ) : (
+                <ul className="space-y-3">
+                    {visibleProducts.map(product => (
+                        <ArchiveRow
+                            key={product.id}
+                            product={product}
+                            photoStore={photoStore}
+                            canEdit={canEdit}
+                            onOpen={onOpen}
+                            onUpdate={onUpdate}
+                            onRestore={onRestore}
+                        />
+                    ))}
+                </ul>
+            )}
+        </div>
+    );
+};
+
+export default ArchiveView;
@@ -0,0 +1,164 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { X, Loader, ScanLine } from 'lucide-react';
+import { createBarcodeDetector } from '../barcode/barcodeDetector';
+import { normalizeBarcode } from '../barcode/barcodeFormats';
+
+// 每秒掃描約 5 格畫面，手機上不會太耗電
+const SCAN_INTERVAL_MS = 200;
+
+const getCameraErrorMessage = (error) => {
+    if (error.name === 'NotAllowedError') return '❌ 未允許使用相機，請在瀏覽器設定中開啟權限，或手動輸入條碼。';
+    if (error.name === 'NotFoundError') return '❌ 找不到相機，請手動輸入條碼。';
+    return `❌ 相機啟動失敗: ${error.message}`;
+};
+
+/**
+ * Full-screen camera view that reads EAN/UPC barcodes. Uses the rear camera and stops it
+ * as soon as a code is found or the dialog closes. Codes can also be typed in by hand.
+ * @param {{ onDetected: (barcode: string) => void, onClose: () => void }} props
+ */
+const BarcodeScanner = ({ onDetected, onClose }) => {
+    const videoRef = useRef(null);
+    const [isStarting, setIsStarting] = useState(true);
+    const [errorMessage, setErrorMessage] = useState('');
+    const [manualCode, setManualCode] = useState('');
+    const [manualError, setManualError] = useState('');
+
+    // 父元件每次重新渲染都會產生新的 onDetected，用 ref 避免重啟相機
+    const onDetectedRef = useRef(onDetected);
+    useEffect(() => {
+        onDetectedRef.current = onDetected;
+    }, [onDetected]);
+
+    useEffect(() => {
+        let stream = null;
+        let timer = null;
+        let isCancelled = false;
+
+        const stop = () => {
+            isCancelled = true;
+            clearTimeout(timer);
+            stream?.getTracks().forEach(track => track.stop());
+        };
+
+        const start = async () => {
+            try {
+                if (!navigator.mediaDevices?.getUserMedia) {
+                    throw Object.assign(new Error('此瀏覽器不支援相機'), { name: 'NotFoundError' });
+                }
+                // 先準備好辨識器再開相機：辨識器載入失敗時相機不會被開著沒人關
+                const detector = await createBarcodeDetector();
+                if (isCancelled) return;
+                stream = await navigator.mediaDevices.getUserMedia({ video: { facingMode: 'environment' }, audio: false });
+                if (isCancelled) {
+                    stop();
+                    return;
+                }
+
+                const video = videoRef.current;
+                video.srcObject = stream;
+                await video.play();
+                setIsStarting(false);
+
+                const canvas = document.createElement('canvas');
+                const context = canvas.getContext('2d', { willReadFrequently: true });
+
+                const scanFrame = async () => {
+                    if (isCancelled) return;
+                    if (video.videoWidth > 0) {
+                        canvas.width = video.videoWidth;
+                        canvas.height = video.videoHeight;
+                        context.drawImage(video, 0, 0);
+                        const results = await detector.detect(canvas);
+                        const barcode = results
+                            .map(result => normalizeBarcode(result.rawValue, result.format))
+                            .find(Boolean);
+                        if (barcode && !isCancelled) {
+                            stop();
+                            navigator.vibrate?.(50);
+                            onDetectedRef.current(barcode);
+                            return;
+                        }
+                    }
+                    timer = setTimeout(scanFrame, SCAN_INTERVAL_MS);
+                };
+                scanFrame();
+            } catch (error) {
+                if (isCancelled) return;
+                console.error("Barcode Scanner Error:", error);
+                stop();
+                setIsStarting(false);
+                setErrorMessage(getCameraErrorMessage(error));
+            }
+        };
+
+        start();
+        return stop;
+    }, []);
+
+    const handleManualSubmit = (e) => {
+        e.preventDefault();
+        const barcode = normalizeBarcode(manualCode);
+        if (!barcode) {
+            setManualError('條碼格式不正確，請確認為 8、12 或 13 位數字。');
+            return;
+        }
+        onDetected(barcode);
+    };
+
+    return (
+        <div className="fixed inset-0 z-[60] flex flex-col bg-black" role="dialog" aria-modal="true" aria-label="掃描條碼">
+            <div className="flex items-center justify-between p-4 text-white">
+                <p className="font-semibold flex items-center">
+                    <ScanLine className="w-5 h-5 mr-2" /> 掃描條碼
+                </p>
+                <button type="button" onClick={onClose} className="p-2 rounded-full hover:bg-white/10" aria-label="關閉掃描">
+                    <X className="w-6 h-6" />
+                </button>
+            </div>
+
+            <div className="relative flex-grow flex items-center justify-center overflow-hidden">
+                <video ref={videoRef} className="w-full h-full object-cover" playsInline muted />
+                {!errorMessage && (
+                    <div className="absolute inset-x-8 top-1/2 -translate-y-1/2 h-32 border-2 border-white/80 rounded-2xl pointer-events-none" />
+                )}
+                {isStarting && (
+                    <p className="absolute flex items-center text-white text-sm">
+                        <Loader className="w-4 h-4 mr-2 animate-spin" /> 正在啟動相機...
+                    </p>
+                )}
+                {errorMessage && (
+                    <p className="absolute inset-x-6 p-4 rounded-2xl bg-red-50 text-red-700 text-sm font-medium">{errorMessage}</p>
+                )}
+            </div>
+
+            <form onSubmit={handleManualSubmit} className="p-4 bg-white space-y-2">
+                <label htmlFor="manual-barcode" className="block text-sm font-semibold text-gray-700">或手動輸入條碼</label>
+                <div className="flex gap-2">
+                    <input
+                        id="manual-barcode"
+                        type="text"
+                        inputMode="numeric"
+                        value={manualCode}
+                        onChange={(e) => {
+                            setManualCode(e.target.value);
+                            setManualError('');
+                        }}
+                        placeholder="例如: 4901234567894"
+                        className="flex-grow px-3 py-2 rounded-xl border-2 border-gray-200 focus:border-teal-400"
+                    />
+                    <button
+                        type="submit"
+                        disabled={!manualCode.trim()}
+                        className="px-4 py-2 rounded-xl bg-gradient-to-r from-teal-500 to-emerald-600 text-sm font-semibold text-white disabled:opacity-50"
+                    >
+                        確認
+                    </button>
+                </div>
+                {manualError && <p className="text-xs text-red-600">{manualError}</p>}
+            </form>
+        </div>
+    );
+};
+
+export default BarcodeScanner;
@@ -0,0 +1,50 @@
+import React from 'react';
+import { Hash } from 'lucide-react';
+import { getCategoryLabel } from '../utils/categories';
+
+/**
+ * Shows what the batch code decodes to and the expiry suggested from it, with a button
+ * that copies both dates into the form. Renders a short note when the code is not recognized.
+ * @param {{ batchCode: string, decoded: {manufactureDate: string, precision: 'day' | 'month', ruleLabel: string} | null, suggestedExpiry: string | null, shelfLifeMonths: number, isKnownShelfLife?: boolean, category: string, canApplyExpiry: boolean, onApply: () => void }} props
+ */
+const BatchCodeHint = ({ batchCode, decoded, suggestedExpiry, shelfLifeMonths, isKnownShelfLife = false, category, canApplyExpiry, onApply }) => {
+    if (!batchCode || batchCode.trim().length < 3) {
+        return null;
+    }
+
+    if (!decoded) {
+        return (
+            <p className="text-xs text-gray-400 -mt-2 px-1">
+                無法從此批號推估製造日期（可能是尚未支援的品牌格式）
+            </p>
+        );
+    }
+
+    const manufactureText = decoded.precision === 'month'
+        ? decoded.manufactureDate.slice(0, 7)
+        : decoded.manufactureDate;
+
+    return (
+        <div className="-mt-2 p-3 rounded-2xl bg-sky-50/70 border border-sky-100 space-y-2">
+            <p className="text-sm text-sky-800 flex items-center">
+                <Hash className="w-4 h-4 mr-1.5 text-sky-500" />
+                推估製造日期：<span className="font-semibold ml-1">{manufactureText}</span>
+            </p>
+            <p className="text-xs text-sky-700/80">依據：{decoded.ruleLabel}</p>
+            {suggestedExpiry && (
+                <p className="text-xs text-sky-700/80">
+                    建議效期：{suggestedExpiry}（{isKnownShelfLife ? '依此產品過去的紀錄，' : getCategoryLabel(category) || '一般產品'}未開封約 {shelfLifeMonths} 個月）
+                </p>
+            )}
+            <button
+                type="button"
+                onClick={onApply}
+                className="px-3 py-1.5 text-xs font-semibold text-white bg-gradient-to-r from-sky-500 to-indigo-500 rounded-full shadow-md hover:shadow-lg transition-all duration-300 active:scale-95"
+            >
+                {canApplyExpiry ? '套用製造日期與推估效期' : '套用製造日期'}
+            </button>
+        </div>
+    );
+};
+
+export default BatchCodeHint;
@@ -0,0 +1,169 @@
+import React, { useState } from 'react';
+import { X, CheckSquare, PackageOpen, Tag, MapPin, Download, Trash2, Loader } from 'lucide-react';
+import { CATEGORY_OPTIONS } from '../utils/categories';
+import { getTodayString } from '../utils/date';
+
+const ACTIONS = [
+    { action: 'open', label: '開封', icon: <PackageOpen className="w-5 h-5" />, needsValue: true },
+    { action: 'category', label: '類別', icon: <Tag className="w-5 h-5" />, needsValue: true },
+    { action: 'location', label: '位置', icon: <MapPin className="w-5 h-5" />, needsValue: true },
+    { action: 'export', label: '匯出', icon: <Download className="w-5 h-5" /> },
+    { action: 'delete', label: '刪除', icon: <Trash2 className="w-5 h-5" /> },
+];
+
+const PANEL_TITLES = {
+    open: '設定開封日期',
+    category: '變更類別',
+    location: '變更存放位置',
+};
+
+const initialValueFor = (action) => {
+    if (action === 'open') return getTodayString();
+    if (action === 'category') return CATEGORY_OPTIONS[0].value;
+    return '';
+};
+
+/**
+ * Bottom bar shown in selection mode: selection count, select-all for the current filter,
+ * and bulk actions. Actions that need a value (date, category, location) open a small panel.
+ * @param {{ selectedCount: number, visibleCount: number, isAllVisibleSelected: boolean, locations: string[], isWorking: boolean, workingMessage: string, onSelectAll: () => void, onExit: () => void, onAction: (action: string, value?: string) => void }} props
+ */
+const BulkActionBar = ({ selectedCount, visibleCount, isAllVisibleSelected, locations, isWorking, workingMessage, onSelectAll, onExit, onAction }) => {
+    const [panel, setPanel] = useState(null);
+    const [value, setValue] = useState('');
+
+    const openPanel = (action) => {
+        setPanel(action);
+        setValue(initialValueFor(action));
+    };
+
+    const handleAction = ({ action, needsValue }) => {
+        if (needsValue) {
+            openPanel(action);
+        } else {
+            onAction(action);
+        }
+    };
+
+    const handleApply = () => {
+        onAction(panel, value.trim());
+        setPanel(null);
+    };
+
+    const isDisabled = isWorking || selectedCount === 0;
+
+    return (
+        <div className="fixed bottom-0 inset-x-0 z-50 p-3">
+            <div className="max-w-lg mx-auto bg-white/95 backdrop-blur-xl rounded-3xl shadow-2xl border border-gray-100 p-3 space-y-3">
+                <div className="flex items-center justify-between gap-2">
+                    <button
+                        type="button"
+                        onClick={onExit}
+                        className="flex items-center justify-center w-10 h-10 rounded-xl text-gray-500 hover:bg-gray-100"
+                        aria-label="結束選取"
+                    >
+                        <X className="w-5 h-5" />
+                    </button>
+                    <p className="flex-grow text-sm font-bold text-gray-800">
+                        {isWorking ? (
+                            <span className="flex items-center text-teal-700">
+                                <Loader className="w-4 h-4 mr-1.5 animate-spin" /> {workingMessage}
+                            </span>
+                        ) : `已選取 ${selectedCount} 件`}
+                    </p>
+                    <button
+                        type="button"
+                        onClick={onSelectAll}
+                        disabled={isWorking || visibleCount === 0}
+                        className="flex items-center px-3 py-2 rounded-xl text-sm font-semibold text-teal-700 hover:bg-teal-50 disabled:opacity-50"
+                        style={{ minHeight: 'auto' }}
+                    >
+                        <CheckSquare className="w-4 h-4 mr-1" />
+                        {isAllVisibleSelected ? '取消全選' : `全選 (${visibleCount})`}
+                    </button>
+                </div>
+
+                {panel && (
+                    <div className="p-3 rounded-2xl bg-gray-50 space-y-2">
+                        <p className="text-sm font-semibold text-gray-700">{PANEL_TITLES[panel]}</p>
+                        {panel === 'open' && (
+                            <input
+                                type="date"
+                                value={value}
+                                onChange={(e) => setValue(e.target.value)}
+                                aria-label="開封日期"
+                                className="w-full px-3 py-2 rounded-xl border-2 border-gray-200 focus:border-teal-400"
+                            />
+                        )}
+                        {panel === 'category' && (
+                            <select
+                                value={value}
+                                onChange={(e) => setValue(e.target.value)}
+                                aria-label="類別"
+                                className="w-full px-3 py-2 rounded-xl border-2 border-gray-200 bg-white focus:border-teal-400"
+                            >
+                                {CATEGORY_OPTIONS.map(option => (
+                                    <option key={option.value} value={option.value}>{option.label}</option>
+                                ))}
+                            </select>
+                        )}
+                        {panel === 'location' && (
+                            <>
+                                <input
+                                    type="text"
+                                    value={value}
+                                    onChange={(e) => setValue(e.target.value)}
+                                    list="bulk-location-options"
+                                    placeholder="例如: 浴室櫃、梳妝台、冰箱"
+                                    aria-label="存放位置"
+                                    className="w-full px-3 py-2 rounded-xl border-2 border-gray-200 focus:border-teal-400"
+                                />
+                                <datalist id="bulk-location-options">
+                                    {locations.map(location => <option key={location} value={location} />)}
+                                </datalist>
+                            </>
+                        )}
+                        <div className="flex gap-2">
+                            <button
+                                type="button"
+                                onClick={() => setPanel(null)}
+                                className="flex-1 py-2 rounded-xl bg-gray-200 text-sm font-semibold text-gray-700"
+                                style={{ minHeight: 'auto' }}
+                            >
+                                取消
+                            </button>
+                            <button
+                                type="button"
+                                onClick={handleApply}
+                                disabled={isDisabled || (panel === 'open' && !value)}
+                                className="flex-1 py-2 rounded-xl bg-gradient-to-r from-teal-500 to-emerald-600 text-sm font-semibold text-white disabled:opacity-50"
+                                style={{ minHeight: 'auto' }}
+                            >
+                                套用到 {selectedCount} 件
+                            </button>
+                        </div>
+                    </div>
+                )}
+
+                <div className="grid grid-cols-5 gap-1">
+                    {ACTIONS.map(item => (
+                        <button
+                            key={item.action}
+                            type="button"
+                            onClick={() => handleAction(item)}
+                            disabled={isDisabled}
+                            className={`flex flex-col items-center gap-0.5 py-1.5 rounded-xl text-xs font-semibold transition-all duration-300 disabled:opacity-40 ${
+                                item.action === 'delete' ? 'text-rose-600 hover:bg-rose-50' : 'text-gray-600 hover:bg-gray-100'
+                            } ${panel === item.action ? 'bg-teal-50 text-teal-700' : ''}`}
+                        >
+                            {item.icon}
+                            {item.label}
+                        </button>
+                    ))}
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default BulkActionBar;
@@ -0,0 +1,48 @@
+import React from 'react';
+import { Barcode, X } from 'lucide-react';
+import { getCategoryLabel } from '../utils/categories';
+
+/**
+ * Result of a barcode scan: the catalog entry learned from earlier bottles (if any) and a
+ * notice when the same product is already on the shelf.
+ * @param {{ barcode: string, entry: object | null, owned: { total: number, unopened: number }, onClear: () => void }} props
+ */
+const CatalogMatch = ({ barcode, entry, owned, onClear }) => (
+    <div className="p-3 rounded-2xl bg-teal-50/70 border border-teal-100 space-y-2">
+        <div className="flex items-center justify-between">
+            <p className="text-sm font-semibold text-teal-800 flex items-center">
+                <Barcode className="w-4 h-4 mr-1.5 text-teal-500" /> {barcode}
+            </p>
+            <button type="button" onClick={onClear} className="p-1 text-teal-400 hover:text-teal-600" aria-label="移除條碼">
+                <X className="w-4 h-4" />
+            </button>
+        </div>
+
+        {entry ? (
+            <>
+                <p className="text-sm text-teal-800">
+                    已從產品目錄帶入：<span className="font-semibold">{entry.brand} {entry.name}</span>
+                </p>
+                <p className="text-xs text-teal-700/80">
+                    {[
+                        getCategoryLabel(entry.category),
+                        entry.volume,
+                        entry.paoMonths && `PAO ${entry.paoMonths}M`,
+                        entry.shelfLifeMonths && `未開封約 ${entry.shelfLifeMonths} 個月`,
+                    ].filter(Boolean).join('・')}
+                </p>
+            </>
+        ) : (
+            <p className="text-xs text-teal-700/80">第一次掃到這個條碼，儲存後下次就能自動帶入。</p>
+        )}
+
+        {owned.total > 0 && (
+            <p className="text-sm font-semibold text-amber-700 bg-amber-50 rounded-xl px-3 py-2">
+                ⚠️ 你已經有 {owned.total} 件
+                {owned.unopened > 0 && `（未開封 ${owned.unopened} 件）`}
+            </p>
+        )}
+    </div>
+);
+
+export default CatalogMatch;
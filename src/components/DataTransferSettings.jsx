@@ -0,0 +1,84 @@
+import React, { useRef } from 'react';
+import { Download, Upload, Loader } from 'lucide-react';
+import ImportPreviewDialog from './ImportPreviewDialog';
+
+const EXPORT_OPTIONS = [
+    { format: 'jsonWithPhotos', label: '完整備份 (JSON，含照片)' },
+    { format: 'json', label: 'JSON (不含照片)' },
+    { format: 'csv', label: 'CSV 試算表' },
+];
+
+/**
+ * Backup section of the settings screen: export the whole inventory and import a
+ * JSON backup or a CSV spreadsheet.
+ * @param {{ dataTransfer: ReturnType<typeof import('../export/useDataTransfer').useDataTransfer>, productCount: number, canImport?: boolean }} props
+ *   `canImport` is false for viewers of a shared inventory, who can only export
+ */
+const DataTransferSettings = ({ dataTransfer, productCount, canImport = true }) => {
+    const { isWorking, transferMessage, importPreview, exportProducts, previewImport, cancelImport, confirmImport } = dataTransfer;
+    const fileInputRef = useRef(null);
+
+    const handleFileChange = (e) => {
+        const file = e.target.files[0];
+        // 同一個檔案可以再選一次
+        e.target.value = '';
+        if (file) previewImport(file);
+    };
+
+    return (
+        <section className="space-y-3">
+            <h3 className="text-lg font-bold text-gray-800">💾 備份與搬移</h3>
+            <p className="text-xs text-gray-500">匯出全部 {productCount} 件產品 (含空瓶紀錄)，或從備份檔、試算表匯入。</p>
+            <div className="grid grid-cols-1 gap-2">
+                {EXPORT_OPTIONS.map(option => (
+                    <button
+                        key={option.format}
+                        type="button"
+                        onClick={() => exportProducts(option.format)}
+                        disabled={isWorking || productCount === 0}
+                        className="flex items-center px-4 py-3 rounded-2xl bg-gray-50 text-sm font-semibold text-gray-700 hover:bg-gray-100 disabled:opacity-50"
+                    >
+                        <Download className="w-4 h-4 mr-2 text-teal-600" /> 匯出{option.label}
+                    </button>
+                ))}
+                <button
+                    type="button"
+                    onClick={() => fileInputRef.current?.click()}
+                    disabled={isWorking || !canImport}
+                    className="flex items-center px-4 py-3 rounded-2xl bg-teal-50 text-sm font-semibold text-teal-700 hover:bg-teal-100 disabled:opacity-50"
+                >
+                    <Upload className="w-4 h-4 mr-2" /> 匯入 JSON / CSV
+                </button>
+                <input
+                    ref={fileInputRef}
+                    type="file"
+                    accept=".json,.csv,application/json,text/csv"
+                    onChange={handleFileChange}
+                    className="hidden"
+                />
+                {!canImport && <p className="text-xs text-gray-500">檢視者無法匯入到共用清單。</p>}
+            </div>
+            {transferMessage && !importPreview && (
+                <p className={`flex items-center text-sm font-medium ${
+                    transferMessage.includes('❌') || transferMessage.includes('失敗') ? 'text-red-700' : 'text-teal-700'
+                }`}>
+                    {isWorking && <Loader className="w-4 h-4 mr-2 animate-spin" />}
+                    {transferMessage}
+                </p>
+            )}
+
+            {importPreview && canImport && (
+                <ImportPreviewDialog
+                    preview={importPreview}
+                    existingCount={productCount}
+                    isWorking={isWorking}
+                    message={transferMessage}
+                    onConfirm={confirmImport}
+                    onCancel={cancelImport}
+                />
+            )}
+        </section>
+    );
+};
+
+export default DataTransferSettings;
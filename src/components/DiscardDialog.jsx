@@ -0,0 +1,69 @@
+import React, { useState } from 'react';
+import { Trash2 } from 'lucide-react';
+import { DISCARD_REASONS } from '../utils/lifecycle';
+
+/**
+ * Asks why a product is being thrown away before moving it to the archive.
+ * @param {{ product: object, onConfirm: (reason: string) => void, onCancel: () => void }} props
+ */
+const DiscardDialog = ({ product, onConfirm, onCancel }) => {
+    const [reason, setReason] = useState('expired');
+
+    return (
+        <div className="fixed inset-0 z-[60] flex items-end sm:items-center justify-center bg-black/40 p-4" onClick={onCancel}>
+            <div
+                role="dialog"
+                aria-modal="true"
+                aria-labelledby="discard-dialog-title"
+                className="w-full max-w-md bg-white rounded-3xl shadow-2xl p-6 space-y-4"
+                onClick={(e) => e.stopPropagation()}
+            >
+                <h3 id="discard-dialog-title" className="text-lg font-bold text-gray-900">
+                    丟棄「{product.name}」
+                </h3>
+                <p className="text-sm text-gray-500">產品會移到「空瓶紀錄」，之後仍可查看或移回清單。</p>
+
+                <fieldset className="space-y-2">
+                    <legend className="text-sm font-semibold text-gray-700 mb-2">丟棄原因</legend>
+                    {DISCARD_REASONS.map(option => (
+                        <label
+                            key={option.value}
+                            className={`flex items-center gap-3 p-3 rounded-2xl border-2 cursor-pointer transition-all duration-300 ${
+                                reason === option.value ? 'border-rose-300 bg-rose-50' : 'border-gray-100 bg-gray-50'
+                            }`}
+                        >
+                            <input
+                                type="radio"
+                                name="discardReason"
+                                value={option.value}
+                                checked={reason === option.value}
+                                onChange={() => setReason(option.value)}
+                                className="accent-rose-500"
+                            />
+                            <span className="text-sm text-gray-700">{option.label}</span>
+                        </label>
+                    ))}
+                </fieldset>
+
+                <div className="flex gap-3 pt-2">
+                    <button
+                        type="button"
+                        onClick={onCancel}
+                        className="flex-1 px-6 py-3 bg-gray-100 hover:bg-gray-200 text-gray-700 font-semibold rounded-2xl transition-all duration-300 active:scale-95"
+                    >
+                        取消
+                    </button>
+                    <button
+                        type="button"
+                        onClick={() => onConfirm(reason)}
+                        className="flex-1 px-6 py-3 bg-gradient-to-r from-red-400 to-rose-500 text-white font-semibold rounded-2xl shadow-lg transition-all duration-300 active:scale-95"
+                    >
+                        <Trash2 className="w-4 h-4 inline-block mr-1" /> 丟棄
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default DiscardDialog;
@@ -0,0 +1,236 @@
+import React, { useState } from 'react';
+import { Copy, Loader, LogOut, UserMinus } from 'lucide-react';
+import { HOUSEHOLD_ROLES, INVITE_ROLE_OPTIONS, ROLE_OPTIONS, canManageMembers, normalizeInviteCode } from '../households/householdRoles';
+import { paths } from '../routing/routes';
+
+/**
+ * Shared inventories section of the settings screen: create one, join with a code, and
+ * for the active shared inventory its members, roles and invites.
+ * @param {{ households: ReturnType<typeof import('../households/useHouseholds').useHouseholds>, currentUserId: string, onJoinCode: (code: string) => void }} props
+ */
+const HouseholdSettings = ({ households, currentUserId, onJoinCode }) => {
+    const { activeHousehold, role, members, householdError } = households;
+    const [newName, setNewName] = useState('');
+    const [joinCode, setJoinCode] = useState('');
+    const [inviteRole, setInviteRole] = useState('editor');
+    // { code, expiresAt, role, householdId } 剛產生的邀請；切換清單後不再顯示
+    const [createdInvite, setCreatedInvite] = useState(null);
+    const [isWorking, setIsWorking] = useState(false);
+    const [statusMessage, setStatusMessage] = useState('');
+    const isManager = activeHousehold && canManageMembers(role);
+    const invite = createdInvite?.householdId === activeHousehold?.id ? createdInvite : null;
+    const ownerCount = members?.filter(member => member.role === 'owner').length || 0;
+
+    /**
+     * @param {() => Promise<void>} action
+     * @param {string} successMessage
+     */
+    const run = async (action, successMessage) => {
+        setIsWorking(true);
+        setStatusMessage('');
+        try {
+            await action();
+            setStatusMessage(successMessage);
+        } catch (error) {
+            console.error("Household Error:", error);
+            setStatusMessage(`❌ ${error.message}`);
+        } finally {
+            setIsWorking(false);
+        }
+    };
+
+    const handleCreate = (e) => {
+        e.preventDefault();
+        const name = newName.trim();
+        if (!name) return;
+        run(async () => {
+            await households.create(name);
+            setNewName('');
+        }, `✅ 已建立「${name}」，現在可以邀請家人加入`);
+    };
+
+    const handleJoin = (e) => {
+        e.preventDefault();
+        const code = normalizeInviteCode(joinCode);
+        if (!code) {
+            setStatusMessage('❌ 邀請代碼是 8 個英數字，請確認是否輸入正確。');
+            return;
+        }
+        onJoinCode(code);
+    };
+
+    const handleInvite = () => run(async () => {
+        setCreatedInvite({ ...(await households.invite(inviteRole)), role: inviteRole, householdId: activeHousehold.id });
+    }, '');
+
+    const inviteLink = invite ? `${window.location.origin}${paths.join(invite.code)}` : '';
+
+    const handleCopyLink = () => run(() => navigator.clipboard.writeText(inviteLink), '✅ 已複製邀請連結');
+
+    const handleRemove = (member) => {
+        if (!window.confirm(`要將「${member.name}」移出「${activeHousehold.name}」嗎？對方新增的產品會留在清單中。`)) return;
+        run(() => households.removeMember(member.id), `✅ 已移除 ${member.name}`);
+    };
+
+    const handleLeave = () => {
+        if (!window.confirm(`確定要離開「${activeHousehold.name}」嗎？你新增的產品會留在清單中，需要重新邀請才能再加入。`)) return;
+        run(households.leave, '✅ 已離開共用清單，回到個人清單');
+    };
+
+    return (
+        <section className="space-y-3">
+            <h3 className="text-lg font-bold text-gray-800">🏠 共用清單</h3>
+            <p className="text-xs text-gray-500">
+                和家人共用同一個保養櫃：建立共用清單後用連結或代碼邀請對方，雙方的變更會即時同步。個人清單不會被看到。
+            </p>
+
+            {activeHousehold && (
+                <div className="p-4 rounded-2xl bg-gray-50 space-y-3">
+                    <div>
+                        <p className="text-sm font-semibold text-gray-800">目前使用：{activeHousehold.name}</p>
+                        <p className="text-xs text-gray-500 mt-0.5">你的角色：{HOUSEHOLD_ROLES[role]?.label}（{HOUSEHOLD_ROLES[role]?.description}）</p>
+                    </div>
+
+                    <ul className="space-y-2">
+                        {members.map(member => (
+                            <li key={member.id} className="flex items-center justify-between gap-2 text-sm">
+                                <span className="min-w-0 truncate text-gray-700">
+                                    👤 {member.name}{member.id === currentUserId && <span className="text-gray-400">（你）</span>}
+                                </span>
+                                {isManager && member.id !== currentUserId ? (
+                                    <span className="flex items-center gap-1 flex-shrink-0">
+                                        <select
+                                            value={member.role}
+                                            onChange={(e) => run(() => households.changeRole(member.id, e.target.value), `✅ 已將 ${member.name} 設為${HOUSEHOLD_ROLES[e.target.value].label}`)}
+                                            disabled={isWorking}
+                                            aria-label={`${member.name} 的角色`}
+                                            className="px-2 py-1 rounded-xl border border-gray-200 bg-white text-xs"
+                                        >
+                                            {ROLE_OPTIONS.map(option => (
+                                                <option key={option.value} value={option.value}>{option.label}</option>
+                                            ))}
+                                        </select>
+                                        <button
+                                            type="button"
+                                            onClick={() => handleRemove(member)}
+                                            disabled={isWorking}
+                                            className="p-1.5 text-gray-400 hover:text-red-600"
+                                            aria-label={`移除 ${member.name}`}
+                                        >
+                                            <UserMinus className="w-4 h-4" />
+                                        </button>
+                                    </span>
+                                ) : (
+                                    <span className="flex-shrink-0 text-xs text-gray-500">{HOUSEHOLD_ROLES[member.role]?.label}</span>
+                                )}
+                            </li>
+                        ))}
+                    </ul>
+
+                    {isManager && (
+                        <div className="space-y-2 pt-1">
+                            <div className="flex gap-2">
+                                <select
+                                    value={inviteRole}
+                                    onChange={(e) => setInviteRole(e.target.value)}
+                                    aria-label="邀請的角色"
+                                    className="px-3 py-2 rounded-xl border border-gray-200 bg-white text-sm"
+                                >
+                                    {INVITE_ROLE_OPTIONS.map(option => (
+                                        <option key={option.value} value={option.value}>{option.label}</option>
+                                    ))}
+                                </select>
+                                <button
+                                    type="button"
+                                    onClick={handleInvite}
+                                    disabled={isWorking}
+                                    className="flex-1 px-4 py-2 rounded-xl bg-teal-50 text-sm font-semibold text-teal-700 hover:bg-teal-100 disabled:opacity-50"
+                                >
+                                    產生邀請
+                                </button>
+                            </div>
+                            {invite && (
+                                <div className="p-3 rounded-xl bg-white border border-teal-100 space-y-1">
+                                    <p className="text-xs text-gray-500">
+                                        邀請代碼 ({HOUSEHOLD_ROLES[invite.role].label}，{invite.expiresAt.toLocaleDateString('zh-TW')} 前有效)
+                                    </p>
+                                    <p className="text-xl font-mono font-bold tracking-widest text-gray-900">{invite.code}</p>
+                                    <button
+                                        type="button"
+                                        onClick={handleCopyLink}
+                                        className="flex items-center text-xs font-semibold text-teal-600 hover:text-teal-700"
+                                        style={{ minHeight: 'auto' }}
+                                    >
+                                        <Copy className="w-3.5 h-3.5 mr-1" /> 複製邀請連結
+                                    </button>
+                                </div>
+                            )}
+                        </div>
+                    )}
+
+                    {/* 最後一位擁有者離開的話就沒有人能管理成員 */}
+                    {(role !== 'owner' || ownerCount > 1) && (
+                        <button
+                            type="button"
+                            onClick={handleLeave}
+                            disabled={isWorking}
+                            className="flex items-center text-xs font-semibold text-gray-500 hover:text-red-600"
+                            style={{ minHeight: 'auto' }}
+                        >
+                            <LogOut className="w-3.5 h-3.5 mr-1" /> 離開這個共用清單
+                        </button>
+                    )}
+                </div>
+            )}
+
+            <form onSubmit={handleCreate} className="flex gap-2">
+                <input
+                    type="text"
+                    value={newName}
+                    onChange={(e) => setNewName(e.target.value)}
+                    placeholder="新共用清單名稱，例如：家裡浴室"
+                    aria-label="新共用清單名稱"
+                    className="min-w-0 flex-1 px-4 py-2 rounded-2xl border-2 border-gray-200 text-sm focus:border-teal-400 focus:ring-4 focus:ring-teal-100"
+                />
+                <button
+                    type="submit"
+                    disabled={isWorking || !newName.trim()}
+                    className="flex-shrink-0 px-4 py-2 rounded-2xl bg-teal-500 text-sm font-semibold text-white disabled:opacity-50 active:scale-95"
+                >
+                    建立
+                </button>
+            </form>
+            <form onSubmit={handleJoin} className="flex gap-2">
+                <input
+                    type="text"
+                    value={joinCode}
+                    onChange={(e) => setJoinCode(e.target.value)}
+                    placeholder="輸入邀請代碼"
+                    aria-label="邀請代碼"
+                    autoCapitalize="characters"
+                    className="min-w-0 flex-1 px-4 py-2 rounded-2xl border-2 border-gray-200 text-sm font-mono focus:border-teal-400 focus:ring-4 focus:ring-teal-100"
+                />
+                <button
+                    type="submit"
+                    disabled={isWorking || !joinCode.trim()}
+                    className="flex-shrink-0 px-4 py-2 rounded-2xl bg-gray-100 text-sm font-semibold text-gray-700 disabled:opacity-50 active:scale-95"
+                >
+                    加入
+                </button>
+            </form>
+
+            {householdError && <p className="text-sm font-medium text-red-700">{householdError}</p>}
+
+            {statusMessage && (
+                <p className={`flex items-center text-sm font-medium ${
+                    statusMessage.includes('❌') || statusMessage.includes('失敗') ? 'text-red-700' : 'text-teal-700'
+                }`}>
+                    {isWorking && <Loader className="w-4 h-4 mr-2 animate-spin" />}
+                    {statusMessage}
+                </p>
+            )}
+        </section>
+    );
+};
+
+export default HouseholdSettings;
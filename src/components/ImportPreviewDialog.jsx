@@ -0,0 +1,116 @@
+import React, { useState } from 'react';
+import { X, Loader } from 'lucide-react';
+
+const IMPORT_MODES = [
+    { value: 'merge', label: '合併', description: '相同產品更新資料，其餘新增' },
+    { value: 'replace', label: '取代', description: '目前的產品移到垃圾桶，全部改用檔案內容' },
+];
+
+/**
+ * Preview of an import before anything is written: each row with its validation errors
+ * or the existing product it matches, and the merge / replace choice.
+ * @param {{ preview: { fileName: string, format: string, rows: Array<object> }, existingCount: number, isWorking: boolean, message: string, onConfirm: (mode: 'merge' | 'replace') => void, onCancel: () => void }} props
+ */
+const ImportPreviewDialog = ({ preview, existingCount, isWorking, message, onConfirm, onCancel }) => {
+    const [mode, setMode] = useState('merge');
+    const validRows = preview.rows.filter(row => row.errors.length === 0);
+    const invalidCount = preview.rows.length - validRows.length;
+    const duplicateCount = validRows.filter(row => row.duplicate).length;
+
+    const handleConfirm = () => {
+        if (mode === 'replace' && existingCount > 0
+            && !window.confirm(`目前的 ${existingCount} 件產品都會移到垃圾桶 (30 天內可復原)，確定要取代嗎？`)) {
+            return;
+        }
+        onConfirm(mode);
+    };
+
+    return (
+        <div className="fixed inset-0 z-[60] flex items-end sm:items-center justify-center bg-black/40 p-4">
+            <div
+                role="dialog"
+                aria-modal="true"
+                aria-labelledby="import-preview-title"
+                className="w-full max-w-lg max-h-[90vh] flex flex-col bg-white rounded-3xl shadow-2xl"
+            >
+                <div className="p-6 pb-3 flex items-start justify-between gap-3">
+                    <div>
+                        <h3 id="import-preview-title" className="text-lg font-bold text-gray-900">匯入預覽</h3>
+                        <p className="text-xs text-gray-500 mt-0.5 break-all">
+                            {preview.fileName} • {preview.rows.length} 筆
+                            {invalidCount > 0 && <span className="text-red-600"> • {invalidCount} 筆有錯誤，不會匯入</span>}
+                        </p>
+                    </div>
+                    <button type="button" onClick={onCancel} disabled={isWorking} className="p-1 text-gray-400 hover:text-gray-600" aria-label="關閉">
+                        <X className="w-5 h-5" />
+                    </button>
+                </div>
+
+                <ul className="flex-1 overflow-y-auto px-6 space-y-2">
+                    {preview.rows.map(({ rowNumber, product, errors, duplicate }) => (
+                        <li
+                            key={rowNumber}
+                            className={`p-3 rounded-2xl text-sm ${errors.length > 0 ? 'bg-red-50' : 'bg-gray-50'}`}
+                        >
+                            <div className="flex items-center justify-between gap-2">
+                                <span className="min-w-0 truncate font-semibold text-gray-800">
+                                    <span className="mr-1.5 text-xs font-normal text-gray-400">
+                                        {preview.format === 'csv' ? `第 ${rowNumber} 列` : `#${rowNumber}`}
+                                    </span>
+                                    {[product.brand, product.name].filter(Boolean).join(' ') || '（未命名）'}
+                                </span>
+                                {errors.length === 0 && (
+                                    <span className={`flex-shrink-0 text-xs font-semibold px-2 py-0.5 rounded-full ${
+                                        duplicate && mode === 'merge' ? 'bg-amber-50 text-amber-700' : 'bg-teal-50 text-teal-700'
+                                    }`}>
+                                        {duplicate && mode === 'merge' ? '合併' : '新增'}
+                                    </span>
+                                )}
+                            </div>
+                            {errors.length > 0 && (
+                                <ul className="mt-1 list-disc list-inside text-xs text-red-700">
+                                    {errors.map(error => <li key={error}>{error}</li>)}
+                                </ul>
+                            )}
+                        </li>
+                    ))}
+                </ul>
+
+                <div className="p-6 pt-4 space-y-3 border-t border-gray-100">
+                    <div className="grid grid-cols-2 gap-2">
+                        {IMPORT_MODES.map(option => (
+                            <button
+                                key={option.value}
+                                type="button"
+                                onClick={() => setMode(option.value)}
+                                aria-pressed={mode === option.value}
+                                disabled={isWorking}
+                                className={`p-3 rounded-2xl border-2 text-left transition-all duration-300 ${
+                                    mode === option.value ? 'border-teal-400 bg-teal-50' : 'border-gray-100 bg-gray-50'
+                                }`}
+                            >
+                                <span className="block text-sm font-semibold text-gray-800">{option.label}</span>
+                                <span className="block text-xs text-gray-500 mt-0.5">{option.description}</span>
+                            </button>
+                        ))}
+                    </div>
+                    {mode === 'merge' && duplicateCount > 0 && (
+                        <p className="text-xs text-amber-700">{duplicateCount} 筆與現有產品相同 (條碼或品牌 + 名稱)，會更新現有產品。</p>
+                    )}
+                    {message && <p className="text-sm font-medium text-teal-700">{message}</p>}
+                    <button
+                        type="button"
+                        onClick={handleConfirm}
+                        disabled={isWorking || validRows.length === 0}
+                        className="w-full flex items-center justify-center px-6 py-3 bg-gradient-to-r from-teal-500 to-emerald-600 text-white font-semibold rounded-2xl shadow-lg transition-all duration-300 disabled:opacity-50 active:scale-95"
+                    >
+                        {isWorking && <Loader className="w-5 h-5 mr-2 animate-spin" />}
+                        匯入 {validRows.length} 件產品
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default ImportPreviewDialog;
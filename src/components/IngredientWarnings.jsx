@@ -0,0 +1,23 @@
+import React from 'react';
+import { TriangleAlert } from 'lucide-react';
+
+/**
+ * Amber box listing ingredient warnings (watchlist hits and conflicting actives).
+ * @param {{ warnings: string[] }} props Lines from describeIngredientWarnings
+ */
+const IngredientWarnings = ({ warnings }) => {
+    if (warnings.length === 0) return null;
+
+    return (
+        <ul className="p-3 rounded-2xl bg-amber-50 border border-amber-200 space-y-1.5">
+            {warnings.map(warning => (
+                <li key={warning} className="flex items-start text-xs font-medium text-amber-800">
+                    <TriangleAlert className="w-3.5 h-3.5 mr-1.5 mt-0.5 flex-shrink-0 text-amber-500" />
+                    {warning}
+                </li>
+            ))}
+        </ul>
+    );
+};
+
+export default IngredientWarnings;
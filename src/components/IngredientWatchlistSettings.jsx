@@ -0,0 +1,93 @@
+import React, { useState } from 'react';
+import { X, Plus } from 'lucide-react';
+import { INGREDIENT_GROUPS, getWatchlistLabel } from '../ingredients/ingredientRules';
+import { normalizeIngredientName } from '../ingredients/normalizeIngredients';
+
+/**
+ * Settings section for the avoid watchlist: one-tap ingredient groups (fragrance, alcohol, ...)
+ * plus any individual INCI name. Products containing them get a warning.
+ * @param {{ watchlist: string[], onChange: (watchlist: string[]) => void }} props
+ */
+const IngredientWatchlistSettings = ({ watchlist, onChange }) => {
+    const [draft, setDraft] = useState('');
+
+    const toggleGroup = (groupId) => {
+        onChange(watchlist.includes(groupId)
+            ? watchlist.filter(entry => entry !== groupId)
+            : [...watchlist, groupId]);
+    };
+
+    const handleAdd = (e) => {
+        e.preventDefault();
+        const name = normalizeIngredientName(draft);
+        setDraft('');
+        if (name && !watchlist.includes(name)) {
+            onChange([...watchlist, name]);
+        }
+    };
+
+    const customEntries = watchlist.filter(entry => !INGREDIENT_GROUPS[entry]);
+
+    return (
+        <section className="space-y-3">
+            <h3 className="text-lg font-bold text-gray-800">🧪 成分注意清單</h3>
+            <p className="text-xs text-gray-500">含有這些成分的產品會在清單與新增時顯示提醒，例如家人會過敏的香料。</p>
+            <div className="flex flex-wrap gap-2">
+                {Object.entries(INGREDIENT_GROUPS).map(([groupId, group]) => {
+                    const isActive = watchlist.includes(groupId);
+                    return (
+                        <button
+                            key={groupId}
+                            type="button"
+                            onClick={() => toggleGroup(groupId)}
+                            aria-pressed={isActive}
+                            className={`px-3 py-1.5 rounded-full text-xs font-semibold border transition-all duration-300 ${
+                                isActive ? 'bg-amber-100 border-amber-300 text-amber-800' : 'bg-white border-gray-200 text-gray-600'
+                            }`}
+                            style={{ minHeight: 'auto' }}
+                        >
+                            {group.label}
+                        </button>
+                    );
+                })}
+            </div>
+            {customEntries.length > 0 && (
+                <ul className="flex flex-wrap gap-2">
+                    {customEntries.map(entry => (
+                        <li key={entry} className="flex items-center pl-3 pr-1 py-1 rounded-full bg-amber-50 border border-amber-200 text-xs font-semibold text-amber-800">
+                            {getWatchlistLabel(entry)}
+                            <button
+                                type="button"
+                                onClick={() => onChange(watchlist.filter(item => item !== entry))}
+                                className="ml-1 p-0.5 rounded-full hover:bg-amber-100"
+                                style={{ minHeight: 'auto', minWidth: 'auto' }}
+                                aria-label={`移除 ${entry}`}
+                            >
+                                <X className="w-3.5 h-3.5" />
+                            </button>
+                        </li>
+                    ))}
+                </ul>
+            )}
+            <form onSubmit={handleAdd} className="flex gap-2">
+                <input
+                    type="text"
+                    value={draft}
+                    onChange={(e) => setDraft(e.target.value)}
+                    placeholder="其他成分，例如: Methylisothiazolinone"
+                    aria-label="新增注意成分"
+                    className="flex-grow px-3 py-2 rounded-xl border-2 border-gray-200 focus:border-teal-400"
+                />
+                <button
+                    type="submit"
+                    disabled={!draft.trim()}
+                    className="flex items-center px-3 py-2 rounded-xl bg-teal-50 text-sm font-semibold text-teal-700 hover:bg-teal-100 disabled:opacity-50"
+                >
+                    <Plus className="w-4 h-4 mr-1" /> 加入
+                </button>
+            </form>
+        </section>
+    );
+};
+
+export default IngredientWatchlistSettings;
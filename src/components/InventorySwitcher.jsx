@@ -0,0 +1,32 @@
+import React from 'react';
+import { HOUSEHOLD_ROLES } from '../households/householdRoles';
+
+const PERSONAL_VALUE = '';
+
+/**
+ * Header selector between the personal inventory and the shared ones. Hidden until the
+ * user belongs to a shared inventory.
+ * @param {{ households: ReturnType<typeof import('../households/useHouseholds').useHouseholds>, userId: string }} props
+ */
+const InventorySwitcher = ({ households, userId }) => {
+    if (households.households.length === 0) return null;
+
+    return (
+        <select
+            value={households.activeHousehold?.id || PERSONAL_VALUE}
+            onChange={(e) => households.switchHousehold(e.target.value || null)}
+            aria-label="切換清單"
+            className="mt-1 max-w-[11rem] px-2 py-1 rounded-xl border border-gray-200 bg-white/80 text-xs font-semibold text-gray-700"
+            style={{ minHeight: 'auto' }}
+        >
+            <option value={PERSONAL_VALUE}>👤 我的清單</option>
+            {households.households.map(household => (
+                <option key={household.id} value={household.id}>
+                    🏠 {household.name}{household.members[userId]?.role === 'viewer' ? ` (${HOUSEHOLD_ROLES.viewer.label})` : ''}
+                </option>
+            ))}
+        </select>
+    );
+};
+
+export default InventorySwitcher;
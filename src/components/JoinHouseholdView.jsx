@@ -0,0 +1,105 @@
+import React, { useState, useEffect } from 'react';
+import { Loader, Users, X } from 'lucide-react';
+import { HOUSEHOLD_ROLES, normalizeInviteCode } from '../households/householdRoles';
+
+/**
+ * Landing page of an invite link (/join/:code): shows which shared inventory the code is
+ * for and the role it grants, then joins and switches to it.
+ * @param {{ code: string, households: ReturnType<typeof import('../households/useHouseholds').useHouseholds>, isAnonymous: boolean, onJoined: () => void, onCancel: () => void }} props
+ */
+const JoinHouseholdView = ({ code, households, isAnonymous, onJoined, onCancel }) => {
+    const { lookupInvite, join } = households;
+    // { invite } 或 { error }；兩者都沒有表示還在讀取
+    const [lookup, setLookup] = useState({});
+    const [isJoining, setIsJoining] = useState(false);
+    const [joinError, setJoinError] = useState('');
+
+    useEffect(() => {
+        const inviteCode = normalizeInviteCode(code);
+        if (!inviteCode) {
+            setLookup({ error: '邀請連結不完整，請向對方重新索取。' });
+            return;
+        }
+        let isCurrent = true;
+        lookupInvite(inviteCode)
+            .then(invite => isCurrent && setLookup({ invite }))
+            .catch(error => {
+                console.error("Invite Lookup Error:", error);
+                if (isCurrent) setLookup({ error: error.message });
+            });
+        return () => {
+            isCurrent = false;
+        };
+    }, [code, lookupInvite]);
+
+    const { invite, error } = lookup;
+    const isMember = invite && households.households.some(household => household.id === invite.householdId);
+
+    const handleJoin = async () => {
+        setIsJoining(true);
+        setJoinError('');
+        try {
+            await join(invite);
+            onJoined();
+        } catch (joinFailure) {
+            console.error("Household Join Error:", joinFailure);
+            setJoinError(`❌ 加入失敗: ${joinFailure.message}`);
+            setIsJoining(false);
+        }
+    };
+
+    return (
+        <div className="p-6 max-w-lg mx-auto">
+            <div className="bg-white/80 backdrop-blur-xl rounded-3xl shadow-2xl border border-white/20 p-6 space-y-5">
+                <div className="flex items-center justify-between">
+                    <h2 className="text-2xl font-bold bg-gradient-to-r from-teal-600 to-emerald-600 bg-clip-text text-transparent">
+                        🏠 加入共用清單
+                    </h2>
+                    <button onClick={onCancel} className="p-2 text-gray-500 hover:text-gray-700 rounded-xl" aria-label="關閉">
+                        <X className="w-5 h-5" />
+                    </button>
+                </div>
+
+                {!invite && !error && (
+                    <div className="flex items-center justify-center py-8 text-gray-500">
+                        <Loader className="w-6 h-6 mr-2 animate-spin text-teal-500" /> 正在讀取邀請...
+                    </div>
+                )}
+
+                {error && <p className="p-4 rounded-2xl bg-red-50 text-sm font-medium text-red-700">❌ {error}</p>}
+
+                {invite && (
+                    <>
+                        <div className="flex items-center gap-4 p-4 rounded-2xl bg-teal-50">
+                            <Users className="w-10 h-10 flex-shrink-0 text-teal-600" />
+                            <div>
+                                <p className="text-lg font-bold text-gray-900">{invite.householdName}</p>
+                                <p className="text-sm text-gray-600">
+                                    {HOUSEHOLD_ROLES[invite.role]?.label}：{HOUSEHOLD_ROLES[invite.role]?.description}
+                                </p>
+                            </div>
+                        </div>
+                        {isMember && <p className="text-sm text-gray-600">你已經是這個清單的成員。</p>}
+                        {isAnonymous && !isMember && (
+                            <p className="text-xs text-amber-700">
+                                你目前是訪客模式。建議先從右上角登入帳號，之後換裝置或清除瀏覽器資料也能回到這個共用清單。
+                            </p>
+                        )}
+                        {joinError && <p className="text-sm font-medium text-red-700">{joinError}</p>}
+                        <button
+                            type="button"
+                            onClick={handleJoin}
+                            disabled={isJoining}
+                            className="w-full flex items-center justify-center px-6 py-3 bg-gradient-to-r from-teal-500 to-emerald-600 text-white font-semibold rounded-2xl shadow-lg transition-all duration-300 disabled:opacity-50 active:scale-95"
+                        >
+                            {isJoining && <Loader className="w-5 h-5 mr-2 animate-spin" />}
+                            {isMember ? '切換到這個清單' : '加入並切換'}
+                        </button>
+                    </>
+                )}
+            </div>
+        </div>
+    );
+};
+
+export default JoinHouseholdView;
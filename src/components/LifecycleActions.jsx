@@ -0,0 +1,38 @@
+import React from 'react';
+import { PackageOpen, CheckCircle, Trash } from 'lucide-react';
+import { getLifecycleState } from '../utils/lifecycle';
+
+/**
+ * Quick lifecycle buttons: 開封 (only while unopened), 用完 and 丟棄.
+ * Clicks don't bubble, so the buttons can sit inside a clickable card.
+ * @param {{ product: object, onAction: (product: object, action: 'open' | 'finish' | 'discard') => void, disabled?: boolean }} props
+ */
+const LifecycleActions = ({ product, onAction, disabled = false }) => {
+    const actions = [
+        getLifecycleState(product) === 'unopened' && { action: 'open', label: '開封', icon: <PackageOpen className="w-3.5 h-3.5 mr-1" />, style: 'bg-teal-50 text-teal-700 hover:bg-teal-100' },
+        { action: 'finish', label: '用完', icon: <CheckCircle className="w-3.5 h-3.5 mr-1" />, style: 'bg-emerald-50 text-emerald-700 hover:bg-emerald-100' },
+        { action: 'discard', label: '丟棄', icon: <Trash className="w-3.5 h-3.5 mr-1" />, style: 'bg-rose-50 text-rose-700 hover:bg-rose-100' },
+    ].filter(Boolean);
+
+    return (
+        <div className="flex gap-2">
+            {actions.map(({ action, label, icon, style }) => (
+                <button
+                    key={action}
+                    type="button"
+                    disabled={disabled}
+                    onClick={(e) => {
+                        e.stopPropagation();
+                        onAction(product, action);
+                    }}
+                    className={`flex items-center px-3 py-1.5 rounded-full text-xs font-semibold transition-all duration-300 active:scale-95 disabled:opacity-50 ${style}`}
+                    style={{ minHeight: 'auto', minWidth: 'auto' }}
+                >
+                    {icon} {label}
+                </button>
+            ))}
+        </div>
+    );
+};
+
+export default LifecycleActions;
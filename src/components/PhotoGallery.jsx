@@ -0,0 +1,79 @@
+import React, { useState, useRef } from 'react';
+import { Package } from 'lucide-react';
+import { usePhotoUrl } from '../photos/usePhotoUrl';
+import { getPhotoTagLabel } from '../photos/productPhotos';
+
+const GallerySlide = ({ photo, photoStore, alt }) => {
+    const url = usePhotoUrl(photoStore, photo, 'full');
+
+    return (
+        <div className="relative flex-shrink-0 w-full h-full snap-center flex items-center justify-center">
+            {url && <img src={url} alt={alt} className="object-contain w-full h-full" draggable={false} />}
+            <span className="absolute top-3 left-3 px-2.5 py-1 rounded-full bg-black/50 text-xs font-semibold text-white">
+                {getPhotoTagLabel(photo.tag)}
+            </span>
+        </div>
+    );
+};
+
+/**
+ * Swipeable photo viewer for the product detail page. Uses native horizontal scrolling
+ * with scroll snapping, so touch swipes, trackpads and the dots all work the same way.
+ * @param {{ photos: Array<object>, photoStore: object, legacyPhotoUrl?: string | null, alt: string }} props
+ */
+const PhotoGallery = ({ photos, photoStore, legacyPhotoUrl = null, alt }) => {
+    const scrollerRef = useRef(null);
+    const [activeIndex, setActiveIndex] = useState(0);
+
+    if (photos.length === 0) {
+        return (
+            <div className="w-full h-64 bg-gradient-to-br from-gray-50 to-gray-100 flex items-center justify-center">
+                {legacyPhotoUrl
+                    ? <img src={legacyPhotoUrl} alt={alt} className="object-contain w-full h-full" />
+                    : <Package className="w-16 h-16 text-gray-300" />}
+            </div>
+        );
+    }
+
+    const handleScroll = () => {
+        const scroller = scrollerRef.current;
+        setActiveIndex(Math.round(scroller.scrollLeft / scroller.clientWidth));
+    };
+
+    const scrollTo = (index) => {
+        const scroller = scrollerRef.current;
+        scroller.scrollTo({ left: index * scroller.clientWidth, behavior: 'smooth' });
+    };
+
+    return (
+        <div className="relative w-full h-64 bg-gradient-to-br from-gray-50 to-gray-100">
+            <div
+                ref={scrollerRef}
+                onScroll={handleScroll}
+                className="flex w-full h-full overflow-x-auto snap-x snap-mandatory"
+                style={{ scrollbarWidth: 'none' }}
+            >
+                {photos.map((photo, index) => (
+                    <GallerySlide key={photo.id} photo={photo} photoStore={photoStore} alt={`${alt} ${index + 1}`} />
+                ))}
+            </div>
+            {photos.length > 1 && (
+                <div className="absolute bottom-3 inset-x-0 flex justify-center gap-1.5">
+                    {photos.map((photo, index) => (
+                        <button
+                            key={photo.id}
+                            type="button"
+                            onClick={() => scrollTo(index)}
+                            className={`w-2 h-2 rounded-full transition-all duration-300 ${index === activeIndex ? 'bg-teal-600 w-4' : 'bg-gray-400/70'}`}
+                            style={{ minHeight: 'auto', minWidth: 'auto' }}
+                            aria-label={`第 ${index + 1} 張：${getPhotoTagLabel(photo.tag)}`}
+                            aria-current={index === activeIndex}
+                        />
+                    ))}
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default PhotoGallery;
@@ -0,0 +1,177 @@
+import React from 'react';
+import { Camera, ChevronLeft, ChevronRight, X, Sparkles } from 'lucide-react';
+import { usePhotoUrl } from '../photos/usePhotoUrl';
+import { MAX_PRODUCT_PHOTOS, PHOTO_TAGS } from '../photos/productPhotos';
+import { MAX_LABEL_IMAGES } from '../recognition/labelFields';
+
+/**
+ * Picks a tag for a newly added photo: the first of front / back / batch not used yet.
+ * @param {Array<{tag: string}>} photos
+ */
+const getNextTag = (photos) => {
+    const used = new Set(photos.map(photo => photo.tag));
+    return PHOTO_TAGS.find(option => option.value !== 'other' && !used.has(option.value))?.value || 'other';
+};
+
+const PhotoTile = ({ photo, index, count, photoStore, disabled, canSelectForRecognition, onMove, onRemove, onTagChange, onToggleRecognition }) => {
+    // 已儲存的照片由 photoStore 取得縮圖；新選的照片用本機預覽
+    const storedUrl = usePhotoUrl(photoStore, photo.ref || null, 'thumbnail');
+    const url = storedUrl || photo.previewUrl || photo.legacyDataUrl || null;
+
+    return (
+        <li className="flex-shrink-0 w-32 space-y-1.5">
+            <div className="relative w-32 h-32 rounded-2xl overflow-hidden bg-gradient-to-br from-gray-50 to-gray-100 shadow-md">
+                {url && <img src={url} alt={`產品照片 ${index + 1}`} className="w-full h-full object-cover" />}
+                {index === 0 && (
+                    <span className="absolute top-1.5 left-1.5 px-2 py-0.5 rounded-full bg-black/50 text-[10px] font-semibold text-white">封面</span>
+                )}
+                <button
+                    type="button"
+                    onClick={onRemove}
+                    disabled={disabled}
+                    className="absolute top-1.5 right-1.5 p-1 rounded-full bg-black/50 text-white hover:bg-black/70"
+                    style={{ minHeight: 'auto', minWidth: 'auto' }}
+                    aria-label={`移除照片 ${index + 1}`}
+                >
+                    <X className="w-3.5 h-3.5" />
+                </button>
+                <label className="absolute bottom-1.5 left-1.5 flex items-center gap-1 px-2 py-0.5 rounded-full bg-white/90 text-[10px] font-semibold text-indigo-700 cursor-pointer">
+                    <input
+                        type="checkbox"
+                        checked={photo.useForRecognition}
+                        onChange={onToggleRecognition}
+                        disabled={disabled || (!photo.useForRecognition && !canSelectForRecognition)}
+                        className="accent-indigo-500"
+                    />
+                    辨識
+                </label>
+            </div>
+            <select
+                value={photo.tag}
+                onChange={(e) => onTagChange(e.target.value)}
+                disabled={disabled}
+                aria-label={`照片 ${index + 1} 的內容`}
+                className="w-full px-2 py-1 rounded-xl border-2 border-gray-200 bg-white text-xs focus:border-teal-400"
+            >
+                {PHOTO_TAGS.map(option => <option key={option.value} value={option.value}>{option.label}</option>)}
+            </select>
+            <div className="flex justify-between">
+                <button
+                    type="button"
+                    onClick={() => onMove(-1)}
+                    disabled={disabled || index === 0}
+                    className="p-1 rounded-lg text-gray-500 hover:bg-gray-100 disabled:opacity-30"
+                    style={{ minHeight: 'auto', minWidth: 'auto' }}
+                    aria-label={`照片 ${index + 1} 往前移`}
+                >
+                    <ChevronLeft className="w-4 h-4" />
+                </button>
+                <button
+                    type="button"
+                    onClick={() => onMove(1)}
+                    disabled={disabled || index === count - 1}
+                    className="p-1 rounded-lg text-gray-500 hover:bg-gray-100 disabled:opacity-30"
+                    style={{ minHeight: 'auto', minWidth: 'auto' }}
+                    aria-label={`照片 ${index + 1} 往後移`}
+                >
+                    <ChevronRight className="w-4 h-4" />
+                </button>
+            </div>
+        </li>
+    );
+};
+
+/**
+ * Ordered, tagged photo list for the product form. Photos can be added (several at once),
+ * removed, moved, tagged (front / back label / batch close-up) and ticked for AI recognition.
+ * Items are `{ key, tag, useForRecognition, ref? | file + previewUrl? | legacyDataUrl? }`.
+ * @param {{ photos: Array<object>, photoStore: object, disabled: boolean, onChange: (photos: Array<object>) => void, onPreviewUrlCreated: (url: string) => void }} props
+ */
+const PhotoListEditor = ({ photos, photoStore, disabled, onChange, onPreviewUrlCreated }) => {
+    const selectedCount = photos.filter(photo => photo.useForRecognition).length;
+    const canAddMore = photos.length < MAX_PRODUCT_PHOTOS;
+
+    const handleFilesChange = (e) => {
+        const files = [...e.target.files].slice(0, MAX_PRODUCT_PHOTOS - photos.length);
+        // 同一個檔案可以再選一次
+        e.target.value = '';
+        const next = [...photos];
+        let recognitionCount = selectedCount;
+        files.forEach(file => {
+            const previewUrl = URL.createObjectURL(file);
+            onPreviewUrlCreated(previewUrl);
+            next.push({
+                key: crypto.randomUUID(),
+                tag: getNextTag(next),
+                file,
+                previewUrl,
+                useForRecognition: recognitionCount < MAX_LABEL_IMAGES,
+            });
+            recognitionCount += 1;
+        });
+        onChange(next);
+    };
+
+    const updatePhoto = (key, changes) => {
+        onChange(photos.map(photo => (photo.key === key ? { ...photo, ...changes } : photo)));
+    };
+
+    const movePhoto = (index, delta) => {
+        const next = [...photos];
+        const [photo] = next.splice(index, 1);
+        next.splice(index + delta, 0, photo);
+        onChange(next);
+    };
+
+    return (
+        <div className="space-y-3">
+            <input
+                type="file"
+                accept="image/*"
+                multiple
+                onChange={handleFilesChange}
+                className="hidden"
+                id="photo-upload"
+            />
+            <label
+                htmlFor="photo-upload"
+                className={`flex items-center justify-center w-full px-4 py-3 bg-gradient-to-r from-teal-50 to-emerald-50 border-2 border-dashed border-teal-300 rounded-2xl transition-all duration-300 ${
+                    canAddMore && !disabled ? 'cursor-pointer hover:border-teal-400 hover:shadow-lg' : 'opacity-50 pointer-events-none'
+                }`}
+            >
+                <Camera className="w-5 h-5 text-teal-600 mr-2" />
+                <span className="text-sm font-medium text-teal-700">
+                    {photos.length === 0 ? '點擊上傳照片 (正面、背面、批號)' : `新增照片 (${photos.length}/${MAX_PRODUCT_PHOTOS})`}
+                </span>
+            </label>
+
+            {photos.length > 0 && (
+                <>
+                    <ul className="flex gap-3 overflow-x-auto pb-1">
+                        {photos.map((photo, index) => (
+                            <PhotoTile
+                                key={photo.key}
+                                photo={photo}
+                                index={index}
+                                count={photos.length}
+                                photoStore={photoStore}
+                                disabled={disabled}
+                                canSelectForRecognition={selectedCount < MAX_LABEL_IMAGES}
+                                onMove={(delta) => movePhoto(index, delta)}
+                                onRemove={() => onChange(photos.filter(item => item.key !== photo.key))}
+                                onTagChange={(tag) => updatePhoto(photo.key, { tag })}
+                                onToggleRecognition={() => updatePhoto(photo.key, { useForRecognition: !photo.useForRecognition })}
+                            />
+                        ))}
+                    </ul>
+                    <p className="text-xs text-gray-400 flex items-center">
+                        <Sparkles className="w-3.5 h-3.5 mr-1" />
+                        勾選「辨識」的照片會一起送去 AI 辨識 (最多 {MAX_LABEL_IMAGES} 張)
+                    </p>
+                </>
+            )}
+        </div>
+    );
+};
+
+export default PhotoListEditor;
@@ -0,0 +1,177 @@
+import React from 'react';
+import { ArrowLeft, Edit, Trash2, RotateCcw } from 'lucide-react';
+import { getProductStatus } from '../utils/productStatus';
+import { getCategoryLabel } from '../utils/categories';
+import { formatMoney } from '../utils/currency';
+import { LIFECYCLE_STATES, getLifecycleState, getDiscardReasonLabel, isArchived } from '../utils/lifecycle';
+import { getProductPhotos } from '../photos/productPhotos';
+import ProductFeedback from './ProductFeedback';
+import LifecycleActions from './LifecycleActions';
+import PhotoGallery from './PhotoGallery';
+import IngredientWarnings from './IngredientWarnings';
+import { getProductUnits, formatUnitSummary } from '../units/productUnits';
+
+const DetailRow = ({ label, children }) => (
+    <div className="flex justify-between gap-4 py-2.5 border-b border-gray-100 last:border-0">
+        <dt className="text-sm text-gray-500">{label}</dt>
+        <dd className="text-sm font-medium text-gray-800 text-right">{children || '—'}</dd>
+    </div>
+);
+
+/**
+ * Full view of one product, reached from the list or a /product/:id link.
+ * @param {{ product: object, photoStore: object, thresholds: object, ingredientWarnings?: string[], onBack: () => void, onEdit: (product: object) => void, onDelete: (product: object) => void, onLifecycleAction: (product: object, action: string) => void, onUpdate: (product: object, changes: object) => void, canEdit?: boolean, ownerName?: string | null }} props
+ *   `canEdit` is false for viewers of a shared inventory; `ownerName` is only set in shared inventories
+ */
+const ProductDetail = ({ product, photoStore, thresholds, ingredientWarnings = [], onBack, onEdit, onDelete, onLifecycleAction, onUpdate, canEdit = true, ownerName = null }) => {
+    const { effectiveExpiryDate, expirySource, statusText, badgeStyle } = getProductStatus(product.expiryDate, product.openedDate, product.paoMonths, thresholds);
+    const lifecycleState = getLifecycleState(product);
+    const archived = isArchived(product);
+    const unitSummary = formatUnitSummary(product);
+
+    return (
+        <div className="p-5 space-y-5 max-w-lg mx-auto">
+            <button
+                type="button"
+                onClick={onBack}
+                className="flex items-center text-sm font-semibold text-teal-700 hover:text-teal-800"
+            >
+                <ArrowLeft className="w-4 h-4 mr-1" /> 返回
+            </button>
+
+            <div className="bg-white/80 backdrop-blur-xl rounded-3xl shadow-2xl border border-white/20 overflow-hidden">
+                <PhotoGallery
+                    photos={getProductPhotos(product)}
+                    photoStore={photoStore}
+                    // 尚未搬移的舊資料仍使用 photoBase64
+                    legacyPhotoUrl={product.photoBase64 || null}
+                    alt={product.name}
+                />
+
+                <div className="p-6 space-y-4">
+                    <div>
+                        <p className="text-xs font-bold uppercase tracking-wider bg-gradient-to-r from-teal-600 to-emerald-600 bg-clip-text text-transparent">
+                            {product.brand}
+                        </p>
+                        <h2 className="text-2xl font-extrabold text-gray-900 mt-1">{product.name}</h2>
+                        <div className="flex flex-wrap gap-2 mt-3">
+                            <span className={`inline-flex items-center text-xs font-semibold px-3 py-1 rounded-full ${LIFECYCLE_STATES[lifecycleState].badgeStyle}`}>
+                                {LIFECYCLE_STATES[lifecycleState].label}
+                            </span>
+                            {/* 已用完或丟棄的產品不需要顯示效期狀態 */}
+                            {!archived && (
+                                <span className={`inline-flex items-center text-xs font-semibold px-3 py-1 rounded-full ${badgeStyle} shadow-sm`}>
+                                    {statusText}
+                                </span>
+                            )}
+                        </div>
+                    </div>
+
+                    {archived ? (
+                        <div className="p-4 rounded-2xl bg-gray-50 space-y-3">
+                            <p className="text-sm text-gray-600">
+                                {lifecycleState === 'finished'
+                                    ? `${product.finishedDate} 用完`
+                                    : `${product.discardedDate} 丟棄 • ${getDiscardReasonLabel(product.discardReason)}`}
+                            </p>
+                            {canEdit && (
+                                <>
+                                    <ProductFeedback product={product} onUpdate={(changes) => onUpdate(product, changes)} />
+                                    <button
+                                        type="button"
+                                        onClick={() => onLifecycleAction(product, 'restore')}
+                                        className="flex items-center text-xs font-semibold text-gray-500 hover:text-gray-700"
+                                        style={{ minHeight: 'auto' }}
+                                    >
+                                        <RotateCcw className="w-3.5 h-3.5 mr-1" /> 移回清單
+                                    </button>
+                                </>
+                            )}
+                        </div>
+                    ) : (
+                        canEdit && <LifecycleActions product={product} onAction={onLifecycleAction} />
+                    )}
+
+                    <dl>
+                        {ownerName && <DetailRow label="擁有者">👤 {ownerName}</DetailRow>}
+                        <DetailRow label="實際到期日">
+                            {effectiveExpiryDate}
+                            {expirySource === 'pao' && <span className="ml-1 text-gray-400">(開封 {product.paoMonths}M)</span>}
+                        </DetailRow>
+                        <DetailRow label="有效期限">
+                            {product.expiryDate}
+                            {product.expiryDate && product.expiryEstimated && <span className="ml-1 text-sky-600">(推估)</span>}
+                        </DetailRow>
+                        <DetailRow label="開封日期">{product.openedDate}</DetailRow>
+                        <DetailRow label="開封後使用期限">{product.paoMonths ? `${product.paoMonths} 個月` : ''}</DetailRow>
+                        <DetailRow label="類別">{getCategoryLabel(product.category)}</DetailRow>
+                        <DetailRow label="容量">{product.volume}</DetailRow>
+                        <DetailRow label="存放位置">{product.location}</DetailRow>
+                        <DetailRow label="購入日期">{product.purchaseDate}</DetailRow>
+                        <DetailRow label="價格">{product.price != null ? formatMoney(product.price, product.currency) : ''}</DetailRow>
+                        <DetailRow label="購買通路">{product.store}</DetailRow>
+                        <DetailRow label="製造日期">{product.manufactureDate}</DetailRow>
+                        <DetailRow label="批號">{product.batchCode}</DetailRow>
+                        <DetailRow label="條碼">{product.barcode}</DetailRow>
+                    </dl>
+
+                    {!archived && unitSummary && (
+                        <div className="space-y-2">
+                            <p className="text-sm font-semibold text-gray-700">📦 {unitSummary}</p>
+                            <ol className="space-y-1.5">
+                                {getProductUnits(product).map((unit, index) => {
+                                    const unitStatus = getProductStatus(unit.expiryDate, unit.openedDate, product.paoMonths, thresholds);
+                                    return (
+                                        <li key={unit.id} className="flex items-center justify-between gap-2 p-2.5 rounded-2xl bg-gray-50 text-xs">
+                                            <span className="text-gray-600">
+                                                <span className="font-semibold text-gray-800">{unit.isPrimary ? '目前這瓶' : `第 ${index + 1} 瓶`}</span>
+                                                {' • '}到期 {unitStatus.effectiveExpiryDate || '—'}
+                                                {unit.openedDate && ` • ${unit.openedDate} 開封`}
+                                            </span>
+                                            <span className={`flex-shrink-0 font-semibold px-2 py-0.5 rounded-full ${unitStatus.badgeStyle}`}>
+                                                {unitStatus.statusText}
+                                            </span>
+                                        </li>
+                                    );
+                                })}
+                            </ol>
+                        </div>
+                    )}
+
+                    {product.ingredients?.length > 0 && (
+                        <div className="space-y-2">
+                            <p className="text-sm font-semibold text-gray-700">🧪 成分 ({product.ingredients.length})</p>
+                            <IngredientWarnings warnings={ingredientWarnings} />
+                            <p className="p-3 rounded-2xl bg-gray-50 text-xs text-gray-600 leading-relaxed">{product.ingredients.join(', ')}</p>
+                        </div>
+                    )}
+
+                    {product.notes && (
+                        <p className="p-3 rounded-2xl bg-gray-50 text-sm text-gray-600 whitespace-pre-line">{product.notes}</p>
+                    )}
+
+                    {canEdit && (
+                        <div className="flex gap-3 pt-2">
+                            <button
+                                type="button"
+                                onClick={() => onEdit(product)}
+                                className="flex-1 px-6 py-3.5 bg-gradient-to-r from-amber-400 to-orange-500 text-white font-semibold rounded-2xl shadow-lg hover:shadow-2xl transition-all duration-300 active:scale-95"
+                            >
+                                <Edit className="w-5 h-5 inline-block mr-1" /> 編輯
+                            </button>
+                            <button
+                                type="button"
+                                onClick={() => onDelete(product)}
+                                className="flex-1 px-6 py-3.5 bg-gradient-to-r from-red-400 to-rose-500 text-white font-semibold rounded-2xl shadow-lg hover:shadow-2xl transition-all duration-300 active:scale-95"
+                            >
+                                <Trash2 className="w-5 h-5 inline-block mr-1" /> 刪除
+                            </button>
+                        </div>
+                    )}
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default ProductDetail;
@@ -0,0 +1,42 @@
+import React from 'react';
+import StarRating from './StarRating';
+
+const REPURCHASE_OPTIONS = [
+    { value: true, label: '會回購', activeStyle: 'bg-emerald-500 text-white' },
+    { value: false, label: '不回購', activeStyle: 'bg-gray-500 text-white' },
+];
+
+/**
+ * Rating and "would repurchase" for a finished or discarded product.
+ * @param {{ product: object, onUpdate: (changes: object) => void }} props
+ */
+const ProductFeedback = ({ product, onUpdate }) => (
+    <div className="flex flex-wrap items-center gap-3">
+        <StarRating value={product.rating ?? null} onChange={(rating) => onUpdate({ rating })} />
+        <div className="flex gap-1.5">
+            {REPURCHASE_OPTIONS.map(option => {
+                const isActive = product.wouldRepurchase === option.value;
+                return (
+                    <button
+                        key={option.label}
+                        type="button"
+                        aria-pressed={isActive}
+                        onClick={(e) => {
+                            e.stopPropagation();
+                            // 再按一次取消選擇
+                            onUpdate({ wouldRepurchase: isActive ? null : option.value });
+                        }}
+                        className={`px-3 py-1 rounded-full text-xs font-semibold transition-all duration-300 active:scale-95 ${
+                            isActive ? option.activeStyle : 'bg-gray-100 text-gray-500 hover:bg-gray-200'
+                        }`}
+                        style={{ minHeight: 'auto', minWidth: 'auto' }}
+                    >
+                        {option.label}
+                    </button>
+                );
+            })}
+        </div>
+    </div>
+);
+
+export default ProductFeedback;
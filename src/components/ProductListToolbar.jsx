@@ -0,0 +1,125 @@
+import React from 'react';
+import { Search, X, ArrowUpDown } from 'lucide-react';
+import { STATUS_FILTER_OPTIONS, OPENED_FILTER_OPTIONS, hasActiveFilters } from '../utils/productFilters';
+import { SORT_OPTIONS } from '../utils/productSort';
+import { getCategoryLabel } from '../utils/categories';
+
+const Chip = ({ label, isActive, onClick }) => (
+    <button
+        type="button"
+        onClick={onClick}
+        aria-pressed={isActive}
+        className={`px-3 py-1.5 rounded-full text-xs font-semibold whitespace-nowrap transition-all duration-300 active:scale-95 ${
+            isActive
+                ? 'bg-gradient-to-r from-teal-500 to-emerald-500 text-white shadow-md'
+                : 'bg-white text-gray-600 border border-gray-200 hover:border-teal-300'
+        }`}
+        style={{ minHeight: 'auto', minWidth: 'auto' }}
+    >
+        {label}
+    </button>
+);
+
+const toggleValue = (list, value) => (list.includes(value)
+    ? list.filter(item => item !== value)
+    : [...list, value]);
+
+/**
+ * Search box, sort selector and filter chips above the product list.
+ * @param {{ filters: object, sortKey: string, categories: string[], showOwnerFilter?: boolean, onChange: (patch: object) => void, onReset: () => void }} props
+ *   `sortKey` is the order in effect (URL or default from settings); `categories` are the ones present in the list.
+ *   `showOwnerFilter` adds the "mine / everyone's" chips in shared inventories.
+ */
+const ProductListToolbar = ({ filters, sortKey, categories, showOwnerFilter = false, onChange, onReset }) => (
+    <div className="space-y-3">
+        <div className="flex gap-2">
+            <div className="relative flex-grow">
+                <Search className="absolute left-3 top-1/2 -translate-y-1/2 w-4 h-4 text-gray-400" />
+                <input
+                    type="search"
+                    value={filters.query}
+                    onChange={(e) => onChange({ query: e.target.value })}
+                    placeholder="搜尋品牌、名稱或備註"
+                    aria-label="搜尋產品"
+                    className="w-full pl-10 pr-10 py-3 rounded-2xl border-2 border-gray-200 bg-white/80 focus:border-teal-400 focus:ring-4 focus:ring-teal-100 transition-all duration-300"
+                />
+                {filters.query && (
+                    <button
+                        type="button"
+                        onClick={() => onChange({ query: '' })}
+                        className="absolute right-1 top-1/2 -translate-y-1/2 flex items-center justify-center text-gray-400 hover:text-gray-600"
+                        aria-label="清除搜尋"
+                    >
+                        <X className="w-4 h-4" />
+                    </button>
+                )}
+            </div>
+            <div className="relative">
+                <ArrowUpDown className="absolute left-3 top-1/2 -translate-y-1/2 w-4 h-4 text-gray-400 pointer-events-none" />
+                <select
+                    value={sortKey}
+                    onChange={(e) => onChange({ sort: e.target.value })}
+                    aria-label="排序"
+                    className="h-full pl-9 pr-3 rounded-2xl border-2 border-gray-200 bg-white/80 text-sm text-gray-700 focus:border-teal-400 focus:ring-4 focus:ring-teal-100 transition-all duration-300"
+                >
+                    {SORT_OPTIONS.map(option => (
+                        <option key={option.value} value={option.value}>{option.label}</option>
+                    ))}
+                </select>
+            </div>
+        </div>
+
+        <div className="flex gap-2 overflow-x-auto pb-1">
+            {STATUS_FILTER_OPTIONS.map(option => (
+                <Chip
+                    key={option.value}
+                    label={option.label}
+                    isActive={filters.statuses.includes(option.value)}
+                    onClick={() => onChange({ statuses: toggleValue(filters.statuses, option.value) })}
+                />
+            ))}
+            <span className="w-px bg-gray-200 flex-shrink-0" />
+            {OPENED_FILTER_OPTIONS.map(option => (
+                <Chip
+                    key={option.value}
+                    label={option.label}
+                    isActive={filters.opened === option.value}
+                    onClick={() => onChange({ opened: filters.opened === option.value ? null : option.value })}
+                />
+            ))}
+            {showOwnerFilter && (
+                <>
+                    <span className="w-px bg-gray-200 flex-shrink-0" />
+                    <Chip label="所有人的" isActive={!filters.owner} onClick={() => onChange({ owner: null })} />
+                    <Chip label="我的" isActive={filters.owner === 'mine'} onClick={() => onChange({ owner: 'mine' })} />
+                </>
+            )}
+        </div>
+
+        {categories.length > 1 && (
+            <div className="flex gap-2 overflow-x-auto pb-1">
+                {categories.map(category => (
+                    <Chip
+                        key={category}
+                        label={getCategoryLabel(category)}
+                        isActive={filters.categories.includes(category)}
+                        onClick={() => onChange({ categories: toggleValue(filters.categories, category) })}
+                    />
+                ))}
+            </div>
+        )}
+
+        {hasActiveFilters(filters) && (
+            <button
+                type="button"
+                onClick={onReset}
+                className="text-xs font-semibold text-teal-600 hover:text-teal-700"
+                style={{ minHeight: 'auto' }}
+            >
+                清除所有篩選
+            </button>
+        )}
+    </div>
+);
+
+export default ProductListToolbar;
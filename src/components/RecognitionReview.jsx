@@ -0,0 +1,91 @@
+import React from 'react';
+import { Check, X } from 'lucide-react';
+import { LABEL_FIELDS } from '../recognition/labelFields';
+import { getCategoryLabel } from '../utils/categories';
+
+const formatValue = (key, value) => {
+    if (value === '' || value === null || value === undefined) return '—';
+    if (key === 'paoMonths') return `${value}M`;
+    if (key === 'category') return getCategoryLabel(value) || value;
+    return String(value);
+};
+
+const getConfidenceHint = (confidence) => {
+    if (confidence >= 0.8) return { label: '高', style: 'bg-emerald-50 text-teal-700' };
+    if (confidence >= 0.5) return { label: '中', style: 'bg-amber-50 text-orange-700' };
+    return { label: '低・請確認', style: 'bg-red-50 text-red-700' };
+};
+
+/**
+ * Review step for AI label recognition: shows each extracted value next to the
+ * current form value with a confidence hint, and lets the user accept fields one by one.
+ * @param {{ suggestions: Record<string, {value: any, confidence: number}>, currentValues: object, onAccept: (keys: string[]) => void, onDismiss: () => void }} props
+ */
+const RecognitionReview = ({ suggestions, currentValues, onAccept, onDismiss }) => {
+    const rows = LABEL_FIELDS.filter(({ key }) => suggestions[key]);
+    // 與目前表單相同的值不需要再套用
+    const pendingRows = rows.filter(({ key }) => String(suggestions[key].value) !== String(currentValues[key] ?? ''));
+
+    if (rows.length === 0) {
+        return null;
+    }
+
+    return (
+        <div className="p-4 rounded-2xl bg-indigo-50/60 border border-indigo-100 space-y-3">
+            <div className="flex items-center justify-between">
+                <p className="text-sm font-bold text-indigo-700">✨ AI 辨識結果</p>
+                <button type="button" onClick={onDismiss} className="p-1 text-indigo-400 hover:text-indigo-600" aria-label="關閉辨識結果">
+                    <X className="w-4 h-4" />
+                </button>
+            </div>
+
+            <ul className="space-y-2">
+                {rows.map(({ key, label }) => {
+                    const { value, confidence } = suggestions[key];
+                    const hint = getConfidenceHint(confidence);
+                    const isApplied = !pendingRows.some(row => row.key === key);
+
+                    return (
+                        <li key={key} className="flex items-center justify-between gap-3 p-3 bg-white rounded-xl shadow-sm">
+                            <div className="min-w-0">
+                                <p className="text-xs font-semibold text-gray-500">
+                                    {label}
+                                    <span className={`ml-2 px-2 py-0.5 rounded-full ${hint.style}`}>信心 {hint.label}</span>
+                                </p>
+                                <p className="text-sm font-bold text-gray-900 truncate">{formatValue(key, value)}</p>
+                                {!isApplied && currentValues[key] && (
+                                    <p className="text-xs text-gray-400 truncate">目前：{formatValue(key, currentValues[key])}</p>
+                                )}
+                            </div>
+                            {isApplied ? (
+                                <span className="flex items-center text-xs font-semibold text-teal-600 whitespace-nowrap">
+                                    <Check className="w-4 h-4 mr-1" /> 已套用
+                                </span>
+                            ) : (
+                                <button
+                                    type="button"
+                                    onClick={() => onAccept([key])}
+                                    className="px-3 py-1.5 text-xs font-semibold text-white bg-gradient-to-r from-indigo-500 to-purple-600 rounded-full shadow-md active:scale-95 whitespace-nowrap"
+                                >
+                                    套用
+                                </button>
+                            )}
+                        </li>
+                    );
+                })}
+            </ul>
+
+            {pendingRows.length > 1 && (
+                <button
+                    type="button"
+                    onClick={() => onAccept(pendingRows.filter(({ key }) => suggestions[key].confidence >= 0.5).map(({ key }) => key))}
+                    className="w-full px-4 py-2.5 text-sm font-semibold text-indigo-700 bg-white border border-indigo-200 rounded-xl active:scale-95"
+                >
+                    套用所有中高信心的欄位
+                </button>
+            )}
+        </div>
+    );
+};
+
+export default RecognitionReview;
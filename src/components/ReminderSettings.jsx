@@ -0,0 +1,185 @@
+import React, { useState } from 'react';
+import { Bell, BellOff, CalendarPlus } from 'lucide-react';
+import { LEAD_DAY_OPTIONS } from '../reminders/reminderSchedule';
+
+const ToggleRow = ({ label, description, checked, onChange, disabled = false }) => (
+    <label className={`flex items-start justify-between gap-4 p-3 rounded-2xl bg-gray-50 ${disabled ? 'opacity-50' : 'cursor-pointer'}`}>
+        <div>
+            <p className="text-sm font-semibold text-gray-700">{label}</p>
+            {description && <p className="text-xs text-gray-500 mt-0.5">{description}</p>}
+        </div>
+        <input
+            type="checkbox"
+            checked={checked}
+            onChange={(e) => onChange(e.target.checked)}
+            disabled={disabled}
+            className="mt-1 w-5 h-5 accent-teal-500"
+        />
+    </label>
+);
+
+/**
+ * Reminder preferences section of the settings screen: notification opt-in,
+ * lead times, expiry-day alert, daily digest and the calendar (.ics) export.
+ * @param {{ reminders: ReturnType<typeof import('../reminders/useReminders').useReminders>, onExportCalendar: () => number }} props
+ */
+const ReminderSettings = ({ reminders, onExportCalendar }) => {
+    const { preferences, permission, updatePreferences, enableReminders, sendTestNotification, resetSentReminders } = reminders;
+    const [statusMessage, setStatusMessage] = useState('');
+
+    const isActive = preferences.enabled && permission === 'granted';
+
+    const handleEnable = async () => {
+        const enabled = await enableReminders();
+        setStatusMessage(enabled ? '✅ 已開啟效期提醒' : '❌ 未取得通知權限，無法開啟提醒。');
+    };
+
+    const handleToggleLeadDay = (days, checked) => {
+        const leadDays = checked
+            ? [...preferences.leadDays, days].sort((a, b) => b - a)
+            : preferences.leadDays.filter(value => value !== days);
+        updatePreferences({ leadDays });
+    };
+
+    const handleTest = async () => {
+        try {
+            await sendTestNotification();
+            setStatusMessage('已送出測試通知');
+        } catch (error) {
+            console.error("Test Notification Error:", error);
+            setStatusMessage(`❌ 測試通知失敗: ${error.message}`);
+        }
+    };
+
+    const handleReset = async () => {
+        try {
+            await resetSentReminders();
+            setStatusMessage('已清除提醒紀錄，符合條件的提醒會再次通知');
+        } catch (error) {
+            console.error("Reset Reminders Error:", error);
+            setStatusMessage(`❌ 清除失敗: ${error.message}`);
+        }
+    };
+
+    const handleExportCalendar = () => {
+        const eventCount = onExportCalendar();
+        setStatusMessage(eventCount > 0 ? `✅ 已匯出 ${eventCount} 個到期事件` : '❌ 沒有設定效期的產品，無法匯出行事曆。');
+    };
+
+    return (
+        <section className="space-y-5">
+            <h3 className="text-lg font-bold text-gray-800">🔔 效期提醒</h3>
+
+            {permission === 'unsupported' && (
+                <p className="p-4 rounded-2xl bg-gray-50 text-sm text-gray-600">
+                    此瀏覽器不支援通知。請將 App 安裝到主畫面後再試一次。
+                </p>
+            )}
+
+            {permission === 'denied' && (
+                <p className="p-4 rounded-2xl bg-red-50 text-sm text-red-700 border border-red-200">
+                    通知權限已被封鎖，請在瀏覽器的網站設定中允許通知。
+                </p>
+            )}
+
+            {permission !== 'unsupported' && permission !== 'denied' && (
+                isActive ? (
+                    <button
+                        onClick={() => updatePreferences({ enabled: false })}
+                        className="w-full flex items-center justify-center px-6 py-3.5 bg-gray-100 hover:bg-gray-200 text-gray-700 font-semibold rounded-2xl transition-all duration-300 shadow-md active:scale-95"
+                    >
+                        <BellOff className="w-5 h-5 mr-2" /> 關閉提醒
+                    </button>
+                ) : (
+                    <button
+                        onClick={handleEnable}
+                        className="w-full flex items-center justify-center px-6 py-3.5 bg-gradient-to-r from-teal-500 to-emerald-600 text-white font-semibold rounded-2xl transition-all duration-300 shadow-lg hover:shadow-2xl active:scale-95"
+                    >
+                        <Bell className="w-5 h-5 mr-2" /> 開啟效期提醒
+                    </button>
+                )
+            )}
+
+            <div className="space-y-3">
+                <p className="text-sm font-semibold text-gray-700">提前通知</p>
+                <div className="flex flex-wrap gap-2">
+                    {LEAD_DAY_OPTIONS.map(days => {
+                        const checked = preferences.leadDays.includes(days);
+                        return (
+                            <button
+                                key={days}
+                                type="button"
+                                onClick={() => handleToggleLeadDay(days, !checked)}
+                                disabled={!isActive}
+                                className={`px-4 py-2 rounded-full text-sm font-semibold transition-all duration-300 disabled:opacity-50 ${
+                                    checked
+                                        ? 'bg-gradient-to-r from-teal-500 to-emerald-600 text-white shadow-md'
+                                        : 'bg-gray-100 text-gray-600'
+                                }`}
+                            >
+                                {days} 天前
+                            </button>
+                        );
+                    })}
+                </div>
+            </div>
+
+            <ToggleRow
+                label="到期當天通知"
+                checked={preferences.onExpiryDay}
+                onChange={(checked) => updatePreferences({ onExpiryDay: checked })}
+                disabled={!isActive}
+            />
+            <ToggleRow
+                label="每日摘要"
+                description="把當天所有提醒合併成一則通知"
+                checked={preferences.dailyDigest}
+                onChange={(checked) => updatePreferences({ dailyDigest: checked })}
+                disabled={!isActive}
+            />
+
+            {isActive && (
+                <div className="flex gap-3">
+                    <button
+                        onClick={handleTest}
+                        className="flex-1 px-4 py-3 bg-teal-50 text-teal-700 font-semibold rounded-2xl border border-teal-200 active:scale-95"
+                    >
+                        傳送測試通知
+                    </button>
+                    <button
+                        onClick={handleReset}
+                        className="flex-1 px-4 py-3 bg-gray-50 text-gray-600 font-semibold rounded-2xl border border-gray-200 active:scale-95"
+                    >
+                        重設提醒紀錄
+                    </button>
+                </div>
+            )}
+
+            <div className="p-3 rounded-2xl bg-gray-50 space-y-2">
+                <p className="text-sm font-semibold text-gray-700">加入行事曆</p>
+                <p className="text-xs text-gray-500">
+                    下載 .ics 檔匯入 Google 或 Apple 行事曆，提醒時間依上方的提前天數。之後再匯入一次會更新原本的事件，不會重複。
+                </p>
+                <button
+                    type="button"
+                    onClick={handleExportCalendar}
+                    className="flex items-center px-4 py-2 rounded-xl bg-white text-sm font-semibold text-teal-700 border border-teal-200 active:scale-95"
+                >
+                    <CalendarPlus className="w-4 h-4 mr-2" /> 下載行事曆檔
+                </button>
+            </div>
+
+            {statusMessage && (
+                <div className={`p-4 rounded-2xl ${
+                    statusMessage.includes('失敗') || statusMessage.includes('❌')
+                        ? 'bg-red-50 text-red-700 border border-red-200'
+                        : 'bg-teal-50 text-teal-700 border border-teal-200'
+                }`}>
+                    <p className="text-sm font-medium">{statusMessage}</p>
+                </div>
+            )}
+        </section>
+    );
+};
+
+export default ReminderSettings;
@@ -0,0 +1,169 @@
+import React, { useState } from 'react';
+import { ChevronUp, ChevronDown, X, Plus, Trash2 } from 'lucide-react';
+import { ROUTINE_PERIODS } from '../routines/routineLogic';
+
+/**
+ * Dialog for creating or editing a routine: name, AM/PM and the ordered product steps.
+ * @param {{ routine: object | null, defaultPeriod: string, products: Array<object>, onSave: (routine: object) => Promise<boolean>, onDelete: (routineId: string) => void, onClose: () => void }} props
+ */
+const RoutineEditor = ({ routine, defaultPeriod, products, onSave, onDelete, onClose }) => {
+    const [name, setName] = useState(routine?.name || '');
+    const [period, setPeriod] = useState(routine?.period || defaultPeriod);
+    const [steps, setSteps] = useState(routine?.steps || []);
+    const [selectedProductId, setSelectedProductId] = useState('');
+    const [isSaving, setIsSaving] = useState(false);
+
+    const productsById = new Map(products.map(product => [product.id, product]));
+    const availableProducts = products.filter(product => !steps.includes(product.id));
+
+    const moveStep = (index, delta) => {
+        const next = [...steps];
+        const [step] = next.splice(index, 1);
+        next.splice(index + delta, 0, step);
+        setSteps(next);
+    };
+
+    const handleAddStep = () => {
+        if (!selectedProductId) return;
+        setSteps([...steps, selectedProductId]);
+        setSelectedProductId('');
+    };
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setIsSaving(true);
+        const periodLabel = ROUTINE_PERIODS.find(option => option.value === period).label;
+        const saved = await onSave({
+            ...(routine ? { id: routine.id } : {}),
+            name: name.trim() || `${periodLabel}保養`,
+            period,
+            steps,
+        });
+        setIsSaving(false);
+        if (saved) onClose();
+    };
+
+    const handleDelete = () => {
+        if (window.confirm(`確定要刪除「${routine.name}」嗎？`)) {
+            onDelete(routine.id);
+            onClose();
+        }
+    };
+
+    return (
+        <div className="fixed inset-0 z-[60] flex items-end sm:items-center justify-center bg-black/40 p-4" onClick={onClose}>
+            <form
+                role="dialog"
+                aria-modal="true"
+                aria-labelledby="routine-editor-title"
+                onSubmit={handleSubmit}
+                onClick={(e) => e.stopPropagation()}
+                className="w-full max-w-md max-h-[90vh] overflow-y-auto bg-white rounded-3xl shadow-2xl p-6 space-y-4"
+            >
+                <div className="flex items-center justify-between">
+                    <h3 id="routine-editor-title" className="text-lg font-bold text-gray-900">
+                        {routine ? '編輯保養流程' : '新增保養流程'}
+                    </h3>
+                    <button type="button" onClick={onClose} className="p-1 text-gray-400 hover:text-gray-600" aria-label="關閉">
+                        <X className="w-5 h-5" />
+                    </button>
+                </div>
+
+                <input
+                    type="text"
+                    value={name}
+                    onChange={(e) => setName(e.target.value)}
+                    placeholder="名稱，例如: 早晨基礎保養"
+                    aria-label="流程名稱"
+                    className="w-full px-3 py-2 rounded-xl border-2 border-gray-200 focus:border-teal-400"
+                />
+
+                <div className="grid grid-cols-2 gap-2">
+                    {ROUTINE_PERIODS.map(option => (
+                        <button
+                            key={option.value}
+                            type="button"
+                            onClick={() => setPeriod(option.value)}
+                            aria-pressed={period === option.value}
+                            className={`py-2 rounded-xl border-2 text-sm font-semibold transition-all duration-300 ${
+                                period === option.value ? 'border-teal-400 bg-teal-50 text-teal-700' : 'border-gray-100 bg-gray-50 text-gray-600'
+                            }`}
+                        >
+                            {option.icon} {option.label}
+                        </button>
+                    ))}
+                </div>
+
+                <div className="space-y-2">
+                    <p className="text-sm font-semibold text-gray-700">步驟 (依使用順序)</p>
+                    {steps.length === 0 && <p className="text-xs text-gray-400">從下方加入產品</p>}
+                    <ol className="space-y-2">
+                        {steps.map((productId, index) => {
+                            const product = productsById.get(productId);
+                            return (
+                                <li key={productId} className="flex items-center gap-2 p-2 rounded-xl bg-gray-50">
+                                    <span className="w-6 text-center text-xs font-bold text-gray-400">{index + 1}</span>
+                                    <span className="flex-grow min-w-0 text-sm text-gray-800 truncate">
+                                        {product ? `${product.brand} ${product.name}` : '（已不在清單中的產品）'}
+                                    </span>
+                                    <button type="button" onClick={() => moveStep(index, -1)} disabled={index === 0} className="p-1 text-gray-500 disabled:opacity-30" style={{ minHeight: 'auto', minWidth: 'auto' }} aria-label="往前移">
+                                        <ChevronUp className="w-4 h-4" />
+                                    </button>
+                                    <button type="button" onClick={() => moveStep(index, 1)} disabled={index === steps.length - 1} className="p-1 text-gray-500 disabled:opacity-30" style={{ minHeight: 'auto', minWidth: 'auto' }} aria-label="往後移">
+                                        <ChevronDown className="w-4 h-4" />
+                                    </button>
+                                    <button type="button" onClick={() => setSteps(steps.filter(id => id !== productId))} className="p-1 text-rose-500" style={{ minHeight: 'auto', minWidth: 'auto' }} aria-label="移除步驟">
+                                        <X className="w-4 h-4" />
+                                    </button>
+                                </li>
+                            );
+                        })}
+                    </ol>
+                    <div className="flex gap-2">
+                        <select
+                            value={selectedProductId}
+                            onChange={(e) => setSelectedProductId(e.target.value)}
+                            aria-label="選擇產品"
+                            className="flex-grow min-w-0 px-3 py-2 rounded-xl border-2 border-gray-200 bg-white text-sm focus:border-teal-400"
+                        >
+                            <option value="">選擇產品...</option>
+                            {availableProducts.map(product => (
+                                <option key={product.id} value={product.id}>{product.brand} {product.name}</option>
+                            ))}
+                        </select>
+                        <button
+                            type="button"
+                            onClick={handleAddStep}
+                            disabled={!selectedProductId}
+                            className="flex items-center px-3 py-2 rounded-xl bg-teal-50 text-sm font-semibold text-teal-700 disabled:opacity-50"
+                        >
+                            <Plus className="w-4 h-4 mr-1" /> 加入
+                        </button>
+                    </div>
+                </div>
+
+                <div className="flex gap-3 pt-2">
+                    {routine && (
+                        <button
+                            type="button"
+                            onClick={handleDelete}
+                            className="px-4 py-3 rounded-2xl bg-rose-50 text-rose-600 font-semibold"
+                            aria-label="刪除流程"
+                        >
+                            <Trash2 className="w-5 h-5" />
+                        </button>
+                    )}
+                    <button
+                        type="submit"
+                        disabled={isSaving || steps.length === 0}
+                        className="flex-1 px-6 py-3 bg-gradient-to-r from-teal-500 to-emerald-600 text-white font-semibold rounded-2xl shadow-lg transition-all duration-300 disabled:opacity-50 active:scale-95"
+                    >
+                        儲存
+                    </button>
+                </div>
+            </form>
+        </div>
+    );
+};
+
+export default RoutineEditor;
@@ -0,0 +1,195 @@
+import React, { useState, useMemo } from 'react';
+import { ArrowLeft, Plus, Edit, Check, Flame, PackageOpen, TriangleAlert } from 'lucide-react';
+import RoutineEditor from './RoutineEditor';
+import { ROUTINE_PERIODS, getRoutineAlerts, getRoutineLogId, getRoutineSteps, getRoutineStreak } from '../routines/routineLogic';
+import { getLifecycleState } from '../utils/lifecycle';
+import { getTodayString } from '../utils/date';
+
+const ALERT_STYLES = {
+    expired: 'text-red-700',
+    critical: 'text-red-600',
+    warning: 'text-orange-700',
+    missing: 'text-gray-500',
+};
+
+const RoutineCard = ({ routine, productsById, completedSteps, streak, thresholds, canEdit, onEdit, onToggleStep, onMarkOpened }) => {
+    const steps = getRoutineSteps(routine, productsById);
+    const alerts = getRoutineAlerts(routine, productsById, thresholds);
+    const alertsById = new Map(alerts.map(alert => [alert.productId, alert]));
+    const activeSteps = steps.filter(step => step.product);
+    const doneCount = activeSteps.filter(step => completedSteps.includes(step.productId)).length;
+    const period = ROUTINE_PERIODS.find(option => option.value === routine.period);
+    const hasExpired = alerts.some(alert => alert.level === 'expired');
+
+    return (
+        <li className={`p-4 bg-white/80 backdrop-blur-sm rounded-3xl shadow-md border space-y-3 ${
+            hasExpired ? 'border-red-200' : alerts.length > 0 ? 'border-amber-200' : 'border-gray-100'
+        }`}>
+            <div className="flex items-start justify-between gap-2">
+                <div>
+                    <p className="font-bold text-gray-900">{period?.icon} {routine.name}</p>
+                    <p className="text-xs text-gray-500 mt-0.5 flex items-center gap-2">
+                        <span>今日 {doneCount}/{activeSteps.length}</span>
+                        {streak > 0 && (
+                            <span className="flex items-center font-semibold text-orange-600">
+                                <Flame className="w-3.5 h-3.5 mr-0.5" /> 連續 {streak} 天
+                            </span>
+                        )}
+                    </p>
+                </div>
+                {canEdit && (
+                    <button
+                        type="button"
+                        onClick={() => onEdit(routine)}
+                        className="p-2 rounded-xl text-gray-400 hover:bg-gray-100 hover:text-gray-600"
+                        aria-label={`編輯 ${routine.name}`}
+                    >
+                        <Edit className="w-4 h-4" />
+                    </button>
+                )}
+            </div>
+
+            {alerts.length > 0 && (
+                <p className={`flex items-center text-xs font-semibold ${hasExpired ? 'text-red-700' : 'text-amber-700'}`}>
+                    <TriangleAlert className="w-3.5 h-3.5 mr-1" />
+                    {hasExpired ? '流程中有已過期的產品' : `${alerts.length} 個步驟需要注意`}
+                </p>
+            )}
+
+            <ol className="space-y-2">
+                {steps.map(({ productId, product }, index) => {
+                    const isDone = completedSteps.includes(productId);
+                    const alert = alertsById.get(productId);
+                    return (
+                        <li key={productId} className="space-y-1">
+                            <label className={`flex items-center gap-3 p-2.5 rounded-2xl transition-all duration-300 ${
+                                isDone ? 'bg-teal-50' : 'bg-gray-50'
+                            } ${product ? 'cursor-pointer' : 'opacity-60'}`}>
+                                <input
+                                    type="checkbox"
+                                    checked={isDone}
+                                    onChange={() => onToggleStep(routine, productId)}
+                                    disabled={!product}
+                                    className="sr-only"
+                                />
+                                <span className={`w-6 h-6 flex-shrink-0 rounded-full flex items-center justify-center border-2 ${
+                                    isDone ? 'bg-teal-500 border-teal-500' : 'bg-white border-gray-300'
+                                }`}>
+                                    {isDone ? <Check className="w-4 h-4 text-white" /> : <span className="text-[10px] font-bold text-gray-400">{index + 1}</span>}
+                                </span>
+                                <span className="flex-grow min-w-0">
+                                    <span className={`block text-sm font-semibold truncate ${isDone ? 'text-teal-800' : 'text-gray-800'}`}>
+                                        {product ? product.name : '（已不在清單中的產品）'}
+                                    </span>
+                                    {product && <span className="block text-xs text-gray-400 truncate">{product.brand}</span>}
+                                </span>
+                                {alert && (
+                                    <span className={`text-xs font-semibold whitespace-nowrap ${ALERT_STYLES[alert.level]}`}>{alert.statusText}</span>
+                                )}
+                            </label>
+                            {/* 打卡了但產品還是「未開封」，順手記下開封日期 */}
+                            {canEdit && isDone && product && getLifecycleState(product) === 'unopened' && (
+                                <button
+                                    type="button"
+                                    onClick={() => onMarkOpened(product)}
+                                    className="ml-11 flex items-center px-3 py-1 rounded-full bg-amber-50 text-xs font-semibold text-amber-700 hover:bg-amber-100"
+                                    style={{ minHeight: 'auto' }}
+                                >
+                                    <PackageOpen className="w-3.5 h-3.5 mr-1" /> 尚未開封，設今天為開封日
+                                </button>
+                            )}
+                        </li>
+                    );
+                })}
+            </ol>
+        </li>
+    );
+};
+
+/**
+ * AM/PM routines built from the user's products: today's check-offs, streaks and
+ * warnings for steps whose product is expired, expiring or gone.
+ * @param {{ routines: Array<object>, logsById: Map<string, object>, products: Array<object>, thresholds: object, routineError: string | null, onBack: () => void, onSave: (routine: object) => Promise<boolean>, onDelete: (routineId: string) => void, onToggleStep: (routine: object, productId: string, date: string, productsById: Map<string, object>) => void, onMarkOpened: (product: object) => void, canEdit?: boolean }} props
+ *   `canEdit` is false for viewers of a shared inventory: they can check off steps (their
+ *   own log) but not change routines or products
+ */
+const RoutinesView = ({ routines, logsById, products, thresholds, routineError, onBack, onSave, onDelete, onToggleStep, onMarkOpened, canEdit = true }) => {
+    // null: 關閉；{ routine: null }: 新增；{ routine }: 編輯
+    const [editing, setEditing] = useState(null);
+    const today = getTodayString();
+    const productsById = useMemo(() => new Map(products.map(product => [product.id, product])), [products]);
+    const defaultPeriod = new Date().getHours() < 15 ? 'am' : 'pm';
+
+    return (
+        <div className="p-5 space-y-4">
+            <button
+                type="button"
+                onClick={onBack}
+                className="flex items-center text-sm font-semibold text-teal-700 hover:text-teal-800"
+            >
+                <ArrowLeft className="w-4 h-4 mr-1" /> 返回清單
+            </button>
+
+            <div className="flex items-end justify-between">
+                <div>
+                    <h2 className="text-2xl font-bold bg-gradient-to-r from-teal-600 to-emerald-600 bg-clip-text text-transparent">
+                        保養流程
+                    </h2>
+                    <p className="text-sm text-gray-500 mt-1">每天打卡，累積連續天數</p>
+                </div>
+                {canEdit && (
+                    <button
+                        type="button"
+                        onClick={() => setEditing({ routine: null })}
+                        className="flex items-center px-3 py-2 rounded-xl bg-teal-50 text-sm font-semibold text-teal-700 hover:bg-teal-100"
+                    >
+                        <Plus className="w-4 h-4 mr-1" /> 新增
+                    </button>
+                )}
+            </div>
+
+            {routineError && (
+                <div className="p-4 rounded-2xl bg-red-50 text-red-700 border border-red-200">
+                    <p className="text-sm font-medium">{routineError}</p>
+                </div>
+            )}
+
+            {routines.length === 0 ? (
+                <div className="text-center py-16 bg-white/60 rounded-3xl border-2 border-dashed border-gray-200">
+                    <p className="text-gray-600 font-semibold">還沒有保養流程</p>
+                    <p className="text-gray-500 text-sm mt-1">把早晚使用的產品依順序排好，每天打卡</p>
+                </div>
+            ) : (
+                <ul className="space-y-3">
+                    {routines.map(routine => (
+                        <RoutineCard
+                            key={routine.id}
+                            routine={routine}
+                            productsById={productsById}
+                            completedSteps={logsById.get(getRoutineLogId(routine.id, today))?.completedSteps || []}
+                            streak={getRoutineStreak(routine.id, logsById, today)}
+                            thresholds={thresholds}
+                            canEdit={canEdit}
+                            onEdit={(item) => setEditing({ routine: item })}
+                            onToggleStep={(item, productId) => onToggleStep(item, productId, today, productsById)}
+                            onMarkOpened={onMarkOpened}
+                        />
+                    ))}
+                </ul>
+            )}
+
+            {editing && canEdit && (
+                <RoutineEditor
+                    routine={editing.routine}
+                    defaultPeriod={defaultPeriod}
+                    products={products}
+                    onSave={onSave}
+                    onDelete={onDelete}
+                    onClose={() => setEditing(null)}
+                />
+            )}
+        </div>
+    );
+};
+
+export default RoutinesView;
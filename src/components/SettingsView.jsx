@@ -0,0 +1,161 @@
+import React, { useState } from 'react';
+import { X } from 'lucide-react';
+import ReminderSettings from './ReminderSettings';
+import IngredientWatchlistSettings from './IngredientWatchlistSettings';
+import DataTransferSettings from './DataTransferSettings';
+import HouseholdSettings from './HouseholdSettings';
+import { SORT_OPTIONS } from '../utils/productSort';
+import { getPaoOptions } from '../utils/productStatus';
+
+const NumberSetting = ({ label, description, value, onCommit }) => {
+    const [draft, setDraft] = useState(String(value));
+
+    return (
+        <label className="flex items-center justify-between gap-4 p-3 rounded-2xl bg-gray-50">
+            <div>
+                <p className="text-sm font-semibold text-gray-700">{label}</p>
+                {description && <p className="text-xs text-gray-500 mt-0.5">{description}</p>}
+            </div>
+            <div className="flex items-center gap-2">
+                <input
+                    type="number"
+                    min="1"
+                    inputMode="numeric"
+                    value={draft}
+                    onChange={(e) => setDraft(e.target.value)}
+                    onBlur={() => onCommit(draft, setDraft)}
+                    className="w-20 px-3 py-2 rounded-xl border-2 border-gray-200 focus:border-teal-400 focus:ring-4 focus:ring-teal-100 text-right"
+                />
+                <span className="text-sm text-gray-500">天</span>
+            </div>
+        </label>
+    );
+};
+
+/**
+ * Settings screen: status thresholds, default sort, default PAO, ingredient watchlist,
+ * notification preferences, shared inventories and backup / import.
+ * @param {{ settings: object, onUpdate: (changes: object) => void, reminders: object, onExportCalendar: () => number, dataTransfer: object, productCount: number, canEdit?: boolean, households: object | null, currentUserId: string, onJoinCode: (code: string) => void, settingsError: string | null, onClose: () => void }} props
+ *   `households` is null in local mode, which has no shared inventories
+ */
+const SettingsView = ({ settings, onUpdate, reminders, onExportCalendar, dataTransfer, productCount, canEdit = true, households, currentUserId, onJoinCode, settingsError, onClose }) => {
+    const [validationMessage, setValidationMessage] = useState('');
+
+    // 數字在離開輸入框時才儲存，避免輸入到一半就觸發驗證
+    const commitThreshold = (key) => (rawValue, resetDraft) => {
+        // 清空欄位不代表 0 天，還原成目前的值
+        if (!String(rawValue).trim()) {
+            setValidationMessage('');
+            resetDraft(String(settings[key]));
+            return;
+        }
+        const value = Number(rawValue);
+        const next = { warningDays: settings.warningDays, criticalDays: settings.criticalDays, [key]: value };
+
+        if (!Number.isInteger(value) || value < 1) {
+            setValidationMessage('❌ 天數必須是 1 以上的整數。');
+            resetDraft(String(settings[key]));
+            return;
+        }
+        if (next.criticalDays > next.warningDays) {
+            setValidationMessage('❌「緊急」天數不可大於「即將過期」天數。');
+            resetDraft(String(settings[key]));
+            return;
+        }
+
+        setValidationMessage('');
+        if (value !== settings[key]) {
+            onUpdate({ [key]: value });
+        }
+    };
+
+    return (
+        <div className="p-6 space-y-5 max-w-lg mx-auto">
+            <div className="bg-white/80 backdrop-blur-xl rounded-3xl shadow-2xl border border-white/20 p-6 space-y-6">
+                <div className="flex items-center justify-between">
+                    <h2 className="text-2xl font-bold bg-gradient-to-r from-teal-600 to-emerald-600 bg-clip-text text-transparent">
+                        ⚙️ 設定
+                    </h2>
+                    <button onClick={onClose} className="p-2 text-gray-500 hover:text-gray-700 rounded-xl" aria-label="關閉">
+                        <X className="w-5 h-5" />
+                    </button>
+                </div>
+
+                <section className="space-y-3">
+                    <h3 className="text-lg font-bold text-gray-800">⏳ 效期狀態</h3>
+                    <NumberSetting
+                        key={`warning-${settings.warningDays}`}
+                        label="即將過期"
+                        description="剩餘天數少於此值時顯示橘色"
+                        value={settings.warningDays}
+                        onCommit={commitThreshold('warningDays')}
+                    />
+                    <NumberSetting
+                        key={`critical-${settings.criticalDays}`}
+                        label="緊急"
+                        description="剩餘天數少於此值時顯示紅橘色"
+                        value={settings.criticalDays}
+                        onCommit={commitThreshold('criticalDays')}
+                    />
+                    {validationMessage && (
+                        <p className="text-sm font-medium text-red-700">{validationMessage}</p>
+                    )}
+                </section>
+
+                <section className="space-y-3">
+                    <h3 className="text-lg font-bold text-gray-800">📋 清單與新增</h3>
+                    <label className="block">
+                        <span className="block text-sm font-semibold text-gray-700 mb-2">預設排序</span>
+                        <select
+                            value={settings.defaultSort}
+                            onChange={(e) => onUpdate({ defaultSort: e.target.value })}
+                            className="w-full px-4 py-3 rounded-2xl border-2 border-gray-200 bg-white focus:border-teal-400 focus:ring-4 focus:ring-teal-100"
+                        >
+                            {SORT_OPTIONS.map(option => (
+                                <option key={option.value} value={option.value}>{option.label}</option>
+                            ))}
+                        </select>
+                    </label>
+                    <label className="block">
+                        <span className="block text-sm font-semibold text-gray-700 mb-2">新產品預設 PAO</span>
+                        <select
+                            value={settings.defaultPaoMonths ? String(settings.defaultPaoMonths) : ''}
+                            onChange={(e) => onUpdate({ defaultPaoMonths: e.target.value ? Number(e.target.value) : null })}
+                            className="w-full px-4 py-3 rounded-2xl border-2 border-gray-200 bg-white focus:border-teal-400 focus:ring-4 focus:ring-teal-100"
+                        >
+                            <option value="">不預設</option>
+                            {getPaoOptions(settings.defaultPaoMonths).map(months => (
+                                <option key={months} value={String(months)}>{months}M（開封後 {months} 個月）</option>
+                            ))}
+                        </select>
+                    </label>
+                </section>
+
+                <IngredientWatchlistSettings
+                    watchlist={settings.avoidIngredients}
+                    onChange={(avoidIngredients) => onUpdate({ avoidIngredients })}
+                />
+
+                <ReminderSettings reminders={reminders} onExportCalendar={onExportCalendar} />
+
+                {households && (
+                    <HouseholdSettings
+                        households={households}
+                        currentUserId={currentUserId}
+                        onJoinCode={onJoinCode}
+                    />
+                )}
+
+                <DataTransferSettings dataTransfer={dataTransfer} productCount={productCount} canImport={canEdit} />
+
+                {settingsError && (
+                    <div className="p-4 rounded-2xl bg-red-50 text-red-700 border border-red-200">
+                        <p className="text-sm font-medium">{settingsError}</p>
+                    </div>
+                )}
+            </div>
+        </div>
+    );
+};
+
+export default SettingsView;
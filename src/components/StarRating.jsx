@@ -0,0 +1,39 @@
+import React from 'react';
+import { Star } from 'lucide-react';
+
+/**
+ * 1-5 star rating. Tapping the current rating again clears it.
+ * @param {{ value: number | null, onChange?: (value: number | null) => void }} props
+ *   Read-only when `onChange` is omitted.
+ */
+const StarRating = ({ value, onChange }) => (
+    <div className="flex items-center gap-0.5" role={onChange ? 'radiogroup' : undefined} aria-label="評分">
+        {[1, 2, 3, 4, 5].map(star => {
+            const isFilled = value >= star;
+            const icon = <Star className={`w-5 h-5 ${isFilled ? 'fill-amber-400 text-amber-400' : 'text-gray-300'}`} />;
+
+            if (!onChange) {
+                return <span key={star}>{icon}</span>;
+            }
+            return (
+                <button
+                    key={star}
+                    type="button"
+                    role="radio"
+                    aria-checked={value === star}
+                    aria-label={`${star} 顆星`}
+                    onClick={(e) => {
+                        e.stopPropagation();
+                        onChange(value === star ? null : star);
+                    }}
+                    className="p-0.5"
+                    style={{ minHeight: 'auto', minWidth: 'auto' }}
+                >
+                    {icon}
+                </button>
+            );
+        })}
+    </div>
+);
+
+export default StarRating;
@@ -0,0 +1,58 @@
+import React, { useEffect } from 'react';
+import { X } from 'lucide-react';
+
+// 有「復原」按鈕的通知停留久一點
+const DISMISS_AFTER_MS = 4000;
+const DISMISS_WITH_ACTION_AFTER_MS = 7000;
+
+/**
+ * Snackbar at the bottom of the screen. A new `toast.id` restarts the auto-dismiss timer.
+ * @param {{ toast: {id: number, message: string, tone?: 'info' | 'error', action?: {label: string, onClick: () => void}}, onDismiss: () => void }} props
+ */
+const Toast = ({ toast, onDismiss }) => {
+    useEffect(() => {
+        // 錯誤訊息留給使用者自己關閉
+        if (toast.tone === 'error') return undefined;
+        const timer = setTimeout(onDismiss, toast.action ? DISMISS_WITH_ACTION_AFTER_MS : DISMISS_AFTER_MS);
+        return () => clearTimeout(timer);
+    }, [toast.id, toast.tone, toast.action, onDismiss]);
+
+    const isError = toast.tone === 'error';
+
+    return (
+        <div className="fixed bottom-28 inset-x-0 z-[60] flex justify-center px-4 pointer-events-none">
+            <div
+                role={isError ? 'alert' : 'status'}
+                className={`pointer-events-auto flex items-center gap-3 max-w-md w-full pl-4 pr-2 py-2 rounded-2xl shadow-2xl text-sm ${
+                    isError ? 'bg-red-600 text-white' : 'bg-gray-900 text-white'
+                }`}
+            >
+                <p className="flex-grow font-medium">{toast.message}</p>
+                {toast.action && (
+                    <button
+                        type="button"
+                        onClick={() => {
+                            toast.action.onClick();
+                            onDismiss();
+                        }}
+                        className="px-3 py-1.5 rounded-xl font-bold text-teal-300 hover:bg-white/10"
+                        style={{ minHeight: 'auto' }}
+                    >
+                        {toast.action.label}
+                    </button>
+                )}
+                <button
+                    type="button"
+                    onClick={onDismiss}
+                    className="p-1.5 rounded-xl text-white/70 hover:bg-white/10"
+                    style={{ minHeight: 'auto', minWidth: 'auto' }}
+                    aria-label="關閉"
+                >
+                    <X className="w-4 h-4" />
+                </button>
+            </div>
+        </div>
+    );
+};
+
+export default Toast;
@@ -0,0 +1,108 @@
+import React from 'react';
+import { ArrowLeft, Package, RotateCcw, Trash2 } from 'lucide-react';
+import { usePhotoUrl } from '../photos/usePhotoUrl';
+import { TRASH_RETENTION_DAYS, getDaysUntilPurge } from '../utils/trash';
+import { toMillis } from '../utils/date';
+
+const TrashRow = ({ product, photoStore, canEdit, onRestore, onDeleteForever }) => {
+    const thumbnailUrl = usePhotoUrl(photoStore, product.photo || null, 'thumbnail') || product.photoBase64 || null;
+    const daysLeft = getDaysUntilPurge(product);
+
+    return (
+        <li className="flex items-center gap-3 p-4 bg-white/80 backdrop-blur-sm rounded-3xl shadow-md border border-gray-100">
+            <div className="w-14 h-14 flex-shrink-0 rounded-2xl overflow-hidden bg-gradient-to-br from-gray-100 to-gray-200 flex items-center justify-center opacity-70">
+                {thumbnailUrl
+                    ? <img src={thumbnailUrl} alt={product.name} className="w-full h-full object-cover" />
+                    : <Package className="w-6 h-6 text-gray-300" />}
+            </div>
+            <div className="flex-grow min-w-0">
+                <p className="text-xs font-bold uppercase tracking-wider text-gray-400 truncate">{product.brand}</p>
+                <p className="font-bold text-gray-700 truncate">{product.name}</p>
+                <p className="text-xs text-gray-400 mt-0.5">
+                    {daysLeft > 0 ? `${daysLeft} 天後永久刪除` : '即將永久刪除'}
+                </p>
+            </div>
+            {canEdit && (
+                <div className="flex flex-col gap-1.5">
+                    <button
+                        type="button"
+                        onClick={() => onRestore(product)}
+                        className="flex items-center justify-center px-3 py-1.5 rounded-full bg-teal-50 text-xs font-semibold text-teal-700 hover:bg-teal-100"
+                        style={{ minHeight: 'auto', minWidth: 'auto' }}
+                    >
+                        <RotateCcw className="w-3.5 h-3.5 mr-1" /> 復原
+                    </button>
+                    <button
+                        type="button"
+                        onClick={() => onDeleteForever(product)}
+                        className="flex items-center justify-center px-3 py-1.5 rounded-full bg-rose-50 text-xs font-semibold text-rose-600 hover:bg-rose-100"
+                        style={{ minHeight: 'auto', minWidth: 'auto' }}
+                    >
+                        <Trash2 className="w-3.5 h-3.5 mr-1" /> 永久刪除
+                    </button>
+                </div>
+            )}
+        </li>
+    );
+};
+
+/**
+ * Trash bin: soft-deleted products, most recently deleted first, restorable until purged.
+ * @param {{ products: Array<object>, photoStore: object, onBack: () => void, onRestore: (product: object) => void, onDeleteForever: (product: object) => void, onEmpty: () => void, canEdit?: boolean }} props
+ *   `canEdit` is false for viewers of a shared inventory, who only see the list
+ */
+const TrashView = ({ products, photoStore, onBack, onRestore, onDeleteForever, onEmpty, canEdit = true }) => {
+    const sortedProducts = [...products].sort((a, b) => toMillis(b.deletedAt) - toMillis(a.deletedAt));
+
+    return (
+        <div className="p-5 space-y-4">
+            <button
+                type="button"
+                onClick={onBack}
+                className="flex items-center text-sm font-semibold text-teal-700 hover:text-teal-800"
+            >
+                <ArrowLeft className="w-4 h-4 mr-1" /> 返回清單
+            </button>
+
+            <div className="flex items-end justify-between">
+                <div>
+                    <h2 className="text-2xl font-bold bg-gradient-to-r from-teal-600 to-emerald-600 bg-clip-text text-transparent">
+                        垃圾桶
+                    </h2>
+                    <p className="text-sm text-gray-500 mt-1">刪除的產品會保留 {TRASH_RETENTION_DAYS} 天</p>
+                </div>
+                {products.length > 0 && canEdit && (
+                    <button
+                        type="button"
+                        onClick={onEmpty}
+                        className="text-sm font-semibold text-rose-600 hover:text-rose-700"
+                        style={{ minHeight: 'auto' }}
+                    >
+                        清空垃圾桶
+                    </button>
+                )}
+            </div>
+
+            {sortedProducts.length === 0 ? (
+                <div className="text-center py-16 bg-white/60 rounded-3xl border-2 border-dashed border-gray-200">
+                    <p className="text-gray-600 font-semibold">垃圾桶是空的</p>
+                </div>
+            ) : (
+                <ul className="space-y-3">
+                    {sortedProducts.map(product => (
+                        <TrashRow
+                            key={product.id}
+                            product={product}
+                            photoStore={photoStore}
+                            canEdit={canEdit}
+                            onRestore={onRestore}
+                            onDeleteForever={onDeleteForever}
+                        />
+                    ))}
+                </ul>
+            )}
+        </div>
+    );
+};
+
+export default TrashView;
@@ -0,0 +1,83 @@
+import React from 'react';
+import { Plus, X } from 'lucide-react';
+import { createUnit } from '../units/productUnits';
+
+/**
+ * Backup units of a product in the form, each with its own expiry and opened date.
+ * The fields above the list describe the unit in front.
+ * @param {{ units: Array<object>, frontValues: object, disabled?: boolean, onChange: (units: Array<object>) => void }} props
+ */
+const UnitListEditor = ({ units, frontValues, disabled = false, onChange }) => {
+    const updateUnit = (id, changes) => {
+        onChange(units.map(unit => (unit.id === id ? { ...unit, ...changes } : unit)));
+    };
+
+    // 多半是同一批買的，先沿用目前這瓶的效期與購買資訊
+    const handleAdd = () => {
+        onChange([...units, createUnit({
+            expiryDate: frontValues.expiryDate,
+            expiryEstimated: frontValues.expiryEstimated,
+            purchaseDate: frontValues.purchaseDate,
+            price: frontValues.price,
+            currency: frontValues.currency,
+            store: frontValues.store,
+        })]);
+    };
+
+    return (
+        <div className="space-y-2">
+            <p className="text-sm font-semibold text-gray-700">
+                📦 備品 {units.length > 0 && <span className="font-normal text-gray-400">（共 {units.length + 1} 瓶）</span>}
+            </p>
+            {units.length > 0 && (
+                <ul className="space-y-2">
+                    {units.map((unit, index) => (
+                        <li key={unit.id} className="flex items-end gap-2 p-3 rounded-2xl bg-gray-50">
+                            <span className="pb-2 w-6 text-center text-xs font-bold text-gray-400">{index + 2}</span>
+                            <label className="flex-1 min-w-0 text-xs text-gray-500">
+                                有效期限
+                                <input
+                                    type="date"
+                                    value={unit.expiryDate || ''}
+                                    onChange={(e) => updateUnit(unit.id, { expiryDate: e.target.value || null, expiryEstimated: false })}
+                                    disabled={disabled}
+                                    className="mt-1 w-full px-2 py-1.5 rounded-xl border-2 border-gray-200 bg-white text-sm text-gray-800 focus:border-teal-400"
+                                />
+                            </label>
+                            <label className="flex-1 min-w-0 text-xs text-gray-500">
+                                開封日期
+                                <input
+                                    type="date"
+                                    value={unit.openedDate || ''}
+                                    onChange={(e) => updateUnit(unit.id, { openedDate: e.target.value || null })}
+                                    disabled={disabled}
+                                    className="mt-1 w-full px-2 py-1.5 rounded-xl border-2 border-gray-200 bg-white text-sm text-gray-800 focus:border-teal-400"
+                                />
+                            </label>
+                            <button
+                                type="button"
+                                onClick={() => onChange(units.filter(item => item.id !== unit.id))}
+                                disabled={disabled}
+                                className="mb-1 p-1.5 rounded-full text-rose-500 hover:bg-rose-50"
+                                style={{ minHeight: 'auto', minWidth: 'auto' }}
+                                aria-label={`移除第 ${index + 2} 瓶`}
+                            >
+                                <X className="w-4 h-4" />
+                            </button>
+                        </li>
+                    ))}
+                </ul>
+            )}
+            <button
+                type="button"
+                onClick={handleAdd}
+                disabled={disabled}
+                className="flex items-center px-3 py-2 rounded-xl bg-teal-50 text-sm font-semibold text-teal-700 hover:bg-teal-100 disabled:opacity-50"
+            >
+                <Plus className="w-4 h-4 mr-1" /> 加一瓶備品
+            </button>
+        </div>
+    );
+};
+
+export default UnitListEditor;
@@ -0,0 +1,30 @@
+// --- START: Configuration for Vercel/Local Deployment ---
+// Vercel/Vite 會自動從 "import.meta.env" 讀取 VITE_ 開頭的環境變數
+// 您必須在 Vercel 專案的 Settings > Environment Variables 中設定這些值
+
+// FIX: Use Vite's standard import.meta.env directly.
+// This is correct for your localhost (Vite) and Vercel (Vite) environments.
+// The previous "env" wrapper was incorrect and broke the Vercel build.
+export const firebaseConfig = {
+  apiKey: import.meta.env.VITE_API_KEY,
+  authDomain: import.meta.env.VITE_AUTH_DOMAIN,
+  projectId: import.meta.env.VITE_PROJECT_ID,
+  storageBucket: import.meta.env.VITE_STORAGE_BUCKET,
+  messagingSenderId: import.meta.env.VITE_MESSAGING_SENDER_ID,
+  appId: import.meta.env.VITE_APP_ID
+};
+
+// 檢查本地設定是否完整 (用於 Vercel 部署)
+export const isLocalConfigValid = Boolean(firebaseConfig.projectId && firebaseConfig.apiKey);
+
+// AI 標籤辨識: 'server' 呼叫 /api/analyze-label (金鑰只存在伺服器的 GEMINI_API_KEY)，
+// 'mock' 使用固定的範例結果，開發時不需網路
+export const LABEL_RECOGNITION = import.meta.env.VITE_LABEL_RECOGNITION || 'server';
+
+// 這是您的資料儲存路徑
+export const APP_DATA_PATH = "skincare-app-data";
+
+// 資料儲存後端: 'firebase' (雲端) 或 'local' (僅存於此裝置的 IndexedDB)
+// 未指定時，有 Firebase 設定就用雲端，否則自動改用本機模式
+export const STORAGE_BACKEND = import.meta.env.VITE_STORAGE_BACKEND || (isLocalConfigValid ? 'firebase' : 'local');
+// --- END: Configuration ---
@@ -0,0 +1,173 @@
+import { getProductPhotos } from '../photos/productPhotos';
+import { blobToDataUrl } from '../photos/imageProcessing';
+import { getCategoryLabel } from '../utils/categories';
+
+// 匯出時略過的欄位: 帳號 ID 與照片參照 (照片檔案不在匯出檔中)
+const OMITTED_FIELDS = ['userId', 'photo', 'photos', 'photoBase64'];
+
+export const EXPORT_FORMAT = 'skincare-products';
+// 2: 可內嵌照片 (embeddedPhotos)、備品 (backups)
+export const EXPORT_VERSION = 2;
+
+/**
+ * CSV columns: the key is the product field, the label is the header written to the file.
+ * Import accepts either one as a header, so a spreadsheet with Chinese headers works too.
+ */
+export const CSV_COLUMNS = [
+    { key: 'brand', label: '品牌' },
+    { key: 'name', label: '產品名稱' },
+    { key: 'category', label: '類別' },
+    { key: 'volume', label: '容量' },
+    { key: 'location', label: '存放位置' },
+    { key: 'expiryDate', label: '有效期限' },
+    { key: 'openedDate', label: '開封日期' },
+    { key: 'paoMonths', label: '開封後使用期限(月)' },
+    { key: 'purchaseDate', label: '購入日期' },
+    { key: 'price', label: '價格' },
+    { key: 'currency', label: '幣別' },
+    { key: 'store', label: '購買通路' },
+    { key: 'manufactureDate', label: '製造日期' },
+    { key: 'batchCode', label: '批號' },
+    { key: 'barcode', label: '條碼' },
+    { key: 'lifecycle', label: '狀態' },
+    { key: 'finishedDate', label: '用完日期' },
+    { key: 'discardedDate', label: '丟棄日期' },
+    { key: 'discardReason', label: '丟棄原因' },
+    { key: 'backupExpiryDates', label: '備品效期' },
+    { key: 'ingredients', label: '成分' },
+    { key: 'notes', label: '備註' },
+];
+
+/**
+ * Firestore Timestamps and Dates become ISO strings so the file is plain JSON.
+ * @param {any} value
+ */
+const toPlainValue = (value) => {
+    if (value && typeof value.toDate === 'function') return value.toDate().toISOString();
+    if (value instanceof Date) return value.toISOString();
+    return value;
+};
+
+/**
+ * @param {object} product
+ * @returns {object} The product without internal fields, with timestamps as strings
+ */
+export const toExportRecord = (product) => Object.fromEntries(
+    Object.entries(product)
+        .filter(([key]) => !OMITTED_FIELDS.includes(key))
+        .map(([key, value]) => [key, toPlainValue(value)])
+);
+
+/**
+ * @param {Array<object>} products
+ * @param {{ embeddedPhotos?: Map<string, Array<{ tag: string, dataUrl: string }>> }} [options]
+ *   Photos by product id, from collectEmbeddedPhotos
+ * @returns {string} Pretty-printed JSON with a small header
+ */
+export const createProductsJson = (products, { embeddedPhotos = null } = {}) => JSON.stringify({
+    format: EXPORT_FORMAT,
+    version: EXPORT_VERSION,
+    exportedAt: new Date().toISOString(),
+    products: products.map(product => ({
+        ...toExportRecord(product),
+        ...(embeddedPhotos?.get(product.id)?.length ? { embeddedPhotos: embeddedPhotos.get(product.id) } : {}),
+    })),
+}, null, 2);
+
+/**
+ * Reads every product photo as a data URL so a JSON backup can be restored on a new
+ * device. Photos that cannot be read (e.g. taken offline on another device) are skipped.
+ * @param {Array<object>} products
+ * @param {object} photoStore
+ * @param {(done: number, total: number) => void} [onProgress]
+ * @returns {Promise<{ photos: Map<string, Array<{ tag: string, dataUrl: string }>>, skipped: number }>}
+ */
+export const collectEmbeddedPhotos = async (products, photoStore, onProgress = () => {}) => {
+    const total = products.reduce((count, product) => count + getProductPhotos(product).length, 0);
+    const photos = new Map();
+    let done = 0;
+    let skipped = 0;
+    for (const product of products) {
+        const embedded = [];
+        for (const photo of getProductPhotos(product)) {
+            try {
+                const blob = await photoStore.getBlob(photo);
+                if (blob) {
+                    embedded.push({ tag: photo.tag || 'front', dataUrl: await blobToDataUrl(blob) });
+                } else {
+                    skipped += 1;
+                }
+            } catch (error) {
+                console.error("Photo Export Error:", error);
+                skipped += 1;
+            }
+            done += 1;
+            onProgress(done, total);
+        }
+        // 尚未搬移的舊資料本來就是 data URL
+        if (embedded.length === 0 && product.photoBase64) {
+            embedded.push({ tag: 'front', dataUrl: product.photoBase64 });
+        }
+        if (embedded.length > 0) photos.set(product.id, embedded);
+    }
+    return { photos, skipped };
+};
+
+/**
+ * Quotes a CSV cell when it contains a separator, quote or line break.
+ * @param {any} value
+ */
+const toCsvCell = (value) => {
+    const text = value == null ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Spreadsheet value of one column: lists are joined, the category is written as its label.
+ * @param {object} product
+ * @param {string} key
+ */
+const getCsvValue = (product, key) => {
+    switch (key) {
+        case 'category':
+            return getCategoryLabel(product.category) || product.category || '';
+        case 'ingredients':
+            return (product.ingredients || []).join(', ');
+        case 'backupExpiryDates':
+            return (product.backups || []).map(unit => unit.expiryDate || '').join('; ');
+        default:
+            return toPlainValue(product[key]);
+    }
+};
+
+/**
+ * One row per product, with a BOM so Excel opens the UTF-8 file correctly. Photos, ratings
+ * and each backup's details other than its expiry are only kept in the JSON format.
+ * @param {Array<object>} products
+ * @returns {string}
+ */
+export const createProductsCsv = (products) => {
+    const rows = [
+        CSV_COLUMNS.map(column => column.label),
+        ...products.map(product => CSV_COLUMNS.map(column => getCsvValue(product, column.key))),
+    ];
+    return `\uFEFF${rows.map(row => row.map(toCsvCell).join(',')).join('\r\n')}\r\n`;
+};
+
+/**
+ * Saves text as a file through a temporary download link.
+ * @param {string} content
+ * @param {string} filename
+ * @param {string} mimeType
+ */
+export const downloadFile = (content, filename, mimeType) => {
+    const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    // 給瀏覽器一點時間開始下載再釋放
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+};
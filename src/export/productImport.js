@@ -0,0 +1,262 @@
+import { CSV_COLUMNS, EXPORT_FORMAT, EXPORT_VERSION } from './productExport';
+import { CATEGORY_OPTIONS } from '../utils/categories';
+import { LIFECYCLE_STATES, DISCARD_REASONS, isArchived } from '../utils/lifecycle';
+import { parseIngredientList, normalizeIngredientName } from '../ingredients/normalizeIngredients';
+import { createUnit, findDuplicateProduct } from '../units/productUnits';
+import { formatDate } from '../utils/date';
+
+const TEXT_FIELDS = ['brand', 'name', 'volume', 'location', 'notes', 'batchCode', 'barcode', 'store'];
+const DATE_FIELDS = ['expiryDate', 'openedDate', 'purchaseDate', 'manufactureDate', 'finishedDate', 'discardedDate'];
+
+const getFieldLabel = (key) => CSV_COLUMNS.find(column => column.key === key)?.label || key;
+
+/**
+ * Matches a stored value or its display label, e.g. 'serum' or '精華液'.
+ * @param {Array<{value: string, label: string}>} options
+ * @param {string} input
+ * @returns {string | null}
+ */
+const matchOption = (options, input) => {
+    const text = input.toLowerCase();
+    return options.find(option => option.value.toLowerCase() === text || option.label.toLowerCase() === text)?.value || null;
+};
+
+const LIFECYCLE_OPTIONS = Object.entries(LIFECYCLE_STATES).map(([value, { label }]) => ({ value, label }));
+
+/**
+ * Accepts YYYY-MM-DD and the YYYY/M/D form spreadsheets often produce.
+ * @param {string} input
+ * @returns {string | null} YYYY-MM-DD, or null when not a real date
+ */
+const parseDate = (input) => {
+    const match = input.match(/^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})$/);
+    if (!match) return null;
+    const [, year, month, day] = match.map(Number);
+    const date = new Date(Date.UTC(year, month - 1, day));
+    if (date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) return null;
+    return formatDate(date);
+};
+
+/**
+ * Splits CSV text into rows of cells (RFC 4180: quoted cells may contain commas, quotes
+ * and line breaks).
+ * @param {string} text
+ * @returns {string[][]}
+ */
+export const parseCsv = (text) => {
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let inQuotes = false;
+    const input = text.replace(/^\uFEFF/, '');
+
+    for (let i = 0; i < input.length; i += 1) {
+        const char = input[i];
+        if (inQuotes) {
+            if (char === '"' && input[i + 1] === '"') {
+                cell += '"';
+                i += 1;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            row.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[i + 1] === '\n') i += 1;
+            row.push(cell);
+            rows.push(row);
+            row = [];
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+    if (cell || row.length > 0) {
+        row.push(cell);
+        rows.push(row);
+    }
+    return rows;
+};
+
+/**
+ * Reads an exported JSON file or a CSV (ours or a hand-made spreadsheet) into raw records.
+ * @param {string} text File content
+ * @param {string} fileName Used to tell the formats apart
+ * @returns {{ format: 'json' | 'csv', records: Array<{ rowNumber: number, values: object }> }}
+ * @throws {Error} When the file cannot be read at all
+ */
+export const readImportFile = (text, fileName) => {
+    const isJson = /\.json$/i.test(fileName) || /^\s*[[{]/.test(text);
+
+    if (isJson) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch {
+            throw new Error('JSON 格式錯誤，無法讀取。');
+        }
+        const products = Array.isArray(data) ? data : data?.products;
+        if (!Array.isArray(products)) {
+            throw new Error('不是保養品清單的匯出檔。');
+        }
+        if (!Array.isArray(data) && data.format && data.format !== EXPORT_FORMAT) {
+            throw new Error(`不支援的檔案格式: ${data.format}`);
+        }
+        if (data.version > EXPORT_VERSION) {
+            throw new Error('這個檔案來自較新版本的 App，請先更新後再匯入。');
+        }
+        return { format: 'json', records: products.map((values, index) => ({ rowNumber: index + 1, values: values || {} })) };
+    }
+
+    const [header = [], ...rows] = parseCsv(text);
+    // 欄位名稱可以是英文 key 或中文標題
+    const keys = header.map(cell => {
+        const name = cell.trim();
+        return CSV_COLUMNS.find(column => column.key === name || column.label === name)?.key || null;
+    });
+    if (!keys.includes('brand') || !keys.includes('name')) {
+        throw new Error('CSV 第一列必須包含「品牌」與「產品名稱」欄位。');
+    }
+    return {
+        format: 'csv',
+        records: rows
+            // 第 1 列是標題
+            .map((cells, index) => ({ rowNumber: index + 2, cells }))
+            .filter(({ cells }) => cells.some(cell => cell.trim()))
+            .map(({ rowNumber, cells }) => ({
+                rowNumber,
+                values: Object.fromEntries(keys.map((key, index) => [key, cells[index]]).filter(([key]) => key)),
+            })),
+    };
+};
+
+/**
+ * Turns one raw record into product fields, collecting a message for every invalid value
+ * instead of stopping at the first.
+ * @param {object} values From readImportFile
+ * @returns {{ product: object, photos: Array<{ tag: string, dataUrl: string }>, errors: string[] }}
+ */
+export const validateImportRecord = (values) => {
+    const product = {};
+    const errors = [];
+    const text = (key) => (values[key] == null ? '' : String(values[key]).trim());
+
+    TEXT_FIELDS.forEach(key => {
+        if (text(key)) product[key] = text(key);
+    });
+    if (!product.brand) errors.push('缺少品牌');
+    if (!product.name) errors.push('缺少產品名稱');
+
+    DATE_FIELDS.forEach(key => {
+        if (!text(key)) return;
+        const date = parseDate(text(key));
+        if (date) {
+            product[key] = date;
+        } else {
+            errors.push(`${getFieldLabel(key)}「${text(key)}」不是有效日期 (YYYY-MM-DD)`);
+        }
+    });
+    if (product.openedDate && product.expiryDate && product.openedDate > product.expiryDate) {
+        errors.push('開封日期晚於有效期限');
+    }
+
+    if (text('category')) {
+        const category = matchOption(CATEGORY_OPTIONS, text('category'));
+        if (category) {
+            product.category = category;
+        } else {
+            errors.push(`未知的類別「${text('category')}」`);
+        }
+    }
+
+    if (text('paoMonths')) {
+        const months = Number(text('paoMonths').replace(/m$/i, ''));
+        if (Number.isInteger(months) && months > 0) {
+            product.paoMonths = months;
+        } else {
+            errors.push(`開封後使用期限「${text('paoMonths')}」必須是正整數`);
+        }
+    }
+
+    if (text('price')) {
+        const price = Number(text('price').replace(/,/g, ''));
+        if (Number.isFinite(price) && price >= 0) {
+            product.price = price;
+        } else {
+            errors.push(`價格「${text('price')}」不是有效數字`);
+        }
+    }
+    if (text('currency')) {
+        if (/^[a-z]{3}$/i.test(text('currency'))) {
+            product.currency = text('currency').toUpperCase();
+        } else {
+            errors.push(`幣別「${text('currency')}」應為三碼代號，例如 TWD`);
+        }
+    }
+
+    if (text('lifecycle')) {
+        const lifecycle = matchOption(LIFECYCLE_OPTIONS, text('lifecycle'));
+        if (lifecycle) {
+            product.lifecycle = lifecycle;
+        } else {
+            errors.push(`未知的狀態「${text('lifecycle')}」`);
+        }
+    }
+    // 沒有狀態欄位時不設定，合併時才不會蓋掉現有產品的狀態 (新增時再依開封日期決定)
+    if (product.lifecycle === 'discarded') {
+        product.discardReason = (text('discardReason') && matchOption(DISCARD_REASONS, text('discardReason'))) || 'other';
+    }
+
+    if (Array.isArray(values.ingredients)) {
+        product.ingredients = values.ingredients.map(normalizeIngredientName).filter(Boolean);
+    } else if (text('ingredients')) {
+        product.ingredients = parseIngredientList(text('ingredients'));
+    }
+
+    // JSON 匯出檔保留完整的備品；CSV 只有各瓶效期
+    if (Array.isArray(values.backups)) {
+        product.backups = values.backups.filter(unit => unit && typeof unit === 'object').map(unit => ({ ...createUnit(unit), ...(unit.id ? { id: unit.id } : {}) }));
+    } else if (text('backupExpiryDates')) {
+        const dates = text('backupExpiryDates').split(/[;；]/).map(value => value.trim());
+        const invalid = dates.filter(value => value && !parseDate(value));
+        if (invalid.length > 0) {
+            errors.push(`備品效期「${invalid.join('、')}」不是有效日期`);
+        } else {
+            product.backups = dates.map(value => createUnit({ expiryDate: value ? parseDate(value) : null }));
+        }
+    }
+
+    // 只有 JSON 匯出檔有的欄位
+    if (values.expiryEstimated === true) product.expiryEstimated = true;
+    if (Number.isInteger(values.rating) && values.rating >= 1 && values.rating <= 5) product.rating = values.rating;
+    if (typeof values.wouldRepurchase === 'boolean') product.wouldRepurchase = values.wouldRepurchase;
+    if (values.createdAt && !Number.isNaN(new Date(values.createdAt).getTime())) product.createdAt = new Date(values.createdAt);
+
+    const photos = Array.isArray(values.embeddedPhotos)
+        ? values.embeddedPhotos.filter(photo => typeof photo?.dataUrl === 'string' && photo.dataUrl.startsWith('data:image/'))
+        : [];
+
+    return { product, photos, errors };
+};
+
+/**
+ * Everything the preview screen shows: each row validated and matched against the
+ * products already on the shelf (same barcode, or same brand and name). Like the add
+ * form, archived products are history and never merged into.
+ * @param {Array<{ rowNumber: number, values: object }>} records
+ * @param {Array<object>} existingProducts Products not deleted
+ * @returns {Array<{ rowNumber: number, product: object, photos: Array<object>, errors: string[], duplicate: object | null }>}
+ */
+export const buildImportPreview = (records, existingProducts) => {
+    const shelfProducts = existingProducts.filter(product => !isArchived(product));
+    return records.map(({ rowNumber, values }) => {
+        const { product, photos, errors } = validateImportRecord(values);
+        const duplicate = errors.length === 0 ? findDuplicateProduct(shelfProducts, product) : null;
+        return { rowNumber, product, photos, errors, duplicate };
+    });
+};
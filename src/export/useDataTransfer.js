@@ -0,0 +1,159 @@
+import { useState, useCallback } from 'react';
+import { createProductsJson, createProductsCsv, collectEmbeddedPhotos, downloadFile } from './productExport';
+import { readImportFile, buildImportPreview } from './productImport';
+import { createPhotoVariants, dataUrlToBlob } from '../photos/imageProcessing';
+import { getProductPhotos, toPhotoFields, MAX_PRODUCT_PHOTOS } from '../photos/productPhotos';
+import { getTodayString } from '../utils/date';
+import { getLifecycleState } from '../utils/lifecycle';
+
+// Firestore 單一 batch 的寫入上限；取代時分批移到垃圾桶
+const TRASH_BATCH_SIZE = 500;
+
+/**
+ * Full-inventory export (JSON with or without photos, CSV) and import with a preview.
+ * @param {{ userId: string, repository: object | null, photoStore: object | null, products: Array<object> }} options
+ *   `products` are the products not in the trash; they are what gets exported, matched and replaced
+ */
+export const useDataTransfer = ({ userId, repository, photoStore, products }) => {
+    const [isWorking, setIsWorking] = useState(false);
+    const [transferMessage, setTransferMessage] = useState('');
+    // { fileName, format, rows } 讀取完成、等待確認的匯入
+    const [importPreview, setImportPreview] = useState(null);
+
+    /**
+     * @param {'json' | 'jsonWithPhotos' | 'csv'} format
+     */
+    const exportProducts = useCallback(async (format) => {
+        const baseName = `skincare-products-${getTodayString()}`;
+        if (format === 'csv') {
+            downloadFile(createProductsCsv(products), `${baseName}.csv`, 'text/csv;charset=utf-8');
+            setTransferMessage(`✅ 已匯出 ${products.length} 件產品 (CSV)`);
+            return;
+        }
+        if (format === 'json') {
+            downloadFile(createProductsJson(products), `${baseName}.json`, 'application/json');
+            setTransferMessage(`✅ 已匯出 ${products.length} 件產品 (JSON)`);
+            return;
+        }
+
+        setIsWorking(true);
+        try {
+            const { photos, skipped } = await collectEmbeddedPhotos(products, photoStore, (done, total) => {
+                setTransferMessage(`正在讀取照片 ${done}/${total}...`);
+            });
+            downloadFile(createProductsJson(products, { embeddedPhotos: photos }), `${baseName}-with-photos.json`, 'application/json');
+            setTransferMessage(skipped > 0
+                ? `✅ 已匯出 ${products.length} 件產品；${skipped} 張照片不在這台裝置上，未包含在檔案中`
+                : `✅ 已匯出 ${products.length} 件產品 (含照片)`);
+        } catch (error) {
+            console.error("Export Error:", error);
+            setTransferMessage(`❌ 匯出失敗: ${error.message}`);
+        } finally {
+            setIsWorking(false);
+        }
+    }, [products, photoStore]);
+
+    /**
+     * Reads and validates a file; nothing is written until confirmImport.
+     * @param {File} file
+     */
+    const previewImport = useCallback(async (file) => {
+        try {
+            const { format, records } = readImportFile(await file.text(), file.name);
+            if (records.length === 0) {
+                setTransferMessage('❌ 匯入失敗: 檔案中沒有任何產品。');
+                return;
+            }
+            setTransferMessage('');
+            setImportPreview({ fileName: file.name, format, rows: buildImportPreview(records, products) });
+        } catch (error) {
+            console.error("Import Read Error:", error);
+            setTransferMessage(`❌ 匯入失敗: ${error.message}`);
+        }
+    }, [products]);
+
+    const cancelImport = useCallback(() => setImportPreview(null), []);
+
+    /**
+     * Photos embedded in a JSON backup, stored again like newly picked ones.
+     * @returns {Promise<object>} Photo fields for the product
+     */
+    const savePhotos = useCallback(async (photos) => {
+        const saved = [];
+        for (const photo of photos.slice(0, MAX_PRODUCT_PHOTOS)) {
+            const variants = await createPhotoVariants(await dataUrlToBlob(photo.dataUrl));
+            saved.push({ ...(await photoStore.save(variants, { isOnline: navigator.onLine })), tag: photo.tag || 'front' });
+        }
+        return toPhotoFields(saved);
+    }, [photoStore]);
+
+    /**
+     * Writes the valid rows of the preview.
+     *  - merge: rows matching an existing product update it, the others are added
+     *  - replace: every current product goes to the trash (restorable for 30 days, in batches of
+     *    TRASH_BATCH_SIZE), then all rows are added
+     * @param {'merge' | 'replace'} mode
+     */
+    const confirmImport = useCallback(async (mode) => {
+        const rows = importPreview.rows.filter(row => row.errors.length === 0);
+        setIsWorking(true);
+        let added = 0;
+        let merged = 0;
+        let failed = 0;
+
+        try {
+            if (mode === 'replace' && products.length > 0) {
+                setTransferMessage(`正在將目前的 ${products.length} 件產品移到垃圾桶...`);
+                const deletedAt = new Date();
+                for (let start = 0; start < products.length; start += TRASH_BATCH_SIZE) {
+                    await repository.batchUpdate(products.slice(start, start + TRASH_BATCH_SIZE)
+                        .map(product => ({ id: product.id, data: { deletedAt, updatedAt: deletedAt } })));
+                }
+            }
+
+            for (const [index, row] of rows.entries()) {
+                setTransferMessage(`正在匯入 ${index + 1}/${rows.length}...`);
+                try {
+                    const duplicate = mode === 'merge' ? row.duplicate : null;
+                    if (duplicate) {
+                        // 建立時間沿用現有的產品；已經有照片的不再加入檔案中的照片
+                        const changes = { ...row.product };
+                        delete changes.createdAt;
+                        const photoFields = row.photos.length > 0 && getProductPhotos(duplicate).length === 0
+                            ? await savePhotos(row.photos)
+                            : {};
+                        await repository.update(duplicate.id, { ...changes, ...photoFields, updatedAt: new Date() });
+                        merged += 1;
+                    } else {
+                        const photoFields = row.photos.length > 0 ? await savePhotos(row.photos) : {};
+                        await repository.add({
+                            ...row.product,
+                            lifecycle: getLifecycleState(row.product),
+                            ...photoFields,
+                            userId,
+                            createdAt: row.product.createdAt || new Date(),
+                            updatedAt: new Date(),
+                        });
+                        added += 1;
+                    }
+                } catch (error) {
+                    console.error(`Import Row ${row.rowNumber} Error:`, error);
+                    failed += 1;
+                }
+            }
+
+            setImportPreview(null);
+            const summary = `新增 ${added} 件${merged > 0 ? `、合併 ${merged} 件` : ''}`;
+            setTransferMessage(failed > 0
+                ? `❌ 匯入完成但有 ${failed} 筆失敗（${summary}）`
+                : `✅ 匯入完成：${summary}`);
+        } catch (error) {
+            console.error("Import Error:", error);
+            setTransferMessage(`❌ 匯入失敗: ${error.message}`);
+        } finally {
+            setIsWorking(false);
+        }
+    }, [importPreview, products, repository, userId, savePhotos]);
+
+    return { isWorking, transferMessage, importPreview, exportProducts, previewImport, cancelImport, confirmImport };
+};
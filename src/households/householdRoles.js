@@ -0,0 +1,57 @@
+// 共用清單的成員角色
+export const HOUSEHOLD_ROLES = {
+    owner: { label: '擁有者', description: '管理成員與邀請，可編輯產品' },
+    editor: { label: '編輯者', description: '可新增、編輯與刪除產品' },
+    viewer: { label: '檢視者', description: '只能查看清單' },
+};
+
+// 邀請時可以指定的角色；擁有者只能由現有擁有者在成員列表中升級
+export const INVITE_ROLE_OPTIONS = ['editor', 'viewer'].map(value => ({ value, label: HOUSEHOLD_ROLES[value].label }));
+
+export const ROLE_OPTIONS = Object.entries(HOUSEHOLD_ROLES).map(([value, { label }]) => ({ value, label }));
+
+// 個人清單裡自己就是擁有者
+export const PERSONAL_ROLE = 'owner';
+
+/** @param {string} role */
+export const canEditProducts = (role) => role === 'owner' || role === 'editor';
+
+/** @param {string} role */
+export const canManageMembers = (role) => role === 'owner';
+
+/**
+ * The person a product belongs to. Products saved before shared inventories existed
+ * only have the creator's `userId`.
+ * @param {object} product
+ * @returns {string | null}
+ */
+export const getProductOwnerId = (product) => product.ownerId || product.userId || null;
+
+/**
+ * Members of a household document as a sorted list; owners first, then by name.
+ * @param {{ members?: Record<string, { role: string, name: string }> } | null} household
+ * @returns {Array<{ id: string, role: string, name: string }>}
+ */
+export const getMemberList = (household) => Object.entries(household?.members || {})
+    .map(([id, member]) => ({ id, ...member }))
+    .sort((a, b) => (b.role === 'owner') - (a.role === 'owner') || a.name.localeCompare(b.name, 'zh-Hant'));
+
+// 不含容易看錯的 0/O、1/I/L
+const INVITE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+export const INVITE_CODE_LENGTH = 8;
+
+/** @returns {string} A random invite code such as "K7PQ2MZX" */
+export const createInviteCode = () => Array.from(
+    crypto.getRandomValues(new Uint32Array(INVITE_CODE_LENGTH)),
+    value => INVITE_ALPHABET[value % INVITE_ALPHABET.length],
+).join('');
+
+/**
+ * Normalizes a typed or pasted code: case-insensitive, spaces and dashes ignored.
+ * @param {string} input
+ * @returns {string | null} The code, or null when it cannot be one
+ */
+export const normalizeInviteCode = (input) => {
+    const code = String(input || '').toUpperCase().replace(/[\s-]/g, '');
+    return code.length === INVITE_CODE_LENGTH && [...code].every(char => INVITE_ALPHABET.includes(char)) ? code : null;
+};
@@ -0,0 +1,149 @@
+import {
+    collection, doc, query, where, onSnapshot, getDoc, setDoc, updateDoc, deleteField, arrayUnion, arrayRemove,
+} from 'firebase/firestore';
+import { APP_DATA_PATH } from '../config';
+import { createInviteCode } from './householdRoles';
+
+// 共用清單文件；與使用者資料分開存放，清單 ID 不會和使用者 ID 混在一起
+const HOUSEHOLD_PATH = `${APP_DATA_PATH}-households`;
+// 邀請代碼 → 共用清單，文件 ID 就是代碼
+const INVITE_PATH = `${APP_DATA_PATH}-invites`;
+const INVITE_VALID_DAYS = 7;
+
+/*
+ * The household document `${HOUSEHOLD_PATH}/${householdId}` holds
+ * `{ name, members: { [uid]: { role, name } }, memberIds }`. Its products, photos, catalog
+ * and routines use the same subcollections as a personal inventory, under the data key
+ * `household-${householdId}` (see getHouseholdDataKey) in place of the user id.
+ *
+ * The roles are only enforced by the security rules (firestore.rules and storage.rules
+ * at the repository root).
+ */
+
+/**
+ * Where a household's products and other shared data live under APP_DATA_PATH. The
+ * prefix keeps it apart from user ids, which the rules treat as personal inventories.
+ * @param {string} householdId
+ * @returns {string}
+ */
+export const getHouseholdDataKey = (householdId) => `household-${householdId}`;
+
+/**
+ * Live list of the shared inventories the user belongs to.
+ * @param {import('firebase/firestore').Firestore} db
+ * @param {string} userId
+ * @param {(households: Array<{ id: string, name: string, members: object }>) => void} onChange
+ * @param {(error: Error) => void} onError
+ * @returns {() => void} unsubscribe
+ */
+export const subscribeHouseholds = (db, userId, onChange, onError) => {
+    const q = query(collection(db, HOUSEHOLD_PATH), where('memberIds', 'array-contains', userId));
+    return onSnapshot(q, (snapshot) => {
+        onChange(snapshot.docs.map(docSnap => ({ id: docSnap.id, ...docSnap.data() })));
+    }, onError);
+};
+
+/**
+ * @param {import('firebase/firestore').Firestore} db
+ * @param {string} name
+ * @param {{ id: string, name: string }} member The creator, who becomes the owner
+ * @returns {Promise<string>} The household id
+ */
+export const createHousehold = async (db, name, member) => {
+    const householdRef = doc(collection(db, HOUSEHOLD_PATH));
+    await setDoc(householdRef, {
+        name,
+        members: { [member.id]: { role: 'owner', name: member.name, joinedAt: new Date() } },
+        memberIds: [member.id],
+        createdAt: new Date(),
+    });
+    return householdRef.id;
+};
+
+/**
+ * Creates an invite code for a household; anyone with the code can join with `role`
+ * until it expires.
+ * @param {import('firebase/firestore').Firestore} db
+ * @param {{ id: string, name: string }} household
+ * @param {'editor' | 'viewer'} role
+ * @param {string} userId The owner creating the invite
+ * @returns {Promise<{ code: string, expiresAt: Date }>}
+ */
+export const createInvite = async (db, household, role, userId) => {
+    const code = createInviteCode();
+    const expiresAt = new Date(Date.now() + INVITE_VALID_DAYS * 24 * 60 * 60 * 1000);
+    await setDoc(doc(db, INVITE_PATH, code), {
+        householdId: household.id,
+        householdName: household.name,
+        role,
+        createdBy: userId,
+        createdAt: new Date(),
+        expiresAt,
+    });
+    return { code, expiresAt };
+};
+
+/**
+ * @param {import('firebase/firestore').Firestore} db
+ * @param {string} code A normalized code (see normalizeInviteCode)
+ * @returns {Promise<{ code: string, householdId: string, householdName: string, role: string }>}
+ * @throws {Error} When the code does not exist or has expired
+ */
+export const readInvite = async (db, code) => {
+    const snapshot = await getDoc(doc(db, INVITE_PATH, code));
+    if (!snapshot.exists()) {
+        throw new Error('找不到這個邀請代碼，請確認是否輸入正確。');
+    }
+    const invite = snapshot.data();
+    const expiresAt = invite.expiresAt?.toDate ? invite.expiresAt.toDate() : new Date(invite.expiresAt);
+    if (expiresAt < new Date()) {
+        throw new Error('這個邀請已過期，請對方重新產生邀請。');
+    }
+    return { code, householdId: invite.householdId, householdName: invite.householdName, role: invite.role };
+};
+
+/**
+ * Adds the user to the household of an invite with the invite's role.
+ * @param {import('firebase/firestore').Firestore} db
+ * @param {{ code: string, householdId: string, role: string }} invite From readInvite
+ * @param {{ id: string, name: string }} member
+ */
+export const joinHousehold = async (db, invite, member) => {
+    await updateDoc(doc(db, HOUSEHOLD_PATH, invite.householdId), {
+        [`members.${member.id}`]: { role: invite.role, name: member.name, joinedAt: new Date(), inviteCode: invite.code },
+        memberIds: arrayUnion(member.id),
+    });
+};
+
+/**
+ * @param {import('firebase/firestore').Firestore} db
+ * @param {string} householdId
+ * @param {string} memberId
+ * @param {'owner' | 'editor' | 'viewer'} role
+ */
+export const setMemberRole = async (db, householdId, memberId, role) => {
+    await updateDoc(doc(db, HOUSEHOLD_PATH, householdId), { [`members.${memberId}.role`]: role });
+};
+
+/**
+ * Removes a member, or the user themselves when leaving. Their products stay in the
+ * household.
+ * @param {import('firebase/firestore').Firestore} db
+ * @param {string} householdId
+ * @param {string} memberId
+ */
+export const removeMember = async (db, householdId, memberId) => {
+    await updateDoc(doc(db, HOUSEHOLD_PATH, householdId), {
+        [`members.${memberId}`]: deleteField(),
+        memberIds: arrayRemove(memberId),
+    });
+};
+
+/**
+ * @param {import('firebase/firestore').Firestore} db
+ * @param {string} householdId
+ * @param {string} name
+ */
+export const renameHousehold = async (db, householdId, name) => {
+    await updateDoc(doc(db, HOUSEHOLD_PATH, householdId), { name });
+};
@@ -0,0 +1,151 @@
+import { useState, useEffect, useMemo, useCallback } from 'react';
+import {
+    subscribeHouseholds, createHousehold, createInvite, readInvite, joinHousehold,
+    setMemberRole, removeMember, renameHousehold, getHouseholdDataKey,
+} from './householdStore';
+import { PERSONAL_ROLE, canEditProducts, getMemberList } from './householdRoles';
+
+// 每個使用者最後使用的清單，重新開啟時直接載入，不會先閃過個人清單
+const storageKey = (userId) => `skincare-active-inventory-${userId}`;
+
+const readStoredHousehold = (userId) => localStorage.getItem(storageKey(userId)) || null;
+
+/**
+ * The name other members see; anonymous users have neither a name nor an email.
+ * @param {{ uid: string, displayName: string | null, email: string | null }} profile
+ */
+const getMemberName = (profile) => profile.displayName || profile.email?.split('@')[0] || `成員 ${profile.uid.slice(0, 4)}`;
+
+// 共用清單的變更都需要伺服器確認 (加入、角色)，離線時不排入佇列
+const requireOnline = () => {
+    if (!navigator.onLine) throw new Error('需要連上網路才能變更共用清單。');
+};
+
+/**
+ * Personal and shared inventories. `dataKey` is where the active inventory's data lives:
+ * the user id for the personal inventory, getHouseholdDataKey(id) for a shared one. Only the
+ * cloud backend has shared inventories; otherwise this always stays personal.
+ *
+ * @param {{ db: import('firebase/firestore').Firestore | null, userId: string | null, profile: object | null }} options
+ */
+export const useHouseholds = ({ db, userId, profile }) => {
+    // { userId, items }：切換帳號後，舊帳號的清單不算已載入
+    const [snapshot, setSnapshot] = useState({ userId: null, items: [] });
+    const [householdError, setHouseholdError] = useState(null);
+    // 使用者在這次開啟中選的清單；沒有選過就用上次記住的
+    const [selected, setSelected] = useState({});
+    const isEnabled = Boolean(db && userId && profile);
+
+    useEffect(() => {
+        if (!isEnabled) return;
+        return subscribeHouseholds(db, userId, (items) => {
+            setSnapshot({ userId, items });
+            setHouseholdError(null);
+        }, (error) => {
+            console.error("Household Listener Error:", error);
+            setHouseholdError(`共用清單讀取錯誤: ${error.message}`);
+        });
+    }, [isEnabled, db, userId]);
+
+    const households = useMemo(
+        () => (snapshot.userId === userId ? snapshot.items : []),
+        [snapshot, userId],
+    );
+    const isLoaded = snapshot.userId === userId;
+    const selectedId = isEnabled
+        ? (userId in selected ? selected[userId] : readStoredHousehold(userId))
+        : null;
+    const activeHousehold = households.find(household => household.id === selectedId) || null;
+    // 清單載入前先相信記住的選擇；載入後發現已不是成員 (被移除) 就回到個人清單
+    const activeId = activeHousehold?.id || (isLoaded ? null : selectedId);
+
+    const role = activeHousehold ? activeHousehold.members[userId]?.role : PERSONAL_ROLE;
+    const members = useMemo(() => (activeHousehold ? getMemberList(activeHousehold) : null), [activeHousehold]);
+
+    /** @param {string | null} householdId null for the personal inventory */
+    const switchHousehold = useCallback((householdId) => {
+        if (householdId) {
+            localStorage.setItem(storageKey(userId), householdId);
+        } else {
+            localStorage.removeItem(storageKey(userId));
+        }
+        setSelected(prev => ({ ...prev, [userId]: householdId }));
+    }, [userId]);
+
+    /**
+     * Creates a shared inventory with the user as owner and switches to it.
+     * @param {string} name
+     */
+    const create = useCallback(async (name) => {
+        requireOnline();
+        const householdId = await createHousehold(db, name, { id: userId, name: getMemberName(profile) });
+        switchHousehold(householdId);
+    }, [db, userId, profile, switchHousehold]);
+
+    /** @param {'editor' | 'viewer'} inviteRole */
+    const invite = useCallback((inviteRole) => {
+        requireOnline();
+        return createInvite(db, activeHousehold, inviteRole, userId);
+    }, [db, activeHousehold, userId]);
+
+    /** @param {string} code Normalized invite code */
+    const lookupInvite = useCallback((code) => {
+        requireOnline();
+        return readInvite(db, code);
+    }, [db]);
+
+    /**
+     * Joins the household of an invite (keeping a better role the user may already
+     * have) and switches to it.
+     * @param {{ code: string, householdId: string, role: string }} inviteInfo From lookupInvite
+     */
+    const join = useCallback(async (inviteInfo) => {
+        requireOnline();
+        if (!households.some(household => household.id === inviteInfo.householdId)) {
+            await joinHousehold(db, inviteInfo, { id: userId, name: getMemberName(profile) });
+        }
+        switchHousehold(inviteInfo.householdId);
+    }, [db, households, userId, profile, switchHousehold]);
+
+    const changeRole = useCallback(async (memberId, nextRole) => {
+        requireOnline();
+        await setMemberRole(db, activeHousehold.id, memberId, nextRole);
+    }, [db, activeHousehold]);
+
+    const removeFromHousehold = useCallback(async (memberId) => {
+        requireOnline();
+        await removeMember(db, activeHousehold.id, memberId);
+    }, [db, activeHousehold]);
+
+    const rename = useCallback(async (name) => {
+        requireOnline();
+        await renameHousehold(db, activeHousehold.id, name);
+    }, [db, activeHousehold]);
+
+    // 離開後回到個人清單
+    const leave = useCallback(async () => {
+        requireOnline();
+        await removeMember(db, activeHousehold.id, userId);
+        switchHousehold(null);
+    }, [db, activeHousehold, userId, switchHousehold]);
+
+    return {
+        isEnabled,
+        households,
+        activeHousehold,
+        dataKey: activeId ? getHouseholdDataKey(activeId) : userId,
+        role,
+        canEdit: canEditProducts(role),
+        members,
+        householdError,
+        switchHousehold,
+        create,
+        invite,
+        lookupInvite,
+        join,
+        changeRole,
+        removeMember: removeFromHousehold,
+        rename,
+        leave,
+    };
+};
@@ -0,0 +1,144 @@
+import { normalizeIngredientName } from './normalizeIngredients';
+
+/**
+ * Groups of actives that behave alike, by normalized INCI name. Conflict rules and the
+ * watchlist refer to these groups instead of listing every variant.
+ */
+export const INGREDIENT_GROUPS = {
+    retinoid: {
+        label: 'A 醇類',
+        members: ['retinol', 'retinal', 'retinaldehyde', 'retinyl palmitate', 'retinyl acetate', 'retinyl retinoate', 'hydroxypinacolone retinoate', 'tretinoin', 'adapalene'],
+    },
+    aha: {
+        label: '果酸 (AHA)',
+        members: ['glycolic acid', 'lactic acid', 'mandelic acid', 'malic acid', 'tartaric acid'],
+    },
+    bha: {
+        label: '水楊酸 (BHA)',
+        members: ['salicylic acid', 'betaine salicylate', 'capryloyl salicylic acid'],
+    },
+    vitaminC: {
+        label: '維他命 C (純 C)',
+        members: ['ascorbic acid'],
+    },
+    benzoylPeroxide: {
+        label: '過氧化苯甲醯',
+        members: ['benzoyl peroxide'],
+    },
+    copperPeptide: {
+        label: '銅胜肽',
+        members: ['copper tripeptide-1', 'copper peptide'],
+    },
+    fragrance: {
+        label: '香料',
+        // 香料本身與歐盟規定須標示的常見香料過敏原
+        members: [
+            'fragrance', 'linalool', 'limonene', 'citronellol', 'geraniol', 'citral', 'eugenol', 'coumarin',
+            'benzyl alcohol', 'benzyl benzoate', 'benzyl salicylate', 'cinnamal', 'farnesol', 'hexyl cinnamal',
+            'hydroxycitronellal', 'isoeugenol', 'amyl cinnamal', 'alpha-isomethyl ionone', 'butylphenyl methylpropional',
+        ],
+    },
+    alcohol: {
+        label: '酒精',
+        members: ['alcohol denat.'],
+    },
+};
+
+/**
+ * Known combinations that should not be layered in the same routine.
+ * `severity: 'avoid'` inactivates or seriously irritates; 'caution' is tolerable for some skin.
+ */
+export const CONFLICT_RULES = [
+    { id: 'retinoid-aha', groups: ['retinoid', 'aha'], severity: 'caution', message: 'A 醇與果酸同時使用容易刺激脫皮，建議分早晚或隔天使用。' },
+    { id: 'retinoid-bha', groups: ['retinoid', 'bha'], severity: 'caution', message: 'A 醇與水楊酸同時使用容易乾燥刺激，建議分開使用。' },
+    { id: 'retinoid-benzoyl-peroxide', groups: ['retinoid', 'benzoylPeroxide'], severity: 'avoid', message: '過氧化苯甲醯會使 A 醇失效，請勿疊擦。' },
+    { id: 'vitamin-c-benzoyl-peroxide', groups: ['vitaminC', 'benzoylPeroxide'], severity: 'avoid', message: '過氧化苯甲醯會氧化維他命 C，請勿疊擦。' },
+    { id: 'vitamin-c-copper-peptide', groups: ['vitaminC', 'copperPeptide'], severity: 'caution', message: '純 C 與銅胜肽會互相降低效果，建議分早晚使用。' },
+    { id: 'aha-bha', groups: ['aha', 'bha'], severity: 'caution', message: '果酸與水楊酸一起使用去角質力道較強，敏感肌請分開使用。' },
+    { id: 'vitamin-c-aha', groups: ['vitaminC', 'aha'], severity: 'caution', message: '純 C 與果酸都是酸性，一起使用可能刺激。' },
+];
+
+/**
+ * @param {string} name Normalized ingredient name
+ * @param {string} groupId
+ */
+const isInGroup = (name, groupId) => INGREDIENT_GROUPS[groupId].members.includes(name);
+
+/**
+ * Active groups present in an ingredient list.
+ * @param {string[]} ingredients Normalized names
+ * @returns {Set<string>} Group ids
+ */
+export const findIngredientGroups = (ingredients = []) => new Set(
+    Object.keys(INGREDIENT_GROUPS).filter(groupId => ingredients.some(name => isInGroup(name, groupId)))
+);
+
+/**
+ * Conflicts between one ingredient list and other products (also within the list itself).
+ * @param {string[]} ingredients
+ * @param {Array<object>} otherProducts Products with an `ingredients` array
+ * @returns {Array<{ rule: object, product: object | null }>} product is null for a conflict inside the list
+ */
+export const findConflicts = (ingredients, otherProducts = []) => {
+    const groups = findIngredientGroups(ingredients);
+    if (groups.size === 0) return [];
+
+    const conflicts = [];
+    CONFLICT_RULES.forEach(rule => {
+        const [first, second] = rule.groups;
+        if (groups.has(first) && groups.has(second)) {
+            conflicts.push({ rule, product: null });
+        }
+        otherProducts.forEach(product => {
+            const otherGroups = findIngredientGroups(product.ingredients);
+            if ((groups.has(first) && otherGroups.has(second)) || (groups.has(second) && otherGroups.has(first))) {
+                conflicts.push({ rule, product });
+            }
+        });
+    });
+    return conflicts;
+};
+
+/**
+ * Watchlist entries are either a group id (e.g. 'fragrance') or an ingredient name.
+ * @param {string} entry
+ */
+export const getWatchlistLabel = (entry) => INGREDIENT_GROUPS[entry]?.label || entry;
+
+/**
+ * Ingredients in the list that are on the user's avoid watchlist.
+ * @param {string[]} ingredients Normalized names
+ * @param {string[]} watchlist Group ids or ingredient names
+ * @returns {Array<{ entry: string, label: string, matched: string[] }>}
+ */
+export const matchWatchlist = (ingredients = [], watchlist = []) => watchlist
+    .map(entry => {
+        const matched = INGREDIENT_GROUPS[entry]
+            ? ingredients.filter(name => isInGroup(name, entry))
+            : ingredients.filter(name => name === normalizeIngredientName(entry));
+        return { entry, label: getWatchlistLabel(entry), matched };
+    })
+    .filter(result => result.matched.length > 0);
+
+/**
+ * Everything to warn about for a product: watchlist hits and conflicts with the other
+ * products on the shelf.
+ * @param {string[]} ingredients
+ * @param {{ watchlist: string[], otherProducts: Array<object> }} options
+ */
+export const getIngredientWarnings = (ingredients, { watchlist, otherProducts }) => ({
+    watchlist: matchWatchlist(ingredients, watchlist),
+    conflicts: findConflicts(ingredients, otherProducts),
+});
+
+/**
+ * One line per warning, for a confirm dialog or a tooltip.
+ * @param {ReturnType<typeof getIngredientWarnings>} warnings
+ * @returns {string[]}
+ */
+export const describeIngredientWarnings = (warnings) => [
+    ...warnings.watchlist.map(({ label, matched }) => `含有注意成分「${label}」：${matched.join(', ')}`),
+    ...warnings.conflicts.map(({ rule, product }) => (product
+        ? `與「${product.brand} ${product.name}」：${rule.message}`
+        : rule.message)),
+];
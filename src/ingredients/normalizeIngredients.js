@@ -0,0 +1,99 @@
+// 同一種成分在不同包裝上的寫法 → 統一的 INCI 名稱 (皆為小寫)
+const INGREDIENT_ALIASES = {
+    'aqua': 'water',
+    'eau': 'water',
+    'aqua/water': 'water',
+    'water/aqua': 'water',
+    'aqua/water/eau': 'water',
+    'parfum': 'fragrance',
+    'perfume': 'fragrance',
+    'aroma': 'fragrance',
+    'parfum/fragrance': 'fragrance',
+    'fragrance/parfum': 'fragrance',
+    'vitamin c': 'ascorbic acid',
+    'l-ascorbic acid': 'ascorbic acid',
+    'vitamin a': 'retinol',
+    'vitamin b3': 'niacinamide',
+    'nicotinamide': 'niacinamide',
+    'vitamin b5': 'panthenol',
+    'd-panthenol': 'panthenol',
+    'dexpanthenol': 'panthenol',
+    'vitamin e': 'tocopherol',
+    'bha': 'salicylic acid',
+    'alcohol': 'alcohol denat.',
+    'ethanol': 'alcohol denat.',
+    'sd alcohol': 'alcohol denat.',
+    'alcohol denat': 'alcohol denat.',
+    'glycerine': 'glycerin',
+    'glycerol': 'glycerin',
+    'ghk-cu': 'copper tripeptide-1',
+    // 常見中文標示
+    '水': 'water',
+    '香精': 'fragrance',
+    '香料': 'fragrance',
+    '甘油': 'glycerin',
+    '菸鹼醯胺': 'niacinamide',
+    '煙醯胺': 'niacinamide',
+    '視黃醇': 'retinol',
+    '水楊酸': 'salicylic acid',
+    '乙醇酸': 'glycolic acid',
+    '甘醇酸': 'glycolic acid',
+    '乳酸': 'lactic acid',
+    '杏仁酸': 'mandelic acid',
+    '抗壞血酸': 'ascorbic acid',
+    '乙醇': 'alcohol denat.',
+    '酒精': 'alcohol denat.',
+};
+
+// 成分表開頭的標題，例如 "Ingredients:"、"全成分："
+const LIST_HEADING_PATTERN = /^\s*(?:ingredients|ingrédients|inci|全成分|成分)\s*[:：]\s*/i;
+// 「可能含有」之後是色料清單，不是實際配方
+const MAY_CONTAIN_PATTERN = /\s*(?:\[\s*\+\/-\s*|\(\s*\+\/-\s*\)|\+\/-|may contain|peut contenir)[\s\S]*$/i;
+
+/**
+ * Normalizes one ingredient name: case, spacing, percentages and footnote marks,
+ * then known spelling variants (Aqua → water, Parfum → fragrance, ...).
+ * @param {string} name
+ * @returns {string} Lowercase INCI name, or '' when nothing is left
+ */
+export const normalizeIngredientName = (name) => {
+    const cleaned = String(name)
+        .toLowerCase()
+        .replace(/[*†‡°]+/g, '')
+        .replace(/\(?\s*\d+(?:[.,]\d+)?\s*%\s*\)?/g, '')
+        .replace(/\s+/g, ' ')
+        .replace(/^[\s.\-–—]+|[\s.]+$/g, '')
+        .replace(/\s*\/\s*/g, '/');
+    if (!cleaned) return '';
+    if (INGREDIENT_ALIASES[cleaned]) return INGREDIENT_ALIASES[cleaned];
+    // "Aqua (Water)"、"Tocopherol (Vitamin E)" 這類括號別名
+    const bracketMatch = cleaned.match(/^(.+?)\s*\((.+)\)$/);
+    if (bracketMatch) {
+        const [, outer, inner] = bracketMatch;
+        return INGREDIENT_ALIASES[outer] || INGREDIENT_ALIASES[inner] || outer;
+    }
+    return cleaned;
+};
+
+/**
+ * Splits a pasted or recognized ingredient list into normalized, de-duplicated names,
+ * keeping the label order (which reflects concentration).
+ * @param {string} text e.g. "Aqua (Water), Glycerin, Niacinamide 5%, Parfum*"
+ * @returns {string[]}
+ */
+export const parseIngredientList = (text) => {
+    if (!text) return [];
+    const body = String(text).replace(LIST_HEADING_PATTERN, '').replace(MAY_CONTAIN_PATTERN, '');
+    const names = body
+        // 括號內的逗號 (例如 "Water (Aqua, Eau)") 不是分隔符號
+        .split(/[,;，；、・\n](?![^()]*\))/)
+        .map(normalizeIngredientName)
+        .filter(Boolean);
+    return [...new Set(names)];
+};
+
+/**
+ * @param {string[] | undefined} ingredients Normalized names stored on a product
+ * @returns {string} Comma-separated text for the form field
+ */
+export const formatIngredientList = (ingredients) => (ingredients || []).join(', ');
@@ -0,0 +1,122 @@
+// 上傳前在瀏覽器端縮小並重新壓縮照片，避免原圖 (常見 3–8 MB) 塞爆 Firestore 1 MiB 文件上限
+
+// 完整照片: 長邊 1600px，足夠在手機上放大看批號
+export const FULL_IMAGE_OPTIONS = { maxDimension: 1600, quality: 0.82 };
+// 清單縮圖: 卡片顯示 112px，以 2 倍解析度輸出
+export const THUMBNAIL_OPTIONS = { maxDimension: 224, quality: 0.7 };
+
+const OUTPUT_MIME_TYPE = 'image/jpeg';
+
+/**
+ * Decodes an image Blob, honouring EXIF orientation where the browser supports it.
+ * @param {Blob} blob
+ * @returns {Promise<ImageBitmap | HTMLImageElement>}
+ */
+const decodeImage = async (blob) => {
+    if (typeof createImageBitmap === 'function') {
+        try {
+            return await createImageBitmap(blob, { imageOrientation: 'from-image' });
+        } catch {
+            // Older Safari rejects the options bag; fall back to an <img>
+        }
+    }
+    return new Promise((resolve, reject) => {
+        const url = URL.createObjectURL(blob);
+        const image = new Image();
+        image.onload = () => {
+            URL.revokeObjectURL(url);
+            resolve(image);
+        };
+        image.onerror = () => {
+            URL.revokeObjectURL(url);
+            reject(new Error('無法讀取圖片，請換一張照片再試一次。'));
+        };
+        image.src = url;
+    });
+};
+
+/**
+ * Draws an already-decoded image onto a canvas no larger than maxDimension and encodes it as JPEG.
+ * @param {ImageBitmap | HTMLImageElement} image
+ * @param {{maxDimension: number, quality: number}} options
+ * @returns {Promise<{blob: Blob, width: number, height: number}>}
+ */
+const encodeResized = (image, { maxDimension, quality }) => {
+    const sourceWidth = image.width || image.naturalWidth;
+    const sourceHeight = image.height || image.naturalHeight;
+    const scale = Math.min(1, maxDimension / Math.max(sourceWidth, sourceHeight));
+    const width = Math.round(sourceWidth * scale);
+    const height = Math.round(sourceHeight * scale);
+
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    const context = canvas.getContext('2d');
+    // PNG 透明背景轉 JPEG 會變黑，先鋪白底
+    context.fillStyle = '#ffffff';
+    context.fillRect(0, 0, width, height);
+    context.drawImage(image, 0, 0, width, height);
+
+    return new Promise((resolve, reject) => {
+        canvas.toBlob((blob) => {
+            if (blob) {
+                resolve({ blob, width, height });
+            } else {
+                reject(new Error('圖片壓縮失敗。'));
+            }
+        }, OUTPUT_MIME_TYPE, quality);
+    });
+};
+
+/**
+ * Downscales and recompresses a single image.
+ * @param {Blob} blob
+ * @param {{maxDimension: number, quality: number}} options
+ * @returns {Promise<{blob: Blob, width: number, height: number}>}
+ */
+export const compressImage = async (blob, options = FULL_IMAGE_OPTIONS) => {
+    const image = await decodeImage(blob);
+    try {
+        return await encodeResized(image, options);
+    } finally {
+        image.close?.();
+    }
+};
+
+/**
+ * Produces the two stored variants of a product photo from one decode.
+ * @param {Blob} blob Original file from the picker
+ * @returns {Promise<{full: Blob, thumbnail: Blob, width: number, height: number}>}
+ */
+export const createPhotoVariants = async (blob) => {
+    const image = await decodeImage(blob);
+    try {
+        const full = await encodeResized(image, FULL_IMAGE_OPTIONS);
+        const thumbnail = await encodeResized(image, THUMBNAIL_OPTIONS);
+        return { full: full.blob, thumbnail: thumbnail.blob, width: full.width, height: full.height };
+    } finally {
+        image.close?.();
+    }
+};
+
+/**
+ * Converts a data URL (the legacy `photoBase64` field) back into a Blob.
+ * @param {string} dataUrl
+ * @returns {Promise<Blob>}
+ */
+export const dataUrlToBlob = async (dataUrl) => {
+    const response = await fetch(dataUrl);
+    return response.blob();
+};
+
+/**
+ * Encodes a Blob as a data URL, e.g. to embed photos in a JSON backup.
+ * @param {Blob} blob
+ * @returns {Promise<string>}
+ */
+export const blobToDataUrl = (blob) => new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(blob);
+});
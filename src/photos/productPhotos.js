@@ -0,0 +1,33 @@
+// 一個產品可以有多張照片，依順序排列；第一張是清單縮圖 (封面)
+export const MAX_PRODUCT_PHOTOS = 6;
+
+export const PHOTO_TAGS = [
+    { value: 'front', label: '正面' },
+    { value: 'back', label: '背面標籤' },
+    { value: 'batch', label: '批號 / 效期特寫' },
+    { value: 'other', label: '其他' },
+];
+
+/**
+ * @param {string} tag
+ */
+export const getPhotoTagLabel = (tag) => PHOTO_TAGS.find(option => option.value === tag)?.label || '其他';
+
+/**
+ * The product's photo references in display order, each with a `tag`. Products saved
+ * before the gallery existed only have the single `photo` reference.
+ * @param {object} product
+ * @returns {Array<object>}
+ */
+export const getProductPhotos = (product) => {
+    if (Array.isArray(product.photos)) return product.photos;
+    return product.photo ? [{ ...product.photo, tag: product.photo.tag || 'front' }] : [];
+};
+
+/**
+ * Product fields for an ordered list of photo references. `photo` keeps pointing at the
+ * first one so thumbnails and older app versions keep working.
+ * @param {Array<object>} photos
+ * @returns {{ photos: Array<object>, photo: object | null }}
+ */
+export const toPhotoFields = (photos) => ({ photos, photo: photos[0] || null });
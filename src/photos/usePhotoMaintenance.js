@@ -0,0 +1,62 @@
+import { useEffect, useRef } from 'react';
+import { createPhotoVariants, dataUrlToBlob } from './imageProcessing';
+import { getProductPhotos, toPhotoFields } from './productPhotos';
+
+/**
+ * Background photo housekeeping, one product at a time:
+ *  - migrates legacy products that still carry a full-size `photoBase64` data URL
+ *    into the photo store, and clears the field from the document;
+ *  - uploads gallery photos that were saved offline (`pendingUpload`) once back online.
+ * @param {{ products: Array<object>, repository: object | null, photoStore: object | null, isOnline: boolean, canEdit: boolean }} options
+ *   `canEdit` is false for viewers of a shared inventory, whose writes the rules reject
+ */
+export const usePhotoMaintenance = ({ products, repository, photoStore, isOnline, canEdit }) => {
+    const isRunningRef = useRef(false);
+    // 本次執行期間失敗過的產品不再重試，避免每次資料更新都重跑
+    const failedIdsRef = useRef(new Set());
+
+    useEffect(() => {
+        if (!repository || !photoStore || !isOnline || !canEdit || isRunningRef.current) return;
+
+        const shouldProcess = product => !failedIdsRef.current.has(product.id);
+        const legacy = products.filter(product => product.photoBase64 && !product.photo && shouldProcess(product));
+        const pending = products.filter(product => getProductPhotos(product).some(photo => photo.pendingUpload) && shouldProcess(product));
+        if (legacy.length === 0 && pending.length === 0) return;
+
+        isRunningRef.current = true;
+        const run = async () => {
+            for (const product of legacy) {
+                try {
+                    const variants = await createPhotoVariants(await dataUrlToBlob(product.photoBase64));
+                    const photo = await photoStore.save(variants, { isOnline: navigator.onLine });
+                    await repository.update(product.id, { ...toPhotoFields([{ ...photo, tag: 'front' }]), photoBase64: null });
+                } catch (error) {
+                    console.error(`Photo Migration Error (${product.id}):`, error);
+                    failedIdsRef.current.add(product.id);
+                }
+            }
+            for (const product of pending) {
+                try {
+                    let hasUploaded = false;
+                    const photos = [];
+                    for (const photo of getProductPhotos(product)) {
+                        // 照片在其他裝置上時 uploadPending 回傳 null，保留原本的參照
+                        const uploaded = photo.pendingUpload ? await photoStore.uploadPending(photo) : null;
+                        photos.push(uploaded ? { ...uploaded, tag: photo.tag } : photo);
+                        hasUploaded = hasUploaded || !!uploaded;
+                    }
+                    if (hasUploaded) {
+                        await repository.update(product.id, toPhotoFields(photos));
+                    }
+                } catch (error) {
+                    console.error(`Photo Upload Error (${product.id}):`, error);
+                    failedIdsRef.current.add(product.id);
+                }
+            }
+        };
+
+        run().finally(() => {
+            isRunningRef.current = false;
+        });
+    }, [products, repository, photoStore, isOnline, canEdit]);
+};
@@ -0,0 +1,45 @@
+import { useState, useEffect } from 'react';
+
+/**
+ * Resolves a product photo reference to a displayable URL, releasing object URLs on change/unmount.
+ * @param {ReturnType<typeof import('../storage').createPhotoStore> | null} photoStore
+ * @param {object | null} photo Reference stored on the product
+ * @param {'full' | 'thumbnail'} variant
+ * @returns {string | null}
+ */
+export const usePhotoUrl = (photoStore, photo, variant = 'thumbnail') => {
+    const [resolved, setResolved] = useState({ key: null, url: null });
+    const photoId = photo?.id;
+    const photoStorage = photo?.storage;
+    // 離線拍的照片上傳後 pendingUpload 會消失，需要重新解析
+    const isPendingUpload = Boolean(photo?.pendingUpload);
+    const key = photo ? `${photoStorage}:${photoId}:${variant}` : null;
+    const directUrl = photoStorage === 'firebase' ? (variant === 'full' ? photo.url : photo.thumbnailUrl) : null;
+
+    useEffect(() => {
+        // Firebase 照片直接使用下載網址，不需非同步處理
+        if (!photoStore || !photoId || photoStorage === 'firebase') return;
+
+        let cancelled = false;
+        let revoke = () => {};
+        // photo 物件每次快照都會換新，只用識別欄位解析，避免重複建立 object URL
+        photoStore.getUrl({ id: photoId, storage: photoStorage, pendingUpload: isPendingUpload }, variant)
+            .then((result) => {
+                revoke = result.revoke;
+                if (cancelled) {
+                    revoke();
+                } else {
+                    setResolved({ key: `${photoStorage}:${photoId}:${variant}`, url: result.url });
+                }
+            })
+            .catch(error => console.error("Photo Load Error:", error));
+
+        return () => {
+            cancelled = true;
+            revoke();
+        };
+    }, [photoStore, photoId, photoStorage, isPendingUpload, variant]);
+
+    if (directUrl) return directUrl;
+    return resolved.key === key ? resolved.url : null;
+};
@@ -0,0 +1,26 @@
+import { useMemo, useCallback } from 'react';
+import { EMPTY_LIST_FILTERS, parseListQuery, serializeListQuery } from '../utils/productFilters';
+import { paths } from '../routing/routes';
+
+/**
+ * Search, filter chips and sort order for the product list. The URL query string is the
+ * only source of truth, so a filtered view can be bookmarked and "back" restores it.
+ * @param {string} search location.search from the router
+ * @param {(to: string, options?: {replace?: boolean}) => boolean} navigate
+ * @returns {{filters: typeof EMPTY_LIST_FILTERS, updateFilters: (patch: Partial<typeof EMPTY_LIST_FILTERS>) => void, resetFilters: () => void}}
+ */
+export const useListFilters = (search, navigate) => {
+    const filters = useMemo(() => parseListQuery(search), [search]);
+
+    // 每次輸入都用 replace，避免搜尋時塞滿瀏覽紀錄
+    const updateFilters = useCallback((patch) => {
+        navigate(`${paths.list()}${serializeListQuery({ ...filters, ...patch })}`, { replace: true });
+    }, [filters, navigate]);
+
+    // 清除篩選時保留使用者選的排序
+    const resetFilters = useCallback(() => {
+        navigate(`${paths.list()}${serializeListQuery({ ...EMPTY_LIST_FILTERS, sort: filters.sort })}`, { replace: true });
+    }, [filters.sort, navigate]);
+
+    return { filters, updateFilters, resetFilters };
+};
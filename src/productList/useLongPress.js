@@ -0,0 +1,58 @@
+import { useRef, useCallback, useEffect } from 'react';
+
+const LONG_PRESS_MS = 500;
+// 手指移動超過這個距離就當作捲動，不算長按
+const MOVE_TOLERANCE_PX = 10;
+
+/**
+ * Long-press detection for touch and mouse. Returns pointer handlers to spread on the
+ * element, plus `consumeClick()` which reports (once) whether the click that follows a
+ * long press should be ignored.
+ * @param {() => void} onLongPress
+ * @returns {{handlers: object, consumeClick: () => boolean}}
+ */
+export const useLongPress = (onLongPress) => {
+    const timerRef = useRef(null);
+    const startRef = useRef(null);
+    const firedRef = useRef(false);
+
+    const cancel = useCallback(() => {
+        clearTimeout(timerRef.current);
+        timerRef.current = null;
+    }, []);
+
+    useEffect(() => cancel, [cancel]);
+
+    const onPointerDown = useCallback((event) => {
+        if (event.button !== undefined && event.button !== 0) return;
+        firedRef.current = false;
+        startRef.current = { x: event.clientX, y: event.clientY };
+        cancel();
+        timerRef.current = setTimeout(() => {
+            firedRef.current = true;
+            onLongPress();
+        }, LONG_PRESS_MS);
+    }, [onLongPress, cancel]);
+
+    const onPointerMove = useCallback((event) => {
+        if (!timerRef.current || !startRef.current) return;
+        const distance = Math.hypot(event.clientX - startRef.current.x, event.clientY - startRef.current.y);
+        if (distance > MOVE_TOLERANCE_PX) cancel();
+    }, [cancel]);
+
+    // 長按後不要跳出瀏覽器的右鍵選單 / 圖片選單
+    const onContextMenu = useCallback((event) => {
+        if (firedRef.current) event.preventDefault();
+    }, []);
+
+    const consumeClick = useCallback(() => {
+        const fired = firedRef.current;
+        firedRef.current = false;
+        return fired;
+    }, []);
+
+    return {
+        handlers: { onPointerDown, onPointerMove, onPointerUp: cancel, onPointerLeave: cancel, onPointerCancel: cancel, onContextMenu },
+        consumeClick,
+    };
+};
@@ -0,0 +1,72 @@
+import { LABEL_RECOGNITION } from '../config';
+import { compressImage, FULL_IMAGE_OPTIONS } from '../photos/imageProcessing';
+import { createMockProvider } from './providers/mockProvider';
+import { RecognitionError, fetchWithTimeout, isRetryableStatus, withRetry } from './requestUtils';
+
+const ANALYZE_LABEL_ENDPOINT = '/api/analyze-label';
+// 伺服器端可能依序嘗試多個 provider，前端給較寬的逾時 (伺服器的期限較短，見 api/analyze-label.js)
+const REQUEST_TIMEOUT_MS = 45000;
+
+/**
+ * Converts a Blob into a Base64 string (without the data URL prefix) for the API payload.
+ * @param {Blob} blob
+ * @returns {Promise<string>}
+ */
+const blobToBase64 = (blob) => {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result.split(',')[1]);
+        reader.onerror = (error) => reject(error);
+        reader.readAsDataURL(blob);
+    });
+};
+
+const requestServerAnalysis = async (images, { getIdToken, signal }) => {
+    // getIdToken 每次重試都重新取得，過期時 Firebase 會自動更新
+    const idToken = await getIdToken();
+    // 逾時代表伺服器已用完所有 provider 的期限，再送一次只會讓使用者再等 45 秒
+    const response = await fetchWithTimeout(ANALYZE_LABEL_ENDPOINT, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+            Authorization: `Bearer ${idToken}`,
+        },
+        body: JSON.stringify({ images }),
+    }, { timeoutMs: REQUEST_TIMEOUT_MS, signal, retryableTimeout: false });
+
+    if (!response.ok) {
+        const body = await response.json().catch(() => null);
+        // 429 是每位使用者的次數限制、504 是伺服器的辨識期限已到，立即重試都沒有意義
+        throw new RecognitionError(body?.error || `API error: ${response.status} ${response.statusText}`, {
+            status: response.status,
+            retryable: response.status !== 429 && response.status !== 504 && isRetryableStatus(response.status),
+        });
+    }
+
+    const { fields } = await response.json();
+    return fields || {};
+};
+
+/**
+ * Recognizes one or more photos of the same product (e.g. front, back label and batch-code
+ * close-up) in a single request, either through our /api/analyze-label endpoint (which holds
+ * the AI keys) or, with VITE_LABEL_RECOGNITION=mock, the offline fixture provider.
+ * Transient failures are retried with backoff; abort `signal` to cancel (e.g. leaving the form).
+ * @param {Array<{ blob: Blob, tag?: string }>} images At most MAX_LABEL_IMAGES
+ * @param {{ getIdToken: () => Promise<string>, signal?: AbortSignal }} options
+ * @returns {Promise<Record<string, {value: any, confidence: number}>>} Normalized fields
+ */
+export const analyzeLabel = async (images, { getIdToken, signal }) => {
+    // 先壓縮再上傳，伺服器有圖片大小上限
+    const payload = [];
+    for (const { blob: image, tag } of images) {
+        const { blob } = await compressImage(image, FULL_IMAGE_OPTIONS);
+        payload.push({ mimeType: blob.type || 'image/jpeg', data: await blobToBase64(blob), ...(tag ? { tag } : {}) });
+    }
+
+    if (LABEL_RECOGNITION === 'mock') {
+        return createMockProvider().analyze({ images: payload, signal });
+    }
+
+    return withRetry(() => requestServerAnalysis(payload, { getIdToken, signal }), { retries: 1, signal });
+};
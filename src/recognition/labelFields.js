@@ -0,0 +1,144 @@
+import { CATEGORY_VALUES } from '../utils/categories.js';
+
+// AI 標籤辨識可擷取的欄位，依表單顯示順序排列
+export const LABEL_FIELDS = [
+    { key: 'brand', label: '品牌名稱' },
+    { key: 'name', label: '產品名稱' },
+    { key: 'expiryDate', label: '有效期限' },
+    { key: 'manufactureDate', label: '製造日期' },
+    { key: 'paoMonths', label: '開封後使用期限 (PAO)' },
+    { key: 'batchCode', label: '批號' },
+    { key: 'category', label: '類別' },
+    { key: 'volume', label: '容量' },
+    { key: 'ingredients', label: '成分 (INCI)' },
+];
+
+// 一次辨識最多送幾張照片 (正面、背面標籤、批號特寫...)，伺服器與前端共用
+export const MAX_LABEL_IMAGES = 4;
+
+// 照片標籤 (見 photos/productPhotos.js) 給模型看的說明
+const IMAGE_TAG_CAPTIONS = {
+    front: 'front of the package',
+    back: 'back label',
+    batch: 'close-up of the batch code / expiry print',
+};
+
+/**
+ * Caption placed before each image so the model knows which view it is looking at.
+ * @param {{ tag?: string }} image
+ * @param {number} index
+ */
+export const getImageCaption = (image, index) => {
+    const caption = IMAGE_TAG_CAPTIONS[image.tag];
+    return caption ? `Photo ${index + 1} (${caption}):` : `Photo ${index + 1}:`;
+};
+
+export const LABEL_PROMPT = [
+    'Analyze the photos of this skincare product and extract the fields below.',
+    'All photos show the same product from different sides; combine what they show into one answer.',
+    'Only report what is actually printed on the packaging; leave a field empty if it is not visible.',
+    '- brand and name: as printed (keep the original language).',
+    '- expiryDate / manufactureDate: the printed EXP / MFG date as YYYY-MM-DD. If only month and year are printed, use YYYY-MM.',
+    '- paoMonths: the number from the open-jar (period after opening) symbol, e.g. "12M" → 12.',
+    '- batchCode: the lot / batch code (often near the crimp or bottom), exactly as printed.',
+    `- category: one of ${CATEGORY_VALUES.join(', ')}.`,
+    '- volume: net content with unit, e.g. "50 ml" or "30 g".',
+    '- ingredients: the full ingredient (INCI) list exactly as printed, comma-separated, usually on the back label.',
+    'For every field, give a confidence between 0 and 1 for how sure you are that the value is correct and legible.',
+].join('\n');
+
+const fieldSchema = (type, description) => ({
+    type: 'OBJECT',
+    properties: {
+        value: { type, description, nullable: true },
+        confidence: { type: 'NUMBER', description: 'Confidence from 0 to 1.' },
+    },
+    propertyOrdering: ['value', 'confidence'],
+});
+
+// Gemini responseSchema (OpenAPI subset)
+export const LABEL_RESPONSE_SCHEMA = {
+    type: 'OBJECT',
+    properties: {
+        brand: fieldSchema('STRING', 'The brand name of the product.'),
+        name: fieldSchema('STRING', 'The specific product name (e.g., Hyaluronic Acid Serum).'),
+        expiryDate: fieldSchema('STRING', 'Printed expiry date, YYYY-MM-DD or YYYY-MM.'),
+        manufactureDate: fieldSchema('STRING', 'Printed manufacture date, YYYY-MM-DD or YYYY-MM.'),
+        paoMonths: fieldSchema('INTEGER', 'Months from the period-after-opening symbol.'),
+        batchCode: fieldSchema('STRING', 'Lot / batch code as printed.'),
+        category: fieldSchema('STRING', `One of: ${CATEGORY_VALUES.join(', ')}.`),
+        volume: fieldSchema('STRING', 'Net content with unit.'),
+        ingredients: fieldSchema('STRING', 'Full INCI ingredient list, comma-separated.'),
+    },
+    propertyOrdering: LABEL_FIELDS.map(field => field.key),
+};
+
+const clampConfidence = (value) => {
+    const number = Number(value);
+    if (!Number.isFinite(number)) return 0.5;
+    return Math.min(1, Math.max(0, number));
+};
+
+/**
+ * Accepts YYYY-MM-DD, YYYY/MM/DD and YYYY-MM (→ last day of that month).
+ * @param {string} value
+ * @returns {string | null} YYYY-MM-DD
+ */
+const normalizeDate = (value) => {
+    const match = String(value).trim().match(/^(\d{4})[-/.](\d{1,2})(?:[-/.](\d{1,2}))?$/);
+    if (!match) return null;
+
+    const year = Number(match[1]);
+    const month = Number(match[2]);
+    if (month < 1 || month > 12) return null;
+
+    const lastDay = new Date(Date.UTC(year, month, 0)).getUTCDate();
+    const day = match[3] ? Number(match[3]) : lastDay;
+    if (day < 1 || day > lastDay) return null;
+
+    return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+};
+
+const normalizers = {
+    brand: value => String(value).trim() || null,
+    name: value => String(value).trim() || null,
+    expiryDate: normalizeDate,
+    manufactureDate: normalizeDate,
+    paoMonths: (value) => {
+        const months = parseInt(value, 10);
+        return months >= 1 && months <= 60 ? months : null;
+    },
+    batchCode: value => String(value).trim().toUpperCase() || null,
+    category: (value) => {
+        const category = String(value).trim().toLowerCase();
+        return CATEGORY_VALUES.includes(category) ? category : null;
+    },
+    volume: value => String(value).trim() || null,
+    // 成分表可能很長，但超過這個長度多半是辨識錯誤
+    ingredients: value => String(value).trim().slice(0, 5000) || null,
+};
+
+/**
+ * Turns a raw model response into `{ [field]: { value, confidence } }`, dropping
+ * fields that are missing or fail validation. Plain (non-object) values are accepted
+ * with a neutral confidence, so simpler responses still work.
+ * @param {object} raw Parsed JSON from the model
+ * @returns {Record<string, {value: string | number, confidence: number}>}
+ */
+export const normalizeLabelResult = (raw) => {
+    const result = {};
+    LABEL_FIELDS.forEach(({ key }) => {
+        const entry = raw?.[key];
+        if (entry === null || entry === undefined) return;
+
+        const isWrapped = typeof entry === 'object';
+        const rawValue = isWrapped ? entry.value : entry;
+        if (rawValue === null || rawValue === undefined || rawValue === '') return;
+
+        const value = normalizers[key](rawValue);
+        if (value === null) return;
+
+        result[key] = { value, confidence: isWrapped ? clampConfidence(entry.confidence) : 0.5 };
+    });
+    return result;
+};
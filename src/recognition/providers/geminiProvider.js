@@ -0,0 +1,57 @@
+import { LABEL_PROMPT, LABEL_RESPONSE_SCHEMA, getImageCaption, normalizeLabelResult } from '../labelFields.js';
+import { RecognitionError, fetchWithTimeout, isRetryableStatus } from '../requestUtils.js';
+
+export const DEFAULT_GEMINI_MODEL = 'gemini-2.5-flash';
+
+/**
+ * Google Gemini adapter.
+ * @param {{ apiKey: string, model?: string, timeoutMs?: number }} options
+ * @returns {import('./index.js').LabelProvider}
+ */
+export const createGeminiProvider = ({ apiKey, model = DEFAULT_GEMINI_MODEL, timeoutMs = 20000 }) => ({
+    name: `gemini:${model}`,
+
+    analyze: async ({ images, signal }) => {
+        const apiUrl = `https://generativelanguage.googleapis.com/v1beta/models/${model}:generateContent`;
+        const payload = {
+            contents: [{
+                role: 'user',
+                parts: [
+                    { text: LABEL_PROMPT },
+                    ...images.flatMap((image, index) => [
+                        { text: getImageCaption(image, index) },
+                        { inlineData: { mimeType: image.mimeType, data: image.data } },
+                    ]),
+                ],
+            }],
+            generationConfig: {
+                responseMimeType: 'application/json',
+                responseSchema: LABEL_RESPONSE_SCHEMA,
+            },
+        };
+
+        const response = await fetchWithTimeout(apiUrl, {
+            method: 'POST',
+            // 金鑰放在標頭而不是網址，避免出現在記錄檔中
+            headers: { 'Content-Type': 'application/json', 'x-goog-api-key': apiKey },
+            body: JSON.stringify(payload),
+        }, { timeoutMs, signal });
+
+        if (!response.ok) {
+            let errorBody = await response.text();
+            try {
+                errorBody = JSON.parse(errorBody).error.message;
+            } catch {
+                // ignore if not json
+            }
+            throw new RecognitionError(`Gemini API error ${response.status}: ${errorBody}`, {
+                status: response.status,
+                retryable: isRetryableStatus(response.status),
+            });
+        }
+
+        const result = await response.json();
+        const jsonText = result.candidates?.[0]?.content?.parts?.[0]?.text;
+        return jsonText ? normalizeLabelResult(JSON.parse(jsonText)) : {};
+    },
+});
@@ -0,0 +1,64 @@
+import { createGeminiProvider } from './geminiProvider.js';
+import { createOpenAiCompatibleProvider } from './openAiCompatibleProvider.js';
+import { createMockProvider } from './mockProvider.js';
+import { RecognitionError, withRetry } from '../requestUtils.js';
+
+/**
+ * @typedef {object} LabelProvider
+ * @property {string} name For logs, e.g. 'gemini:gemini-2.5-flash'
+ * @property {(request: { images: Array<{ mimeType: string, data: string, tag?: string }>, signal?: AbortSignal }) => Promise<Record<string, {value: any, confidence: number}>>} analyze
+ *   Photos of one product, analyzed together. Resolves with normalized fields (see
+ *   normalizeLabelResult); throws RecognitionError on failure.
+ */
+
+const PROVIDER_FACTORIES = {
+    gemini: (config) => createGeminiProvider(config),
+    openai: (config) => createOpenAiCompatibleProvider(config),
+    mock: (config) => createMockProvider(config),
+};
+
+/**
+ * Builds the provider chain from configuration. Providers without credentials are skipped.
+ * @param {{ order: string[], gemini?: object, openai?: object, mock?: object }} config
+ * @returns {LabelProvider[]}
+ */
+export const createLabelProviders = (config) => config.order
+    .map(name => name.trim())
+    .filter(name => PROVIDER_FACTORIES[name] && (name === 'mock' || config[name]?.apiKey))
+    .map(name => PROVIDER_FACTORIES[name](config[name] || {}));
+
+/**
+ * Tries each provider in order, retrying transient failures, and falls back to the next
+ * provider when one keeps failing (e.g. a retired preview model returning 404).
+ * Cancellation stops immediately. With `deadlineMs`, the whole chain (retries and
+ * fallbacks included) gives up after that long with a non-retryable 504 RecognitionError.
+ * @param {LabelProvider[]} providers
+ * @param {{ images: Array<{ mimeType: string, data: string, tag?: string }>, signal?: AbortSignal }} request
+ * @param {{ retries?: number, deadlineMs?: number }} options
+ */
+export const analyzeWithProviders = async (providers, request, { retries = 2, deadlineMs } = {}) => {
+    if (providers.length === 0) {
+        throw new RecognitionError('沒有可用的 AI 辨識服務，請檢查伺服器設定。');
+    }
+
+    const deadline = deadlineMs ? AbortSignal.timeout(deadlineMs) : null;
+    const signal = deadline && request.signal ? AbortSignal.any([request.signal, deadline]) : (deadline || request.signal);
+    const boundedRequest = { ...request, signal };
+
+    let lastError = null;
+    for (const provider of providers) {
+        try {
+            return await withRetry(() => provider.analyze(boundedRequest), { retries, signal });
+        } catch (error) {
+            if (deadline?.aborted && !request.signal?.aborted) {
+                throw new RecognitionError('辨識逾時，請稍後再試。', { status: 504, cause: error });
+            }
+            if (error?.name === 'AbortError') throw error;
+            console.warn(`Label provider ${provider.name} failed:`, error.message);
+            lastError = error;
+        }
+    }
+    throw lastError;
+};
+
+export { createGeminiProvider, createOpenAiCompatibleProvider, createMockProvider };
@@ -0,0 +1,61 @@
+// 不需網路的假辨識 provider：依圖片內容固定挑選一組範例結果，同一組照片每次結果都相同。
+// 前端 VITE_LABEL_RECOGNITION=mock 或伺服器 LABEL_PROVIDERS=mock 時使用。
+
+// 範例結果，涵蓋高、中、低三種信心程度與缺漏欄位
+export const LABEL_FIXTURES = [
+    {
+        brand: { value: 'La Roche-Posay', confidence: 0.96 },
+        name: { value: 'Hyalu B5 Serum', confidence: 0.9 },
+        expiryDate: { value: '2027-03-31', confidence: 0.72 },
+        paoMonths: { value: 12, confidence: 0.88 },
+        batchCode: { value: '39U402', confidence: 0.41 },
+        category: { value: 'serum', confidence: 0.8 },
+        volume: { value: '30 ml', confidence: 0.65 },
+    },
+    {
+        brand: { value: 'CeraVe', confidence: 0.94 },
+        name: { value: 'Moisturising Cream', confidence: 0.86 },
+        paoMonths: { value: 12, confidence: 0.9 },
+        batchCode: { value: '51G1140', confidence: 0.58 },
+        category: { value: 'moisturizer', confidence: 0.92 },
+        volume: { value: '454 g', confidence: 0.83 },
+    },
+    {
+        brand: { value: 'Anessa', confidence: 0.91 },
+        name: { value: 'Perfect UV Sunscreen Skincare Milk', confidence: 0.77 },
+        manufactureDate: { value: '2025-06-30', confidence: 0.45 },
+        batchCode: { value: '5163A', confidence: 0.62 },
+        category: { value: 'sunscreen', confidence: 0.95 },
+        volume: { value: '60 ml', confidence: 0.88 },
+    },
+];
+
+const MOCK_DELAY_MS = 600;
+
+// 簡單的字串雜湊 (FNV-1a)，只用來穩定地挑選範例
+const hashString = (text) => {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+};
+
+/**
+ * Deterministic fixture-based provider.
+ * @param {{ fixtures?: Array<object>, delayMs?: number }} options
+ * @returns {import('./index.js').LabelProvider}
+ */
+export const createMockProvider = ({ fixtures = LABEL_FIXTURES, delayMs = MOCK_DELAY_MS } = {}) => ({
+    name: 'mock',
+
+    analyze: ({ images, signal }) => new Promise((resolve, reject) => {
+        const fixture = fixtures[hashString(images.map(image => image.data).join('')) % fixtures.length];
+        const timer = setTimeout(() => resolve(structuredClone(fixture)), delayMs);
+        signal?.addEventListener('abort', () => {
+            clearTimeout(timer);
+            reject(new DOMException('Aborted', 'AbortError'));
+        }, { once: true });
+    }),
+});
@@ -0,0 +1,67 @@
+import { LABEL_FIELDS, LABEL_PROMPT, getImageCaption, normalizeLabelResult } from '../labelFields.js';
+import { RecognitionError, fetchWithTimeout, isRetryableStatus } from '../requestUtils.js';
+
+export const DEFAULT_OPENAI_BASE_URL = 'https://api.openai.com/v1';
+export const DEFAULT_OPENAI_MODEL = 'gpt-4o-mini';
+
+// Chat Completions 沒有 Gemini 的 responseSchema，改在提示中描述 JSON 格式
+const JSON_FORMAT_INSTRUCTION = [
+    'Respond with a single JSON object and nothing else.',
+    `Use exactly these keys: ${LABEL_FIELDS.map(field => field.key).join(', ')}.`,
+    'Each key maps to {"value": <string, integer for paoMonths, or null>, "confidence": <number 0-1>}.',
+].join('\n');
+
+/**
+ * Adapter for any OpenAI-compatible Chat Completions API with image input
+ * (OpenAI, Azure OpenAI, OpenRouter, a local vLLM/Ollama gateway, ...).
+ * @param {{ apiKey: string, baseUrl?: string, model?: string, timeoutMs?: number }} options
+ * @returns {import('./index.js').LabelProvider}
+ */
+export const createOpenAiCompatibleProvider = ({
+    apiKey,
+    baseUrl = DEFAULT_OPENAI_BASE_URL,
+    model = DEFAULT_OPENAI_MODEL,
+    timeoutMs = 20000,
+}) => ({
+    name: `openai:${model}`,
+
+    analyze: async ({ images, signal }) => {
+        const payload = {
+            model,
+            response_format: { type: 'json_object' },
+            messages: [{
+                role: 'user',
+                content: [
+                    { type: 'text', text: `${LABEL_PROMPT}\n\n${JSON_FORMAT_INSTRUCTION}` },
+                    ...images.flatMap((image, index) => [
+                        { type: 'text', text: getImageCaption(image, index) },
+                        { type: 'image_url', image_url: { url: `data:${image.mimeType};base64,${image.data}` } },
+                    ]),
+                ],
+            }],
+        };
+
+        const response = await fetchWithTimeout(`${baseUrl.replace(/\/$/, '')}/chat/completions`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${apiKey}` },
+            body: JSON.stringify(payload),
+        }, { timeoutMs, signal });
+
+        if (!response.ok) {
+            let errorBody = await response.text();
+            try {
+                errorBody = JSON.parse(errorBody).error.message;
+            } catch {
+                // ignore if not json
+            }
+            throw new RecognitionError(`OpenAI-compatible API error ${response.status}: ${errorBody}`, {
+                status: response.status,
+                retryable: isRetryableStatus(response.status),
+            });
+        }
+
+        const result = await response.json();
+        const jsonText = result.choices?.[0]?.message?.content;
+        return jsonText ? normalizeLabelResult(JSON.parse(jsonText)) : {};
+    },
+});
@@ -0,0 +1,91 @@
+// 標籤辨識請求共用的逾時、重試與取消工具 (瀏覽器與 api/ 伺服器端共用，只使用標準 fetch / AbortController)
+
+/**
+ * Error from a recognition request. `retryable` marks failures worth trying again
+ * (timeouts, rate limits, 5xx), as opposed to bad input or a bad key.
+ */
+export class RecognitionError extends Error {
+    constructor(message, { status = null, retryable = false, cause } = {}) {
+        super(message, { cause });
+        this.name = 'RecognitionError';
+        this.status = status;
+        this.retryable = retryable;
+    }
+}
+
+/**
+ * @param {number} status HTTP status
+ * @returns {boolean}
+ */
+export const isRetryableStatus = (status) => status === 408 || status === 429 || status >= 500;
+
+const isAbortError = (error) => error?.name === 'AbortError';
+
+/**
+ * fetch() that gives up after timeoutMs and also honours an outer AbortSignal
+ * (e.g. the user leaving the form).
+ * @param {string} url
+ * @param {RequestInit} init
+ * @param {{ timeoutMs: number, signal?: AbortSignal, retryableTimeout?: boolean }} options
+ *   retryableTimeout: whether withRetry may try again after this request times out
+ */
+export const fetchWithTimeout = async (url, init, { timeoutMs, signal, retryableTimeout = true }) => {
+    const controller = new AbortController();
+    let timedOut = false;
+    const timer = setTimeout(() => {
+        timedOut = true;
+        controller.abort();
+    }, timeoutMs);
+    const abortFromOuter = () => controller.abort();
+    signal?.addEventListener('abort', abortFromOuter, { once: true });
+    if (signal?.aborted) controller.abort();
+
+    try {
+        return await fetch(url, { ...init, signal: controller.signal });
+    } catch (error) {
+        if (timedOut) {
+            throw new RecognitionError('辨識逾時，請稍後再試。', { retryable: retryableTimeout, cause: error });
+        }
+        if (isAbortError(error)) throw error;
+        // 網路中斷等情況
+        throw new RecognitionError(`網路錯誤: ${error.message}`, { retryable: true, cause: error });
+    } finally {
+        clearTimeout(timer);
+        signal?.removeEventListener('abort', abortFromOuter);
+    }
+};
+
+/**
+ * Waits ms, rejecting early with an AbortError if signal aborts.
+ * @param {number} ms
+ * @param {AbortSignal} [signal]
+ */
+const sleep = (ms, signal) => new Promise((resolve, reject) => {
+    const timer = setTimeout(resolve, ms);
+    signal?.addEventListener('abort', () => {
+        clearTimeout(timer);
+        reject(new DOMException('Aborted', 'AbortError'));
+    }, { once: true });
+});
+
+/**
+ * Runs task, retrying retryable RecognitionErrors with exponential backoff and jitter.
+ * Cancellation (AbortError) is never retried.
+ * @template T
+ * @param {(attempt: number) => Promise<T>} task
+ * @param {{ retries?: number, baseDelayMs?: number, maxDelayMs?: number, signal?: AbortSignal }} options
+ * @returns {Promise<T>}
+ */
+export const withRetry = async (task, { retries = 2, baseDelayMs = 800, maxDelayMs = 8000, signal } = {}) => {
+    for (let attempt = 0; ; attempt++) {
+        try {
+            return await task(attempt);
+        } catch (error) {
+            const canRetry = error instanceof RecognitionError && error.retryable && attempt < retries;
+            if (!canRetry || signal?.aborted) throw error;
+
+            const backoff = Math.min(maxDelayMs, baseDelayMs * 2 ** attempt);
+            await sleep(backoff / 2 + Math.random() * backoff / 2, signal);
+        }
+    }
+};
@@ -0,0 +1,51 @@
+import { addDays } from '../utils/date';
+import { getProductUnits, getUnitExpiry } from '../units/productUnits';
+
+// 預設提醒: 到期前 60 / 30 / 7 天，以及到期當天
+export const DEFAULT_REMINDER_PREFERENCES = {
+    enabled: false,
+    leadDays: [60, 30, 7],
+    onExpiryDay: true,
+    dailyDigest: false,
+};
+
+// 設定畫面中可勾選的提前天數
+export const LEAD_DAY_OPTIONS = [90, 60, 30, 14, 7, 3, 1];
+
+/**
+ * Builds every reminder a product list should produce, one entry per unit (the bottle in
+ * front and each backup) and lead time. The service worker decides which of them are due,
+ * so each entry carries its own due date.
+ * @param {Array<object>} products
+ * @param {typeof DEFAULT_REMINDER_PREFERENCES} preferences
+ * @returns {Array<{id: string, productId: string, productName: string, expiryDate: string, leadDays: number, dueDate: string}>}
+ */
+export const buildReminderSchedule = (products, preferences) => {
+    if (!preferences.enabled) return [];
+
+    const leadTimes = [...preferences.leadDays];
+    if (preferences.onExpiryDay) {
+        leadTimes.push(0);
+    }
+
+    return products.flatMap(product => {
+        const productName = [product.brand, product.name].filter(Boolean).join(' ');
+        return getProductUnits(product).flatMap(unit => {
+            const expiryDate = getUnitExpiry(product, unit);
+            if (!expiryDate) return [];
+
+            // 前面這瓶沿用原本的 id，已送出的提醒不會再送一次
+            const unitKey = unit.isPrimary ? product.id : `${product.id}-${unit.id}`;
+            return leadTimes.map(leadDays => ({
+                // The expiry date is part of the id, so editing the date (or opening the jar)
+                // produces fresh reminders instead of matching ones that were already sent.
+                id: `${unitKey}:${expiryDate}:${leadDays}`,
+                productId: product.id,
+                productName: unit.isPrimary ? productName : `${productName}（備品）`,
+                expiryDate,
+                leadDays,
+                dueDate: addDays(expiryDate, -leadDays),
+            }));
+        });
+    });
+};
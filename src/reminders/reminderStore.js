@@ -0,0 +1,68 @@
+// 提醒排程與已送出紀錄存放在獨立的 IndexedDB，讓 Service Worker (public/sw.js) 不需打包也能讀取。
+// 結構需與 sw.js 中的 REMINDER_DB_* 常數保持一致。
+
+const REMINDER_DB_NAME = 'skincare-reminders';
+const REMINDER_DB_VERSION = 1;
+
+let dbPromise = null;
+
+const openReminderDatabase = () => {
+    if (!dbPromise) {
+        dbPromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(REMINDER_DB_NAME, REMINDER_DB_VERSION);
+            request.onupgradeneeded = () => {
+                const database = request.result;
+                if (!database.objectStoreNames.contains('schedule')) {
+                    database.createObjectStore('schedule', { keyPath: 'id' });
+                }
+                if (!database.objectStoreNames.contains('sent')) {
+                    database.createObjectStore('sent', { keyPath: 'id' });
+                }
+                if (!database.objectStoreNames.contains('meta')) {
+                    database.createObjectStore('meta');
+                }
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+    return dbPromise;
+};
+
+const runTransaction = async (storeNames, mode, action) => {
+    const database = await openReminderDatabase();
+    return new Promise((resolve, reject) => {
+        const transaction = database.transaction(storeNames, mode);
+        const result = action(transaction);
+        transaction.oncomplete = () => resolve(result?.result);
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+    });
+};
+
+/**
+ * Replaces the stored schedule and the preferences the service worker reads.
+ * @param {Array<object>} schedule From buildReminderSchedule
+ * @param {object} preferences
+ */
+export const saveReminderSchedule = (schedule, preferences) => runTransaction(['schedule', 'meta'], 'readwrite', (transaction) => {
+    const scheduleStore = transaction.objectStore('schedule');
+    scheduleStore.clear();
+    schedule.forEach(entry => scheduleStore.put(entry));
+    transaction.objectStore('meta').put(preferences, 'preferences');
+});
+
+/**
+ * Returns every reminder already delivered on this device.
+ * @returns {Promise<Array<{id: string, sentAt: string}>>}
+ */
+export const getSentReminders = () => runTransaction(['sent'], 'readonly', (transaction) => (
+    transaction.objectStore('sent').getAll()
+));
+
+/**
+ * Forgets which reminders were sent, so they can fire again (used by the settings screen).
+ */
+export const clearSentReminders = () => runTransaction(['sent'], 'readwrite', (transaction) => {
+    transaction.objectStore('sent').clear();
+});
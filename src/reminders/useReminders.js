@@ -0,0 +1,100 @@
+import { useState, useEffect, useCallback } from 'react';
+import { buildReminderSchedule } from './reminderSchedule';
+import { saveReminderSchedule, clearSentReminders } from './reminderStore';
+
+const REMINDER_SYNC_TAG = 'expiry-reminders';
+const ONE_DAY_MS = 24 * 60 * 60 * 1000;
+
+const isNotificationSupported = () => 'Notification' in window && 'serviceWorker' in navigator;
+
+/**
+ * Asks the service worker to deliver any reminders that are due, and registers a
+ * daily periodic background sync where the browser supports it.
+ */
+const requestReminderCheck = async () => {
+    if (!isNotificationSupported() || Notification.permission !== 'granted') return;
+
+    const registration = await navigator.serviceWorker.ready;
+    registration.active?.postMessage({ type: 'check-reminders' });
+
+    if ('periodicSync' in registration) {
+        try {
+            await registration.periodicSync.register(REMINDER_SYNC_TAG, { minInterval: ONE_DAY_MS });
+        } catch (error) {
+            // 未安裝成 PWA 時瀏覽器會拒絕，App 開啟時仍會檢查
+            console.warn("Periodic Sync Unavailable:", error);
+        }
+    }
+};
+
+/**
+ * Expiry reminders: keeps the service worker's schedule in sync with the product list
+ * and exposes the opt-in permission flow for the settings screen.
+ * Preferences live in the user's settings record (settings.notifications).
+ * @param {Array<object>} products
+ * @param {object} preferences settings.notifications
+ * @param {(changes: object) => void} onPreferencesChange
+ */
+export const useReminders = (products, preferences, onPreferencesChange) => {
+    const [permission, setPermission] = useState(() => (isNotificationSupported() ? Notification.permission : 'unsupported'));
+
+    useEffect(() => {
+        if (permission === 'unsupported') return;
+
+        const schedule = buildReminderSchedule(products, preferences);
+        saveReminderSchedule(schedule, preferences)
+            .then(requestReminderCheck)
+            .catch(error => console.error("Reminder Schedule Error:", error));
+    }, [products, preferences, permission]);
+
+    useEffect(() => {
+        // 每次回到 App 時也檢查一次 (例如隔天從背景切回來)
+        const handleVisibilityChange = () => {
+            if (document.visibilityState === 'visible') {
+                requestReminderCheck().catch(error => console.error("Reminder Check Error:", error));
+            }
+        };
+        document.addEventListener('visibilitychange', handleVisibilityChange);
+        return () => document.removeEventListener('visibilitychange', handleVisibilityChange);
+    }, []);
+
+    const updatePreferences = useCallback((changes) => {
+        onPreferencesChange({ ...preferences, ...changes });
+    }, [preferences, onPreferencesChange]);
+
+    /**
+     * Opt-in flow: asks for notification permission, then turns reminders on.
+     * @returns {Promise<boolean>} Whether reminders are now enabled
+     */
+    const enableReminders = useCallback(async () => {
+        if (!isNotificationSupported()) return false;
+
+        const result = await Notification.requestPermission();
+        setPermission(result);
+        if (result !== 'granted') return false;
+
+        updatePreferences({ enabled: true });
+        return true;
+    }, [updatePreferences]);
+
+    const sendTestNotification = useCallback(async () => {
+        const title = '保養品效期提醒';
+        const options = { body: '提醒功能已開啟，產品快到期時會通知您。', icon: '/vite.svg' };
+        const registration = await navigator.serviceWorker.getRegistration();
+        if (registration) {
+            await registration.showNotification(title, options);
+        } else {
+            // 開發模式沒有註冊 Service Worker
+            new Notification(title, options);
+        }
+    }, []);
+
+    return {
+        preferences,
+        permission,
+        updatePreferences,
+        enableReminders,
+        sendTestNotification,
+        resetSentReminders: clearSentReminders,
+    };
+};
@@ -0,0 +1,76 @@
+import { addDays } from '../utils/date';
+import { getProductStatus } from '../utils/productStatus';
+
+export const ROUTINE_PERIODS = [
+    { value: 'am', label: '早上', icon: '☀️' },
+    { value: 'pm', label: '晚上', icon: '🌙' },
+];
+
+// 需要提醒的效期狀態，由嚴重到輕微
+const ALERT_LEVELS = ['expired', 'critical', 'warning'];
+
+/**
+ * @param {string} routineId
+ * @param {string} date YYYY-MM-DD
+ */
+export const getRoutineLogId = (routineId, date) => `${routineId}_${date}`;
+
+/**
+ * The routine's steps in order, with the product each one points to. Steps whose product
+ * was finished, discarded or deleted come back with `product: null`.
+ * @param {object} routine
+ * @param {Map<string, object>} productsById Products on the shelf
+ * @returns {Array<{ productId: string, product: object | null }>}
+ */
+export const getRoutineSteps = (routine, productsById) => (routine.steps || [])
+    .map(productId => ({ productId, product: productsById.get(productId) || null }));
+
+/**
+ * Steps that need attention: products expired or expiring (same thresholds as the list)
+ * and steps whose product is no longer on the shelf.
+ * @param {object} routine
+ * @param {Map<string, object>} productsById
+ * @param {{warningDays: number, criticalDays: number}} thresholds
+ * @returns {Array<{ productId: string, product: object | null, level: 'missing' | 'expired' | 'critical' | 'warning', statusText: string }>}
+ */
+export const getRoutineAlerts = (routine, productsById, thresholds) => getRoutineSteps(routine, productsById)
+    .map(({ productId, product }) => {
+        if (!product) {
+            return { productId, product, level: 'missing', statusText: '產品已不在清單中' };
+        }
+        const { level, statusText } = getProductStatus(product.expiryDate, product.openedDate, product.paoMonths, thresholds);
+        return { productId, product, level, statusText };
+    })
+    .filter(alert => alert.level === 'missing' || ALERT_LEVELS.includes(alert.level))
+    .sort((a, b) => ALERT_LEVELS.indexOf(a.level) - ALERT_LEVELS.indexOf(b.level));
+
+/**
+ * Whether every step that still has a product is checked off.
+ * @param {object} routine
+ * @param {Map<string, object>} productsById
+ * @param {string[]} completedSteps Product ids checked off that day
+ */
+export const isRoutineComplete = (routine, productsById, completedSteps) => {
+    const steps = getRoutineSteps(routine, productsById).filter(step => step.product);
+    return steps.length > 0 && steps.every(step => completedSteps.includes(step.productId));
+};
+
+/**
+ * Consecutive completed days up to today. A routine not done yet today still keeps the
+ * streak that ended yesterday, so the number does not drop to 0 every morning.
+ * @param {string} routineId
+ * @param {Map<string, object>} logsById Routine logs by id; `isComplete` is stored when logging
+ * @param {string} today YYYY-MM-DD
+ * @returns {number}
+ */
+export const getRoutineStreak = (routineId, logsById, today) => {
+    const isCompleteOn = date => !!logsById.get(getRoutineLogId(routineId, date))?.isComplete;
+
+    let date = isCompleteOn(today) ? today : addDays(today, -1);
+    let streak = 0;
+    while (isCompleteOn(date)) {
+        streak += 1;
+        date = addDays(date, -1);
+    }
+    return streak;
+};
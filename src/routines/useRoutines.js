@@ -0,0 +1,96 @@
+import { useState, useEffect, useCallback } from 'react';
+import { ROUTINE_PERIODS, getRoutineLogId, isRoutineComplete } from './routineLogic';
+import { toMillis } from '../utils/date';
+
+const periodOrder = routine => ROUTINE_PERIODS.findIndex(period => period.value === routine.period);
+
+/**
+ * Live routines and their daily logs, plus the writes the routine screen needs.
+ * @param {{ routineRepository: object | null, routineLogRepository: object | null }} repositories
+ */
+export const useRoutines = ({ routineRepository, routineLogRepository }) => {
+    const [routines, setRoutines] = useState([]);
+    const [logsById, setLogsById] = useState(() => new Map());
+    const [routineError, setRoutineError] = useState(null);
+
+    useEffect(() => {
+        if (!routineRepository || !routineLogRepository) return;
+
+        const handleError = (error) => {
+            console.error("Routine Listener Error:", error);
+            setRoutineError(`保養流程讀取錯誤: ${error.message}`);
+        };
+        const unsubscribeRoutines = routineRepository.subscribe((items) => {
+            // 早上在前，同時段依建立順序
+            setRoutines([...items].sort((a, b) => periodOrder(a) - periodOrder(b) || toMillis(a.createdAt) - toMillis(b.createdAt)));
+            setRoutineError(null);
+        }, handleError);
+        const unsubscribeLogs = routineLogRepository.subscribe((items) => {
+            setLogsById(new Map(items.map(log => [log.id, log])));
+        }, handleError);
+
+        return () => {
+            unsubscribeRoutines();
+            unsubscribeLogs();
+        };
+    }, [routineRepository, routineLogRepository]);
+
+    /**
+     * Creates the routine, or updates it when it has an id.
+     * @param {{ id?: string, name: string, period: string, steps: string[] }} routine
+     */
+    const saveRoutine = useCallback(async ({ id, ...data }) => {
+        try {
+            if (id) {
+                await routineRepository.update(id, { ...data, updatedAt: new Date() });
+            } else {
+                await routineRepository.add({ ...data, createdAt: new Date(), updatedAt: new Date() });
+            }
+            return true;
+        } catch (error) {
+            console.error("Routine Save Error:", error);
+            setRoutineError(`❌ 保養流程儲存失敗: ${error.message}`);
+            return false;
+        }
+    }, [routineRepository]);
+
+    // 過去的打卡紀錄保留，刪除後不再顯示
+    const deleteRoutine = useCallback(async (routineId) => {
+        try {
+            await routineRepository.remove(routineId);
+        } catch (error) {
+            console.error("Routine Delete Error:", error);
+            setRoutineError(`❌ 保養流程刪除失敗: ${error.message}`);
+        }
+    }, [routineRepository]);
+
+    /**
+     * Checks a step off for the day, or unchecks it.
+     * @param {object} routine
+     * @param {string} productId
+     * @param {string} date YYYY-MM-DD
+     * @param {Map<string, object>} productsById Used to decide whether the routine is complete
+     */
+    const toggleStep = useCallback(async (routine, productId, date, productsById) => {
+        const logId = getRoutineLogId(routine.id, date);
+        const completed = logsById.get(logId)?.completedSteps || [];
+        const completedSteps = completed.includes(productId)
+            ? completed.filter(id => id !== productId)
+            : [...completed, productId];
+        try {
+            await routineLogRepository.set(logId, {
+                routineId: routine.id,
+                date,
+                completedSteps,
+                // 記下當天是否完成，之後修改流程步驟也不影響過去的連續天數
+                isComplete: isRoutineComplete(routine, productsById, completedSteps),
+                updatedAt: new Date(),
+            });
+        } catch (error) {
+            console.error("Routine Log Error:", error);
+            setRoutineError(`❌ 打卡失敗: ${error.message}`);
+        }
+    }, [logsById, routineLogRepository]);
+
+    return { routines, logsById, routineError, saveRoutine, deleteRoutine, toggleStep };
+};
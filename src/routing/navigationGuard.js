@@ -0,0 +1,44 @@
+import { useEffect } from 'react';
+
+// 目前生效的離開確認訊息；同一時間只有一個表單會開著
+let activeGuardMessage = null;
+
+/**
+ * Asks the user to confirm leaving when a guard is active.
+ * @returns {boolean} true when navigation may proceed
+ */
+export const confirmNavigation = () => {
+    if (!activeGuardMessage) return true;
+    if (!window.confirm(activeGuardMessage)) return false;
+    // 使用者已確認離開，不要在同一次導覽中再問一次
+    activeGuardMessage = null;
+    return true;
+};
+
+/**
+ * Blocks in-app navigation, the browser/Android back button and closing the tab while
+ * `shouldBlock` is true (e.g. a form with unsaved changes).
+ * @param {boolean} shouldBlock
+ * @param {string} [message]
+ */
+export const useNavigationGuard = (shouldBlock, message = '尚未儲存的變更將會遺失，確定要離開嗎？') => {
+    useEffect(() => {
+        if (!shouldBlock) return undefined;
+
+        activeGuardMessage = message;
+        const handleBeforeUnload = (event) => {
+            if (!activeGuardMessage) return;
+            event.preventDefault();
+            // 舊版瀏覽器需要設定 returnValue 才會顯示確認視窗
+            event.returnValue = '';
+        };
+        window.addEventListener('beforeunload', handleBeforeUnload);
+
+        return () => {
+            if (activeGuardMessage === message) {
+                activeGuardMessage = null;
+            }
+            window.removeEventListener('beforeunload', handleBeforeUnload);
+        };
+    }, [shouldBlock, message]);
+};
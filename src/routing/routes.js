@@ -0,0 +1,43 @@
+// App 的所有網址。Vercel 與 Service Worker 都會把未知路徑導回 index.html，由這裡解析。
+const ROUTES = [
+    { name: 'list', pattern: /^\/$/ },
+    { name: 'add', pattern: /^\/add\/?$/ },
+    { name: 'settings', pattern: /^\/settings\/?$/ },
+    { name: 'archive', pattern: /^\/archive\/?$/ },
+    { name: 'trash', pattern: /^\/trash\/?$/ },
+    { name: 'routines', pattern: /^\/routines\/?$/ },
+    { name: 'analytics', pattern: /^\/analytics\/?$/ },
+    { name: 'detail', pattern: /^\/product\/([^/]+)\/?$/ },
+    { name: 'edit', pattern: /^\/product\/([^/]+)\/edit\/?$/ },
+    // 共用清單的邀請連結，id 是邀請代碼
+    { name: 'join', pattern: /^\/join\/([^/]+)\/?$/ },
+];
+
+/**
+ * Resolves a pathname to a route name and its parameters.
+ * @param {string} pathname
+ * @returns {{name: 'list' | 'add' | 'settings' | 'archive' | 'trash' | 'routines' | 'analytics' | 'detail' | 'edit' | 'join' | 'notFound', params: {id?: string}}}
+ */
+export const matchRoute = (pathname) => {
+    for (const route of ROUTES) {
+        const match = pathname.match(route.pattern);
+        if (match) {
+            return { name: route.name, params: match[1] ? { id: decodeURIComponent(match[1]) } : {} };
+        }
+    }
+    return { name: 'notFound', params: {} };
+};
+
+// 產生網址的輔助函式，避免在各處手動拼接路徑
+export const paths = {
+    list: () => '/',
+    add: () => '/add',
+    settings: () => '/settings',
+    archive: () => '/archive',
+    trash: () => '/trash',
+    routines: () => '/routines',
+    analytics: () => '/analytics',
+    product: (id) => `/product/${encodeURIComponent(id)}`,
+    editProduct: (id) => `/product/${encodeURIComponent(id)}/edit`,
+    join: (code) => `/join/${encodeURIComponent(code)}`,
+};
@@ -0,0 +1,152 @@
+import { useState, useEffect, useLayoutEffect, useMemo, useCallback, useRef } from 'react';
+import { matchRoute } from './routes';
+import { confirmNavigation } from './navigationGuard';
+
+// 各瀏覽紀錄的捲動位置；存在 sessionStorage，重新整理後也能還原
+const SCROLL_STORAGE_KEY = 'skincare-scroll-positions';
+// 清單資料可能還在載入，等內容夠高再捲動，最多等約一秒
+const MAX_RESTORE_FRAMES = 60;
+
+// index.html 讓 #root 負責捲動，而不是 window
+const getScrollContainer = () => document.getElementById('root');
+
+const createEntryKey = () => Math.random().toString(36).slice(2, 10);
+
+const readLocation = () => ({
+    pathname: window.location.pathname,
+    search: window.location.search,
+    key: window.history.state?.key || 'initial',
+    // 在 App 內的第幾筆瀏覽紀錄；0 表示直接從外部連結或書籤開啟
+    index: window.history.state?.index ?? 0,
+});
+
+const loadScrollPositions = () => {
+    try {
+        return JSON.parse(sessionStorage.getItem(SCROLL_STORAGE_KEY)) || {};
+    } catch {
+        return {};
+    }
+};
+
+/**
+ * Minimal History API router. Each history entry gets a key (for scroll restoration) and an
+ * index (so "back" can tell whether the previous entry belongs to the app).
+ * @returns {{
+ *   location: {pathname: string, search: string, key: string, index: number},
+ *   route: ReturnType<typeof matchRoute>,
+ *   navigate: (to: string, options?: {replace?: boolean}) => boolean,
+ *   goBack: (fallback: string) => void,
+ * }}
+ */
+export const useRouter = () => {
+    const [location, setLocation] = useState(() => {
+        if (!window.history.state?.key) {
+            window.history.replaceState({ ...window.history.state, key: createEntryKey(), index: 0 }, '');
+        }
+        return readLocation();
+    });
+    const locationRef = useRef(location);
+    const scrollPositionsRef = useRef(null);
+    // 'pop' 還原捲動位置，'push' 捲到頂端，'none' 不動 (例如只更新搜尋條件)
+    const navigationTypeRef = useRef('pop');
+    const ignoreNextPopRef = useRef(false);
+
+    const updateLocation = useCallback((next, navigationType) => {
+        navigationTypeRef.current = navigationType;
+        locationRef.current = next;
+        setLocation(next);
+    }, []);
+
+    const saveScrollPosition = useCallback(() => {
+        const container = getScrollContainer();
+        if (!container) return;
+        scrollPositionsRef.current = scrollPositionsRef.current || loadScrollPositions();
+        scrollPositionsRef.current[locationRef.current.key] = container.scrollTop;
+        try {
+            sessionStorage.setItem(SCROLL_STORAGE_KEY, JSON.stringify(scrollPositionsRef.current));
+        } catch {
+            // 無痕模式或容量已滿時只保留在記憶體中
+        }
+    }, []);
+
+    useEffect(() => {
+        if ('scrollRestoration' in window.history) {
+            window.history.scrollRestoration = 'manual';
+        }
+
+        // 瀏覽器與 Android 返回鍵
+        const handlePopState = () => {
+            if (ignoreNextPopRef.current) {
+                ignoreNextPopRef.current = false;
+                return;
+            }
+            const next = readLocation();
+            if (next.pathname !== locationRef.current.pathname && !confirmNavigation()) {
+                // 使用者選擇留下: 網址已經變了，回到原本那筆瀏覽紀錄
+                ignoreNextPopRef.current = true;
+                window.history.go(locationRef.current.index - next.index);
+                return;
+            }
+            saveScrollPosition();
+            updateLocation(next, 'pop');
+        };
+
+        window.addEventListener('popstate', handlePopState);
+        return () => window.removeEventListener('popstate', handlePopState);
+    }, [saveScrollPosition, updateLocation]);
+
+    const navigate = useCallback((to, { replace = false } = {}) => {
+        const url = new URL(to, window.location.origin);
+        const current = locationRef.current;
+        const isSamePath = url.pathname === current.pathname;
+        if (isSamePath && url.search === current.search) return true;
+
+        // 只改查詢字串 (搜尋、篩選) 時不需要確認
+        if (!isSamePath && !confirmNavigation()) return false;
+
+        saveScrollPosition();
+        const state = replace
+            ? { key: current.key, index: current.index }
+            : { key: createEntryKey(), index: current.index + 1 };
+        window.history[replace ? 'replaceState' : 'pushState'](state, '', `${url.pathname}${url.search}${url.hash}`);
+        updateLocation(readLocation(), isSamePath ? 'none' : 'push');
+        return true;
+    }, [saveScrollPosition, updateLocation]);
+
+    // 上一頁仍在 App 內就用瀏覽器返回 (與 Android 返回鍵一致)，否則以 fallback 取代目前頁面
+    const goBack = useCallback((fallback) => {
+        if (locationRef.current.index > 0) {
+            window.history.back();
+        } else {
+            navigate(fallback, { replace: true });
+        }
+    }, [navigate]);
+
+    useLayoutEffect(() => {
+        const container = getScrollContainer();
+        const navigationType = navigationTypeRef.current;
+        if (!container || navigationType === 'none') return undefined;
+
+        if (navigationType === 'push') {
+            container.scrollTo({ top: 0, behavior: 'instant' });
+            return undefined;
+        }
+
+        scrollPositionsRef.current = scrollPositionsRef.current || loadScrollPositions();
+        const target = scrollPositionsRef.current[location.key] || 0;
+        let frame = 0;
+        let frameId = null;
+        const restore = () => {
+            container.scrollTo({ top: target, behavior: 'instant' });
+            if (container.scrollTop < target - 1 && frame++ < MAX_RESTORE_FRAMES) {
+                frameId = requestAnimationFrame(restore);
+            }
+        };
+        restore();
+        return () => cancelAnimationFrame(frameId);
+    }, [location]);
+
+    const route = useMemo(() => matchRoute(location.pathname), [location.pathname]);
+
+    return { location, route, navigate, goBack };
+};
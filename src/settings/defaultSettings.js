@@ -0,0 +1,26 @@
+import { DEFAULT_REMINDER_PREFERENCES } from '../reminders/reminderSchedule';
+import { DEFAULT_STATUS_THRESHOLDS } from '../utils/productStatus';
+
+// 使用者設定的預設值；雲端尚未有設定文件時使用
+export const DEFAULT_SETTINGS = {
+    // 剩餘天數 ≤ warningDays 顯示「即將過期」，≤ criticalDays 顯示為緊急 (剩 N 天)
+    ...DEFAULT_STATUS_THRESHOLDS,
+    defaultSort: 'expiry',
+    // 新增產品時預設的開封後使用期限 (月)，null 表示不預設
+    defaultPaoMonths: null,
+    notifications: DEFAULT_REMINDER_PREFERENCES,
+    // 成分注意清單：成分群組 ID (例如 'fragrance') 或個別 INCI 名稱
+    avoidIngredients: [],
+};
+
+/**
+ * Fills in defaults for anything missing from a stored settings record,
+ * so older records keep working when new settings are added.
+ * @param {object | null} stored
+ * @returns {typeof DEFAULT_SETTINGS}
+ */
+export const mergeWithDefaults = (stored) => ({
+    ...DEFAULT_SETTINGS,
+    ...stored,
+    notifications: { ...DEFAULT_SETTINGS.notifications, ...stored?.notifications },
+});
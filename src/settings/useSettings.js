@@ -0,0 +1,60 @@
+import { useState, useEffect, useCallback, useRef } from 'react';
+import { DEFAULT_SETTINGS, mergeWithDefaults } from './defaultSettings';
+
+// 舊版把通知偏好存在 localStorage，第一次讀取設定時搬進設定文件
+const LEGACY_REMINDER_PREFERENCES_KEY = 'skincare-reminder-preferences';
+
+const loadLegacyReminderPreferences = () => {
+    try {
+        return JSON.parse(localStorage.getItem(LEGACY_REMINDER_PREFERENCES_KEY));
+    } catch {
+        return null;
+    }
+};
+
+/**
+ * Live user settings from the settings repository, merged with defaults.
+ * @param {ReturnType<typeof import('../storage').createSettingsRepository> | null} settingsRepository
+ */
+export const useSettings = (settingsRepository) => {
+    const [settings, setSettings] = useState(DEFAULT_SETTINGS);
+    const [settingsError, setSettingsError] = useState(null);
+    // 最新的設定；連續兩次快速修改時，第二次要建立在第一次的結果上
+    const latestSettingsRef = useRef(DEFAULT_SETTINGS);
+
+    useEffect(() => {
+        if (!settingsRepository) return;
+
+        const unsubscribe = settingsRepository.subscribe((stored) => {
+            const legacyNotifications = stored ? null : loadLegacyReminderPreferences();
+            const merged = mergeWithDefaults(legacyNotifications ? { notifications: legacyNotifications } : stored);
+            latestSettingsRef.current = merged;
+            setSettings(merged);
+            setSettingsError(null);
+        }, (error) => {
+            console.error("Settings Listener Error:", error);
+            setSettingsError(`設定讀取錯誤: ${error.message}`);
+        });
+
+        return () => unsubscribe();
+    }, [settingsRepository]);
+
+    /**
+     * Applies changes locally right away and saves the whole record.
+     * @param {Partial<typeof DEFAULT_SETTINGS>} changes
+     */
+    const updateSettings = useCallback(async (changes) => {
+        const nextSettings = { ...latestSettingsRef.current, ...changes };
+        latestSettingsRef.current = nextSettings;
+        setSettings(prev => ({ ...prev, ...changes }));
+        try {
+            await settingsRepository.save(nextSettings);
+            localStorage.removeItem(LEGACY_REMINDER_PREFERENCES_KEY);
+        } catch (error) {
+            console.error("Settings Save Error:", error);
+            setSettingsError(`設定儲存失敗: ${error.message}`);
+        }
+    }, [settingsRepository]);
+
+    return { settings, updateSettings, settingsError };
+};
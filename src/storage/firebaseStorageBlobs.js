@@ -0,0 +1,48 @@
+import { ref, uploadBytes, getDownloadURL, deleteObject } from 'firebase/storage';
+import { APP_DATA_PATH } from '../config';
+
+const CACHE_CONTROL = 'public, max-age=31536000, immutable';
+
+/**
+ * Photo blobs in Firebase Storage under `${APP_DATA_PATH}/${userId}/photos/`.
+ * Each photo is stored twice: `<id>.jpg` and a small `<id>_thumb.jpg` for list cards.
+ * @param {import('firebase/storage').FirebaseStorage} storage
+ * @param {string} userId
+ */
+export const createFirebaseBlobStore = (storage, userId) => {
+    const photoPath = (photoId, suffix = '') => `${APP_DATA_PATH}/${userId}/photos/${photoId}${suffix}.jpg`;
+
+    const upload = async (path, blob) => {
+        const fileRef = ref(storage, path);
+        await uploadBytes(fileRef, blob, { contentType: blob.type || 'image/jpeg', cacheControl: CACHE_CONTROL });
+        return getDownloadURL(fileRef);
+    };
+
+    const removeIfExists = async (path) => {
+        try {
+            await deleteObject(ref(storage, path));
+        } catch (error) {
+            if (error.code !== 'storage/object-not-found') throw error;
+        }
+    };
+
+    return {
+        /**
+         * @param {string} photoId
+         * @param {{full: Blob, thumbnail: Blob}} variants
+         * @returns {Promise<{url: string, thumbnailUrl: string}>}
+         */
+        put: async (photoId, { full, thumbnail }) => {
+            const [url, thumbnailUrl] = await Promise.all([
+                upload(photoPath(photoId), full),
+                upload(photoPath(photoId, '_thumb'), thumbnail),
+            ]);
+            return { url, thumbnailUrl };
+        },
+
+        remove: (photoId) => Promise.all([
+            removeIfExists(photoPath(photoId)),
+            removeIfExists(photoPath(photoId, '_thumb')),
+        ]),
+    };
+};
@@ -0,0 +1,116 @@
+import { collection, onSnapshot, query, doc, deleteDoc, setDoc, updateDoc, writeBatch } from 'firebase/firestore';
+import { APP_DATA_PATH } from '../config';
+
+/**
+ * Starts a Firestore write without waiting for the server to acknowledge it.
+ * With the persistent local cache enabled the change is applied locally right away
+ * and queued until the device is back online, so awaiting the server would hang
+ * the form while offline. If the server later rejects the write, Firestore rolls
+ * the local change back and the snapshot listener reflects that.
+ * @param {Promise<void>} serverWrite
+ * @param {string} label Used in the error log
+ * @param {((error: Error) => void) | undefined} onError Lets the UI tell the user the change was rejected
+ */
+const queueWrite = (serverWrite, label, onError) => {
+    serverWrite.catch(error => {
+        console.error(`Firestore ${label} Error:`, error);
+        onError?.(error);
+    });
+};
+
+// Firestore 單一 batch 的寫入上限
+const MAX_BATCH_WRITES = 500;
+
+/**
+ * Firestore-backed collection under `${APP_DATA_PATH}/${userId}/${name}`.
+ * @param {import('firebase/firestore').Firestore} db
+ * @param {string} userId
+ * @param {string} name Collection name, e.g. 'products'
+ * @param {{ onWriteError?: (error: Error) => void }} [options]
+ */
+export const createFirestoreCollection = (db, userId, name, { onWriteError } = {}) => {
+    // FIX: Path should be collection/document/collection (3 segments)
+    const dataPath = `${APP_DATA_PATH}/${userId}/${name}`;
+
+    return {
+        backend: 'firebase',
+
+        /**
+         * onChange receives the items plus `{ hasPendingWrites, fromCache }` so the UI
+         * can show that local changes have not reached the server yet.
+         */
+        subscribe: (onChange, onError) => {
+            const q = query(collection(db, dataPath));
+            return onSnapshot(q, { includeMetadataChanges: true }, (snapshot) => {
+                const items = [];
+                snapshot.forEach(docSnap => {
+                    items.push({ id: docSnap.id, ...docSnap.data() });
+                });
+                onChange(items, {
+                    hasPendingWrites: snapshot.metadata.hasPendingWrites,
+                    fromCache: snapshot.metadata.fromCache,
+                });
+            }, onError);
+        },
+
+        add: async (data) => {
+            // 先在本機產生文件 ID，離線時也能立即回傳
+            const docRef = doc(collection(db, dataPath));
+            queueWrite(setDoc(docRef, data), 'Add', onWriteError);
+            return docRef.id;
+        },
+
+        update: async (id, data) => {
+            queueWrite(updateDoc(doc(db, dataPath, id), data), 'Update', onWriteError);
+        },
+
+        // 單一 batch 是原子操作: 伺服器拒絕時所有變更一起還原
+        batchUpdate: async (updates) => {
+            if (updates.length > MAX_BATCH_WRITES) {
+                throw new Error(`一次最多只能更新 ${MAX_BATCH_WRITES} 件產品。`);
+            }
+            const batch = writeBatch(db);
+            updates.forEach(({ id, data }) => {
+                if (id) {
+                    batch.update(doc(db, dataPath, id), data);
+                } else {
+                    batch.set(doc(collection(db, dataPath)), data);
+                }
+            });
+            queueWrite(batch.commit(), 'Batch Update', onWriteError);
+        },
+
+        set: async (id, data) => {
+            queueWrite(setDoc(doc(db, dataPath, id), data), 'Set', onWriteError);
+        },
+
+        remove: async (id) => {
+            queueWrite(deleteDoc(doc(db, dataPath, id)), 'Delete', onWriteError);
+        },
+    };
+};
+
+/**
+ * A single Firestore document at `${APP_DATA_PATH}/${userId}/${collectionName}/${docId}`,
+ * e.g. the user's settings stored next to the products collection.
+ * onChange receives the document data, or null when it does not exist yet.
+ * @param {import('firebase/firestore').Firestore} db
+ * @param {string} userId
+ * @param {string} collectionName
+ * @param {string} docId
+ */
+export const createFirestoreDocument = (db, userId, collectionName, docId) => {
+    const docRef = doc(db, `${APP_DATA_PATH}/${userId}/${collectionName}`, docId);
+
+    return {
+        backend: 'firebase',
+
+        subscribe: (onChange, onError) => onSnapshot(docRef, (docSnap) => {
+            onChange(docSnap.exists() ? docSnap.data() : null);
+        }, onError),
+
+        save: async (data) => {
+            queueWrite(setDoc(docRef, data), 'Save');
+        },
+    };
+};
@@ -0,0 +1,107 @@
+import { createFirestoreCollection, createFirestoreDocument } from './firestoreCollection';
+import { createIndexedDbCollection, createIndexedDbDocument, createIndexedDbBlobStore } from './indexedDbCollection';
+import { createFirebaseBlobStore } from './firebaseStorageBlobs';
+import { createPhotoStore as createPhotoStoreFromBlobs } from './photoStore';
+import { createMemoryBlobStore } from './memoryCollection';
+
+export { createMemoryCollection, createMemoryDocument } from './memoryCollection';
+
+/**
+ * A product repository. Every backend implements the same six methods:
+ *  - subscribe(onChange, onError) → unsubscribe; onChange receives `[{ id, ...data }]`
+ *    and a `{ hasPendingWrites, fromCache }` sync status (always false for local backends)
+ *  - add(data) → Promise<id>
+ *  - update(id, data) → Promise<void>
+ *  - batchUpdate([{ id, data }]) → Promise<void>, all-or-nothing; an entry without an id
+ *    adds a new record in the same batch
+ *  - set(id, data) → Promise<void>, creates or replaces the record with that id
+ *  - remove(id) → Promise<void>
+ *
+ * Local backends reject the returned promise when a write fails. Firestore resolves
+ * immediately (the write is queued offline) and reports a later server rejection
+ * through `onWriteError` instead.
+ *
+ * @param {{ backend: 'firebase' | 'local', db?: import('firebase/firestore').Firestore, userId: string, onWriteError?: (error: Error) => void }} options
+ */
+export const createProductRepository = ({ backend, db, userId, onWriteError }) => {
+    if (backend === 'local') {
+        return createIndexedDbCollection(userId, 'products');
+    }
+    if (!db) {
+        throw new Error('Firestore 尚未初始化，無法建立雲端資料庫連線。');
+    }
+    return createFirestoreCollection(db, userId, 'products', { onWriteError });
+};
+
+// 產品以外的使用者資料集合，介面 (含 onWriteError) 與產品 repository 相同
+const createUserCollection = ({ backend, db, userId, onWriteError }, name) => {
+    if (backend === 'local') {
+        return createIndexedDbCollection(userId, name);
+    }
+    if (!db) {
+        throw new Error('Firestore 尚未初始化，無法建立雲端資料庫連線。');
+    }
+    return createFirestoreCollection(db, userId, name, { onWriteError });
+};
+
+/**
+ * The user's barcode catalog: one record per barcode (the record id), learned from
+ * saved products so a known bottle can be prefilled offline. Same interface as the
+ * product repository; entries are written with set(barcode, entry).
+ *
+ * @param {{ backend: 'firebase' | 'local', db?: import('firebase/firestore').Firestore, userId: string, onWriteError?: (error: Error) => void }} options
+ */
+export const createCatalogRepository = (options) => createUserCollection(options, 'catalog');
+
+/**
+ * The user's AM/PM routines: `{ name, period: 'am' | 'pm', steps: [productId], createdAt, updatedAt }`.
+ * @param {{ backend: 'firebase' | 'local', db?: import('firebase/firestore').Firestore, userId: string, onWriteError?: (error: Error) => void }} options
+ */
+export const createRoutineRepository = (options) => createUserCollection(options, 'routines');
+
+/**
+ * Daily routine check-offs, one record per routine and day (id `${routineId}_${date}`,
+ * see routines/routineLogic.js), written with set(). Always the user's own, also for the
+ * routines of a shared inventory.
+ * @param {{ backend: 'firebase' | 'local', db?: import('firebase/firestore').Firestore, userId: string, onWriteError?: (error: Error) => void }} options
+ */
+export const createRoutineLogRepository = (options) => createUserCollection(options, 'routineLogs');
+
+/**
+ * The user's settings record, stored next to the products collection
+ * (`${APP_DATA_PATH}/${userId}/settings/preferences` in Firestore).
+ *  - subscribe(onChange, onError) → unsubscribe; onChange receives the data or null
+ *  - save(data) → Promise<void>, replaces the whole record
+ *
+ * @param {{ backend: 'firebase' | 'local', db?: import('firebase/firestore').Firestore, userId: string }} options
+ */
+export const createSettingsRepository = ({ backend, db, userId }) => {
+    if (backend === 'local') {
+        return createIndexedDbDocument(userId, 'settings', 'preferences');
+    }
+    if (!db) {
+        throw new Error('Firestore 尚未初始化，無法建立雲端資料庫連線。');
+    }
+    return createFirestoreDocument(db, userId, 'settings', 'preferences');
+};
+
+/**
+ * Product photo store (see ./photoStore for the reference format kept on products).
+ * Local mode keeps every photo in IndexedDB; cloud mode uploads to Firebase Storage
+ * and only falls back to IndexedDB while offline.
+ *
+ * @param {{ backend: 'firebase' | 'local' | 'memory', storage?: import('firebase/storage').FirebaseStorage, userId: string }} options
+ */
+export const createPhotoStore = ({ backend, storage, userId }) => {
+    if (backend === 'memory') {
+        return createPhotoStoreFromBlobs({ cloudBlobs: null, localBlobs: createMemoryBlobStore() });
+    }
+    const localBlobs = createIndexedDbBlobStore(userId);
+    if (backend === 'local') {
+        return createPhotoStoreFromBlobs({ cloudBlobs: null, localBlobs });
+    }
+    if (!storage) {
+        throw new Error('Firebase Storage 尚未初始化，無法上傳照片。');
+    }
+    return createPhotoStoreFromBlobs({ cloudBlobs: createFirebaseBlobStore(storage, userId), localBlobs });
+};
@@ -0,0 +1,224 @@
+// 本機模式: 資料只存在這台裝置的 IndexedDB，不需要 Firebase 帳號
+
+const DB_NAME = 'skincare-app';
+const DB_VERSION = 5;
+const STORE_NAMES = ['products', 'settings', 'photos', 'catalog', 'routines', 'routineLogs'];
+
+let dbPromise = null;
+
+/**
+ * Opens (and on first run, creates) the local database. Shared by every collection.
+ * @returns {Promise<IDBDatabase>}
+ */
+const openDatabase = () => {
+    if (!dbPromise) {
+        dbPromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = () => {
+                const database = request.result;
+                STORE_NAMES.forEach(storeName => {
+                    if (!database.objectStoreNames.contains(storeName)) {
+                        database.createObjectStore(storeName, { keyPath: 'id' });
+                    }
+                });
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+    return dbPromise;
+};
+
+/**
+ * Runs a single request against an object store and resolves with its result.
+ * @param {string} storeName
+ * @param {IDBTransactionMode} mode
+ * @param {(store: IDBObjectStore) => IDBRequest} action
+ */
+const runRequest = async (storeName, mode, action) => {
+    const database = await openDatabase();
+    return new Promise((resolve, reject) => {
+        const transaction = database.transaction(storeName, mode);
+        const request = action(transaction.objectStore(storeName));
+        transaction.oncomplete = () => resolve(request.result);
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+    });
+};
+
+/**
+ * IndexedDB-backed collection with the same interface as the Firestore one.
+ * Changes are pushed to subscribers in this tab and, via BroadcastChannel, in other tabs.
+ * @param {string} userId
+ * @param {string} name Object store name, e.g. 'products'
+ */
+export const createIndexedDbCollection = (userId, name) => {
+    const listeners = new Set();
+    const channel = typeof BroadcastChannel !== 'undefined' ? new BroadcastChannel(`${DB_NAME}:${name}`) : null;
+
+    const readAll = async () => {
+        const items = await runRequest(name, 'readonly', store => store.getAll());
+        return items.filter(item => item.userId === userId);
+    };
+
+    // 本機資料庫沒有伺服器，寫入完成即代表已同步
+    const syncStatus = { hasPendingWrites: false, fromCache: false };
+
+    const notify = async () => {
+        try {
+            const items = await readAll();
+            listeners.forEach(({ onChange }) => onChange(items, syncStatus));
+        } catch (error) {
+            listeners.forEach(({ onError }) => onError?.(error));
+        }
+    };
+
+    const notifyAll = async () => {
+        await notify();
+        channel?.postMessage('changed');
+    };
+
+    if (channel) {
+        channel.onmessage = () => notify();
+    }
+
+    return {
+        backend: 'local',
+
+        subscribe: (onChange, onError) => {
+            const listener = { onChange, onError };
+            listeners.add(listener);
+            readAll().then(items => onChange(items, syncStatus), onError);
+            return () => listeners.delete(listener);
+        },
+
+        add: async (data) => {
+            const id = crypto.randomUUID();
+            await runRequest(name, 'readwrite', store => store.add({ ...data, id, userId }));
+            await notifyAll();
+            return id;
+        },
+
+        update: async (id, data) => {
+            const existing = await runRequest(name, 'readonly', store => store.get(id));
+            if (!existing) {
+                throw new Error(`找不到資料 (id: ${id})`);
+            }
+            await runRequest(name, 'readwrite', store => store.put({ ...existing, ...data, id }));
+            await notifyAll();
+        },
+
+        // 全部寫在同一個 transaction 中，任何一筆失敗就全部不套用
+        batchUpdate: async (updates) => {
+            const database = await openDatabase();
+            await new Promise((resolve, reject) => {
+                const transaction = database.transaction(name, 'readwrite');
+                const store = transaction.objectStore(name);
+                updates.forEach(({ id, data }) => {
+                    if (!id) {
+                        store.add({ ...data, id: crypto.randomUUID(), userId });
+                        return;
+                    }
+                    const request = store.get(id);
+                    request.onsuccess = () => {
+                        if (!request.result) {
+                            transaction.abort();
+                            return;
+                        }
+                        store.put({ ...request.result, ...data, id });
+                    };
+                });
+                transaction.oncomplete = () => resolve();
+                transaction.onerror = () => reject(transaction.error);
+                transaction.onabort = () => reject(transaction.error || new Error('找不到部分資料，所有變更都未套用。'));
+            });
+            await notifyAll();
+        },
+
+        // 以指定 ID 建立或整筆取代 (例如以條碼為 ID 的產品目錄)
+        set: async (id, data) => {
+            await runRequest(name, 'readwrite', store => store.put({ ...data, id, userId }));
+            await notifyAll();
+        },
+
+        remove: async (id) => {
+            await runRequest(name, 'readwrite', store => store.delete(id));
+            await notifyAll();
+        },
+    };
+};
+
+/**
+ * A single IndexedDB record (e.g. the user's settings) with the same interface as
+ * the Firestore document: subscribe(onChange, onError) and save(data).
+ * onChange receives the stored data, or null when nothing has been saved yet.
+ * @param {string} userId
+ * @param {string} storeName
+ * @param {string} docId
+ */
+export const createIndexedDbDocument = (userId, storeName, docId) => {
+    const key = `${userId}/${docId}`;
+    const listeners = new Set();
+    const channel = typeof BroadcastChannel !== 'undefined' ? new BroadcastChannel(`${DB_NAME}:${storeName}:${key}`) : null;
+
+    const read = async () => {
+        const record = await runRequest(storeName, 'readonly', store => store.get(key));
+        if (!record) return null;
+        const { id: _id, ...data } = record;
+        return data;
+    };
+
+    const notify = async () => {
+        try {
+            const data = await read();
+            listeners.forEach(({ onChange }) => onChange(data));
+        } catch (error) {
+            listeners.forEach(({ onError }) => onError?.(error));
+        }
+    };
+
+    if (channel) {
+        channel.onmessage = () => notify();
+    }
+
+    return {
+        backend: 'local',
+
+        subscribe: (onChange, onError) => {
+            const listener = { onChange, onError };
+            listeners.add(listener);
+            read().then(onChange, onError);
+            return () => listeners.delete(listener);
+        },
+
+        save: async (data) => {
+            await runRequest(storeName, 'readwrite', store => store.put({ ...data, id: key }));
+            await notify();
+            channel?.postMessage('changed');
+        },
+    };
+};
+
+/**
+ * Photo blobs kept in IndexedDB: every photo in local mode, and photos taken offline
+ * in cloud mode until they can be uploaded.
+ * @param {string} userId
+ */
+export const createIndexedDbBlobStore = (userId) => ({
+    /**
+     * @param {string} photoId
+     * @param {{full: Blob, thumbnail: Blob}} variants
+     */
+    put: (photoId, { full, thumbnail }) => runRequest('photos', 'readwrite', store => store.put({ id: photoId, userId, full, thumbnail })),
+
+    /**
+     * @param {string} photoId
+     * @returns {Promise<{full: Blob, thumbnail: Blob} | null>}
+     */
+    get: async (photoId) => {
+        const record = await runRequest('photos', 'readonly', store => store.get(photoId));
+        return record ? { full: record.full, thumbnail: record.thumbnail } : null;
+    },
+
+    remove: (photoId) => runRequest('photos', 'readwrite', store => store.delete(photoId)),
+});
@@ -0,0 +1,103 @@
+/**
+ * In-memory collection with the same interface as the Firestore and IndexedDB ones.
+ * Nothing is persisted; meant for rendering components against fixture data.
+ * @param {Array<object>} initialItems Items with an `id` field
+ */
+export const createMemoryCollection = (initialItems = []) => {
+    let items = initialItems.map(item => ({ ...item }));
+    let nextId = 1;
+    const listeners = new Set();
+    const syncStatus = { hasPendingWrites: false, fromCache: false };
+
+    const notify = () => {
+        const snapshot = items.map(item => ({ ...item }));
+        listeners.forEach(onChange => onChange(snapshot, syncStatus));
+    };
+
+    return {
+        backend: 'memory',
+
+        subscribe: (onChange) => {
+            listeners.add(onChange);
+            onChange(items.map(item => ({ ...item })), syncStatus);
+            return () => listeners.delete(onChange);
+        },
+
+        add: async (data) => {
+            const id = `memory-${nextId++}`;
+            items = [...items, { ...data, id }];
+            notify();
+            return id;
+        },
+
+        update: async (id, data) => {
+            if (!items.some(item => item.id === id)) {
+                throw new Error(`找不到資料 (id: ${id})`);
+            }
+            items = items.map(item => (item.id === id ? { ...item, ...data, id } : item));
+            notify();
+        },
+
+        batchUpdate: async (updates) => {
+            const missing = updates.find(({ id }) => id && !items.some(item => item.id === id));
+            if (missing) {
+                throw new Error(`找不到資料 (id: ${missing.id})`);
+            }
+            const changes = new Map(updates.filter(({ id }) => id).map(({ id, data }) => [id, data]));
+            const added = updates.filter(({ id }) => !id).map(({ data }) => ({ ...data, id: `memory-${nextId++}` }));
+            items = [...items.map(item => (changes.has(item.id) ? { ...item, ...changes.get(item.id), id: item.id } : item)), ...added];
+            notify();
+        },
+
+        set: async (id, data) => {
+            items = [...items.filter(item => item.id !== id), { ...data, id }];
+            notify();
+        },
+
+        remove: async (id) => {
+            items = items.filter(item => item.id !== id);
+            notify();
+        },
+    };
+};
+
+/**
+ * In-memory single document, matching the Firestore/IndexedDB document interface.
+ * @param {object | null} initialData
+ */
+export const createMemoryDocument = (initialData = null) => {
+    let data = initialData ? { ...initialData } : null;
+    const listeners = new Set();
+
+    return {
+        backend: 'memory',
+
+        subscribe: (onChange) => {
+            listeners.add(onChange);
+            onChange(data ? { ...data } : null);
+            return () => listeners.delete(onChange);
+        },
+
+        save: async (nextData) => {
+            data = { ...nextData };
+            listeners.forEach(onChange => onChange({ ...data }));
+        },
+    };
+};
+
+/**
+ * In-memory photo blob store, matching the IndexedDB blob store interface.
+ */
+export const createMemoryBlobStore = () => {
+    const blobs = new Map();
+
+    return {
+        put: async (photoId, variants) => {
+            blobs.set(photoId, variants);
+        },
+        get: async (photoId) => blobs.get(photoId) || null,
+        remove: async (photoId) => {
+            blobs.delete(photoId);
+        },
+    };
+};
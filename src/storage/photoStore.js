@@ -0,0 +1,98 @@
+/**
+ * Product photos, stored outside the product document. The document only keeps a
+ * small reference:
+ *   { id, storage: 'firebase', url, thumbnailUrl, width, height }  — in Firebase Storage
+ *   { id, storage: 'local', width, height, pendingUpload? }        — in this device's IndexedDB
+ *
+ * In cloud mode a photo saved while offline is kept locally with `pendingUpload: true`
+ * and moved to Firebase Storage by uploadPending() once the device is back online.
+ *
+ * @param {{ cloudBlobs: ReturnType<typeof import('./firebaseStorageBlobs').createFirebaseBlobStore> | null, localBlobs: { put: Function, get: Function, remove: Function } }} stores
+ */
+export const createPhotoStore = ({ cloudBlobs, localBlobs }) => {
+    const saveLocally = async (photoId, variants) => {
+        await localBlobs.put(photoId, variants);
+        return {
+            id: photoId,
+            storage: 'local',
+            width: variants.width,
+            height: variants.height,
+            ...(cloudBlobs ? { pendingUpload: true } : {}),
+        };
+    };
+
+    return {
+        /**
+         * Stores a compressed photo and returns the reference to put on the product.
+         * @param {{full: Blob, thumbnail: Blob, width: number, height: number}} variants From createPhotoVariants
+         * @param {{ isOnline: boolean }} options
+         */
+        save: async (variants, { isOnline }) => {
+            const photoId = crypto.randomUUID();
+            if (!cloudBlobs || !isOnline) {
+                return saveLocally(photoId, variants);
+            }
+            const urls = await cloudBlobs.put(photoId, variants);
+            return { id: photoId, storage: 'firebase', ...urls, width: variants.width, height: variants.height };
+        },
+
+        /**
+         * Resolves a displayable URL. Local blobs become object URLs, which the caller
+         * must release with the returned revoke().
+         * @param {object} photo
+         * @param {'full' | 'thumbnail'} variant
+         * @returns {Promise<{url: string | null, revoke: () => void}>}
+         */
+        getUrl: async (photo, variant = 'thumbnail') => {
+            const noop = () => {};
+            if (photo.storage === 'firebase') {
+                return { url: variant === 'full' ? photo.url : photo.thumbnailUrl, revoke: noop };
+            }
+            const blobs = await localBlobs.get(photo.id);
+            if (!blobs) {
+                // 其他裝置離線拍的照片，尚未上傳
+                return { url: null, revoke: noop };
+            }
+            const url = URL.createObjectURL(blobs[variant]);
+            return { url, revoke: () => URL.revokeObjectURL(url) };
+        },
+
+        /**
+         * Returns the stored full-size image, e.g. to re-run label recognition on an existing product.
+         * @param {object} photo
+         * @returns {Promise<Blob | null>}
+         */
+        getBlob: async (photo) => {
+            if (photo.storage === 'firebase') {
+                const response = await fetch(photo.url);
+                if (!response.ok) throw new Error(`照片下載失敗 (${response.status})`);
+                return response.blob();
+            }
+            const blobs = await localBlobs.get(photo.id);
+            return blobs?.full || null;
+        },
+
+        /**
+         * Moves a photo taken offline to Firebase Storage.
+         * @param {object} photo A `pendingUpload` reference
+         * @returns {Promise<object | null>} The new reference, or null if the blobs are not on this device
+         */
+        uploadPending: async (photo) => {
+            const blobs = await localBlobs.get(photo.id);
+            if (!blobs || !cloudBlobs) return null;
+
+            const urls = await cloudBlobs.put(photo.id, blobs);
+            await localBlobs.remove(photo.id);
+            return { id: photo.id, storage: 'firebase', ...urls, width: photo.width, height: photo.height };
+        },
+
+        remove: async (photo) => {
+            if (!photo) return;
+            if (photo.storage === 'firebase') {
+                await cloudBlobs?.remove(photo.id);
+            } else {
+                await localBlobs.remove(photo.id);
+            }
+        },
+    };
+};
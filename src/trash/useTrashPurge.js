@@ -0,0 +1,40 @@
+import { useEffect, useRef } from 'react';
+import { isPurgeDue } from '../utils/trash';
+import { getProductPhotos } from '../photos/productPhotos';
+
+/**
+ * Permanently deletes products that have been in the trash longer than the retention
+ * period, together with their photos. Runs whenever the product list changes.
+ * @param {{ products: Array<object>, repository: object | null, photoStore: object | null, canEdit: boolean }} options
+ *   `canEdit` is false for viewers of a shared inventory; an editor's device purges instead
+ */
+export const useTrashPurge = ({ products, repository, photoStore, canEdit }) => {
+    const isRunningRef = useRef(false);
+    // 本次執行期間失敗過的產品不再重試
+    const failedIdsRef = useRef(new Set());
+
+    useEffect(() => {
+        if (!repository || !photoStore || !canEdit || isRunningRef.current) return;
+
+        const due = products.filter(product => isPurgeDue(product) && !failedIdsRef.current.has(product.id));
+        if (due.length === 0) return;
+
+        isRunningRef.current = true;
+        const run = async () => {
+            for (const product of due) {
+                try {
+                    await repository.remove(product.id);
+                    for (const photo of getProductPhotos(product)) {
+                        await photoStore.remove(photo);
+                    }
+                } catch (error) {
+                    console.error(`Trash Purge Error (${product.id}):`, error);
+                    failedIdsRef.current.add(product.id);
+                }
+            }
+        };
+        run().finally(() => {
+            isRunningRef.current = false;
+        });
+    }, [products, repository, photoStore, canEdit]);
+};
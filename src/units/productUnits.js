@@ -0,0 +1,158 @@
+import { getLifecycleState } from '../utils/lifecycle';
+import { getEffectiveExpiry, getProductStatus, DEFAULT_STATUS_THRESHOLDS } from '../utils/productStatus';
+
+// 每一瓶自己的欄位；產品本身的欄位代表目前在前面 (正在使用或下一個要用) 的那一瓶
+export const UNIT_FIELDS = ['expiryDate', 'expiryEstimated', 'openedDate', 'purchaseDate', 'manufactureDate', 'batchCode', 'price', 'currency', 'store'];
+
+/**
+ * A backup unit from form-like values. Missing fields are stored as null so a promoted
+ * unit clears the previous bottle's values.
+ * @param {object} values
+ * @returns {object}
+ */
+export const createUnit = (values = {}) => ({
+    id: crypto.randomUUID(),
+    ...Object.fromEntries(UNIT_FIELDS.map(key => [key, values[key] || (key === 'expiryEstimated' ? false : null)])),
+    // 表單中的價格是文字
+    price: values.price ? Number(values.price) : null,
+});
+
+/**
+ * Every unit of a product, the one in front first.
+ * @param {object} product
+ * @returns {Array<object>}
+ */
+export const getProductUnits = (product) => [
+    { id: 'primary', isPrimary: true, ...Object.fromEntries(UNIT_FIELDS.map(key => [key, product[key] || null])) },
+    ...(product.backups || []),
+];
+
+/**
+ * Effective expiry of one unit; PAO is a property of the product, not the bottle.
+ * @param {object} product
+ * @param {object} unit From getProductUnits
+ * @returns {string | null} YYYY-MM-DD
+ */
+export const getUnitExpiry = (product, unit) => getEffectiveExpiry(unit.expiryDate, unit.openedDate, product.paoMonths).date;
+
+/**
+ * The unit that expires first, so a backup expiring before the bottle in front still
+ * drives the product's status, sorting and reminders. The unit in front wins ties.
+ * @param {object} product
+ * @returns {object} One of getProductUnits(product)
+ */
+export const getEarliestExpiringUnit = (product) => getProductUnits(product).reduce((earliest, unit) => {
+    const date = getUnitExpiry(product, unit);
+    const earliestDate = getUnitExpiry(product, earliest);
+    return date && (!earliestDate || date < earliestDate) ? unit : earliest;
+});
+
+/**
+ * getProductStatus for the whole product: the unit that expires first, with the status
+ * text marking when that is a backup rather than the bottle in front.
+ * @param {object} product
+ * @param {{warningDays: number, criticalDays: number}} thresholds
+ * @returns {ReturnType<typeof getProductStatus>}
+ */
+export const getEarliestUnitStatus = (product, thresholds = DEFAULT_STATUS_THRESHOLDS) => {
+    const unit = getEarliestExpiringUnit(product);
+    const status = getProductStatus(unit.expiryDate, unit.openedDate, product.paoMonths, thresholds);
+    return unit.isPrimary ? status : { ...status, statusText: `備品${status.statusText}` };
+};
+
+/**
+ * @param {object} product
+ * @returns {{ total: number, opened: number, unopened: number }}
+ */
+export const countUnits = (product) => {
+    const backups = product.backups || [];
+    const openedBackups = backups.filter(unit => unit.openedDate).length;
+    const primaryOpened = getLifecycleState(product) === 'unopened' ? 0 : 1;
+    const total = backups.length + 1;
+    return { total, opened: primaryOpened + openedBackups, unopened: total - primaryOpened - openedBackups };
+};
+
+/**
+ * Short text for the list, e.g. "1 開封 + 2 備品". Null for a single unit.
+ * @param {object} product
+ * @returns {string | null}
+ */
+export const formatUnitSummary = (product) => {
+    const { total, opened, unopened } = countUnits(product);
+    if (total === 1) return null;
+    return [opened > 0 && `${opened} 開封`, unopened > 0 && `${unopened} 備品`].filter(Boolean).join(' + ');
+};
+
+/**
+ * Brand + name with case, width and spacing differences removed, for duplicate detection.
+ * @param {object} product
+ */
+export const getProductKey = (product) => `${product.brand || ''}|${product.name || ''}`
+    .normalize('NFKC')
+    .toLowerCase()
+    .replace(/\s+/g, '');
+
+/**
+ * The shelf product the new entry is most likely another unit of: same barcode, or the
+ * same brand and name.
+ * @param {Array<object>} products Products not archived or deleted
+ * @param {{ brand: string, name: string, barcode?: string }} values
+ * @returns {object | null}
+ */
+export const findDuplicateProduct = (products, values) => {
+    if (values.barcode) {
+        const byBarcode = products.find(product => product.barcode === values.barcode);
+        if (byBarcode) return byBarcode;
+    }
+    const key = getProductKey(values);
+    return products.find(product => getProductKey(product) === key) || null;
+};
+
+/**
+ * Update that adds units to an existing product as backups.
+ * @param {object} product
+ * @param {Array<object>} units From createUnit
+ */
+export const buildAddUnitUpdate = (product, units) => ({ backups: [...(product.backups || []), ...units] });
+
+/**
+ * The backup to use next: one already opened, otherwise the one expiring first.
+ * @param {Array<object>} backups
+ * @returns {object | undefined}
+ */
+const pickNextUnit = (backups) => [...backups].sort((a, b) => (
+    (a.openedDate ? 0 : 1) - (b.openedDate ? 0 : 1)
+    || (a.expiryDate || '9999').localeCompare(b.expiryDate || '9999')
+))[0];
+
+/**
+ * When the unit in front is finished or discarded and backups remain, the product stays
+ * on the shelf with the next backup in front; the used-up bottle goes to the archive as
+ * its own record so the history and ratings still count it.
+ * @param {object} product
+ * @param {object} lifecycleUpdate From buildLifecycleUpdate ('finish' or 'discard')
+ * @returns {{ archivedRecord: object, update: object } | null} Null when there is no backup
+ */
+export const splitFinishedUnit = (product, lifecycleUpdate) => {
+    const backups = product.backups || [];
+    if (backups.length === 0) return null;
+
+    const next = pickNextUnit(backups);
+    // 照片檔案由留在清單的產品保存，封存的紀錄不共用，避免永久刪除時一併刪掉
+    const archivedRecord = {
+        ...product,
+        ...lifecycleUpdate,
+        backups: [],
+        photo: null,
+        photos: [],
+        photoBase64: null,
+        createdAt: new Date(),
+    };
+    delete archivedRecord.id;
+    const update = {
+        ...Object.fromEntries(UNIT_FIELDS.map(key => [key, next[key] ?? (key === 'expiryEstimated' ? false : null)])),
+        lifecycle: next.openedDate ? 'inUse' : 'unopened',
+        backups: backups.filter(unit => unit.id !== next.id),
+    };
+    return { archivedRecord, update };
+};
@@ -0,0 +1,22 @@
+// 產品類別；value 存進資料庫，label 顯示在畫面上
+export const CATEGORY_OPTIONS = [
+    { value: 'cleanser', label: '洗面乳 / 卸妝' },
+    { value: 'toner', label: '化妝水' },
+    { value: 'serum', label: '精華液' },
+    { value: 'moisturizer', label: '乳液 / 乳霜' },
+    { value: 'eye', label: '眼霜' },
+    { value: 'sunscreen', label: '防曬' },
+    { value: 'mask', label: '面膜' },
+    { value: 'lip', label: '唇部保養' },
+    { value: 'body', label: '身體保養' },
+    { value: 'makeup', label: '彩妝' },
+    { value: 'other', label: '其他' },
+];
+
+export const CATEGORY_VALUES = CATEGORY_OPTIONS.map(option => option.value);
+
+/**
+ * @param {string | null | undefined} value
+ * @returns {string} Display label, or '' when unset
+ */
+export const getCategoryLabel = (value) => CATEGORY_OPTIONS.find(option => option.value === value)?.label || '';
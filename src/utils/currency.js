@@ -0,0 +1,26 @@
+// 價格的幣別；value 為 ISO 4217 代碼
+export const CURRENCY_OPTIONS = [
+    { value: 'TWD', label: '新台幣 (TWD)' },
+    { value: 'USD', label: '美元 (USD)' },
+    { value: 'JPY', label: '日圓 (JPY)' },
+    { value: 'KRW', label: '韓元 (KRW)' },
+    { value: 'EUR', label: '歐元 (EUR)' },
+    { value: 'HKD', label: '港幣 (HKD)' },
+    { value: 'CNY', label: '人民幣 (CNY)' },
+];
+
+export const DEFAULT_CURRENCY = 'TWD';
+
+/**
+ * @param {number} amount
+ * @param {string} currency ISO 4217 code
+ * @returns {string} e.g. "$1,280"
+ */
+export const formatMoney = (amount, currency = DEFAULT_CURRENCY) => {
+    try {
+        return new Intl.NumberFormat('zh-TW', { style: 'currency', currency, maximumFractionDigits: 0 }).format(amount);
+    } catch {
+        // 不認得的幣別代碼
+        return `${currency} ${Math.round(amount).toLocaleString()}`;
+    }
+};
@@ -0,0 +1,68 @@
+/**
+ * Formats a Date object into YYYY-MM-DD string.
+ * @param {Date | string | null} dateInput
+ */
+export const formatDate = (dateInput) => {
+    if (!dateInput) return '';
+    const date = dateInput instanceof Date ? dateInput : new Date(dateInput);
+    return date.toISOString().split('T')[0];
+};
+
+/**
+ * Adds calendar months to a YYYY-MM-DD string, clamping to the last day of the target month.
+ * @param {string} dateString YYYY-MM-DD
+ * @param {number} months
+ * @returns {string} YYYY-MM-DD
+ */
+export const addMonths = (dateString, months) => {
+    const [year, month, day] = dateString.split('-').map(Number);
+    const lastDayOfTarget = new Date(Date.UTC(year, month - 1 + months + 1, 0)).getUTCDate();
+    return formatDate(new Date(Date.UTC(year, month - 1 + months, Math.min(day, lastDayOfTarget))));
+};
+
+/**
+ * Adds days to a YYYY-MM-DD string.
+ * @param {string} dateString YYYY-MM-DD
+ * @param {number} days May be negative
+ * @returns {string} YYYY-MM-DD
+ */
+export const addDays = (dateString, days) => {
+    const [year, month, day] = dateString.split('-').map(Number);
+    return formatDate(new Date(Date.UTC(year, month - 1, day + days)));
+};
+
+/**
+ * Returns today's date in the device's local time zone as YYYY-MM-DD.
+ * (formatDate uses UTC, which is still "yesterday" in the morning in Taiwan.)
+ */
+export const getTodayString = () => {
+    const now = new Date();
+    return formatDate(new Date(Date.UTC(now.getFullYear(), now.getMonth(), now.getDate())));
+};
+
+/**
+ * Whole days from today until the given date; negative once it has passed.
+ * @param {string} dateString YYYY-MM-DD
+ * @returns {number}
+ */
+export const getDaysUntil = (dateString) => {
+    const today = new Date();
+    today.setHours(0, 0, 0, 0);
+
+    const targetDate = new Date(dateString);
+    targetDate.setHours(0, 0, 0, 0);
+
+    const diffTime = targetDate.getTime() - today.getTime();
+    return Math.ceil(diffTime / (1000 * 60 * 60 * 24));
+};
+
+/**
+ * Turns a stored timestamp (Firestore Timestamp, Date or string) into milliseconds.
+ * @param {any} value
+ * @returns {number} 0 when missing or invalid
+ */
+export const toMillis = (value) => {
+    if (!value) return 0;
+    if (typeof value.toMillis === 'function') return value.toMillis();
+    return new Date(value).getTime() || 0;
+};
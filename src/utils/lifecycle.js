@@ -0,0 +1,80 @@
+import { getTodayString } from './date';
+
+// 產品生命週期: 未開封 → 使用中 → 用完 / 丟棄
+export const LIFECYCLE_STATES = {
+    unopened: { label: '未開封', badgeStyle: 'bg-gray-100 text-gray-600' },
+    inUse: { label: '使用中', badgeStyle: 'bg-teal-50 text-teal-700' },
+    finished: { label: '已用完', badgeStyle: 'bg-emerald-50 text-emerald-700' },
+    discarded: { label: '已丟棄', badgeStyle: 'bg-rose-50 text-rose-700' },
+};
+
+export const DISCARD_REASONS = [
+    { value: 'expired', label: '過期' },
+    { value: 'spoiled', label: '變質 (變色、異味、分層)' },
+    { value: 'irritation', label: '過敏或刺激' },
+    { value: 'disliked', label: '不喜歡 / 不適合' },
+    { value: 'other', label: '其他' },
+];
+
+/**
+ * Lifecycle state of a product. Records saved before lifecycle tracking have no
+ * `lifecycle` field, so the state is derived from the opened date.
+ * @param {object} product
+ * @returns {'unopened' | 'inUse' | 'finished' | 'discarded'}
+ */
+export const getLifecycleState = (product) => {
+    if (product.lifecycle === 'finished' || product.lifecycle === 'discarded') {
+        return product.lifecycle;
+    }
+    return product.openedDate ? 'inUse' : 'unopened';
+};
+
+/**
+ * Finished and discarded products live in the archive instead of the main list.
+ * @param {object} product
+ */
+export const isArchived = (product) => {
+    const state = getLifecycleState(product);
+    return state === 'finished' || state === 'discarded';
+};
+
+/**
+ * @param {string | null | undefined} value
+ * @returns {string}
+ */
+export const getDiscardReasonLabel = (value) => DISCARD_REASONS.find(reason => reason.value === value)?.label || '';
+
+/**
+ * Builds the fields to write for a quick action on a product.
+ * @param {object} product
+ * @param {'open' | 'finish' | 'discard' | 'restore'} action
+ * @param {{reason?: string}} [details] Discard reason
+ * @returns {object} Partial product update
+ */
+export const buildLifecycleUpdate = (product, action, details = {}) => {
+    const today = getTodayString();
+
+    switch (action) {
+        case 'open':
+            return { lifecycle: 'inUse', openedDate: today };
+        case 'finish':
+            return {
+                lifecycle: 'finished',
+                // 沒按過「開封」就用完的，開封日期也一併記為今天
+                openedDate: product.openedDate || today,
+                finishedDate: today,
+            };
+        case 'discard':
+            return { lifecycle: 'discarded', discardedDate: today, discardReason: details.reason || 'other' };
+        case 'restore':
+            // 移回清單 (誤按時使用)；保留評分與回購紀錄
+            return {
+                lifecycle: product.openedDate ? 'inUse' : 'unopened',
+                finishedDate: null,
+                discardedDate: null,
+                discardReason: null,
+            };
+        default:
+            throw new Error(`Unknown lifecycle action: ${action}`);
+    }
+};
@@ -0,0 +1,130 @@
+import { CATEGORY_VALUES } from './categories';
+import { SORT_OPTIONS } from './productSort';
+import { getProductOwnerId } from '../households/householdRoles';
+import { getEarliestUnitStatus } from '../units/productUnits';
+
+// 狀態篩選; 'expiring' 包含「緊急」與「即將過期」兩種狀態
+export const STATUS_FILTER_OPTIONS = [
+    { value: 'expired', label: '已過期', levels: ['expired'] },
+    { value: 'expiring', label: '即將過期', levels: ['critical', 'warning'] },
+    { value: 'ok', label: '效期充足', levels: ['ok'] },
+    { value: 'none', label: '未設定效期', levels: ['none'] },
+];
+
+export const OPENED_FILTER_OPTIONS = [
+    { value: 'opened', label: '已開封' },
+    { value: 'unopened', label: '未開封' },
+];
+
+export const EMPTY_LIST_FILTERS = {
+    query: '',
+    statuses: [],
+    opened: null,
+    categories: [],
+    // 'mine' = 共用清單中只顯示自己的產品
+    owner: null,
+    // null = 使用設定中的預設排序
+    sort: null,
+};
+
+/**
+ * Whether any filter (other than the sort order) narrows the list.
+ * @param {typeof EMPTY_LIST_FILTERS} filters
+ */
+export const hasActiveFilters = (filters) => Boolean(
+    filters.query.trim() || filters.statuses.length || filters.opened || filters.categories.length || filters.owner
+);
+
+const normalizeText = (text) => String(text || '').normalize('NFKC').toLowerCase();
+
+/**
+ * Every whitespace-separated search term must appear in the brand, name or notes.
+ * @param {object} product
+ * @param {string} query
+ */
+const matchesQuery = (product, query) => {
+    const terms = normalizeText(query).split(/\s+/).filter(Boolean);
+    if (terms.length === 0) return true;
+
+    const haystack = normalizeText([product.brand, product.name, product.notes].join(' '));
+    return terms.every(term => haystack.includes(term));
+};
+
+/**
+ * Applies search and filter chips. Options within one group are OR'ed; groups are AND'ed.
+ * @param {Array<object>} products
+ * @param {typeof EMPTY_LIST_FILTERS} filters
+ * @param {{warningDays: number, criticalDays: number}} thresholds
+ * @param {string | null} [userId] The current user, for `owner: 'mine'`
+ * @returns {Array<object>}
+ */
+export const filterProducts = (products, filters, thresholds, userId = null) => {
+    const allowedLevels = STATUS_FILTER_OPTIONS
+        .filter(option => filters.statuses.includes(option.value))
+        .flatMap(option => option.levels);
+
+    return products.filter(product => {
+        if (!matchesQuery(product, filters.query)) return false;
+
+        if (filters.opened === 'opened' && !product.openedDate) return false;
+        if (filters.opened === 'unopened' && product.openedDate) return false;
+
+        if (filters.categories.length && !filters.categories.includes(product.category || 'other')) return false;
+
+        if (filters.owner === 'mine' && getProductOwnerId(product) !== userId) return false;
+
+        if (allowedLevels.length) {
+            const { level } = getEarliestUnitStatus(product, thresholds);
+            if (!allowedLevels.includes(level)) return false;
+        }
+        return true;
+    });
+};
+
+const STATUS_VALUES = STATUS_FILTER_OPTIONS.map(option => option.value);
+const OPENED_VALUES = OPENED_FILTER_OPTIONS.map(option => option.value);
+const SORT_VALUES = SORT_OPTIONS.map(option => option.value);
+
+const parseList = (value, allowed) => (value || '')
+    .split(',')
+    .filter(item => allowed.includes(item));
+
+/**
+ * Reads list filters from a query string such as "?q=serum&status=expired,expiring&sort=brand".
+ * Unknown values are dropped so a hand-edited URL can't break the list.
+ * @param {string} search
+ * @returns {typeof EMPTY_LIST_FILTERS}
+ */
+export const parseListQuery = (search) => {
+    const params = new URLSearchParams(search);
+    const opened = params.get('opened');
+    const sort = params.get('sort');
+
+    return {
+        query: params.get('q') || '',
+        statuses: parseList(params.get('status'), STATUS_VALUES),
+        opened: OPENED_VALUES.includes(opened) ? opened : null,
+        categories: parseList(params.get('category'), CATEGORY_VALUES),
+        owner: params.get('owner') === 'mine' ? 'mine' : null,
+        sort: SORT_VALUES.includes(sort) ? sort : null,
+    };
+};
+
+/**
+ * Inverse of parseListQuery; returns '' when nothing is set.
+ * @param {typeof EMPTY_LIST_FILTERS} filters
+ * @returns {string}
+ */
+export const serializeListQuery = (filters) => {
+    const params = new URLSearchParams();
+    if (filters.query) params.set('q', filters.query);
+    if (filters.statuses.length) params.set('status', filters.statuses.join(','));
+    if (filters.opened) params.set('opened', filters.opened);
+    if (filters.categories.length) params.set('category', filters.categories.join(','));
+    if (filters.owner) params.set('owner', filters.owner);
+    if (filters.sort) params.set('sort', filters.sort);
+
+    // 逗號不需要編碼，網址比較好讀
+    const query = params.toString().replace(/%2C/g, ',');
+    return query ? `?${query}` : '';
+};
@@ -0,0 +1,39 @@
+import { toMillis } from './date';
+import { getEarliestExpiringUnit, getUnitExpiry } from '../units/productUnits';
+
+// 清單排序選項 (設定畫面的「預設排序」也使用這份清單)
+export const SORT_OPTIONS = [
+    { value: 'expiry', label: '效期 (近 → 遠)' },
+    { value: 'openedDate', label: '開封日期 (新 → 舊)' },
+    { value: 'purchaseDate', label: '購入日期 (新 → 舊)' },
+    { value: 'createdAt', label: '最近新增' },
+    { value: 'brand', label: '品牌 (A → Z)' },
+];
+
+const FAR_FUTURE = '9999-12-31';
+
+const comparators = {
+    // Sort by effective expiry (printed date or opened + PAO, whichever is earlier) of the
+    // unit that expires first, backups included
+    expiry: (a, b) => {
+        const expiryA = getUnitExpiry(a, getEarliestExpiringUnit(a)) || FAR_FUTURE;
+        const expiryB = getUnitExpiry(b, getEarliestExpiringUnit(b)) || FAR_FUTURE;
+        return new Date(expiryA).getTime() - new Date(expiryB).getTime();
+    },
+    // 未開封的排在最後
+    openedDate: (a, b) => (b.openedDate || '').localeCompare(a.openedDate || ''),
+    purchaseDate: (a, b) => (b.purchaseDate || '').localeCompare(a.purchaseDate || ''),
+    createdAt: (a, b) => toMillis(b.createdAt) - toMillis(a.createdAt),
+    brand: (a, b) => (a.brand || '').localeCompare(b.brand || '', 'zh-Hant') || (a.name || '').localeCompare(b.name || '', 'zh-Hant'),
+};
+
+/**
+ * Returns a sorted copy of the product list.
+ * @param {Array<object>} products
+ * @param {string} sortKey One of SORT_OPTIONS' values; unknown keys fall back to expiry
+ * @returns {Array<object>}
+ */
+export const sortProducts = (products, sortKey) => {
+    const compare = comparators[sortKey] || comparators.expiry;
+    return [...products].sort(compare);
+};
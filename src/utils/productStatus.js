@@ -0,0 +1,109 @@
+import { addMonths, getDaysUntil } from './date';
+
+// 開封後使用期限 (PAO) 選項，單位為月
+export const PAO_OPTIONS = [3, 6, 9, 12, 18, 24, 36];
+
+/**
+ * PAO choices for a select, including a stored or recognized value that is not one of
+ * the usual options (e.g. 4M), so the controlled select still shows it.
+ * @param {number | string | null} current
+ * @returns {number[]}
+ */
+export const getPaoOptions = (current) => {
+    const months = Number(current);
+    return Number.isInteger(months) && months > 0 && !PAO_OPTIONS.includes(months)
+        ? [...PAO_OPTIONS, months].sort((a, b) => a - b)
+        : PAO_OPTIONS;
+};
+
+/**
+ * Returns the date a product actually expires: the earlier of the printed expiry
+ * and the opened date plus its PAO months.
+ * @param {string | null} expiryDateString YYYY-MM-DD
+ * @param {string | null} openedDateString YYYY-MM-DD
+ * @param {number | null} paoMonths
+ * @returns {{date: string | null, source: 'printed' | 'pao' | null}}
+ */
+export const getEffectiveExpiry = (expiryDateString, openedDateString, paoMonths) => {
+    const paoExpiry = openedDateString && paoMonths ? addMonths(openedDateString, Number(paoMonths)) : null;
+
+    if (paoExpiry && (!expiryDateString || paoExpiry < expiryDateString)) {
+        return { date: paoExpiry, source: 'pao' };
+    }
+    return { date: expiryDateString || null, source: expiryDateString ? 'printed' : null };
+};
+
+// 狀態門檻的預設值；實際數值來自使用者設定 (settings.warningDays / criticalDays)
+export const DEFAULT_STATUS_THRESHOLDS = {
+    warningDays: 30,
+    criticalDays: 7,
+};
+
+// 各狀態的顏色
+const STATUS_STYLES = {
+    none: {
+        gradient: 'from-gray-400 to-gray-500',
+        badgeStyle: 'bg-gradient-to-r from-gray-100 to-gray-200 text-gray-600',
+    },
+    expired: {
+        gradient: 'from-red-500 to-rose-600',
+        badgeStyle: 'bg-gradient-to-r from-red-50 to-rose-50 text-red-700',
+    },
+    critical: {
+        gradient: 'from-orange-500 to-red-500',
+        badgeStyle: 'bg-gradient-to-r from-orange-50 to-red-50 text-red-600',
+    },
+    warning: {
+        gradient: 'from-amber-400 to-orange-500',
+        badgeStyle: 'bg-gradient-to-r from-amber-50 to-orange-50 text-orange-700',
+    },
+    ok: {
+        gradient: 'from-emerald-400 to-teal-500',
+        badgeStyle: 'bg-gradient-to-r from-emerald-50 to-teal-50 text-teal-700',
+    },
+};
+
+/**
+ * Calculates days until the effective expiry and returns status color.
+ * @param {string | null} expiryDateString YYYY-MM-DD
+ * @param {string | null} openedDateString YYYY-MM-DD
+ * @param {number | null} paoMonths Period after opening, in months
+ * @param {{warningDays: number, criticalDays: number}} thresholds From the user's settings
+ * @returns {{level: 'none' | 'expired' | 'critical' | 'warning' | 'ok', daysRemaining: number | null, effectiveExpiryDate: string | null, expirySource: string | null, gradient: string, statusText: string, badgeStyle: string}}
+ */
+export const getProductStatus = (expiryDateString, openedDateString, paoMonths = null, thresholds = DEFAULT_STATUS_THRESHOLDS) => {
+    const { date: effectiveExpiryDate, source: expirySource } = getEffectiveExpiry(expiryDateString, openedDateString, paoMonths);
+
+    if (!effectiveExpiryDate) {
+        return { 
+            level: 'none',
+            daysRemaining: null, 
+            effectiveExpiryDate: null,
+            expirySource: null,
+            statusText: '未設定效期', 
+            ...STATUS_STYLES.none,
+        };
+    }
+
+    const daysRemaining = getDaysUntil(effectiveExpiryDate);
+
+    let level = 'ok';
+    let statusText = `${daysRemaining} 天後過期`;
+
+    if (daysRemaining < 0) {
+        level = 'expired';
+        statusText = '已過期';
+    } else if (daysRemaining <= thresholds.criticalDays) {
+        level = 'critical';
+        statusText = daysRemaining === 0 ? '今天到期' : `剩 ${daysRemaining} 天`;
+    } else if (daysRemaining <= thresholds.warningDays) {
+        level = 'warning';
+        statusText = `即將過期 ${daysRemaining} 天`;
+    }
+
+    if (openedDateString) {
+        statusText += ' • 已開封';
+    }
+
+    return { level, daysRemaining, effectiveExpiryDate, expirySource, statusText, ...STATUS_STYLES[level] };
+};
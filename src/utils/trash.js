@@ -0,0 +1,29 @@
+import { toMillis } from './date';
+
+// 垃圾桶保留天數，過期後永久刪除 (連同照片)
+export const TRASH_RETENTION_DAYS = 30;
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+/**
+ * Soft-deleted products keep their document with a `deletedAt` timestamp until purged.
+ * @param {object} product
+ */
+export const isDeleted = (product) => Boolean(product.deletedAt);
+
+/**
+ * Whole days left before a trashed product is purged; 0 once it is due.
+ * @param {object} product
+ * @param {number} [now] Milliseconds
+ * @returns {number}
+ */
+export const getDaysUntilPurge = (product, now = Date.now()) => {
+    const purgeAt = toMillis(product.deletedAt) + TRASH_RETENTION_DAYS * DAY_MS;
+    return Math.max(0, Math.ceil((purgeAt - now) / DAY_MS));
+};
+
+/**
+ * @param {object} product
+ * @param {number} [now] Milliseconds
+ */
+export const isPurgeDue = (product, now = Date.now()) => isDeleted(product) && getDaysUntilPurge(product, now) === 0;
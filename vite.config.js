@@ -1,6 +1,56 @@
+import fs from 'node:fs';
+import path from 'node:path';
 import { defineConfig, loadEnv } from 'vite';
 import react from '@vitejs/plugin-react';
 
+// 開發時由 Vite 直接執行 api/ 下的 Serverless Function，不必另外啟動 `vercel dev`
+const API_ROUTES = ['/api/analyze-label'];
+
+const apiDevServer = () => ({
+  name: 'api-dev-server',
+  configureServer(server) {
+    API_ROUTES.forEach((route) => {
+      server.middlewares.use(route, async (req, res) => {
+        const { default: handler } = await server.ssrLoadModule(`${route}.js`);
+        await handler(req, res);
+      });
+    });
+  },
+});
+
+// 動態載入的模組 (條碼掃描的 zxing 備援)；打包後把它們的 chunk 檔名寫進 dist/sw.js 的 PRECACHE_URLS。
+// 檔名改變時 sw.js 內容也跟著變，瀏覽器就會重新安裝並快取新的 chunk
+const PRECACHE_ENTRIES = ['/src/barcode/zxingDetector.js'];
+
+const serviceWorkerPrecache = () => {
+  let outDir = 'dist';
+  let urls = [];
+  return {
+    name: 'service-worker-precache',
+    apply: 'build',
+    configResolved(config) {
+      outDir = path.resolve(config.root, config.build.outDir);
+    },
+    generateBundle(_options, bundle) {
+      const files = new Set();
+      const collect = (fileName) => {
+        if (files.has(fileName)) return;
+        files.add(fileName);
+        bundle[fileName]?.imports?.forEach(collect);
+      };
+      Object.values(bundle)
+        .filter((file) => file.type === 'chunk' && PRECACHE_ENTRIES.some((entry) => file.facadeModuleId?.endsWith(entry)))
+        .forEach((chunk) => collect(chunk.fileName));
+      urls = [...files].map((fileName) => `/${fileName}`);
+    },
+    closeBundle() {
+      const swPath = path.join(outDir, 'sw.js');
+      const source = fs.readFileSync(swPath, 'utf8');
+      fs.writeFileSync(swPath, source.replace('const PRECACHE_URLS = [];', `const PRECACHE_URLS = ${JSON.stringify(urls)};`));
+    },
+  };
+};
+
 export default defineConfig(({ mode }) => {
   // 載入 .env 檔案中 VITE_ 開頭的環境變數 (在 Vercel 中，會自動讀取 VERCEL_ENV)
   const env = loadEnv(mode, process.cwd(), 'VITE_');
@@ -11,8 +61,21 @@ export default defineConfig(({ mode }) => {
     processEnv[`process.env.${key}`] = JSON.stringify(env[key]);
   }
 
+  // 伺服器端的密鑰 (GEMINI_API_KEY 等) 不加 VITE_ 前綴，只提供給開發用的 API 中介層，不會打包進前端
+  const serverEnv = loadEnv(mode, process.cwd(), '');
+  [
+    'LABEL_PROVIDERS',
+    'GEMINI_API_KEY', 'GEMINI_MODEL',
+    'OPENAI_API_KEY', 'OPENAI_BASE_URL', 'OPENAI_MODEL',
+    'FIREBASE_PROJECT_ID',
+  ].forEach((key) => {
+    if (serverEnv[key] && !process.env[key]) {
+      process.env[key] = serverEnv[key];
+    }
+  });
+
   return {
-    plugins: [react()],
+    plugins: [react(), apiDevServer(), serviceWorkerPrecache()],
     // 這是最關鍵的一步：確保所有 VITE_ 變數在編譯時被硬編碼進程式碼
     define: processEnv,
   };